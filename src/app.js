@@ -0,0 +1,158 @@
+/**
+ * The application: services, middleware and routers wired into one Express
+ * app. createApp() does not listen, so tests can mount the app on an
+ * ephemeral server or drive it with supertest; src/server.js adds the port,
+ * the conversation socket and the shutdown handling. Public and tool
+ * routers and the conversation exist once per hotel of the tenant
+ * registry; each request goes to its hotel's (see routes/tenant.js). Every
+ * request and every conversation turn runs in its own trace.
+ */
+import express from "express";
+import cors from "cors";
+import { CONFIG } from "./config.js";
+import { logger as defaultLogger } from "./logger.js";
+import { metricsMiddleware } from "./metrics.js";
+import { createRateLimiters } from "./rateLimit.js";
+import { createServices } from "./services.js";
+import { createTracing, SpanKind } from "./tracing.js";
+import { createHotelDialog } from "./retell/dialog.js";
+import { idempotencyKeyFor } from "./booking/idempotency.js";
+import { isPricingError } from "./pricing/quotes.js";
+import { nextQuestion } from "./session/index.js";
+import { formatPrice } from "./i18n/index.js";
+import { sessionFields, callIdOf } from "./routes/common.js";
+import { createSystemRouter, endpoints } from "./routes/system.js";
+import { createPublicRouter } from "./routes/public.js";
+import { createToolRouter } from "./routes/tool.js";
+import { createOfferLinkRouter } from "./routes/offers.js";
+import { resolvePublicTenant, requireToolSecret, perTenant } from "./routes/tenant.js";
+import { createWebhookRouter } from "./routes/webhook.js";
+
+/**
+ * @param {{ config?: object, logger?: object, tracing?: object }} [options] config: a loadConfig()
+ *   result; tracing: a createTracing() result, e.g. with the "memory" exporter in tests
+ * @returns {Promise<{ app: import("express").Express, dialog: object, services: object,
+ *   tracing: object, close: () => Promise<void> }>}
+ */
+export async function createApp({ config = CONFIG, logger = defaultLogger, tracing } = {}) {
+  // A tracer handed in belongs to the caller, who reads its spans after close()
+  const ownTracing = !tracing;
+  tracing ??= createTracing(config.tracing);
+  const services = await createServices(config, logger, tracing);
+  const { publicLimiter, toolLimiter } = createRateLimiters(config.rateLimit);
+
+  const app = express();
+  app.use(cors({ origin: config.security.corsOrigin }));
+  app.use(express.json({
+    limit: "200kb",
+    // Webhook signatures cover the body bytes as sent, not our re-serialization
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/retell/webhook")) req.rawBody = buf.toString("utf8");
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(tracing.middleware(req => ({ "retell.call_id": callIdOf(req) })));
+
+  // Request timeout middleware
+  app.use((req, res, next) => {
+    res.setTimeout(config.server.requestTimeout, () => {
+      logger.warn("Request timeout", null, { path: req.path, method: req.method });
+      res.status(408).json({ ok: false, error: "Request timeout" });
+    });
+    next();
+  });
+
+  if (config.metrics.enabled) app.use(metricsMiddleware);
+
+  /* -------------------- Routes -------------------- */
+  app.use(createSystemRouter(services));
+  app.use("/retell/public", publicLimiter, resolvePublicTenant(services), perTenant(services, createPublicRouter));
+  app.use("/retell/tool", toolLimiter, requireToolSecret(services), perTenant(services, createToolRouter));
+  app.use("/retell/webhook", createWebhookRouter(services));
+  app.use("/offers", publicLimiter, createOfferLinkRouter(services));
+
+  /* -------------------- Error Handlers -------------------- */
+  app.use((err, req, res, next) => {
+    logger.error("Unhandled request error", err, {
+      method: req.method,
+      path: req.path,
+      ip: req.ip
+    });
+
+    res.status(err.status || 500).json({
+      ok: false,
+      error: "internal_error",
+      message: config.server.environment === "dev" ? err.message : "An error occurred"
+    });
+  });
+
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      ok: false,
+      error: "route_not_found",
+      path: req.originalUrl,
+      available_endpoints: ["GET  /", ...endpoints(config)]
+    });
+  });
+
+  /* -------------------- Retell Conversation -------------------- */
+  const hotelDialog = (ctx) => createHotelDialog({
+    extract: async (text, { locale }) => {
+      const result = await ctx.extractor.extract(text, { locale, timeZone: ctx.config.booking.timeZone });
+      ctx.metrics.extraction("dialog", result);
+      return result;
+    },
+    sessions: ctx.sessions,
+    nextQuestion,
+    checkAvailability: ctx.checkAvailability,
+    quotePrice: async (slots, locale) => {
+      try {
+        const quote = ctx.pricing.quote(ctx.quotes.input(sessionFields(slots)));
+        return formatPrice(locale, quote.total, quote.currency);
+      } catch (pricingError) {
+        if (!isPricingError(pricingError)) throw pricingError;
+        return null;
+      }
+    },
+    // Keyed like commit_booking, so confirming again after a reconnect returns the first booking
+    book: async (slots, { callId }) => {
+      const payload = sessionFields(slots);
+      const idem = idempotencyKeyFor({ callId, payload, scope: ctx.tenant.id });
+      const { payload: result } = await ctx.idempotency.run(idem.key, idem.hash,
+        () => ctx.bookings.commitBooking(payload, { reference: ctx.idempotency.referenceFor(idem.key), callId }));
+      return result;
+    },
+    hotel: ctx.config.hotel.name,
+    languages: ctx.config.languages
+  });
+  const dialogs = new Map(services.tenants.list().map(({ tenant }) => [tenant.id, hotelDialog(services.forTenant(tenant.id))]));
+
+  // One server span per Retell turn; extraction, HotelRunner and booking calls become its children
+  const dialog = {
+    serves: (hotelId) => dialogs.has(hotelId),
+
+    /** @param {{ hotelId?: string }} [options] the hotel the Retell agent answers for; default hotel without */
+    start(callId, { hotelId = services.tenants.defaultId } = {}) {
+      const conversation = dialogs.get(hotelId).start(callId);
+      return {
+        ...conversation,
+        respond: (event) => tracing.withSpan("retell turn", {
+          kind: SpanKind.SERVER,
+          attributes: {
+            "retell.call_id": callId,
+            "retell.response_id": event.response_id,
+            "retell.interaction_type": event.interaction_type,
+            "hotel.id": hotelId
+          }
+        }, () => conversation.respond(event))
+      };
+    }
+  };
+
+  const close = async () => {
+    await services.close();
+    if (ownTracing) await tracing.shutdown();
+  };
+
+  return { app, dialog, services, tracing, close };
+}
@@ -0,0 +1,99 @@
+/**
+ * Availability for the check_availability tool and the conversation socket:
+ * stay rules (length, guests, no past dates) first, then HotelRunner
+ * inventory when the stay is plausible. Without HotelRunner, or when it is
+ * down, the rules alone decide.
+ */
+import { cheapestRate } from "../ota/availability.js";
+import { t, formatDate, formatPrice } from "../i18n/index.js";
+
+/**
+ * @param {{ config: object, utils: object, hotelRunner: object, logger: { warn: Function },
+ *   metrics: { availability: Function, fallback: Function } }} deps
+ * @returns {(stay: { check_in: string, check_out: string, adults: number, children: number, locale: string })
+ *   => Promise<{ plausible: boolean, payload: object }>}
+ */
+export function createAvailabilityCheck({ config, utils, hotelRunner, logger, metrics }) {
+  const { maxNights, maxGuests } = config.booking;
+
+  return async function checkAvailability({ check_in, check_out, adults, children, locale }) {
+    const nights = utils.nightsBetween(check_in, check_out);
+    const totalGuests = adults + children;
+
+    const isValidStay = nights > 0 && nights <= maxNights;
+    const hasCapacity = totalGuests > 0 && totalGuests <= maxGuests;
+    const isNotPastDate = check_in >= utils.today();
+
+    const rulesOk = isValidStay && hasCapacity && isNotPastDate;
+    let available = rulesOk;
+    let source = "rules";
+    let roomTypes = null;
+    let cheapest = null;
+
+    // Ask HotelRunner for real inventory once the stay itself is plausible
+    if (rulesOk && hotelRunner.configured) {
+      try {
+        const avail = await hotelRunner.checkAvailability({ check_in, check_out, adults, children });
+        roomTypes = avail.room_types;
+        cheapest = cheapestRate(roomTypes);
+        available = roomTypes.some(rt => rt.available > 0);
+        source = "hotelrunner";
+      } catch (hrError) {
+        if (hrError.code === "NO_AVAILABILITY") {
+          roomTypes = [];
+          available = false;
+          source = "hotelrunner";
+        } else {
+          logger.warn("OTA-XML HotelRunner availability failed, fallback to rules", hrError, { code: hrError.code });
+          metrics.fallback("availability");
+        }
+      }
+    }
+
+    const stay = { nights, from: formatDate(locale, check_in), to: formatDate(locale, check_out) };
+    const freeTypes = (roomTypes || []).filter(rt => rt.available > 0);
+
+    // Outcome reason code; the answer names the free room when HotelRunner decided
+    const reason = available
+      ? "available"
+      : rulesOk
+        ? "sold_out"
+        : nights <= 0
+          ? "checkout_before_checkin"
+          : !isNotPastDate
+            ? "past_date"
+            : totalGuests > maxGuests ? "too_many_guests" : "not_available";
+    metrics.availability(reason, source);
+
+    const key = reason === "available" && source === "hotelrunner" ? "hotelrunner" : reason;
+    const spoken = t(locale, `availability.${key}`, {
+      ...stay,
+      rooms: freeTypes.length,
+      room: freeTypes[0]?.name,
+      price: cheapest ? formatPrice(locale, cheapest.total, cheapest.currency) : null,
+      total: totalGuests,
+      max: maxGuests
+    });
+
+    return {
+      plausible: rulesOk,
+      payload: {
+        ok: true,
+        availability_ok: available,
+        nights,
+        spoken,
+        details: {
+          total_guests: totalGuests,
+          adults,
+          children,
+          check_in,
+          check_out,
+          source,
+          reason,
+          room_types: roomTypes,
+          cheapest_rate: cheapest
+        }
+      }
+    };
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Cancellation-policy evaluation for cancel_booking and modify_booking.
+ * Rules are tiers of { daysBefore, feePercent }: the tier with the largest
+ * daysBefore that is still <= the days left until arrival applies. Days are
+ * counted from today in the hotel's time zone, not the server's.
+ */
+import { todayIso, DEFAULT_TIME_ZONE } from "../extraction/dates.js";
+
+export const DEFAULT_CANCELLATION_RULES = Object.freeze([
+  Object.freeze({ daysBefore: 14, feePercent: 0 }),
+  Object.freeze({ daysBefore: 7, feePercent: 30 }),
+  Object.freeze({ daysBefore: 2, feePercent: 50 }),
+  Object.freeze({ daysBefore: 0, feePercent: 100 })
+]);
+
+const DAY_MS = 86400000;
+
+const utcDay = (iso) => {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+// Whole calendar days between the hotel's today and check-in (UTC date arithmetic, no DST drift)
+function daysUntil(checkIn, now, timeZone) {
+  return Math.round((utcDay(checkIn) - utcDay(todayIso(now, timeZone))) / DAY_MS);
+}
+
+/**
+ * Parse "14:0,7:30,2:50,0:100" (daysBefore:feePercent) from env.
+ */
+export function parseCancellationRules(spec) {
+  if (!spec) return DEFAULT_CANCELLATION_RULES;
+  const rules = String(spec).split(",").map(part => {
+    const [days, percent] = part.split(":").map(v => parseInt(v, 10));
+    return { daysBefore: days, feePercent: percent };
+  }).filter(r => Number.isInteger(r.daysBefore) && r.daysBefore >= 0
+    && Number.isInteger(r.feePercent) && r.feePercent >= 0 && r.feePercent <= 100);
+  return rules.length ? rules : DEFAULT_CANCELLATION_RULES;
+}
+
+/**
+ * @param {{ checkIn: string, total?: number|null, rules?: Array<{ daysBefore: number, feePercent: number }>,
+ *   now?: Date, timeZone?: string }} input  timeZone: the hotel's (HOTEL_TIMEZONE)
+ * @returns {{ allowed: boolean, days_before: number, fee_percent: number, fee_eur: number|null, free_until: string|null }}
+ */
+export function evaluateCancellation({
+  checkIn, total = null, rules = DEFAULT_CANCELLATION_RULES, now = new Date(), timeZone = DEFAULT_TIME_ZONE
+}) {
+  const days = daysUntil(checkIn, now, timeZone);
+  const sorted = [...rules].sort((a, b) => b.daysBefore - a.daysBefore);
+
+  // Stay already started: nothing left to cancel
+  if (days < 0) {
+    return { allowed: false, days_before: days, fee_percent: 100, fee_eur: total, free_until: null };
+  }
+
+  const tier = sorted.find(r => days >= r.daysBefore) || sorted[sorted.length - 1];
+  const freeTier = sorted.find(r => r.feePercent === 0);
+  let free_until = null;
+  if (freeTier) {
+    free_until = new Date(utcDay(checkIn) - freeTier.daysBefore * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  const fee_percent = tier ? tier.feePercent : 0;
+  const fee_eur = typeof total === "number" && Number.isFinite(total)
+    ? Math.round(total * fee_percent) / 100
+    : null;
+
+  return { allowed: true, days_before: days, fee_percent, fee_eur, free_until };
+}
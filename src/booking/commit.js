@@ -0,0 +1,204 @@
+/**
+ * Booking commit shared by the commit_booking tool and the conversation
+ * socket: guest validation, pricing, HotelRunner ResCreateRQ (mock booking
+ * when HotelRunner is off or down), persistence and the confirmation by
+ * mail or text message. Results are { status, payload } so idempotent
+ * replays return them verbatim.
+ */
+import { buildResCreateRQ } from "../ota/builder.js";
+import { isOtaRejection, otaSpoken } from "../ota/client.js";
+import { normalizeGuest } from "./guest.js";
+import { CONTACT_CHANNELS } from "../messaging/contact.js";
+import { renderConfirmationMail } from "../mail/confirmation.js";
+import { renderConfirmationText } from "../messaging/texts.js";
+import { isPricingError, pricingFailure } from "../pricing/quotes.js";
+import { callerLocale } from "../i18n/index.js";
+
+// OTA room stay fields from a pricing quote (night-by-night rates + stay total)
+export const otaStay = (quote) => ({
+  checkIn: quote.check_in,
+  checkOut: quote.check_out,
+  adults: quote.adults,
+  children: quote.children,
+  roomTypeCode: quote.room_type,
+  roomName: quote.room_name,
+  roomDescription: quote.room_name,
+  ratePlanCode: quote.rate_plan_code,
+  currency: quote.currency,
+  nightlyRates: quote.per_night.map(n => ({ date: n.date, amount: n.total })),
+  totalAfterTax: quote.total
+});
+
+// OTA ResGuest profile from a normalized guest (see guest.js)
+export const otaGuest = (guest) => ({
+  givenName: guest.given_name,
+  surname: guest.surname,
+  email: guest.email,
+  phone: guest.phone,
+  language: guest.language,
+  arrivalTime: guest.arrival_time,
+  specialRequests: guest.special_requests
+});
+
+/**
+ * @param {{ config: object, logger: object, metrics: object, store: object, mailer: object, messenger: object,
+ *   hotelRunner: object, contacts: object, documents: object, quotes: object, utils: object,
+ *   persist: Function }} ctx
+ */
+export function createBookingCommit(ctx) {
+  const { config, logger, metrics, store, mailer, messenger, hotelRunner, contacts, documents, quotes, utils, persist } = ctx;
+
+  // Commit core: resolves to { status, payload } so results can be replayed verbatim
+  async function commitBooking(body, { reference = null, callId = null } = {}) {
+    const { check_in, check_out, club_care } = body;
+
+    if (body.channel && !CONTACT_CHANNELS.includes(String(body.channel).trim().toLowerCase())) {
+      return { status: 400, payload: { ok: false, error: "invalid_channel", field: "channel" } };
+    }
+
+    // Spoken or national numbers become E.164 so confirmations can go out by SMS/WhatsApp
+    const guestCheck = normalizeGuest({
+      ...body,
+      email: contacts.emailOf(body.email, body.language) || body.email,
+      phone: contacts.phoneOf(body.phone, body.language) || body.phone
+    });
+    if (!guestCheck.ok) {
+      return {
+        status: 400,
+        payload: { ok: false, error: guestCheck.error, field: guestCheck.field }
+      };
+    }
+    const { guest } = guestCheck;
+    const locale = callerLocale(body, guest.language, config.languages);
+
+    let quote;
+    try {
+      quote = quotes.quote(body);
+    } catch (pricingError) {
+      if (!isPricingError(pricingError)) throw pricingError;
+      return { status: 400, payload: pricingFailure(pricingError, locale) };
+    }
+
+    // Mock Fallback; derived from the idempotency reference when there is one
+    let bookingId = reference
+      ? `bk_${reference}`
+      : `bk_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+    let source = "mock";
+
+    // Try OTA-XML HotelRunner Integration
+    if (hotelRunner.configured) {
+      // Validation errors from the builder are the caller's fault, no mock fallback
+      const otaBody = buildResCreateRQ({
+        uniqueId: reference || String(Date.now()),
+        ...otaStay(quote),
+        guest: otaGuest(guest)
+      });
+
+      try {
+        const hrResponse = await hotelRunner.call('ResCreateRQ', otaBody);
+        if (hrResponse && hrResponse.reservation_id) {
+          bookingId = hrResponse.reservation_id;
+        }
+        source = "hotelrunner";
+
+        logger.info("OTA-XML HotelRunner booking committed", {
+          bookingId,
+          email: guest.email,
+          uniqueIds: hrResponse.unique_ids,
+          warnings: hrResponse.warnings
+        });
+      } catch (hrError) {
+        if (isOtaRejection(hrError)) {
+          logger.warn("OTA-XML HotelRunner booking rejected", hrError, { code: hrError.code });
+          return {
+            status: 200,
+            payload: {
+              ok: false,
+              error: hrError.code,
+              ota_errors: hrError.ota.errors,
+              spoken: otaSpoken(hrError.code, locale)
+            }
+          };
+        }
+        logger.warn("OTA-XML HotelRunner booking failed, fallback to mock", hrError);
+        metrics.fallback("booking");
+      }
+    }
+
+    const booking = {
+      booking_id: bookingId,
+      hotel_id: config.tenant.id,
+      email: guest.email,
+      phone: guest.phone,
+      guest,
+      check_in: utils.parseDateAny(check_in),
+      check_out: utils.parseDateAny(check_out),
+      room_type: quote.room_type,
+      adults: quote.adults,
+      children: quote.children,
+      child_ages: quote.child_ages,
+      board: quote.board,
+      club_care: !!club_care,
+      total_eur: quote.total,
+      price: quote,
+      created_at: new Date().toISOString(),
+      source,
+      call_id: callId
+    };
+
+    await persist("saveBooking", () => store.saveBooking(booking, { status: "confirmed", meta: { source: booking.source } }));
+
+    metrics.booking(source);
+    logger.info("Booking committed", { bookingId, email: booking.email, source });
+
+    // Runs behind the response; replayed commits do not send it again
+    sendBookingConfirmation(booking, { pdf: config.documents.attach && body.pdf !== false, channel: body.channel })
+      .catch(error => logger.error("Booking confirmation failed", error, { bookingId }));
+
+    return { status: 200, payload: { ok: true, data: { ...booking, document_url: documents.url("booking", bookingId) } } };
+  }
+
+  // Confirmation by mail (with the PDF) or text message; every delivery outcome is recorded on the booking
+  async function sendBookingConfirmation(booking, { pdf = true, channel = null } = {}) {
+    const bookingId = booking.booking_id;
+    const locale = documents.localeOf(booking);
+    const contact = contacts.resolveContact({ channel, email: booking.email, phone: booking.phone }, locale);
+    if (contact.error) {
+      logger.warn("Booking confirmation not sent", null, { bookingId, reason: contact.error });
+      return null;
+    }
+
+    let sender, message, attachment = null;
+    if (contact.channel === "email") {
+      attachment = pdf ? await documents.attachment("booking", booking) : null;
+      const mail = renderConfirmationMail(locale, booking, { hotel: config.hotel, attachment: !!attachment });
+      sender = mailer;
+      message = { from: config.mail.from, to: contact.to, subject: mail.subject, html: mail.html, text: mail.text, attachments: attachment ? [attachment] : [] };
+    } else {
+      sender = messenger;
+      message = { channel: contact.channel, to: contact.to, body: renderConfirmationText(locale, booking, { hotel: config.hotel }) };
+    }
+
+    return sender.deliver(message, {
+      onStatus: (status, { attempt, messageId, error }) => {
+        logger.info("Booking confirmation delivery", { bookingId, channel: contact.channel, status, attempt });
+        metrics.delivery("confirmation", contact.channel, status);
+        return persist("updateBooking", () => store.updateBooking(bookingId, {
+          confirmation: {
+            channel: contact.channel,
+            to: contact.to,
+            status,
+            transport: sender.transport,
+            attempts: attempt,
+            message_id: messageId || null,
+            last_error: error?.message || null,
+            attachment: attachment?.filename || null,
+            at: new Date().toISOString()
+          }
+        }, { meta: { confirmation: status, channel: contact.channel, attempt, error: error?.message } }));
+      }
+    });
+  }
+
+  return { commitBooking, sendBookingConfirmation };
+}
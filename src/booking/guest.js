@@ -0,0 +1,117 @@
+/**
+ * Guest contact validation for commit_booking.
+ * Returns normalized values ready for the OTA ResGuest profile, or the
+ * first failing field with a stable error code.
+ */
+import { isEmail } from "../extraction/email.js";
+
+const NAME = /^[\p{L}][\p{L}\p{M}' .-]{0,59}$/u;
+const LANGUAGE = /^[a-z]{2}$/;
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+const MAX_SPECIAL_REQUESTS = 500;
+
+const clean = (v) => String(v ?? "").replace(CONTROL_CHARS, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Strip spoken/typed separators from a phone number. Keeps a leading "+",
+ * turns a leading "00" into "+". Returns null if it cannot be a phone number.
+ */
+export function normalizePhone(input) {
+  const raw = clean(input);
+  if (!raw) return null;
+  let phone = raw.replace(/[\s\-\/().]/g, "");
+  if (phone.startsWith("00")) phone = `+${phone.slice(2)}`;
+  if (!/^\+?\d+$/.test(phone)) return null;
+  const digits = phone.replace("+", "").length;
+  return digits >= 7 && digits <= 15 ? phone : null;
+}
+
+/**
+ * E.164 form ("+905321234567") for SMS/WhatsApp. National numbers (leading
+ * trunk "0" or no prefix) get `countryCode` ("90"); without one only
+ * numbers that already carry a "+"/"00" prefix qualify. Null otherwise.
+ */
+export function toE164(input, { countryCode = null } = {}) {
+  const phone = normalizePhone(input);
+  if (!phone) return null;
+  let digits;
+  if (phone.startsWith("+")) digits = phone.slice(1);
+  else if (countryCode) digits = `${countryCode}${phone.replace(/^0/, "")}`;
+  else return null;
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Accepts "14:30", "14.30", "14 Uhr", "9" and returns "HH:MM", else null.
+ */
+export function normalizeArrivalTime(input) {
+  const raw = clean(input).toLowerCase();
+  if (!raw) return null;
+  const match = raw.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(?:uhr|h)?$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Validate guest fields from a tool request body. Email or phone is
+ * required as the contact; a given one must be valid.
+ * @returns {{ ok: true, guest: { given_name: string|null, surname: string, email: string|null,
+ *   phone: string|null, language: string, arrival_time: string|null, special_requests: string|null } }
+ *   | { ok: false, error: string, field: string }}
+ */
+export function normalizeGuest(body = {}) {
+  const email = clean(body.email).toLowerCase() || null;
+  if (email && !isEmail(email)) {
+    return { ok: false, error: "invalid_email", field: "email" };
+  }
+
+  const given_name = clean(body.given_name ?? body.first_name ?? body.firstname) || null;
+  const surname = clean(body.surname ?? body.last_name ?? body.lastname);
+  if (!surname || !NAME.test(surname)) {
+    return { ok: false, error: "invalid_name", field: "surname" };
+  }
+  if (given_name && !NAME.test(given_name)) {
+    return { ok: false, error: "invalid_name", field: "given_name" };
+  }
+
+  let phone = null;
+  if (clean(body.phone)) {
+    phone = normalizePhone(body.phone);
+    if (!phone) return { ok: false, error: "invalid_phone", field: "phone" };
+  }
+  if (!email && !phone) {
+    return { ok: false, error: "missing_contact", field: "email" };
+  }
+
+  const language = clean(body.language || "de").toLowerCase().slice(0, 2);
+  if (!LANGUAGE.test(language)) {
+    return { ok: false, error: "invalid_language", field: "language" };
+  }
+
+  let arrival_time = null;
+  if (clean(body.arrival_time)) {
+    arrival_time = normalizeArrivalTime(body.arrival_time);
+    if (!arrival_time) return { ok: false, error: "invalid_arrival_time", field: "arrival_time" };
+  }
+
+  const special = clean(body.special_requests ?? body.comments);
+  if (special.length > MAX_SPECIAL_REQUESTS) {
+    return { ok: false, error: "special_requests_too_long", field: "special_requests" };
+  }
+
+  return {
+    ok: true,
+    guest: {
+      given_name,
+      surname,
+      email,
+      phone,
+      language,
+      arrival_time,
+      special_requests: special || null
+    }
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Idempotent execution of booking commits.
+ * Retell retries tool calls on pipeline timeouts; a retry with the same key
+ * must get the first result instead of creating a second reservation.
+ * Concurrent duplicates share the in-flight promise, completed results are
+ * kept in the store so replays also survive a restart. Only 2xx results
+ * (a booking or a definitive OTA rejection) are kept: a 4xx for a missing
+ * slot or a pricing failure must not block the retry once the call session
+ * supplied what was missing.
+ */
+import crypto from "node:crypto";
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// JSON with sorted keys, so {a,b} and {b,a} hash the same
+export function stableStringify(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value ?? null);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  return `{${Object.keys(value).sort()
+    .filter(k => value[k] !== undefined)
+    .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+    .join(",")}}`;
+}
+
+export const payloadHash = (payload) => sha256(stableStringify(payload));
+
+/**
+ * Key for a request: the explicit Idempotency-Key header, else the Retell
+ * call_id combined with the payload hash. Null when neither is present.
+ * `scope` (the hotel) keeps equal header keys of different hotels apart.
+ * @returns {{ key: string, hash: string, source: "header"|"call_id" } | null}
+ */
+export function idempotencyKeyFor({ header, callId, payload, scope = null }) {
+  const hash = payloadHash(payload);
+  const prefix = scope ? `${scope}/` : "";
+  const explicit = String(header || "").trim();
+  if (explicit) return { key: `${prefix}hdr:${explicit}`, hash, source: "header" };
+  const call = String(callId || "").trim();
+  if (call) return { key: `${prefix}call:${call}:${hash}`, hash, source: "call_id" };
+  return null;
+}
+
+/**
+ * @param {{ store: { getIdempotencyRecord: Function, saveIdempotencyRecord: Function },
+ *   ttlMs?: number, onError?: (msg: string, error: Error) => void }} options
+ */
+export function createIdempotency({ store, ttlMs = DEFAULT_TTL_MS, onError = () => {} }) {
+  const inFlight = new Map();
+
+  const conflict = () => {
+    const err = new Error("Idempotency key was already used with a different payload");
+    err.code = "idempotency_conflict";
+    err.status = 409;
+    return err;
+  };
+
+  async function execute(key, hash, fn) {
+    const saved = await store.getIdempotencyRecord(key);
+    if (saved && Date.parse(saved.created_at) + ttlMs > Date.now()) {
+      if (saved.hash !== hash) throw conflict();
+      return { status: saved.status, payload: saved.payload, replayed: true };
+    }
+
+    const result = await fn();
+    // Validation, pricing and server errors stay retryable
+    if (result.status >= 200 && result.status < 300) {
+      try {
+        await store.saveIdempotencyRecord(key, { hash, status: result.status, payload: result.payload });
+      } catch (error) {
+        onError("Idempotency record could not be saved", error);
+      }
+    }
+    return { ...result, replayed: false };
+  }
+
+  return {
+    /**
+     * Run `fn` once per key. `fn` resolves to { status, payload }.
+     * @returns {Promise<{ status: number, payload: object, replayed: boolean }>}
+     */
+    async run(key, hash, fn) {
+      const pending = inFlight.get(key);
+      if (pending) {
+        if (pending.hash !== hash) throw conflict();
+        const result = await pending.promise;
+        return { ...result, replayed: true };
+      }
+
+      const promise = execute(key, hash, fn);
+      inFlight.set(key, { hash, promise });
+      const clear = () => inFlight.delete(key);
+      promise.then(clear, clear);
+      return promise;
+    },
+
+    // Deterministic id for downstream systems (OTA UniqueID) derived from the key
+    referenceFor: (key) => sha256(key).slice(0, 20)
+  };
+}
@@ -1,30 +1,325 @@
+/**
+ * Application configuration from the environment (.env), validated with zod.
+ * Every setting the app reads lives here; `loadConfig(env)` builds the same
+ * shape from any object, so tests can boot the app with their own values.
+ * Invalid values fail at startup with the offending variable named.
+ */
+import dotenv from "dotenv";
 import { z } from "zod";
+import { parseCancellationRules } from "./booking/cancellation.js";
+import { SUPPORTED_LOCALES } from "./i18n/index.js";
 
-const RawEnv = z.object({
-  NODE_ENV: z.enum(["dev","development","test","production"]).default("dev"),
-  PORT: z.string().default("10000"),
-  CORS_ORIGIN: z.string().default("*"),
-  TOOL_SECRET: z.string().min(8).optional(),
-  ENABLE_LLM: z.enum(["0","1"]).default("0"),
-  RETELL_API_KEY: z.string().optional(),
-  RETELL_WS_URL: z.string().url().optional(),
-  LOG_LEVEL: z.string().optional(),
+dotenv.config();
+
+// Empty assignments in .env ("SMTP_HOST=") count as unset
+const blank = (v) => (v === "" ? undefined : v);
+
+const text = (fallback) => z.preprocess(blank, z.string().trim().default(fallback));
+const optionalText = () => z.preprocess(blank, z.string().trim().optional());
+const url = (fallback) => z.preprocess(blank, z.string().trim().url().default(fallback));
+const optionalUrl = () => z.preprocess(blank, z.string().trim().url().optional());
+const int = (fallback) => z.preprocess(blank, z.coerce.number().int().min(0).default(fallback));
+const flag = (fallback) => z.preprocess(
+  (v) => (typeof blank(v) === "string" ? v.trim().toLowerCase() : blank(v)),
+  z.enum(["true", "false", "1", "0"]).default(fallback).transform(v => v === "true" || v === "1")
+);
+const list = (fallback) => text(fallback).transform(s => s.split(",").map(v => v.trim()).filter(Boolean));
+
+const Env = z.object({
+  NODE_ENV: z.preprocess(blank, z.enum(["dev", "development", "test", "production"]).default("dev")),
+  PORT: int(10000),
+  LOG_LEVEL: z.preprocess(blank, z.enum(["fatal", "error", "warn", "info", "debug", "trace", "silent"]).optional()),
+  REQUEST_TIMEOUT_MS: int(30000),
+  CORS_ORIGIN: text("*"),
+  TOOL_SECRET: z.preprocess(blank, z.string().trim().min(8).optional()),
+  METRICS_ENABLED: flag("true"),
+  METRICS_TOKEN: z.preprocess(blank, z.string().trim().min(8).optional()),
+  RATE_LIMIT_PUBLIC_PER_MIN: int(120),
+  RATE_LIMIT_TOOL_PER_MIN: int(60),
+
+  // Standard OpenTelemetry variable names
+  OTEL_TRACES_EXPORTER: z.preprocess(blank, z.enum(["none", "console", "otlp"]).default("none")),
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: optionalUrl(),
+  OTEL_EXPORTER_OTLP_ENDPOINT: optionalUrl(),
+  OTEL_SERVICE_NAME: text("retell-hotel-agent"),
+
+  RETELL_API_KEY: optionalText(),
+  RETELL_WS_URL: url("wss://api.retellai.com/audio-websocket"),
+  RETELL_LLM_WS_PATH: z.preprocess(blank, z.string().trim().startsWith("/").default("/llm-websocket")),
+  RETELL_LLM_WS_TOKEN: z.preprocess(blank, z.string().trim().min(8).optional()),
+
+  // LLM_ENABLED=true is the documented switch; ENABLE_LLM=1 is still understood
+  LLM_ENABLED: flag("false"),
+  ENABLE_LLM: flag("0"),
+  LLM_API: z.preprocess(blank, z.enum(["openai"]).default("openai")),
+  OPENAI_API_KEY: optionalText(),
+  LLM_API_KEY: optionalText(),
+  LLM_BASE_URL: url("https://api.openai.com/v1"),
+  LLM_MODEL: optionalText(),
+  LLM_EXTRACTION_MODEL: optionalText(),
+  LLM_TIMEOUT_MS: int(5000),
+  REALTIME_MODEL: optionalText(),
+  REALTIME_VOICE: text("alloy"),
+
+  HOTELRUNNER_ENABLED: flag("false"),
+  HOTELRUNNER_HR_ID: optionalText(),
+  HOTELRUNNER_TOKEN: optionalText(),
+  HOTELRUNNER_BASE_URL: url("https://api.hotelrunner.com/ota/"),
+  HOTELRUNNER_TIMEOUT_MS: int(8000),
+
+  CANCELLATION_RULES: optionalText(),
+  HOTEL_TIMEZONE: text("Europe/Istanbul").refine(isTimeZone, "unknown time zone"),
+  HOTEL_LANGUAGES: list(SUPPORTED_LOCALES.join(",")).pipe(z.array(z.enum(SUPPORTED_LOCALES)).nonempty()),
+  HOTEL_DEFAULT_LANGUAGE: z.preprocess(blank, z.enum(SUPPORTED_LOCALES).default("de")),
+
+  TENANTS_FILE: optionalText(),
+  DEFAULT_HOTEL_ID: optionalText(),
+
+  FX_SOURCES: list("ota").pipe(z.array(z.enum(["ota", "http", "file"]))),
+  FX_HTTP_URL: optionalUrl(),
+  FX_FILE: optionalText(),
+  FX_CURRENCIES: list("TRY,USD,GBP").transform(codes => codes.map(c => c.toUpperCase())),
+  FX_FALLBACK_RATES: list("TRY:48,USD:1.08,GBP:0.85").transform((pairs, ctx) => {
+    const rates = {};
+    for (const pair of pairs) {
+      const [code, rate] = pair.split(":").map(s => s.trim());
+      if (!code || !(Number(rate) > 0)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `invalid rate "${pair}" (expected CODE:rate)` });
+        return z.NEVER;
+      }
+      rates[code.toUpperCase()] = Number(rate);
+    }
+    return rates;
+  }),
+  FX_TTL_MS: int(3600000),
+  FX_MAX_STALE_MS: int(86400000),
+
+  RATE_SHEET_FILE: text("./config/rates.json"),
+
+  STORE_DRIVER: z.preprocess(blank, z.enum(["sqlite", "memory"]).default("sqlite")),
+  STORE_FILE: text("./data/retell-agent.db"),
+
+  SESSION_DRIVER: z.preprocess(blank, z.enum(["memory", "redis"]).default("memory")),
+  SESSION_TTL_MS: int(7200000),
+  REDIS_URL: optionalText(),
+  SESSION_KEY_PREFIX: text("retell:session:"),
+
+  MAIL_TRANSPORT: z.preprocess(blank, z.enum(["outbox", "smtp"]).default("outbox")),
+  MAIL_FROM: text("Erendiz Hotel <reservations@erendiz-hotel.com>"),
+  MAIL_OUTBOX_DIR: text("./data/outbox"),
+  SMTP_HOST: optionalText(),
+  SMTP_PORT: int(587),
+  SMTP_SECURE: flag("false"),
+  SMTP_USER: optionalText(),
+  SMTP_PASS: optionalText(),
+  MAIL_MAX_ATTEMPTS: int(4),
+  MAIL_RETRY_DELAY_MS: int(30000),
+  PUBLIC_BASE_URL: optionalUrl(),
+  OFFER_LINK_SECRET: optionalText(),
+
+  MESSAGING_PROVIDER: z.preprocess(blank, z.enum(["outbox", "twilio"]).default("outbox")),
+  MESSAGING_OUTBOX_DIR: text("./data/messages"),
+  MESSAGING_DEFAULT_CHANNEL: z.preprocess(blank, z.enum(["sms", "whatsapp"]).default("sms")),
+  PHONE_DEFAULT_COUNTRY_CODE: text("90").transform(s => s.replace(/\D/g, "")),
+  MESSAGING_MAX_ATTEMPTS: int(3),
+  MESSAGING_RETRY_DELAY_MS: int(30000),
+  TWILIO_ACCOUNT_SID: optionalText(),
+  TWILIO_AUTH_TOKEN: optionalText(),
+  TWILIO_SMS_FROM: optionalText(),
+  TWILIO_WHATSAPP_FROM: optionalText(),
+  TWILIO_BASE_URL: url("https://api.twilio.com"),
+
+  PDF_ATTACHMENTS: flag("true"),
+  PDF_FONT_FILE: optionalText(),
+  PDF_FONT_BOLD_FILE: optionalText(),
+  HOTEL_NAME: text("Erendiz Hotel"),
+  HOTEL_ADDRESS: optionalText(),
+  HOTEL_PHONE: optionalText(),
+  HOTEL_EMAIL: optionalText(),
+  HOTEL_WEBSITE: optionalText(),
+  HOTEL_BRAND_COLOR: z.preprocess(blank, z.string().trim().regex(/^#[0-9a-f]{6}$/i, "expected #rrggbb").default("#1a5f7a")),
+  HOTEL_LOGO_FILE: optionalText()
 });
 
-const env = RawEnv.parse(process.env);
+export function isTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseEnv(source) {
+  const result = Env.safeParse(source);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`);
+    throw new Error(`Invalid configuration - ${issues.join("; ")}`);
+  }
+  try {
+    return { ...result.data, CANCELLATION_RULES: parseCancellationRules(result.data.CANCELLATION_RULES) };
+  } catch (error) {
+    throw new Error(`Invalid configuration - CANCELLATION_RULES: ${error.message}`);
+  }
+}
+
+/**
+ * @param {Record<string, string|undefined>} [source] environment variables
+ */
+export function loadConfig(source = process.env) {
+  const env = parseEnv(source);
+  const environment = env.NODE_ENV === "development" ? "dev" : env.NODE_ENV;
 
-function parseCors(origins) {
-  if (origins === "*") return "*";
-  return origins.split(",").map(s => s.trim()).filter(Boolean);
+  return Object.freeze({
+    server: {
+      port: env.PORT,
+      environment,
+      requestTimeout: env.REQUEST_TIMEOUT_MS,
+      logLevel: env.LOG_LEVEL || (environment === "dev" ? "debug" : "info")
+    },
+    security: {
+      toolSecret: env.TOOL_SECRET || "",
+      corsOrigin: env.CORS_ORIGIN === "*" ? "*" : env.CORS_ORIGIN.split(",").map(s => s.trim()).filter(Boolean)
+    },
+    metrics: {
+      enabled: env.METRICS_ENABLED,
+      // Bearer token for GET /metrics; without one the endpoint is public
+      token: env.METRICS_TOKEN || ""
+    },
+    tracing: {
+      // Spans are recorded either way, so log lines carry trace ids even without an exporter
+      exporter: env.OTEL_TRACES_EXPORTER,
+      otlpEndpoint: env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+        (env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, "")}/v1/traces` : ""),
+      serviceName: env.OTEL_SERVICE_NAME
+    },
+    // Requests per minute and IP; 0 turns a limit off
+    rateLimit: {
+      publicPerMinute: env.RATE_LIMIT_PUBLIC_PER_MIN,
+      toolPerMinute: env.RATE_LIMIT_TOOL_PER_MIN
+    },
+    llm: {
+      enabled: env.LLM_ENABLED || env.ENABLE_LLM,
+      api: env.LLM_API,
+      apiKey: env.OPENAI_API_KEY || env.LLM_API_KEY || "",
+      model: env.REALTIME_MODEL || env.LLM_MODEL || "gpt-4o-mini",
+      voice: env.REALTIME_VOICE,
+      // Chat-completions endpoint for extraction (any OpenAI-compatible server)
+      baseUrl: env.LLM_BASE_URL,
+      extractionModel: env.LLM_EXTRACTION_MODEL || env.LLM_MODEL || "gpt-4o-mini",
+      timeout: env.LLM_TIMEOUT_MS
+    },
+    retell: {
+      apiKey: env.RETELL_API_KEY || "",
+      wsUrl: env.RETELL_WS_URL,
+      // Custom-LLM socket Retell connects to: <path>/<call_id>?token=...; not attached without a token
+      llmSocketPath: env.RETELL_LLM_WS_PATH,
+      llmSocketToken: env.RETELL_LLM_WS_TOKEN || ""
+    },
+    hotelrunner: {
+      enabled: env.HOTELRUNNER_ENABLED,
+      hrId: env.HOTELRUNNER_HR_ID || "",
+      token: env.HOTELRUNNER_TOKEN || "",
+      baseUrl: env.HOTELRUNNER_BASE_URL,
+      // A hanging request must not hold a live phone turn; it counts as an outage
+      timeoutMs: env.HOTELRUNNER_TIMEOUT_MS
+    },
+    tenants: {
+      // JSON registry of the hotels served; without it the variables here describe the only one
+      file: env.TENANTS_FILE || "",
+      // Hotel of requests that name none (and the id of the environment's hotel)
+      defaultId: env.DEFAULT_HOTEL_ID || ""
+    },
+    // Languages the agent speaks for the hotel; others fall back to the default
+    languages: {
+      supported: env.HOTEL_LANGUAGES,
+      default: env.HOTEL_DEFAULT_LANGUAGE
+    },
+    booking: {
+      maxGuests: 10,
+      maxNights: 30,
+      // "Today" for date phrases and past-date checks is the hotel's calendar day
+      timeZone: env.HOTEL_TIMEZONE,
+      cancellationRules: env.CANCELLATION_RULES
+    },
+    fx: {
+      // Tried in order; "ota" uses CurrencyConversion data from HotelRunner responses
+      sources: env.FX_SOURCES,
+      httpUrl: env.FX_HTTP_URL || "",
+      file: env.FX_FILE || "",
+      currencies: env.FX_CURRENCIES,
+      fallbackRates: env.FX_FALLBACK_RATES,
+      ttlMs: env.FX_TTL_MS,
+      maxStaleMs: env.FX_MAX_STALE_MS
+    },
+    pricing: {
+      rateSheetFile: env.RATE_SHEET_FILE
+    },
+    store: {
+      driver: env.STORE_DRIVER,
+      file: env.STORE_FILE
+    },
+    session: {
+      // Slot state per Retell call_id; "redis" shares it across instances
+      driver: env.SESSION_DRIVER,
+      ttlMs: env.SESSION_TTL_MS,
+      redisUrl: env.REDIS_URL || "",
+      keyPrefix: env.SESSION_KEY_PREFIX
+    },
+    mail: {
+      // "outbox" writes .eml files instead of sending; "smtp" delivers
+      transport: env.MAIL_TRANSPORT,
+      from: env.MAIL_FROM,
+      smtp: {
+        host: env.SMTP_HOST || "",
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER || "",
+        pass: env.SMTP_PASS || ""
+      },
+      outboxDir: env.MAIL_OUTBOX_DIR,
+      maxAttempts: env.MAIL_MAX_ATTEMPTS,
+      retryDelayMs: env.MAIL_RETRY_DELAY_MS,
+      // Base of the accept links in offer mails
+      publicBaseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT}`,
+      linkSecret: env.OFFER_LINK_SECRET || env.TOOL_SECRET || ""
+    },
+    messaging: {
+      // SMS/WhatsApp for offers and confirmations; "outbox" is the local stub, "twilio" sends
+      provider: env.MESSAGING_PROVIDER,
+      // Channel for a phone contact when the request names none
+      defaultChannel: env.MESSAGING_DEFAULT_CHANNEL,
+      // Completes national numbers ("0532 ...") when the caller's language does not imply a country
+      defaultCountryCode: env.PHONE_DEFAULT_COUNTRY_CODE,
+      outboxDir: env.MESSAGING_OUTBOX_DIR,
+      maxAttempts: env.MESSAGING_MAX_ATTEMPTS,
+      retryDelayMs: env.MESSAGING_RETRY_DELAY_MS,
+      twilio: {
+        accountSid: env.TWILIO_ACCOUNT_SID || "",
+        authToken: env.TWILIO_AUTH_TOKEN || "",
+        smsFrom: env.TWILIO_SMS_FROM || "",
+        whatsappFrom: env.TWILIO_WHATSAPP_FROM || "",
+        baseUrl: env.TWILIO_BASE_URL
+      }
+    },
+    hotel: {
+      // Branding of the PDF documents
+      name: env.HOTEL_NAME,
+      address: env.HOTEL_ADDRESS || "",
+      phone: env.HOTEL_PHONE || "",
+      email: env.HOTEL_EMAIL || "",
+      website: env.HOTEL_WEBSITE || "",
+      color: env.HOTEL_BRAND_COLOR,
+      logoFile: env.HOTEL_LOGO_FILE || ""
+    },
+    documents: {
+      // Offer/confirmation PDF as mail attachment; the download routes work either way
+      attach: env.PDF_ATTACHMENTS,
+      // TTF with Turkish glyphs (e.g. DejaVuSans.ttf); without it ş/ğ/ı are transliterated
+      fontFile: env.PDF_FONT_FILE || "",
+      boldFontFile: env.PDF_FONT_BOLD_FILE || ""
+    }
+  });
 }
 
-export const CONFIG = {
-  env: env.NODE_ENV === "development" ? "dev" : env.NODE_ENV,
-  port: Number(env.PORT),
-  corsOrigin: parseCors(env.CORS_ORIGIN),
-  toolSecret: env.TOOL_SECRET,
-  enableLLM: env.ENABLE_LLM === "1",
-  retellApiKey: env.RETELL_API_KEY,
-  retellWsUrl: env.RETELL_WS_URL || "wss://api.retellai.com/audio-websocket",
-  logLevel: env.LOG_LEVEL || (env.NODE_ENV.startsWith("dev") ? "debug" : "info"),
-};
+export const CONFIG = loadConfig();
@@ -0,0 +1,62 @@
+/**
+ * Offer and booking confirmation PDFs for mails and the download routes,
+ * rendered with the hotel branding from the config.
+ */
+import fs from "node:fs";
+import { renderOfferPdf, renderConfirmationPdf, documentFilename } from "./pdf.js";
+import { toLocaleCode, hotelLocale } from "../i18n/index.js";
+
+/**
+ * @param {{ config: object, fx: { convert: Function }, logger: { warn: Function, error: Function } }} deps
+ */
+export function createDocuments({ config, fx, logger }) {
+  // Missing asset files would fail every PDF; warn once and render without them
+  const existingFile = (file, name) => {
+    if (!file) return "";
+    if (fs.existsSync(file)) return file;
+    logger.warn(`${name} not found - ignored for PDF documents`, null, { file });
+    return "";
+  };
+
+  const options = {
+    hotel: { ...config.hotel, logoFile: existingFile(config.hotel.logoFile, "HOTEL_LOGO_FILE") },
+    cancellationRules: config.booking.cancellationRules,
+    fontFile: existingFile(config.documents.fontFile, "PDF_FONT_FILE"),
+    boldFontFile: existingFile(config.documents.boldFontFile, "PDF_FONT_BOLD_FILE")
+  };
+
+  const localeOf = (record) => hotelLocale(toLocaleCode(record.language || record.guest?.language), config.languages);
+
+  // Offers keep the rate they were quoted with; bookings show TRY at the current rate
+  async function render(kind, record) {
+    const locale = localeOf(record);
+    let rate = record.fx ?? null;
+    if (kind === "booking" && typeof record.total_eur === "number") {
+      rate = (await fx.convert(record.total_eur)).fx.rates.TRY ?? null;
+    }
+    const renderPdf = kind === "offer" ? renderOfferPdf : renderConfirmationPdf;
+    const id = kind === "offer" ? record.offer_id : record.booking_id;
+    return {
+      filename: documentFilename(kind, id),
+      content: await renderPdf(locale, record, { ...options, rate })
+    };
+  }
+
+  return {
+    localeOf,
+    render,
+
+    url: (kind, id) => `/retell/tool/${kind === "offer" ? "offers" : "bookings"}/${encodeURIComponent(id)}/pdf`,
+
+    // A PDF that fails to render must not hold back the mail; it goes out without the attachment
+    async attachment(kind, record) {
+      try {
+        const { filename, content } = await render(kind, record);
+        return { filename, content, contentType: "application/pdf" };
+      } catch (error) {
+        logger.error("PDF rendering failed", error, { kind, id: record.offer_id || record.booking_id });
+        return null;
+      }
+    }
+  };
+}
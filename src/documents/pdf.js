@@ -0,0 +1,207 @@
+/**
+ * Printable documents as PDF: the offer and the reservation confirmation.
+ * Both carry the hotel branding, the stay, the price breakdown of the
+ * quote (EUR, plus TRY when a rate is known) and the cancellation terms;
+ * the confirmation also carries the booking ID.
+ *
+ * Without a font file the built-in Helvetica is used. It cannot encode
+ * the Turkish-only letters, so those are transliterated (ş -> s); set
+ * `fontFile` (e.g. DejaVuSans.ttf) to keep them.
+ */
+import { t, formatDate } from "../i18n/index.js";
+import { DEFAULT_CANCELLATION_RULES, evaluateCancellation } from "../booking/cancellation.js";
+import { money, guestName, stayFacts, priceLines, tryAmount } from "../mail/layout.js";
+
+// Loaded lazily like the mail transports
+const loadPdfKit = async () => (await import("pdfkit")).default;
+
+const WIN_ANSI_FALLBACK = Object.freeze({
+  "ş": "s", "Ş": "S", "ğ": "g", "Ğ": "G", "ı": "i", "İ": "I", "₺": "TL ", "\u202f": " "
+});
+
+const PAGE_MARGIN = 50;
+const MUTED = "#666666";
+const RULE = "#dddddd";
+
+/**
+ * Cancellation tiers as [period, fee] lines, earliest period first.
+ * Rules are { daysBefore, feePercent } tiers as in booking/cancellation.js.
+ */
+export function cancellationTerms(locale, rules = DEFAULT_CANCELLATION_RULES) {
+  const sorted = [...rules].sort((a, b) => b.daysBefore - a.daysBefore);
+  return sorted.map((rule, i) => {
+    const until = i > 0 ? sorted[i - 1].daysBefore - 1 : null;
+    let period;
+    if (until === null) period = t(locale, "pdf.cancel_from", { days: rule.daysBefore });
+    else if (rule.daysBefore > 0) period = t(locale, "pdf.cancel_range", { from: rule.daysBefore, to: until });
+    else if (until > 0) period = t(locale, "pdf.cancel_late", { days: until + 1 });
+    else period = t(locale, "pdf.cancel_arrival_day");
+    const fee = rule.feePercent === 0 ? t(locale, "pdf.cancel_free") : t(locale, "pdf.cancel_fee", { percent: rule.feePercent });
+    return [period, fee];
+  });
+}
+
+function createWriter(doc, { fontFile, boldFontFile }) {
+  const custom = !!fontFile;
+  if (custom) {
+    doc.registerFont("body", fontFile);
+    doc.registerFont("bold", boldFontFile || fontFile);
+  }
+  const fonts = custom ? { body: "body", bold: "bold" } : { body: "Helvetica", bold: "Helvetica-Bold" };
+  const clean = (value) => (custom
+    ? String(value ?? "")
+    : String(value ?? "").replace(/[şŞğĞıİ₺\u202f]/g, ch => WIN_ANSI_FALLBACK[ch]));
+
+  return {
+    text(value, x, y, { bold = false, size = 10, color = "#222222", ...options } = {}) {
+      doc.font(bold ? fonts.bold : fonts.body).fontSize(size).fillColor(color).text(clean(value), x, y, options);
+      return doc.y;
+    }
+  };
+}
+
+/**
+ * @param {"offer"|"confirmation"} kind
+ * @param {string} locale
+ * @param {object} record  offer or booking document as stored
+ * @param {{ hotel: { name: string, address?: string, phone?: string, email?: string, website?: string,
+ *   color?: string, logoFile?: string|null }, cancellationRules?: Array<{ daysBefore: number, feePercent: number }>,
+ *   rate?: number|null, fontFile?: string, boldFontFile?: string, now?: Date }} options
+ *   rate: TRY per EUR for the TRY column
+ * @returns {Promise<Buffer>}
+ */
+async function renderDocument(kind, locale, record, options) {
+  const PDFDocument = await loadPdfKit();
+  const { hotel, cancellationRules = DEFAULT_CANCELLATION_RULES, now = new Date() } = options;
+  const brand = hotel.color || "#1a5f7a";
+  const title = t(locale, kind === "offer" ? "pdf.offer_title" : "pdf.confirmation_title");
+  const number = kind === "offer" ? record.offer_id : record.booking_id;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `${title} ${number}`, Author: hotel.name, Creator: hotel.name }
+  });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const w = createWriter(doc, options);
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - 2 * PAGE_MARGIN;
+  const right = left + width;
+
+  // Label column plus value column; continues below the taller of the two
+  const pair = (label, value, { bold = false } = {}) => {
+    const top = doc.y;
+    const labelBottom = w.text(label, left, top, { size: 10, color: MUTED, width: 140 });
+    const valueBottom = w.text(value, left + 150, top, { bold, size: 10, width: width - 150 });
+    doc.y = Math.max(labelBottom, valueBottom) + 3;
+  };
+  const rule = (y, color = RULE) => doc.moveTo(left, y).lineTo(right, y).lineWidth(0.5).strokeColor(color).stroke();
+  const section = (label) => {
+    if (doc.y > doc.page.height - 160) doc.addPage();
+    const y = w.text(label, left, doc.y + 14, { bold: true, size: 12, color: brand });
+    rule(y + 2, brand);
+    doc.y = y + 8;
+  };
+
+  // Header: brand bar, logo, hotel name and contact details
+  doc.rect(0, 0, doc.page.width, 8).fill(brand);
+  let nameX = left;
+  if (hotel.logoFile) {
+    doc.image(hotel.logoFile, left, 30, { fit: [110, 50] });
+    nameX = left + 125;
+  }
+  w.text(hotel.name, nameX, 34, { bold: true, size: 20, color: brand });
+  const contact = [hotel.address, [hotel.phone, hotel.email, hotel.website].filter(Boolean).join("  ·  ")].filter(Boolean);
+  let y = w.text(contact.join("\n"), nameX, 60, { size: 9, color: MUTED, lineGap: 1 });
+  rule(Math.max(y, 88) + 8);
+
+  // Title block
+  y = w.text(title, left, Math.max(y, 88) + 22, { bold: true, size: 16 });
+  const meta = [
+    [t(locale, kind === "offer" ? "pdf.offer_number" : "pdf.booking_number"), number],
+    [t(locale, "pdf.issued"), formatDate(locale, now.toISOString().slice(0, 10))],
+    [t(locale, "pdf.guest"), guestName(record) || null],
+    [t(locale, "pdf.email"), record.email || record.guest?.email || null]
+  ].filter(([, value]) => value);
+  doc.y = y + 6;
+  meta.forEach(([label, value], i) => pair(label, value, { bold: i === 0 }));
+
+  // Stay
+  const facts = stayFacts(locale, record);
+  if (facts.length) {
+    section(t(locale, "pdf.stay_title"));
+    for (const [label, value] of facts) pair(label, value);
+  }
+
+  // Price breakdown
+  const currency = record.price?.currency || "EUR";
+  const rate = currency === "EUR" ? options.rate ?? null : null;
+  const lines = priceLines(locale, record);
+  if (lines.length) {
+    section(t(locale, "pdf.price_title"));
+    const amountWidth = 110;
+    const tryX = right - amountWidth;
+    const eurX = rate ? tryX - amountWidth - 10 : tryX;
+    const labelWidth = eurX - left - 10;
+    for (const line of lines) {
+      if (line.total) {
+        rule(doc.y);
+        doc.y += 4;
+      }
+      const top = doc.y;
+      const opts = { bold: !!line.total, size: 10 };
+      const bottom = w.text(line.label, left, top, { ...opts, width: labelWidth });
+      w.text(money(locale, line.amount, currency), eurX, top, { ...opts, width: amountWidth, align: "right" });
+      if (rate) {
+        w.text(money(locale, tryAmount(line.amount, rate), "TRY"), tryX, top, { ...opts, color: MUTED, width: amountWidth, align: "right" });
+      }
+      doc.y = bottom + 3;
+    }
+    if (rate) doc.y = w.text(t(locale, "mail.fx_note", { rate }), left, doc.y + 6, { size: 8, color: MUTED, width }) + 2;
+  }
+
+  // Cancellation terms
+  section(t(locale, "pdf.cancellation_title"));
+  for (const [period, fee] of cancellationTerms(locale, cancellationRules)) {
+    const top = doc.y;
+    const bottom = w.text(period, left, top, { size: 10, width: width - 180 });
+    w.text(fee, right - 170, top, { size: 10, width: 170, align: "right" });
+    doc.y = bottom + 3;
+  }
+  const freeUntil = record.check_in
+    ? evaluateCancellation({ checkIn: record.check_in, rules: cancellationRules, now }).free_until
+    : null;
+  if (kind === "confirmation" && freeUntil && freeUntil >= now.toISOString().slice(0, 10)) {
+    doc.y = w.text(t(locale, "pdf.free_until", { date: formatDate(locale, freeUntil) }), left, doc.y + 6, { bold: true, size: 10, width }) + 2;
+  }
+
+  // Closing note and footer
+  const note = t(locale, kind === "offer" ? "pdf.offer_note" : "pdf.confirmation_note");
+  doc.y = w.text(note, left, doc.y + 20, { size: 10, width, lineGap: 2 });
+
+  const footer = [hotel.name, hotel.address, hotel.phone, hotel.email, hotel.website].filter(Boolean).join("  ·  ");
+  const footerY = doc.page.height - PAGE_MARGIN + 10;
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // The footer sits inside the bottom margin; keep PDFKit from breaking to a new page
+    doc.page.margins.bottom = 0;
+    w.text(footer, left, footerY, { size: 8, color: MUTED, width, align: "center", lineBreak: false });
+  }
+
+  doc.end();
+  return done;
+}
+
+export const renderOfferPdf = (locale, offer, options) => renderDocument("offer", locale, offer, options);
+
+export const renderConfirmationPdf = (locale, booking, options) => renderDocument("confirmation", locale, booking, options);
+
+export const documentFilename = (kind, id) => `${kind === "offer" ? "offer" : "booking-confirmation"}_${String(id).replace(/[^\w.-]/g, "_")}.pdf`;
@@ -0,0 +1,393 @@
+/**
+ * Date understanding for tool inputs and spoken utterances in every
+ * supported locale. Besides plain dates (ISO, 12.07.(2026), 12/07,
+ * "12. Juli", "July 12th", "12 Temmuz") it resolves ranges ("vom 3. bis
+ * 10. August"), relative days and weekdays ("übermorgen", "nächsten
+ * Freitag"), offsets ("in zwei Wochen"), durations ("für eine Woche ab dem
+ * 5."), holidays ("Ostern") and vague month parts ("Ende Juli").
+ *
+ * "Today" is the calendar day in the hotel's time zone, never the server's,
+ * and dates without a year that have already passed roll into next year.
+ */
+import { getLocale, resolveLocale, SUPPORTED_LOCALES } from "../i18n/index.js";
+import { normalize, alternation } from "./normalize.js";
+
+export const DEFAULT_TIME_ZONE = "Europe/Istanbul";
+
+const DAY_MS = 86400000;
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+const ORDINAL = "(?:\\.|st|nd|rd|th)";
+
+// How sure we are about a resolved date, by the kind of phrase it came from
+const CONFIDENCE = Object.freeze({
+  explicit: 1,
+  relative: 0.95,
+  inferredYear: 0.9,
+  weekday: 0.85,
+  offset: 0.8,
+  dayOnly: 0.75,
+  holiday: 0.7,
+  nextWeek: 0.6,
+  monthPart: 0.5
+});
+
+// Month names are only read next to a day number, so all locales share one table
+export const MONTHS = new Map();
+for (const code of SUPPORTED_LOCALES) {
+  for (const [word, month] of Object.entries(getLocale(code).months)) {
+    if (!MONTHS.has(normalize(word))) MONTHS.set(normalize(word), month);
+  }
+}
+export const MONTH_PATTERN = alternation([...MONTHS.keys()]);
+
+const pad = (n) => String(n).padStart(2, "0");
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ---------- Calendar helpers ---------- */
+
+/**
+ * Calendar date as YYYY-MM-DD, or null for impossible dates (31.02.).
+ */
+export function isoDate(year, month, day) {
+  let y = parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (![y, m, d].every(Number.isInteger)) return null;
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+export function addDays(iso, days) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export const weekdayOf = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+
+const plusYear = (iso) => isoDate(parseInt(iso.slice(0, 4), 10) + 1, iso.slice(5, 7), iso.slice(8, 10));
+
+const formatters = new Map();
+
+/**
+ * Today's calendar date in the given time zone (not the server's).
+ */
+export function todayIso(now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-CA", {
+      timeZone, year: "numeric", month: "2-digit", day: "2-digit"
+    }));
+  }
+  return formatters.get(timeZone).format(now);
+}
+
+// Month/day without a year: this year, or next year once it has passed
+function upcoming(today, month, day, year) {
+  if (year) return isoDate(year, month, day);
+  const thisYear = parseInt(today.slice(0, 4), 10);
+  const date = isoDate(thisYear, month, day);
+  if (!date) return isoDate(thisYear + 1, month, day);
+  return date < today ? isoDate(thisYear + 1, month, day) : date;
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+}
+
+// Stay around a holiday: [check_in, check_out]
+const HOLIDAYS = Object.freeze({
+  easter: (year) => { const sunday = easterSunday(year); return [addDays(sunday, -2), addDays(sunday, 1)]; },
+  pentecost: (year) => { const sunday = addDays(easterSunday(year), 49); return [addDays(sunday, -1), addDays(sunday, 1)]; },
+  christmas: (year) => [isoDate(year, 12, 24), isoDate(year, 12, 27)],
+  new_year: (year) => [isoDate(year, 12, 31), isoDate(year + 1, 1, 1)]
+});
+
+function holidayStay(name, today, year) {
+  if (year) return HOLIDAYS[name](parseInt(year, 10));
+  const thisYear = parseInt(today.slice(0, 4), 10);
+  const stay = HOLIDAYS[name](thisYear);
+  return stay[1] < today ? HOLIDAYS[name](thisYear + 1) : stay;
+}
+
+function monthPartDay(part, year, month) {
+  if (part === "start") return 1;
+  if (part === "mid") return 15;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return lastDay - 6;
+}
+
+/* ---------- Per-locale patterns ---------- */
+
+const patterns = new Map();
+
+function patternsFor(code) {
+  if (patterns.has(code)) return patterns.get(code);
+  const pack = getLocale(code);
+  const d = pack.dates;
+  const suffix = pack.suffixes ? "[a-z]*" : "";
+  const words = (list) => alternation(list);
+  const optional = (list, tail) => (list.length ? `(?:(?:${words(list)})${tail})?` : "");
+
+  const numberWords = new Map(Object.entries(pack.numberWords).map(([w, n]) => [normalize(w), n]));
+  const count = `(\\d+|${words([...numberWords.keys()])})`;
+  const units = new Map(Object.entries(d.units).map(([w, n]) => [normalize(w), n]));
+  const unit = `(${words([...units.keys()])})`;
+  const month = `(${MONTH_PATTERN})${suffix}`;
+  const to = `\\s*(?:${words(d.rangeTo)})\\s*`;
+  const year = "(?:,?\\s*(\\d{4}))?";
+  // A day number that is not the tail of another date ("12.07." must not yield "07.")
+  const day = "(?<![\\d./])(\\d{1,2})";
+
+  const compiled = {
+    numberWords,
+    units,
+    // Ranges sharing one month: "3.-10.8.", "vom 3. bis 10. August", "August 3 to 10"
+    numericRange: new RegExp(`${day}\\.?${to}(\\d{1,2})\\.(\\d{1,2})\\.?(\\d{4}|\\d{2}(?!\\d))?`, "g"),
+    dayMonthRange: new RegExp(`${day}${ORDINAL}?${to}(?:the\\s+)?(\\d{1,2})${ORDINAL}?\\s*(?:of\\s+)?${month}\\b${year}`, "g"),
+    monthDayRange: new RegExp(`\\b${month}\\.?\\s+(\\d{1,2})${ORDINAL}?${to}(\\d{1,2})${ORDINAL}?\\b${year}`, "g"),
+    holiday: new RegExp(`\\b(${words(Object.keys(d.holidays))})${suffix}\\b(?:\\s+(\\d{4}))?`, "g"),
+    holidays: new Map(Object.entries(d.holidays).map(([w, h]) => [normalize(w), h])),
+    // Single dates
+    numeric: new RegExp(`${day}([./])(\\d{1,2})(?:\\2(\\d{4}|\\d{2}(?!\\d)))?`, "g"),
+    dayMonth: new RegExp(`${day}${ORDINAL}?\\s*(?:of\\s+)?${month}\\b${year}`, "g"),
+    monthDay: new RegExp(`\\b${month}\\.?\\s+(\\d{1,2})${ORDINAL}?\\b(?!\\s*(?:${words([...pack.guestNouns.adults, ...pack.guestNouns.children])}))${year}`, "g"),
+    monthPart: d.monthPartsAfter
+      ? new RegExp(`\\b${month}\\s+(${words(Object.keys(d.monthParts))})\\b`, "g")
+      : new RegExp(`\\b(${words(Object.keys(d.monthParts))})\\s+${month}\\b`, "g"),
+    monthParts: new Map(Object.entries(d.monthParts).map(([w, p]) => [normalize(w), p])),
+    monthPartsAfter: d.monthPartsAfter,
+    offset: d.offsetBefore.length
+      ? new RegExp(`\\b(?:${words(d.offsetBefore)})\\s+${count}\\s+${unit}\\b`, "g")
+      : new RegExp(`\\b${count}\\s+${unit}${suffix}\\s+(?:${words(d.offsetAfter)})\\b`, "g"),
+    relative: new RegExp(`\\b(${words(Object.keys(pack.relativeDates))})${suffix}\\b`, "g"),
+    relativeDates: new Map(Object.entries(pack.relativeDates).map(([w, n]) => [normalize(w), n])),
+    weekday: new RegExp(`\\b${optional(d.next, "\\s+")}(${words(Object.keys(pack.weekdays))})${suffix}\\b`, "g"),
+    weekdays: new Map(Object.entries(pack.weekdays).map(([w, n]) => [normalize(w), n])),
+    nextWeek: new RegExp(`\\b(?:${words(d.nextWeek)})\\b`, "g"),
+    dayFrom: new RegExp(`\\b(?:${words(d.dayFrom)})\\s+(\\d{1,2})(?:\\.(?![\\d])|st\\b|nd\\b|rd\\b|th\\b|'[a-z]*)`, "g"),
+    // Stay length: "für eine Woche", "5 Nächte", "for 3 nights", "bir haftalık" - but not offsets
+    duration: new RegExp(
+      (d.offsetBefore.length ? `(?<!\\b(?:${words(d.offsetBefore)})\\s+)` : "") +
+      `\\b${optional(d.durationBefore, "\\s+")}${count}\\s+${unit}` +
+      (d.durationSuffix.length ? `(?:${words(d.durationSuffix)})?` : "") + "\\b" +
+      (d.offsetAfter.length ? `(?!\\s+(?:${words(d.offsetAfter)})\\b)` : "")
+    ),
+    ignore: pack.ignore.length ? new RegExp(`\\b(?:${words(pack.ignore)})\\b`, "g") : null
+  };
+  patterns.set(code, compiled);
+  return compiled;
+}
+
+/* ---------- Candidate collection ---------- */
+
+function countOf(p, value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return p.numberWords.get(value) ?? null;
+}
+
+// Date-bearing phrases in priority order; each claims its span of the text
+function collectCandidates(p, text, today) {
+  const claimed = [];
+  const found = [];
+
+  const take = (regex, resolve) => {
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+      const candidate = resolve(match);
+      if (!candidate) continue;
+      claimed.push([start, end]);
+      found.push({ ...candidate, index: start });
+    }
+  };
+
+  const range = (checkIn, checkOut, confidence) => {
+    if (!checkIn || !checkOut) return null;
+    // "28.12. - 3.1." crosses New Year
+    return { check_in: checkIn, check_out: checkOut <= checkIn ? plusYear(checkOut) : checkOut, confidence };
+  };
+  const yearConfidence = (y) => (y ? CONFIDENCE.explicit : CONFIDENCE.inferredYear);
+
+  take(p.numericRange, ([, d1, d2, mo, y]) => {
+    const checkIn = upcoming(today, mo, d1, y);
+    return range(checkIn, checkIn && isoDate(checkIn.slice(0, 4), mo, d2), yearConfidence(y));
+  });
+  take(p.dayMonthRange, ([, d1, d2, mon, y]) => {
+    const checkIn = upcoming(today, MONTHS.get(mon), d1, y);
+    return range(checkIn, checkIn && isoDate(checkIn.slice(0, 4), MONTHS.get(mon), d2), yearConfidence(y));
+  });
+  take(p.monthDayRange, ([, mon, d1, d2, y]) => {
+    const checkIn = upcoming(today, MONTHS.get(mon), d1, y);
+    return range(checkIn, checkIn && isoDate(checkIn.slice(0, 4), MONTHS.get(mon), d2), yearConfidence(y));
+  });
+  take(p.holiday, ([, word, y]) => {
+    const [checkIn, checkOut] = holidayStay(p.holidays.get(word), today, y);
+    return { check_in: checkIn, check_out: checkOut, confidence: CONFIDENCE.holiday };
+  });
+
+  take(p.numeric, ([, d, , mo, y]) => {
+    const date = upcoming(today, mo, d, y);
+    return date && { date, confidence: yearConfidence(y), explicitYear: !!y };
+  });
+  take(p.dayMonth, ([, d, mon, y]) => {
+    const date = upcoming(today, MONTHS.get(mon), d, y);
+    return date && { date, confidence: yearConfidence(y), explicitYear: !!y };
+  });
+  take(p.monthDay, ([, mon, d, y]) => {
+    const date = upcoming(today, MONTHS.get(mon), d, y);
+    return date && { date, confidence: yearConfidence(y), explicitYear: !!y };
+  });
+  take(p.monthPart, (match) => {
+    const [part, mon] = p.monthPartsAfter ? [match[2], match[1]] : [match[1], match[2]];
+    const month = MONTHS.get(mon);
+    const thisYear = parseInt(today.slice(0, 4), 10);
+    const dayIn = (year) => isoDate(year, month, monthPartDay(p.monthParts.get(part), year, month));
+    const date = dayIn(thisYear) < today ? dayIn(thisYear + 1) : dayIn(thisYear);
+    return { date, confidence: CONFIDENCE.monthPart };
+  });
+  take(p.offset, ([, n, unit]) => {
+    const amount = countOf(p, n);
+    return amount === null ? null : { date: addDays(today, amount * p.units.get(unit)), confidence: CONFIDENCE.offset };
+  });
+
+  const plain = p.ignore ? text.replace(p.ignore, m => " ".repeat(m.length)) : text;
+  const takePlain = (regex, resolve) => {
+    for (const match of plain.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+      claimed.push([start, end]);
+      found.push({ ...resolve(match), index: start });
+    }
+  };
+  takePlain(p.relative, ([, word]) => ({
+    date: addDays(today, p.relativeDates.get(word)),
+    confidence: CONFIDENCE.relative
+  }));
+  takePlain(p.weekday, ([, word]) => ({
+    // Next occurrence, 1-7 days ahead; today's weekday means a week from today
+    date: addDays(today, ((p.weekdays.get(word) - weekdayOf(today) + 6) % 7) + 1),
+    confidence: CONFIDENCE.weekday
+  }));
+  takePlain(p.nextWeek, () => ({
+    date: addDays(today, ((1 - weekdayOf(today) + 6) % 7) + 1),
+    confidence: CONFIDENCE.nextWeek
+  }));
+  take(p.dayFrom, ([, d]) => {
+    // Day of this month, or of next month once it has passed
+    const [y, m] = today.split("-").map(Number);
+    const date = isoDate(y, m, d) >= today ? isoDate(y, m, d) : isoDate(m === 12 ? y + 1 : y, m === 12 ? 1 : m + 1, d);
+    return date && { date, confidence: CONFIDENCE.dayOnly };
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+function durationOf(p, text) {
+  const match = text.match(p.duration);
+  if (!match) return null;
+  const amount = countOf(p, match[1]);
+  return amount === null ? null : amount * p.units.get(match[2]);
+}
+
+/* ---------- Public API ---------- */
+
+function resolveRange(code, text, today) {
+  const p = patternsFor(code);
+  const candidates = collectCandidates(p, text, today);
+  const duration = durationOf(p, text);
+
+  let checkIn = null, checkOut = null, confidence = 0;
+  const spanned = candidates.find(c => c.check_in);
+  if (spanned) {
+    ({ check_in: checkIn, check_out: checkOut, confidence } = spanned);
+  } else {
+    const [first, second] = candidates;
+    if (first) ({ date: checkIn, confidence } = first);
+    if (second) {
+      checkOut = second.date;
+      confidence = Math.min(confidence, second.confidence);
+      if (checkOut < checkIn) {
+        // "vom 28.12. bis 3.1." read in January; explicit years are just out of order
+        if (!second.explicitYear) checkOut = plusYear(checkOut);
+        else [checkIn, checkOut] = [checkOut, checkIn];
+      }
+    }
+  }
+
+  if (checkIn && !checkOut && duration) {
+    checkOut = addDays(checkIn, duration);
+    confidence *= 0.95;
+  } else if (checkIn && !checkOut) {
+    confidence *= 0.5;
+  }
+
+  return {
+    check_in: checkIn,
+    check_out: checkOut,
+    nights: checkIn && checkOut ? Math.round((Date.parse(checkOut) - Date.parse(checkIn)) / DAY_MS) : null,
+    duration_nights: duration,
+    confidence: round2(confidence)
+  };
+}
+
+/**
+ * Resolve a check-in/check-out pair from free text.
+ * @param {string} text
+ * @param {{ locale?: string, now?: Date, timeZone?: string }} [options]
+ *   The given (or detected) locale is tried first, then the others.
+ * @returns {{ check_in: string|null, check_out: string|null, nights: number|null,
+ *   duration_nights: number|null, confidence: number }} confidence in 0..1
+ */
+export function parseDateRange(text, { locale, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const empty = { check_in: null, check_out: null, nights: null, duration_nights: null, confidence: 0 };
+  if (!text || typeof text !== "string") return empty;
+
+  const normalized = normalize(text);
+  const today = todayIso(now, timeZone);
+  const first = resolveLocale(locale, text);
+  let durationOnly = null;
+  for (const code of [first, ...SUPPORTED_LOCALES.filter(c => c !== first)]) {
+    const result = resolveRange(code, normalized, today);
+    if (result.check_in) return result;
+    // "eine Woche" alone: no dates yet, but the stay length is known
+    if (!durationOnly && result.duration_nights) durationOnly = result;
+  }
+  return durationOnly || empty;
+}
+
+/**
+ * Parse a single date value as sent by the agent or spoken by the caller.
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseDateAny(input, { locale, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  if (!input) return null;
+  const str = String(input).trim();
+
+  // "2027-02-31" matches the pattern but is no date; Date() would roll it into March
+  const calendarDate = () => isoDate(str.slice(0, 4), str.slice(5, 7), str.slice(8, 10));
+  if (ISO.test(str)) return calendarDate();
+  if (ISO_TIMESTAMP.test(str)) {
+    const date = new Date(str);
+    return isNaN(date) || !calendarDate() ? null : todayIso(date, timeZone);
+  }
+
+  return parseDateRange(str, { locale, now, timeZone }).check_in;
+}
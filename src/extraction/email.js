@@ -0,0 +1,221 @@
+/**
+ * Email addresses from caller utterances, typed ("max@web.de") or dictated
+ * ("max punkt mueller at gmail punkt com", "m a x ät web de", "ali nokta
+ * yilmaz et hotmail nokta com"). Symbol words, fillers and the spelling of
+ * umlauts come from the locale packs (`email`); symbol words of every pack
+ * are understood, so an address survives a misdetected caller language.
+ * Spelled letters are joined and near misses of common mail domains
+ * ("gmial.com") are corrected.
+ * The spell-back lets the agent read the address back for confirmation.
+ */
+import { getLocale, resolveLocale, SUPPORTED_LOCALES } from "../i18n/index.js";
+import { normalize, alternation } from "./normalize.js";
+
+const ADDRESS = /^([a-z0-9](?:[a-z0-9._%+-]*[a-z0-9_%+-])?)@((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})$/;
+const TOKEN = /[@._+-]|[a-z0-9]+/g;
+const SYMBOLS = Object.freeze({ at: "@", dot: ".", dash: "-", underscore: "_" });
+
+// Preferred domain first where a provider name has several ("gmx" -> gmx.de)
+export const COMMON_DOMAINS = Object.freeze([
+  "gmail.com", "googlemail.com", "hotmail.com", "hotmail.de", "hotmail.com.tr", "outlook.com", "outlook.de",
+  "outlook.com.tr", "live.com", "live.de", "msn.com", "yahoo.com", "yahoo.de", "yahoo.com.tr", "icloud.com",
+  "me.com", "aol.com", "gmx.de", "gmx.net", "gmx.at", "gmx.ch", "web.de", "t-online.de", "freenet.de",
+  "posteo.de", "mail.de", "mail.com", "mail.ru", "yandex.com", "yandex.com.tr", "protonmail.com", "proton.me"
+]);
+
+// Words that close a dictated domain without a spoken "dot" ("web de")
+const TLDS = new Set(["com", "net", "org", "de", "at", "ch", "tr", "eu", "info", "biz", "io", "me", "ru", "nl", "uk", "co", "edu"]);
+const PROVIDERS = new Set(COMMON_DOMAINS.map(d => d.split(".")[0]));
+
+export const isEmail = (value) => typeof value === "string" && ADDRESS.test(value);
+
+// Compiled per locale on first use
+const vocabularies = new Map();
+
+function vocabularyFor(code) {
+  if (vocabularies.has(code)) return vocabularies.get(code);
+  const { email, phone, answers } = getLocale(code);
+  const umlauts = new RegExp(`[${Object.keys(email.umlauts).join("")}]`, "g");
+  const fold = (s) => normalize(String(s).toLowerCase().replace(umlauts, (c) => email.umlauts[c]));
+
+  // The caller's own words first; "nokta" still means "." when Turkish was taken for German
+  const symbols = new Map();
+  for (const pack of [email, ...SUPPORTED_LOCALES.filter(c => c !== code).map(c => getLocale(c).email)]) {
+    for (const kind of Object.keys(SYMBOLS)) {
+      for (const phrase of pack[kind]) {
+        const word = fold(phrase);
+        if (!symbols.has(word)) symbols.set(word, SYMBOLS[kind]);
+      }
+    }
+  }
+  const vocab = {
+    fold,
+    symbols,
+    symbolPattern: new RegExp(`(?<![a-z0-9])(?:${alternation([...symbols.keys()])})(?![a-z0-9])`, "g"),
+    // "nein, m a x ät web de": answer words end an address too
+    fillers: new Set([...email.fillers, ...answers.yes, ...answers.no].map(fold)),
+    digits: new Map(Object.entries(phone.digits).map(([w, d]) => [fold(w), String(d)])),
+    repeat: new Map(Object.entries(phone.repeat).map(([w, n]) => [fold(w), n])),
+    say: email.say
+  };
+  vocabularies.set(code, vocab);
+  return vocab;
+}
+
+// Words and symbols; fillers ("meine", "lautet", "please") and yes/no become stops
+function tokensOf(text, vocab) {
+  const folded = vocab.fold(text).replace(vocab.symbolPattern, (m) => ` ${vocab.symbols.get(m)} `);
+  const tokens = [];
+  let repeat = 1;
+  for (const token of folded.match(TOKEN) || []) {
+    if (vocab.repeat.has(token)) {
+      repeat = vocab.repeat.get(token);
+      continue;
+    }
+    if (vocab.fillers.has(token)) tokens.push(null);
+    else {
+      const value = vocab.digits.get(token) ?? token;
+      // "doppel l", "double five"
+      tokens.push(value.length === 1 ? value.repeat(repeat) : value);
+    }
+    repeat = 1;
+  }
+  return tokens;
+}
+
+const isWord = (token) => token !== null && /^[a-z0-9]+$/.test(token);
+
+function localPartBefore(tokens, at) {
+  const parts = [];
+  for (let i = at - 1; i >= 0 && tokens[i] !== null && tokens[i] !== "@"; i--) parts.unshift(tokens[i]);
+  return parts.join("").replace(/^[._+-]+/, "");
+}
+
+// Labels joined by "." or, before a TLD word, by the pause in "web de"
+function domainAfter(tokens, at) {
+  const labels = [];
+  let label = "";
+  for (let i = at + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === null || token === "@") break;
+    if (token === ".") {
+      if (!label) break;
+      labels.push(label);
+      label = "";
+    } else if (token === "-") {
+      label += "-";
+    } else if (isWord(token)) {
+      const closed = labels.length > 0 && TLDS.has(label);
+      if (token.length > 1 && label && TLDS.has(token)) {
+        labels.push(label);
+        label = token;
+      } else if (closed && token.length > 1) {
+        break;
+      } else {
+        label += token;
+      }
+    } else {
+      break;
+    }
+  }
+  if (label) labels.push(label);
+  return labels.map(l => l.replace(/^-+|-+$/g, "")).filter(Boolean);
+}
+
+// Optimal string alignment distance: a swapped pair ("gmial") counts once
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Common mail domain for a bare provider name ("gmail") or a near miss
+ * ("gmial.com", "hotmail.con", "tonline.de"); the domain itself otherwise.
+ * Ties between candidates are left alone.
+ */
+export function correctDomain(domain) {
+  if (COMMON_DOMAINS.includes(domain)) return domain;
+  if (!domain.includes(".")) {
+    return COMMON_DOMAINS.find(d => d.split(".")[0] === domain || d.split(".")[0].replace("-", "") === domain) || domain;
+  }
+  const limit = domain.length >= 9 ? 2 : 1;
+  let best = null;
+  let bestDistance = limit + 1;
+  let tie = false;
+  for (const candidate of COMMON_DOMAINS) {
+    const d = distance(domain, candidate);
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+      tie = false;
+    } else if (d === bestDistance) {
+      tie = true;
+    }
+  }
+  return best && !tie ? best : domain;
+}
+
+/**
+ * The address read back symbol by symbol: "m, a, x, Punkt, m, u, e, l, l, e, r,
+ * ät, gmail, Punkt, com". Common domains, provider names and TLDs are said
+ * as words, other domain labels are spelled.
+ * @param {string} locale
+ * @param {string} email
+ */
+export function spellEmail(locale, email) {
+  const { say } = vocabularyFor(resolveLocale(locale, ""));
+  const symbol = { ".": say.dot, "-": say.dash, "_": say.underscore, "+": say.plus };
+  const spell = (text) => [...text].map(c => symbol[c] || c);
+
+  const [local, domain] = String(email).split("@");
+  const known = COMMON_DOMAINS.includes(domain);
+  const spoken = domain.split(".").flatMap((label, i) => [
+    ...(i ? [say.dot] : []),
+    ...(known || TLDS.has(label) || PROVIDERS.has(label) ? [label] : spell(label))
+  ]);
+  return [...spell(local), say.at, ...spoken].join(", ");
+}
+
+/**
+ * Email address in a field or utterance, or null when none can be made out.
+ * `heard` is the address as dictated, before the domain correction.
+ * @param {string} input
+ * @param {{ locale?: string }} [options]
+ * @returns {{ email: string, heard: string, corrected: boolean, spelled: string } | null}
+ */
+export function parseEmail(input, { locale } = {}) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+  const code = resolveLocale(locale, text);
+  const tokens = tokensOf(text, vocabularyFor(code));
+
+  // Several "at"s ("arrive at five, my email is ..."): the first one that makes an address
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] !== "@") continue;
+    const local = localPartBefore(tokens, i);
+    const labels = domainAfter(tokens, i);
+    if (!local || !labels.length) continue;
+
+    const heardDomain = labels.join(".");
+    const domain = correctDomain(heardDomain);
+    const email = `${local}@${domain}`;
+    if (!isEmail(email) || local.length > 64) continue;
+    return {
+      email,
+      heard: `${local}@${heardDomain}`,
+      corrected: domain !== heardDomain,
+      spelled: spellEmail(code, email)
+    };
+  }
+  return null;
+}
@@ -0,0 +1,206 @@
+/**
+ * Hybrid slot extraction: rules first, an LLM only when the dates or the
+ * guest count are missing or ambiguous. Model output is validated field by
+ * field and merged under the rule results; `provenance` says where each slot
+ * came from ("rules", "llm", "default" or null). Any provider failure or
+ * timeout leaves the rule results untouched.
+ */
+import { extractWithRules, REQUIRED_SLOTS } from "./rules.js";
+import { isoDate, addDays, todayIso, DEFAULT_TIME_ZONE } from "./dates.js";
+import { normalizePhone } from "../booking/guest.js";
+
+const DAY_MS = 86400000;
+const NAME = /^[\p{L}][\p{L} '.-]{0,59}$/u;
+
+// Names and phone numbers come later in the call; the rules alone take those
+const STAY_SLOTS = Object.freeze(["check_in", "check_out", "adults"]);
+
+const nullable = (type, extra = {}) => ({ type: [type, "null"], ...extra });
+
+export const SLOT_FUNCTION = Object.freeze({
+  name: "extract_booking_slots",
+  description: "Record the hotel booking details the caller stated. Use null for anything not stated.",
+  parameters: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      check_in: nullable("string", { description: "Arrival date, YYYY-MM-DD" }),
+      check_out: nullable("string", { description: "Departure date, YYYY-MM-DD" }),
+      nights: nullable("integer", { description: "Number of nights if stated instead of a departure date" }),
+      adults: nullable("integer", { description: "Number of adults" }),
+      children: nullable("integer", { description: "Number of children" }),
+      given_name: nullable("string", { description: "Caller's first name(s)" }),
+      surname: nullable("string", { description: "Caller's last name" }),
+      phone: nullable("string", { description: "Phone number as spoken, digits and leading +" })
+    },
+    required: ["check_in", "check_out", "nights", "adults", "children", "given_name", "surname", "phone"]
+  }
+});
+
+const SLOT_FIELDS = SLOT_FUNCTION.parameters.required;
+
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [y, m, d] = value.split("-");
+  return isoDate(y, m, d) === value;
+}
+
+const intIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Keep only well-formed, plausible fields of a model answer.
+ * @returns {{ slots: object, rejected: string[] }} slots holds accepted non-null fields
+ */
+export function validateLlmSlots(args, { today, maxNights = 30, maxGuests = 10 } = {}) {
+  const slots = {};
+  const rejected = [];
+  const accept = (field, ok, value = args[field]) => {
+    if (args[field] === null || args[field] === undefined) return;
+    if (ok) slots[field] = value;
+    else rejected.push(field);
+  };
+
+  accept("check_in", isIsoDate(args.check_in) && (!today || args.check_in >= today));
+  accept("check_out", isIsoDate(args.check_out) && (!slots.check_in || args.check_out > slots.check_in));
+  if (slots.check_in && slots.check_out && (Date.parse(slots.check_out) - Date.parse(slots.check_in)) / DAY_MS > maxNights) {
+    delete slots.check_out;
+    rejected.push("check_out");
+  }
+  accept("nights", intIn(args.nights, 1, maxNights));
+  accept("adults", intIn(args.adults, 1, maxGuests));
+  accept("children", intIn(args.children, 0, maxGuests));
+  for (const field of ["given_name", "surname"]) {
+    const value = typeof args[field] === "string" ? args[field].trim() : args[field];
+    accept(field, typeof value === "string" && NAME.test(value), value);
+  }
+  const phone = typeof args.phone === "string" ? normalizePhone(args.phone) : null;
+  accept("phone", !!phone, phone);
+
+  return { slots, rejected };
+}
+
+function buildPrompt(text, rules, { today, timeZone }) {
+  const hints = Object.fromEntries(SLOT_FIELDS.map(field => [field, rules[field] ?? null]));
+  return {
+    system: [
+      "You extract hotel booking details from one caller utterance (German, English or Turkish).",
+      `Today is ${today} in ${timeZone}; resolve relative dates against it.`,
+      "Dates without a year lie in the future. Return null for anything the caller did not say; never guess."
+    ].join(" "),
+    user: `Utterance: ${JSON.stringify(text)}\nRule-based pre-extraction (may be incomplete or wrong): ${JSON.stringify(hints)}`
+  };
+}
+
+/**
+ * @param {{ provider?: { name: string, callFunction: Function } | null, timeoutMs?: number,
+ *   minConfidence?: number, maxNights?: number, maxGuests?: number,
+ *   onError?: (msg: string, error: Error, meta?: object) => void }} options
+ */
+export function createHybridExtractor({
+  provider = null,
+  timeoutMs = 5000,
+  minConfidence = 0.8,
+  maxNights = 30,
+  maxGuests = 10,
+  onError = () => {}
+} = {}) {
+  // Rules are enough when dates and guests are complete and the dates are unambiguous
+  const needsLlm = (rules) =>
+    rules.missing.some(slot => STAY_SLOTS.includes(slot)) ||
+    rules.conflicts.length > 0 ||
+    (rules.check_in !== null && rules.date_confidence < minConfidence);
+
+  return {
+    enabled: !!provider,
+
+    async extract(text, { locale, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+      const rules = extractWithRules(text, { locale, now, timeZone });
+      const statedAdults = !rules.missing.includes("adults");
+      const provenance = {
+        check_in: rules.check_in ? "rules" : null,
+        check_out: rules.check_out ? "rules" : null,
+        nights: rules.nights ? "rules" : null,
+        adults: statedAdults ? "rules" : "default",
+        children: rules.children ? "rules" : "default",
+        given_name: rules.given_name ? "rules" : null,
+        surname: rules.surname ? "rules" : null,
+        phone: rules.phone ? "rules" : null
+      };
+
+      if (!provider || !text || !needsLlm(rules)) {
+        return { ...rules, provenance, source: "rules", llm: null };
+      }
+
+      const today = todayIso(now, timeZone);
+      const startTime = Date.now();
+      let answer;
+      try {
+        answer = await provider.callFunction({
+          ...buildPrompt(text, rules, { today, timeZone }),
+          fn: SLOT_FUNCTION,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        onError("LLM extraction failed, using rules only", error, { provider: provider.name, code: error.code });
+        return {
+          ...rules,
+          provenance,
+          source: "rules",
+          llm: { provider: provider.name, error: error.code || "llm_error", latency_ms: Date.now() - startTime }
+        };
+      }
+
+      const { slots: llm, rejected } = validateLlmSlots(answer, { today, maxNights, maxGuests });
+      const merged = { ...rules };
+      const take = (field, value = llm[field]) => {
+        merged[field] = value;
+        provenance[field] = "llm";
+      };
+
+      // Dates: fill gaps, or replace the pair when the rules were unsure or contradictory
+      const datesAmbiguous = rules.conflicts.length > 0 || rules.date_confidence < minConfidence;
+      if (llm.check_in && (!rules.check_in || datesAmbiguous)) {
+        take("check_in");
+        const checkOut = llm.check_out || (llm.nights ? addDays(llm.check_in, llm.nights) : null);
+        if (checkOut) take("check_out", checkOut);
+        else if (rules.check_out && rules.check_out <= llm.check_in) take("check_out", null);
+      } else if (merged.check_in && !rules.check_out) {
+        const checkOut = llm.check_out && llm.check_out > merged.check_in
+          ? llm.check_out
+          : llm.nights ? addDays(merged.check_in, llm.nights) : null;
+        if (checkOut) take("check_out", checkOut);
+      }
+      // date_confidence keeps scoring the rules; provenance shows the model settled the dates
+      if (provenance.check_in === "llm" || provenance.check_out === "llm") merged.conflicts = [];
+      const nights = merged.check_in && merged.check_out
+        ? Math.round((Date.parse(merged.check_out) - Date.parse(merged.check_in)) / DAY_MS)
+        : rules.nights ?? llm.nights ?? null;
+      if (nights !== rules.nights) {
+        merged.nights = nights;
+        provenance.nights = nights === null ? null : "llm";
+      }
+
+      if (!statedAdults && llm.adults) take("adults");
+      if (!rules.children && llm.children) take("children");
+      for (const field of ["given_name", "surname", "phone"]) {
+        if (!rules[field] && llm[field]) take(field);
+      }
+
+      // A known stay length settles check_out as soon as check_in is known
+      const filled = {
+        check_in: merged.check_in,
+        check_out: merged.check_out || merged.nights || null,
+        adults: provenance.adults === "default" ? null : merged.adults,
+        surname: merged.surname
+      };
+      merged.missing = REQUIRED_SLOTS.filter(slot => !filled[slot]);
+
+      return {
+        ...merged,
+        provenance,
+        source: Object.values(provenance).includes("llm") ? "rules+llm" : "rules",
+        llm: { provider: provider.name, rejected, latency_ms: Date.now() - startTime }
+      };
+    }
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Text normalization shared by the rule extractor and the locale packs.
+ * Vocabulary is normalized the same way as the utterance, so "Übermorgen",
+ * "ubermorgen" and "YARIN"/"yarın" all compare equal.
+ */
+
+const ACCENTS = /[\u0300-\u036f]/g;
+const WHITESPACE = /\s+/g;
+
+export function normalize(s = "") {
+  if (!s || typeof s !== "string") return "";
+  return s.toLowerCase()
+    .normalize("NFKD")
+    .replace(ACCENTS, "")
+    .replace(/ı/g, "i")
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .replace(WHITESPACE, " ")
+    .trim();
+}
+
+export const wordsOf = (text) => text.split(/[^a-z0-9]+/).filter(Boolean);
+
+export const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Alternation of normalized phrases, longest first so "ubermorgen" wins
+ * over "morgen" and "on iki" over "on".
+ */
+export function alternation(phrases) {
+  return [...new Set(phrases.map(normalize))]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join("|");
+}
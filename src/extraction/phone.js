@@ -0,0 +1,88 @@
+/**
+ * Phone numbers from caller utterances, typed ("0170 123 45 67") or
+ * spoken digit by digit ("null eins sieben null ...", "plus nine oh ...",
+ * "double five"). Digit words come from the locale packs (`phone`);
+ * numbers read as tens or hundreds are not recognized.
+ */
+import { getLocale, resolveLocale, toLocaleCode } from "../i18n/index.js";
+import { normalizePhone, toE164 } from "../booking/guest.js";
+import { normalize } from "./normalize.js";
+
+// Separators like "-", "/", "()" and the commas of transcribed digit groups are skipped;
+// other punctuation ends a number, so "07.12.2026" stays a date
+const TOKEN = /\+|\d+|[a-z]+|[.:;!?]/g;
+
+// Compiled per locale on first use
+const vocabularies = new Map();
+
+function vocabularyFor(code) {
+  if (vocabularies.has(code)) return vocabularies.get(code);
+  const { phone } = getLocale(code);
+  const vocab = {
+    plus: new Set(phone.plus.map(normalize)),
+    digits: new Map(Object.entries(phone.digits).map(([w, d]) => [normalize(w), String(d)])),
+    repeat: new Map(Object.entries(phone.repeat).map(([w, n]) => [normalize(w), n]))
+  };
+  vocabularies.set(code, vocab);
+  return vocab;
+}
+
+/**
+ * First phone number in the text, normalized like normalizePhone ("+49170...",
+ * "0532..."), or null. Only runs starting with "+" or "0" count, so dates
+ * and guest counts are not mistaken for numbers.
+ * @param {string} text
+ * @param {{ locale?: string }} [options]
+ */
+export function extractPhone(text, { locale } = {}) {
+  const vocab = vocabularyFor(resolveLocale(locale, text));
+  const tokens = normalize(String(text ?? "")).match(TOKEN) || [];
+
+  const runs = [];
+  let run = "";
+  let repeat = 1;
+  const flush = () => {
+    if (run) runs.push(run);
+    run = "";
+    repeat = 1;
+  };
+
+  for (const token of tokens) {
+    const digit = /^\d+$/.test(token) ? token : vocab.digits.get(token);
+    if (digit !== undefined) {
+      run += digit.repeat(repeat);
+      repeat = 1;
+    } else if (token === "+" || vocab.plus.has(token)) {
+      flush();
+      run = "+";
+    } else if (vocab.repeat.has(token)) {
+      repeat = vocab.repeat.get(token);
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  for (const candidate of runs) {
+    if (!/^(?:\+|0)\d/.test(candidate)) continue;
+    const phone = normalizePhone(candidate);
+    if (phone) return phone;
+  }
+  return null;
+}
+
+/**
+ * E.164 number from a phone field or utterance. National numbers take
+ * `defaultCountryCode` (the hotel's): a German-speaking guest dictating
+ * "0532 ..." has a local number of the hotel's country. The caller locale's
+ * country code only applies when the hotel has none.
+ * @param {string} input
+ * @param {{ locale?: string, defaultCountryCode?: string|null }} [options]
+ */
+export function parsePhone(input, { locale, defaultCountryCode = null } = {}) {
+  const phone = normalizePhone(input) || extractPhone(input, { locale });
+  if (!phone) return null;
+  const code = toLocaleCode(locale);
+  const countryCode = defaultCountryCode || (code && getLocale(code).phone.countryCode) || null;
+  return toE164(phone, { countryCode });
+}
@@ -0,0 +1,140 @@
+/**
+ * Rule-based slot extraction (dates, guests, name, phone) for German,
+ * English and Turkish utterances. The locale is detected from the text
+ * unless the caller's language is already known.
+ */
+import { getLocale, resolveLocale } from "../i18n/index.js";
+import { extractPhone } from "./phone.js";
+import { normalize, alternation, escapeRegex } from "./normalize.js";
+import { parseDateRange, DEFAULT_TIME_ZONE } from "./dates.js";
+
+const REGEX = {
+  whitespace: /\s+/g
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Compiled per locale on first use
+const patterns = new Map();
+
+function patternsFor(code) {
+  if (patterns.has(code)) return patterns.get(code);
+  const pack = getLocale(code);
+
+  const count = `(\\d+|${alternation(Object.keys(pack.numberWords))})`;
+  const nouns = (list) => `(?:${alternation(list)})[a-z]*`;
+
+  // Intro matched case-insensitively; the name itself must be capitalized
+  const intro = pack.nameIntros.map(p => escapeRegex(p).replace(/ /g, "\\s+")).join("|");
+  const honorific = pack.honorifics.map(h => escapeRegex(capitalize(h))).join("|");
+
+  const compiled = {
+    numberWords: new Map(Object.entries(pack.numberWords).map(([w, n]) => [normalize(w), n])),
+    adults: new RegExp(`\\b${count}\\s*${nouns(pack.guestNouns.adults)}`, "g"),
+    children: new RegExp(`\\b${count}\\s*${nouns(pack.guestNouns.children)}`, "g"),
+    intro: new RegExp(`(?:^|[^\\p{L}])(?:${intro}):?\\s+`, "iu"),
+    name: new RegExp(`^((?:(?:${honorific})\\s+)?\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+){0,2})`, "u"),
+    honorific: new RegExp(`^(?:${honorific})\\s+`, "u"),
+    // Capitalized calendar words are not names ("this is Friday")
+    calendarWords: new Set([
+      ...Object.keys(pack.months), ...Object.keys(pack.weekdays), ...Object.keys(pack.relativeDates)
+    ].map(normalize))
+  };
+  patterns.set(code, compiled);
+  return compiled;
+}
+
+// Slots the agent needs before it can book, in the order it should ask for them
+export const REQUIRED_SLOTS = Object.freeze(["check_in", "check_out", "adults", "surname"]);
+
+const EMPTY_SLOTS = Object.freeze({
+  check_in: null, check_out: null, nights: null, date_confidence: 0,
+  adults: 1, children: 0, given_name: null, surname: null, phone: null
+});
+
+function countOf(p, value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return p.numberWords.get(value) ?? null;
+}
+
+function firstCount(p, text, regex) {
+  for (const match of text.matchAll(regex)) {
+    const n = countOf(p, match[1]);
+    if (n !== null) return n;
+  }
+  return null;
+}
+
+function extractName(p, rawText) {
+  const intro = rawText.match(p.intro);
+  if (!intro) return { given_name: null, surname: null };
+
+  const match = rawText.slice(intro.index + intro[0].length).match(p.name);
+  if (!match) return { given_name: null, surname: null };
+
+  const parts = [];
+  for (const part of match[1].replace(p.honorific, "").split(REGEX.whitespace)) {
+    if (p.calendarWords.has(normalize(part))) break;
+    parts.push(part);
+  }
+  const surname = parts.pop() || null;
+  return { given_name: parts.length ? parts.join(" ") : null, surname };
+}
+
+/**
+ * Extract booking slots from a caller utterance.
+ * @param {string} rawText
+ * @param {{ locale?: string, now?: Date, timeZone?: string }} [options]
+ *   locale: "de" | "en" | "tr" or a language name
+ * @returns {{ check_in: string|null, check_out: string|null, nights: number|null, date_confidence: number,
+ *   adults: number, children: number, given_name: string|null, surname: string|null,
+ *   phone: string|null, locale: string,
+ *   conflicts: Array<{ slot: string, stated: number, from_dates: number }>, missing: string[] }}
+ *   missing lists REQUIRED_SLOTS the utterance did not fill; adults defaults to 1 but counts as missing
+ */
+export function extractWithRules(rawText, { locale, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  if (!rawText || typeof rawText !== "string") {
+    return { ...EMPTY_SLOTS, locale: resolveLocale(locale), conflicts: [], missing: [...REQUIRED_SLOTS] };
+  }
+
+  const code = resolveLocale(locale, rawText);
+  const p = patternsFor(code);
+  const text = normalize(rawText);
+
+  const dates = parseDateRange(rawText, { locale: code, now, timeZone });
+
+  const statedAdults = firstCount(p, text, p.adults);
+  const adults = statedAdults ?? 1;
+  const children = firstCount(p, text, p.children) ?? 0;
+
+  const { given_name, surname } = extractName(p, rawText);
+
+  // Drop guest counts first so "... 2345678 2 Erwachsene" does not extend the number
+  const phoneText = text.replace(p.adults, " ").replace(p.children, " ");
+  const phone = extractPhone(phoneText, { locale: code });
+
+  // "vom 12. bis 19. Juli, 5 Nächte": keep the dates, let the agent clarify
+  const conflicts = [];
+  if (dates.duration_nights && dates.nights !== null && dates.duration_nights !== dates.nights) {
+    conflicts.push({ slot: "nights", stated: dates.duration_nights, from_dates: dates.nights });
+  }
+
+  // A known stay length settles check_out as soon as check_in is known
+  const filled = { check_in: dates.check_in, check_out: dates.check_out || dates.duration_nights || null, adults: statedAdults, surname };
+  const missing = REQUIRED_SLOTS.filter(slot => filled[slot] === null);
+
+  return {
+    check_in: dates.check_in,
+    check_out: dates.check_out,
+    nights: dates.nights ?? dates.duration_nights,
+    date_confidence: dates.confidence,
+    adults,
+    children,
+    given_name,
+    surname,
+    phone,
+    locale: code,
+    conflicts,
+    missing
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * FX provider with a TTL cache and stale-rate fallback.
+ * Sources are tried in order; if all fail the last good rates are served
+ * (marked stale) up to `maxStaleMs`, then the static fallback rates. Rates
+ * age from the source's own `fetched_at`, not from when they were read: a
+ * pushed snapshot that is never renewed turns stale after `ttlMs` and is
+ * dropped after `maxStaleMs`, however often it is reloaded.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Re-express rates against our base currency when a source uses another base
+function rebase(snapshot, base) {
+  if (snapshot.base === base) return snapshot.rates;
+  const pivot = snapshot.rates[base];
+  if (!pivot) throw new Error(`FX source ${snapshot.base} rates lack ${base}`);
+  const rates = { [snapshot.base]: 1 / pivot };
+  for (const [code, value] of Object.entries(snapshot.rates)) {
+    if (code !== base) rates[code] = value / pivot;
+  }
+  return rates;
+}
+
+/**
+ * @param {{ sources: Array<{ name: string, fetch: () => Promise<object> }>,
+ *   fallback: { name: string, fetch: () => Promise<object> }, base?: string, currencies?: string[],
+ *   ttlMs?: number, maxStaleMs?: number, onError?: (msg: string, error: Error, meta?: object) => void }} options
+ */
+export function createFxProvider({
+  sources,
+  fallback,
+  base = "EUR",
+  currencies = ["TRY", "USD", "GBP"],
+  ttlMs = 60 * 60 * 1000,
+  maxStaleMs = 24 * 60 * 60 * 1000,
+  onError = () => {}
+}) {
+  let cache = null;
+  let refreshing = null;
+
+  async function load(source) {
+    const snapshot = await source.fetch();
+    const all = rebase(snapshot, base);
+    const rates = {};
+    for (const code of currencies) {
+      if (all[code]) rates[code] = all[code];
+    }
+    if (!Object.keys(rates).length) throw new Error(`FX source ${source.name} has none of ${currencies.join(",")}`);
+    const fetchedAt = Date.parse(snapshot.fetched_at);
+    return {
+      base,
+      rates,
+      source: source.name,
+      timestamp: snapshot.timestamp,
+      fetched_at: Number.isFinite(fetchedAt) ? fetchedAt : Date.now(),
+      loaded_at: Date.now()
+    };
+  }
+
+  const age = (rates, now = Date.now()) => now - rates.fetched_at;
+  const served = (rates, now) => ({ ...rates, stale: age(rates, now) >= ttlMs });
+
+  async function refresh() {
+    for (const source of sources) {
+      try {
+        const loaded = await load(source);
+        if (age(loaded) >= maxStaleMs) {
+          throw new Error(`FX source ${source.name} rates are from ${new Date(loaded.fetched_at).toISOString()}`);
+        }
+        cache = loaded;
+        return cache;
+      } catch (error) {
+        onError("FX source failed", error, { source: source.name });
+      }
+    }
+    return null;
+  }
+
+  async function getRates() {
+    const now = Date.now();
+    if (cache && now - cache.loaded_at < ttlMs && age(cache, now) < maxStaleMs) return served(cache, now);
+
+    refreshing = refreshing || refresh().finally(() => { refreshing = null; });
+    const fresh = await refreshing;
+    if (fresh) return served(fresh, now);
+
+    if (cache && age(cache, now) < maxStaleMs) return { ...cache, stale: true };
+    const fixed = await load(fallback);
+    return { ...fixed, stale: true };
+  }
+
+  return {
+    base,
+    currencies,
+    getRates,
+
+    /**
+     * Amount in base currency converted to every configured currency.
+     * @returns {Promise<{ amounts: Record<string, number>, fx: object }>}
+     */
+    async convert(amount) {
+      const fx = await getRates();
+      const amounts = { [base]: round2(amount) };
+      for (const [code, rate] of Object.entries(fx.rates)) {
+        // Lira prices are spoken as whole numbers
+        amounts[code] = code === "TRY" ? Math.round(amount * rate) : round2(amount * rate);
+      }
+      return { amounts, fx };
+    }
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * FX rate sources. Every source has `name` and `fetch()` resolving to
+ * { base, rates: { [currency]: number }, timestamp: ISO string, fetched_at?: ISO string }.
+ * `fetched_at` is when a push-based source received the rates; the provider
+ * ages its cache from it, else from the fetch.
+ */
+import fs from "node:fs/promises";
+
+// Accepts the common provider shapes (ECB/frankfurter, exchangerate-api, fixer)
+export function normalizeRatesPayload(payload, fallbackTimestamp = new Date().toISOString()) {
+  const base = String(payload?.base || payload?.base_code || payload?.source || "").toUpperCase();
+  const rates = payload?.rates || payload?.conversion_rates || payload?.quotes;
+  if (!base || !rates || typeof rates !== "object") {
+    throw new Error("FX payload needs base and rates");
+  }
+
+  const clean = {};
+  for (const [code, value] of Object.entries(rates)) {
+    const n = Number(value);
+    // currencylayer style "EURTRY" keys
+    const currency = code.length === 6 && code.startsWith(base) ? code.slice(3) : code.toUpperCase();
+    if (Number.isFinite(n) && n > 0) clean[currency] = n;
+  }
+
+  let timestamp = fallbackTimestamp;
+  if (payload.time_last_update_unix || payload.timestamp) {
+    timestamp = new Date(Number(payload.time_last_update_unix || payload.timestamp) * 1000).toISOString();
+  } else if (payload.date) {
+    timestamp = new Date(payload.date).toISOString();
+  }
+
+  return { base, rates: clean, timestamp };
+}
+
+export function createHttpSource({ url, timeoutMs = 3000, headers = {} }) {
+  return {
+    name: "http",
+    async fetch() {
+      const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      if (!response.ok) {
+        throw new Error(`FX endpoint error: ${response.status} ${response.statusText}`);
+      }
+      return normalizeRatesPayload(await response.json());
+    }
+  };
+}
+
+export function createFileSource({ file }) {
+  return {
+    name: "file",
+    async fetch() {
+      const [raw, stat] = await Promise.all([fs.readFile(file, "utf8"), fs.stat(file)]);
+      return normalizeRatesPayload(JSON.parse(raw), stat.mtime.toISOString());
+    }
+  };
+}
+
+/**
+ * Push-based source fed from OTA responses (CurrencyConversion elements of
+ * HotelRunner rate/availability answers). Fails until something was pushed;
+ * a snapshot keeps the time of its last push however often it is read.
+ */
+export function createOtaSource() {
+  let latest = null;
+  return {
+    name: "ota",
+    update({ base, rates, timestamp = new Date().toISOString() }) {
+      if (!base || !rates || !Object.keys(rates).length) return;
+      latest = {
+        base,
+        rates: { ...(latest?.base === base ? latest.rates : {}), ...rates },
+        timestamp,
+        fetched_at: new Date().toISOString()
+      };
+    },
+    async fetch() {
+      if (!latest) throw new Error("No OTA currency conversion received yet");
+      return latest;
+    }
+  };
+}
+
+export function createStaticSource({ base = "EUR", rates }) {
+  return {
+    name: "static",
+    async fetch() {
+      return { base, rates: { ...rates }, timestamp: null };
+    }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Locale packs for the agent (de/en/tr): extraction vocabulary plus the
+ * spoken replies of the tool routes. German is the default and the fallback
+ * for any message a pack does not define.
+ */
+import de from "./locales/de.js";
+import en from "./locales/en.js";
+import tr from "./locales/tr.js";
+import { normalize, wordsOf } from "../extraction/normalize.js";
+
+export const DEFAULT_LOCALE = "de";
+
+const LOCALES = Object.freeze({ de, en, tr });
+
+export const SUPPORTED_LOCALES = Object.freeze(Object.keys(LOCALES));
+
+// Spelled-out names callers or agents send instead of ISO codes
+const ALIASES = Object.freeze({
+  deutsch: "de", german: "de", ger: "de", deu: "de",
+  english: "en", englisch: "en", eng: "en",
+  turkish: "tr", turkisch: "tr", turkce: "tr", tur: "tr"
+});
+
+// Letters only Turkish uses; one of them outweighs several marker words
+const TURKISH_LETTERS = /[ıİşŞğĞ]/;
+
+// Marker words plus the locale's day names ("tomorrow", "yarın", "Freitag")
+const MARKERS = Object.freeze(Object.fromEntries(SUPPORTED_LOCALES.map(code => {
+  const { markers, relativeDates, weekdays } = LOCALES[code];
+  const words = [...markers, ...Object.keys(relativeDates), ...Object.keys(weekdays)];
+  return [code, new Set(words.map(normalize))];
+})));
+
+export function getLocale(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Map "en-US", "EN", "Türkçe" etc. to a supported code, or null.
+ */
+export function toLocaleCode(value) {
+  if (!value || typeof value !== "string") return null;
+  const key = normalize(value);
+  const code = key.split(/[-_\s]/)[0];
+  if (LOCALES[code]) return code;
+  return ALIASES[key] || null;
+}
+
+/**
+ * Guess the caller's language from an utterance by counting marker words.
+ * Ties and texts without markers stay German.
+ */
+export function detectLocale(text) {
+  if (!text || typeof text !== "string") return DEFAULT_LOCALE;
+  const words = wordsOf(normalize(text));
+  const scores = Object.fromEntries(SUPPORTED_LOCALES.map(code => [code, 0]));
+  for (const word of words) {
+    for (const code of SUPPORTED_LOCALES) {
+      if (MARKERS[code].has(word)) scores[code] += 1;
+    }
+  }
+  if (TURKISH_LETTERS.test(text)) scores.tr += 3;
+
+  let best = DEFAULT_LOCALE;
+  for (const code of SUPPORTED_LOCALES) {
+    if (scores[code] > scores[best]) best = code;
+  }
+  return best;
+}
+
+/**
+ * Explicit locale wins; otherwise detect from the text.
+ */
+export function resolveLocale(requested, text) {
+  return toLocaleCode(requested) || (text ? detectLocale(text) : DEFAULT_LOCALE);
+}
+
+/**
+ * Caller language: explicit field, then what we know about the guest, then
+ * the utterance. `languages` limits it to what the hotel speaks; anything
+ * else gets the hotel's default language.
+ * @param {{ supported: string[], default: string }} [languages]
+ */
+export function callerLocale(body = {}, known = null, languages = null) {
+  const text = body.utterance || body.text || body.transcript;
+  const code = toLocaleCode(body.language || body.locale || body.lang) ||
+    toLocaleCode(known) ||
+    (text ? detectLocale(text) : languages?.default || DEFAULT_LOCALE);
+  return !languages || languages.supported.includes(code) ? code : languages.default;
+}
+
+// Locale for a stored record or a hotel that does not speak the caller's language
+export const hotelLocale = (code, languages) =>
+  (languages.supported.includes(code) ? code : languages.default);
+
+/**
+ * Render a spoken message. Unknown keys in a pack fall back to German.
+ */
+export function t(locale, key, params = {}) {
+  const message = getLocale(locale).messages[key] || LOCALES[DEFAULT_LOCALE].messages[key];
+  if (!message) throw new Error(`Missing message: ${key}`);
+  return message(params);
+}
+
+export const hasMessage = (key) => key in LOCALES[DEFAULT_LOCALE].messages;
+
+const phraseOf = (text) => ` ${wordsOf(normalize(text)).join(" ")} `;
+
+/**
+ * Read a yes/no answer in the caller's language; null when it is neither or both.
+ */
+export function answerOf(locale, text) {
+  const spoken = phraseOf(text);
+  const { yes, no } = getLocale(locale).answers;
+  const says = (phrases) => phrases.some(p => spoken.includes(phraseOf(p)));
+  const isYes = says(yes);
+  const isNo = says(no);
+  if (isYes === isNo) return null;
+  return isYes ? "yes" : "no";
+}
+
+export function formatDate(locale, dateStr) {
+  try {
+    // YYYY-MM-DD parses as UTC midnight; format it in UTC so no zone shifts the day
+    return new Date(dateStr).toLocaleDateString(getLocale(locale).dateLocale, {
+      timeZone: "UTC",
+      day: "2-digit",
+      month: "long",
+      year: "numeric"
+    });
+  } catch {
+    return dateStr;
+  }
+}
+
+export function formatPrice(locale, amount, currency = "EUR") {
+  return getLocale(locale).formatPrice(amount, currency);
+}
@@ -0,0 +1,222 @@
+/**
+ * German locale pack - the agent's default language.
+ */
+
+const nightsWord = (n) => (n === 1 ? "Nacht" : "Nächte");
+const guests = (adults, children) =>
+  `${adults} Erwachsene${children ? ` und ${children} ${children === 1 ? "Kind" : "Kinder"}` : ""}`;
+
+export default {
+  code: "de",
+  dateLocale: "de-DE",
+
+  /* ---------- Extraction vocabulary ---------- */
+  markers: ["ich", "und", "wir", "für", "fuer", "nächte", "naechte", "bitte", "möchte", "moechte", "zimmer", "vom", "bis", "mit", "ein", "eine", "hallo", "guten", "erwachsene", "erwachsenen", "kinder", "kind", "personen"],
+  months: {
+    januar: 1, jan: 1, februar: 2, feb: 2, märz: 3, maerz: 3, mrz: 3,
+    april: 4, apr: 4, mai: 5, juni: 6, jun: 6, juli: 7, jul: 7,
+    august: 8, aug: 8, september: 9, sep: 9, sept: 9, oktober: 10, okt: 10,
+    november: 11, nov: 11, dezember: 12, dez: 12
+  },
+  relativeDates: { heute: 0, morgen: 1, "übermorgen": 2, uebermorgen: 2 },
+  weekdays: {
+    sonntag: 0, montag: 1, dienstag: 2, mittwoch: 3, donnerstag: 4,
+    freitag: 5, samstag: 6, sonnabend: 6
+  },
+  numberWords: {
+    ein: 1, eine: 1, einen: 1, einem: 1, einer: 1, zwei: 2, drei: 3, vier: 4,
+    "fünf": 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10, elf: 11, "zwölf": 12
+  },
+  // Greetings that contain a relative-date word ("Guten Morgen")
+  ignore: ["guten morgen"],
+  // Stems; inflected forms ("Erwachsenen", "Kindern") match by prefix
+  guestNouns: {
+    adults: ["erwachsen", "person", "leute", "gäste", "gaeste"],
+    children: ["kind"]
+  },
+  // Date phrases beyond plain dates (see extraction/dates.js)
+  dates: {
+    next: ["nächsten", "nächste", "nächster", "kommenden", "kommende"],
+    nextWeek: ["nächste woche", "kommende woche"],
+    offsetBefore: ["in"],
+    offsetAfter: [],
+    durationBefore: ["für", "fuer"],
+    durationSuffix: [],
+    units: {
+      tag: 1, tage: 1, tagen: 1, nacht: 1, "nächte": 1, naechte: 1, "nächten": 1,
+      "übernachtung": 1, "übernachtungen": 1, uebernachtung: 1, uebernachtungen: 1,
+      woche: 7, wochen: 7
+    },
+    rangeTo: ["bis zum", "bis", "-"],
+    dayFrom: ["ab dem", "ab", "vom", "am"],
+    monthParts: { anfang: "start", mitte: "mid", ende: "end" },
+    monthPartsAfter: false,
+    holidays: { ostern: "easter", pfingsten: "pentecost", weihnachten: "christmas", silvester: "new_year" }
+  },
+  nameIntros: ["mein name ist", "ich heiße", "ich heisse", "hier spricht", "hier ist", "auf den namen von", "auf den namen", "name"],
+  honorifics: ["herr", "frau", "dr.", "dr"],
+  // Answers to the agent's yes/no questions
+  answers: {
+    yes: ["ja", "jawohl", "genau", "gerne", "gern", "richtig", "okay", "ok", "einverstanden", "bitte buchen", "passt"],
+    no: ["nein", "nee", "lieber nicht", "noch nicht", "falsch", "stimmt nicht"]
+  },
+  // Phone numbers spoken digit by digit; countryCode completes national numbers ("0170 ...")
+  phone: {
+    plus: ["plus"],
+    digits: { null: 0, eins: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, "fünf": 5, sechs: 6, sieben: 7, acht: 8, neun: 9 },
+    repeat: { doppel: 2, doppelt: 2, dreifach: 3 },
+    countryCode: "49"
+  },
+  // Dictated email addresses; umlauts are written the German way ("Müller" -> "mueller")
+  email: {
+    at: ["at", "ät", "et", "klammeraffe", "affenschwanz", "at zeichen"],
+    dot: ["punkt", "dot"],
+    dash: ["bindestrich", "minus", "strich", "dash"],
+    underscore: ["unterstrich", "tiefstrich", "underscore"],
+    fillers: ["meine", "mein", "email", "e mail", "mail", "mailadresse", "adresse", "ist", "lautet", "heißt", "die", "das", "ja", "also", "genau", "bitte", "danke", "und", "äh", "ähm", "klein", "geschrieben", "alles", "zusammen"],
+    umlauts: { "ä": "ae", "ö": "oe", "ü": "ue", "ß": "ss" },
+    say: { at: "ät", dot: "Punkt", dash: "Bindestrich", underscore: "Unterstrich", plus: "Plus" }
+  },
+
+  /* ---------- Spoken replies ---------- */
+  formatPrice: (amount, currency) => (currency && currency !== "EUR" ? `${amount} ${currency}` : `${amount} Euro`),
+
+  messages: {
+    "availability.missing_dates": () => "Damit ich die Verfügbarkeit prüfen kann, brauche ich sowohl An- als auch Abreisedatum.",
+    "availability.hotelrunner": ({ nights, from, to, rooms, room, price }) =>
+      `Für ${nights} ${nightsWord(nights)} vom ${from} bis ${to} ` +
+      (rooms === 1 ? `ist noch ${room || "ein Zimmer"} frei` : `sind noch ${rooms} Zimmerkategorien frei`) +
+      (price ? `, ab ${price} für den gesamten Aufenthalt.` : "."),
+    "availability.available": ({ nights, from, to }) =>
+      `Für ${nights} ${nightsWord(nights)} vom ${from} bis ${to} haben wir passende Unterkünfte verfügbar.`,
+    "availability.sold_out": ({ nights, from, to }) =>
+      `Für ${nights} ${nightsWord(nights)} vom ${from} bis ${to} ist leider kein Zimmer mehr frei.`,
+    "availability.checkout_before_checkin": () => "Das Abreisedatum muss nach dem Anreisedatum liegen.",
+    "availability.past_date": () => "Das Anreisedatum darf nicht in der Vergangenheit liegen.",
+    "availability.too_many_guests": ({ total, max }) =>
+      `Für ${total} Gäste können wir leider keine Unterkunft anbieten. Maximum sind ${max} Gäste.`,
+    "availability.not_available": () => "Für die gewählten Daten ist derzeit nichts verfügbar.",
+    "availability.error": () => "Es gab ein technisches Problem bei der Verfügbarkeitsprüfung.",
+
+    "ask.check_in": () => "Wann möchten Sie anreisen?",
+    "ask.check_out": () => "Wie viele Nächte möchten Sie bleiben?",
+    "ask.adults": () => "Wie viele Erwachsene reisen mit, und kommen auch Kinder mit?",
+    "ask.surname": () => "Auf welchen Namen darf ich die Buchung vornehmen?",
+    "ask.email": () => "An welche E-Mail-Adresse darf ich die Bestätigung schicken?",
+    "email.confirm": ({ spelled }) => `Ich habe ${spelled} verstanden. Ist das richtig?`,
+    "email.spell_again": () => "Bitte buchstabieren Sie mir die E-Mail-Adresse, zum Beispiel m, a, x, ät, web, Punkt, de.",
+    "ask.nights_conflict": ({ stated, nights, from, to }) =>
+      `Sie sagten ${stated} ${nightsWord(stated)}, vom ${from} bis ${to} sind es aber ${nights} ${nightsWord(nights)}. Welche Angabe stimmt?`,
+
+    "ota.NO_AVAILABILITY": () => "Für die gewählten Daten ist leider kein Zimmer mehr frei.",
+    "ota.INVALID_DATES": () => "Die Reisedaten wurden vom Hotelsystem nicht akzeptiert. Können Sie mir An- und Abreise bitte noch einmal nennen?",
+    "ota.INVALID_GUEST": () => "Mir fehlen noch Angaben zum Gast. Können Sie mir bitte Ihren vollständigen Namen nennen?",
+    "ota.INVALID_GUEST_COUNT": () => "Diese Personenzahl ist für das gewählte Zimmer leider nicht möglich.",
+    "ota.INVALID_ROOM_TYPE": () => "Die gewählte Zimmerkategorie ist leider nicht buchbar.",
+    "ota.INVALID_RATE": () => "Der gewählte Tarif ist für diese Daten leider nicht buchbar.",
+    "ota.INVALID_CURRENCY": () => "Die Währung wurde vom Hotelsystem nicht akzeptiert.",
+    "ota.INVALID_REQUEST": () => "Die Buchung ist unvollständig und wurde vom Hotelsystem abgelehnt.",
+    "ota.BOOKING_NOT_FOUND": () => "Ich konnte diese Buchung leider nicht finden.",
+    "ota.ALREADY_CANCELLED": () => "Diese Buchung wurde bereits storniert.",
+    "ota.STAY_STARTED": () => "Ihr Aufenthalt hat bereits begonnen, das kann ich telefonisch leider nicht mehr ändern. Bitte wenden Sie sich an die Rezeption.",
+    "ota.HOTELRUNNER_AUTH": () => "Das Buchungssystem ist gerade nicht erreichbar. Ein Kollege meldet sich bei Ihnen.",
+    "ota.HOTELRUNNER_CONFIG": () => "Das Buchungssystem ist gerade nicht erreichbar. Ein Kollege meldet sich bei Ihnen.",
+    "ota.HOTELRUNNER_UNAVAILABLE": () => "Das Buchungssystem ist gerade nicht erreichbar. Bitte versuchen Sie es später noch einmal.",
+    "ota.HOTELRUNNER_FAULT": () => "Das Buchungssystem ist gerade nicht erreichbar. Bitte versuchen Sie es später noch einmal.",
+    "ota.HOTELRUNNER_REJECTED": () => "Die Buchung wurde vom Hotelsystem leider abgelehnt.",
+
+    "pricing.invalid_dates": () => "Das Abreisedatum muss nach dem Anreisedatum liegen.",
+    "pricing.unknown_room_type": () => "Diese Zimmerkategorie kenne ich leider nicht.",
+    "pricing.unknown_board": () => "Diese Verpflegungsart bieten wir leider nicht an.",
+    "pricing.occupancy_exceeded": ({ max_occupancy, max_adults }) =>
+      `In dieser Zimmerkategorie sind höchstens ${max_occupancy} Personen möglich, davon ${max_adults} Erwachsene.`,
+    "pricing.min_stay": ({ min_stay }) => `In diesem Zeitraum beträgt der Mindestaufenthalt ${min_stay} Nächte.`,
+
+    "fee.free_cancellation": () => "Die Stornierung ist für Sie kostenfrei.",
+    "fee.free_modification": () => "Die Änderung ist für Sie kostenfrei.",
+    "fee.amount": ({ amount, percent }) =>
+      `Laut unseren Stornobedingungen fällt eine Gebühr von ${amount} an, das sind ${percent} Prozent des Reisepreises.`,
+    "fee.percent": ({ percent }) =>
+      `Laut unseren Stornobedingungen fällt eine Gebühr von ${percent} Prozent des Reisepreises an.`,
+
+    "booking.cancelled": ({ id, fee }) => `Ihre Buchung ${id} ist storniert. ${fee}`,
+    "booking.cancelled_no_policy": ({ id }) => `Ihre Buchung ${id} ist storniert. Eine Bestätigung erhalten Sie per E-Mail.`,
+    "booking.modified": ({ id, nights, from, to, adults, children, fee }) =>
+      `Ihre Buchung ${id} ist geändert: ${nights} ${nightsWord(nights)} vom ${from} bis ${to} für ${guests(adults, children)}. ${fee}`,
+    "booking.modify_missing_dates": () => "Damit ich die Buchung ändern kann, brauche ich das neue An- und Abreisedatum.",
+    "booking.max_guests": ({ max }) => `Maximal sind ${max} Gäste pro Buchung möglich.`,
+
+    "lookup.describe": ({ id, nights, from, to, adults, children, status }) =>
+      `${id}: ${nights} ${nightsWord(nights)} vom ${from} bis ${to} für ${guests(adults, children)}, Status ${status}`,
+    "lookup.one": ({ booking }) => `Ich habe Ihre Buchung gefunden, ${booking}.`,
+    "lookup.many": ({ count, booking }) => `Ich habe ${count} Buchungen gefunden. Die neueste ist ${booking}.`,
+    "lookup.offer_only": ({ date, price }) =>
+      `Ich habe keine Buchung gefunden, aber wir haben Ihnen am ${date} ein Angebot${price ? ` über ${price}` : ""} geschickt.`,
+    "lookup.none": () => "Unter diesen Angaben konnte ich leider keine Buchung finden.",
+    "status.confirmed": () => "bestätigt",
+    "status.modified": () => "geändert",
+    "status.cancelled": () => "storniert",
+
+    "dialog.greeting": ({ hotel }) => `${hotel}, guten Tag! Wie kann ich Ihnen helfen?`,
+    "dialog.reminder": ({ ask }) => `Sind Sie noch da? ${ask}`,
+    "dialog.confirm": ({ price }) =>
+      `${price ? `Der Gesamtpreis beträgt ${price}. ` : ""}Soll ich das Zimmer für Sie buchen?`,
+    "dialog.confirm_again": () => "Soll ich das Zimmer für Sie buchen? Bitte antworten Sie mit Ja oder Nein.",
+    "dialog.change": () => "Gern. Was möchten Sie ändern?",
+    "dialog.other_dates": () => "Möchten Sie es mit anderen Daten versuchen?",
+    "dialog.booked": ({ id, email }) =>
+      `Ihre Buchung ist bestätigt, die Buchungsnummer ist ${id}. Die Bestätigung geht an ${email}. Kann ich sonst noch etwas für Sie tun?`,
+    "dialog.booking_failed": () => "Die Buchung konnte ich leider nicht abschließen. Ein Kollege meldet sich bei Ihnen.",
+    "dialog.error": () => "Entschuldigung, da ist ein technisches Problem aufgetreten. Können Sie das bitte wiederholen?",
+    "dialog.goodbye": () => "Vielen Dank für Ihren Anruf und auf Wiederhören!",
+
+    "mail.offer_subject": ({ hotel }) => `Ihr persönliches Angebot – ${hotel}`,
+    "mail.preview": ({ total, approx }) => `Gesamtpreis: ${total}${approx ? ` (ca. ${approx})` : ""}`,
+    "mail.greeting": ({ name }) => (name ? `Guten Tag ${name},` : "Guten Tag,"),
+    "mail.intro": () => "vielen Dank für Ihren Anruf. Gern bieten wir Ihnen folgenden Aufenthalt an:",
+    "mail.label_dates": () => "Reisezeitraum",
+    "mail.label_guests": () => "Gäste",
+    "mail.label_room": () => "Zimmer",
+    "mail.label_board": () => "Verpflegung",
+    "mail.dates": ({ from, to, nights }) => `${from} – ${to} (${nights} ${nightsWord(nights)})`,
+    "mail.guests": ({ adults, children }) => guests(adults, children),
+    "mail.discount": ({ percent }) => `Langzeitrabatt (${percent} %)`,
+    "mail.total": () => "Gesamtpreis",
+    "mail.fx_note": ({ rate }) => `Beträge in TRY zum Kurs 1 EUR = ${rate} TRY; abgerechnet wird in EUR.`,
+    "mail.confirm": () => "Angebot annehmen",
+    "mail.confirm_hint": () => "Über den Button bestätigen Sie die Annahme im nächsten Schritt, wir melden uns dann umgehend mit Ihrer Buchungsbestätigung.",
+    "mail.closing": ({ hotel }) => `Herzliche Grüße\nIhr Team des ${hotel}`,
+    "mail.accept_prompt": () => "Möchten Sie das Angebot verbindlich annehmen?",
+    "mail.accepted_page": () => "Vielen Dank! Wir haben Ihre Zusage erhalten und melden uns in Kürze mit der Buchungsbestätigung.",
+    "mail.invalid_link": () => "Dieser Link ist leider ungültig.",
+    "mail.confirmation_subject": ({ hotel, id }) => `Ihre Buchungsbestätigung ${id} – ${hotel}`,
+    "mail.confirmation_intro": ({ id }) => `vielen Dank für Ihre Buchung. Gerne bestätigen wir Ihre Reservierung mit der Buchungsnummer ${id}:`,
+    "mail.confirmation_attachment": () => "Ihre Reservierungsbestätigung mit den Stornobedingungen finden Sie als PDF im Anhang.",
+    "mail.offer_attachment": () => "Das Angebot finden Sie zusätzlich als PDF im Anhang.",
+
+    "pdf.offer_title": () => "Angebot",
+    "pdf.confirmation_title": () => "Reservierungsbestätigung",
+    "pdf.offer_number": () => "Angebotsnr.",
+    "pdf.booking_number": () => "Buchungsnr.",
+    "pdf.issued": () => "Datum",
+    "pdf.guest": () => "Gast",
+    "pdf.email": () => "E-Mail",
+    "pdf.stay_title": () => "Ihr Aufenthalt",
+    "pdf.price_title": () => "Preis",
+    "pdf.cancellation_title": () => "Stornobedingungen",
+    "pdf.cancel_from": ({ days }) => `Ab ${days} Tagen vor Anreise`,
+    "pdf.cancel_range": ({ from, to }) => (from === to ? `${from} ${from === 1 ? "Tag" : "Tage"} vor Anreise` : `${from} bis ${to} Tage vor Anreise`),
+    "pdf.cancel_late": ({ days }) => `Weniger als ${days} Tage vor Anreise oder Nichtanreise`,
+    "pdf.cancel_arrival_day": () => "Am Anreisetag oder bei Nichtanreise",
+    "pdf.cancel_free": () => "kostenfrei",
+    "pdf.cancel_fee": ({ percent }) => `${percent} % des Gesamtpreises`,
+    "pdf.free_until": ({ date }) => `Kostenfreie Stornierung bis ${date}.`,
+    "pdf.offer_note": () => "Dieses Angebot ist bis zu Ihrer Bestätigung freibleibend. Wir freuen uns auf Ihren Besuch.",
+    "pdf.confirmation_note": () => "Bitte bringen Sie diese Bestätigung zur Anreise mit. Wir freuen uns auf Ihren Besuch.",
+
+    "sms.offer": ({ hotel, stay, total, url }) =>
+      `${hotel}: Ihr Angebot${stay ? ` für ${stay}` : ""}${total ? `, Gesamtpreis ${total}` : ""}.${url ? ` Annehmen: ${url}` : ""}`,
+    "sms.confirmation": ({ hotel, id, stay, total }) =>
+      `${hotel}: Ihre Buchung ${id} ist bestätigt${stay ? ` – ${stay}` : ""}${total ? `, Gesamtpreis ${total}` : ""}. Wir freuen uns auf Sie!`
+  }
+};
@@ -0,0 +1,221 @@
+/**
+ * English locale pack.
+ */
+
+const nightsWord = (n) => (n === 1 ? "night" : "nights");
+const guests = (adults, children) =>
+  `${adults} ${adults === 1 ? "adult" : "adults"}${children ? ` and ${children} ${children === 1 ? "child" : "children"}` : ""}`;
+
+export default {
+  code: "en",
+  dateLocale: "en-GB",
+
+  /* ---------- Extraction vocabulary ---------- */
+  markers: ["i", "we", "the", "and", "for", "nights", "night", "please", "would", "like", "room", "from", "to", "with", "hello", "hi", "my", "book", "want", "need", "adults", "adult", "children", "child", "kids", "people", "guests"],
+  months: {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4,
+    may: 5, june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8,
+    september: 9, sep: 9, sept: 9, october: 10, oct: 10, november: 11, nov: 11,
+    december: 12, dec: 12
+  },
+  relativeDates: { today: 0, tomorrow: 1, "day after tomorrow": 2 },
+  weekdays: {
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+  },
+  numberWords: {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+  },
+  ignore: [],
+  guestNouns: {
+    adults: ["adult", "person", "people", "guest", "grown"],
+    children: ["child", "kid"]
+  },
+  // Date phrases beyond plain dates (see extraction/dates.js)
+  dates: {
+    next: ["next", "this", "coming"],
+    nextWeek: ["next week"],
+    offsetBefore: ["in"],
+    offsetAfter: [],
+    durationBefore: ["for"],
+    durationSuffix: [],
+    units: { day: 1, days: 1, night: 1, nights: 1, week: 7, weeks: 7 },
+    rangeTo: ["to", "until", "till", "through", "-"],
+    dayFrom: ["from the", "on the", "the"],
+    monthParts: {
+      "beginning of": "start", "start of": "start", early: "start",
+      "middle of": "mid", mid: "mid", "end of": "end", late: "end"
+    },
+    monthPartsAfter: false,
+    holidays: {
+      easter: "easter", pentecost: "pentecost", whitsun: "pentecost", christmas: "christmas",
+      "new year's eve": "new_year", "new years eve": "new_year"
+    }
+  },
+  nameIntros: ["my name is", "this is", "i am", "the name is", "under the name of", "under the name", "name"],
+  honorifics: ["mr.", "mr", "mrs.", "mrs", "ms.", "ms", "miss", "dr.", "dr"],
+  // Answers to the agent's yes/no questions
+  answers: {
+    yes: ["yes", "yeah", "yep", "sure", "correct", "right", "okay", "ok", "please do", "go ahead", "book it"],
+    no: ["no", "nope", "not yet", "rather not", "wrong", "don't", "do not"]
+  },
+  // Phone numbers spoken digit by digit; no country code, English callers come from anywhere
+  phone: {
+    plus: ["plus"],
+    digits: { zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 },
+    repeat: { double: 2, triple: 3 },
+    countryCode: null
+  },
+  // Dictated email addresses
+  email: {
+    at: ["at", "at sign"],
+    dot: ["dot", "period", "point"],
+    dash: ["dash", "hyphen", "minus"],
+    underscore: ["underscore"],
+    fillers: ["my", "email", "e mail", "mail", "address", "is", "it", "its", "the", "that", "yes", "so", "please", "thanks", "thank", "you", "and", "uh", "um", "all", "lowercase"],
+    umlauts: {},
+    say: { at: "at", dot: "dot", dash: "dash", underscore: "underscore", plus: "plus" }
+  },
+
+  /* ---------- Spoken replies ---------- */
+  formatPrice: (amount, currency) => (currency && currency !== "EUR" ? `${amount} ${currency}` : `${amount} euros`),
+
+  messages: {
+    "availability.missing_dates": () => "To check availability I need both your arrival and your departure date.",
+    "availability.hotelrunner": ({ nights, from, to, rooms, room, price }) =>
+      `For ${nights} ${nightsWord(nights)} from ${from} to ${to} ` +
+      (rooms === 1 ? `we still have ${room || "one room"} available` : `we still have ${rooms} room categories available`) +
+      (price ? `, from ${price} for the whole stay.` : "."),
+    "availability.available": ({ nights, from, to }) =>
+      `For ${nights} ${nightsWord(nights)} from ${from} to ${to} we have suitable rooms available.`,
+    "availability.sold_out": ({ nights, from, to }) =>
+      `Unfortunately we have no rooms left for ${nights} ${nightsWord(nights)} from ${from} to ${to}.`,
+    "availability.checkout_before_checkin": () => "The departure date has to be after the arrival date.",
+    "availability.past_date": () => "The arrival date cannot be in the past.",
+    "availability.too_many_guests": ({ total, max }) =>
+      `Unfortunately we cannot accommodate ${total} guests. The maximum is ${max} guests.`,
+    "availability.not_available": () => "Nothing is available for the selected dates at the moment.",
+    "availability.error": () => "There was a technical problem while checking availability.",
+
+    "ask.check_in": () => "When would you like to arrive?",
+    "ask.check_out": () => "How many nights would you like to stay?",
+    "ask.adults": () => "How many adults are travelling, and will any children come along?",
+    "ask.surname": () => "Under which name may I make the booking?",
+    "ask.email": () => "Which email address should I send the confirmation to?",
+    "email.confirm": ({ spelled }) => `I have ${spelled}. Is that correct?`,
+    "email.spell_again": () => "Could you spell the email address for me, for example m, a, x, at, gmail, dot, com?",
+    "ask.nights_conflict": ({ stated, nights, from, to }) =>
+      `You mentioned ${stated} ${nightsWord(stated)}, but from ${from} to ${to} it is ${nights} ${nightsWord(nights)}. Which is correct?`,
+
+    "ota.NO_AVAILABILITY": () => "Unfortunately there are no rooms left for the selected dates.",
+    "ota.INVALID_DATES": () => "The hotel system did not accept the travel dates. Could you tell me your arrival and departure again, please?",
+    "ota.INVALID_GUEST": () => "I am still missing some guest details. Could you tell me your full name, please?",
+    "ota.INVALID_GUEST_COUNT": () => "Unfortunately this number of guests is not possible for the selected room.",
+    "ota.INVALID_ROOM_TYPE": () => "Unfortunately the selected room category cannot be booked.",
+    "ota.INVALID_RATE": () => "Unfortunately the selected rate cannot be booked for these dates.",
+    "ota.INVALID_CURRENCY": () => "The hotel system did not accept the currency.",
+    "ota.INVALID_REQUEST": () => "The booking is incomplete and was rejected by the hotel system.",
+    "ota.BOOKING_NOT_FOUND": () => "Unfortunately I could not find this booking.",
+    "ota.ALREADY_CANCELLED": () => "This booking has already been cancelled.",
+    "ota.STAY_STARTED": () => "Your stay has already started, so I cannot change it over the phone. Please contact the front desk.",
+    "ota.HOTELRUNNER_AUTH": () => "The booking system is not reachable right now. A colleague will get back to you.",
+    "ota.HOTELRUNNER_CONFIG": () => "The booking system is not reachable right now. A colleague will get back to you.",
+    "ota.HOTELRUNNER_UNAVAILABLE": () => "The booking system is not reachable right now. Please try again later.",
+    "ota.HOTELRUNNER_FAULT": () => "The booking system is not reachable right now. Please try again later.",
+    "ota.HOTELRUNNER_REJECTED": () => "Unfortunately the hotel system rejected the booking.",
+
+    "pricing.invalid_dates": () => "The departure date has to be after the arrival date.",
+    "pricing.unknown_room_type": () => "I am afraid I do not know this room category.",
+    "pricing.unknown_board": () => "Unfortunately we do not offer this meal plan.",
+    "pricing.occupancy_exceeded": ({ max_occupancy, max_adults }) =>
+      `This room category sleeps at most ${max_occupancy} people, of which ${max_adults} adults.`,
+    "pricing.min_stay": ({ min_stay }) => `The minimum stay in this period is ${min_stay} nights.`,
+
+    "fee.free_cancellation": () => "The cancellation is free of charge for you.",
+    "fee.free_modification": () => "The change is free of charge for you.",
+    "fee.amount": ({ amount, percent }) =>
+      `According to our cancellation policy a fee of ${amount} applies, which is ${percent} percent of the total price.`,
+    "fee.percent": ({ percent }) =>
+      `According to our cancellation policy a fee of ${percent} percent of the total price applies.`,
+
+    "booking.cancelled": ({ id, fee }) => `Your booking ${id} has been cancelled. ${fee}`,
+    "booking.cancelled_no_policy": ({ id }) => `Your booking ${id} has been cancelled. You will receive a confirmation by email.`,
+    "booking.modified": ({ id, nights, from, to, adults, children, fee }) =>
+      `Your booking ${id} has been changed: ${nights} ${nightsWord(nights)} from ${from} to ${to} for ${guests(adults, children)}. ${fee}`,
+    "booking.modify_missing_dates": () => "To change the booking I need the new arrival and departure date.",
+    "booking.max_guests": ({ max }) => `A booking can have at most ${max} guests.`,
+
+    "lookup.describe": ({ id, nights, from, to, adults, children, status }) =>
+      `${id}: ${nights} ${nightsWord(nights)} from ${from} to ${to} for ${guests(adults, children)}, status ${status}`,
+    "lookup.one": ({ booking }) => `I found your booking, ${booking}.`,
+    "lookup.many": ({ count, booking }) => `I found ${count} bookings. The most recent one is ${booking}.`,
+    "lookup.offer_only": ({ date, price }) =>
+      `I could not find a booking, but we sent you an offer${price ? ` for ${price}` : ""} on ${date}.`,
+    "lookup.none": () => "Unfortunately I could not find a booking with these details.",
+    "status.confirmed": () => "confirmed",
+    "status.modified": () => "changed",
+    "status.cancelled": () => "cancelled",
+
+    "dialog.greeting": ({ hotel }) => `${hotel}, good day! How can I help you?`,
+    "dialog.reminder": ({ ask }) => `Are you still there? ${ask}`,
+    "dialog.confirm": ({ price }) =>
+      `${price ? `The total price is ${price}. ` : ""}Shall I book the room for you?`,
+    "dialog.confirm_again": () => "Shall I book the room for you? Please answer yes or no.",
+    "dialog.change": () => "Of course. What would you like to change?",
+    "dialog.other_dates": () => "Would you like to try other dates?",
+    "dialog.booked": ({ id, email }) =>
+      `Your booking is confirmed, the booking number is ${id}. The confirmation goes to ${email}. Is there anything else I can do for you?`,
+    "dialog.booking_failed": () => "Unfortunately I could not complete the booking. A colleague will get back to you.",
+    "dialog.error": () => "Sorry, there was a technical problem. Could you please repeat that?",
+    "dialog.goodbye": () => "Thank you for calling and goodbye!",
+
+    "mail.offer_subject": ({ hotel }) => `Your personal offer – ${hotel}`,
+    "mail.preview": ({ total, approx }) => `Total price: ${total}${approx ? ` (approx. ${approx})` : ""}`,
+    "mail.greeting": ({ name }) => (name ? `Dear ${name},` : "Hello,"),
+    "mail.intro": () => "thank you for your call. We are happy to offer you the following stay:",
+    "mail.label_dates": () => "Dates",
+    "mail.label_guests": () => "Guests",
+    "mail.label_room": () => "Room",
+    "mail.label_board": () => "Board",
+    "mail.dates": ({ from, to, nights }) => `${from} – ${to} (${nights} ${nightsWord(nights)})`,
+    "mail.guests": ({ adults, children }) => guests(adults, children),
+    "mail.discount": ({ percent }) => `Long-stay discount (${percent}%)`,
+    "mail.total": () => "Total price",
+    "mail.fx_note": ({ rate }) => `TRY amounts at 1 EUR = ${rate} TRY; you will be charged in EUR.`,
+    "mail.confirm": () => "Accept offer",
+    "mail.confirm_hint": () => "The button takes you to a page where you confirm the acceptance; we will then get back to you promptly with your booking confirmation.",
+    "mail.closing": ({ hotel }) => `Kind regards\nYour ${hotel} team`,
+    "mail.accept_prompt": () => "Would you like to accept the offer?",
+    "mail.accepted_page": () => "Thank you! We have received your acceptance and will send your booking confirmation shortly.",
+    "mail.invalid_link": () => "Sorry, this link is not valid.",
+    "mail.confirmation_subject": ({ hotel, id }) => `Your booking confirmation ${id} – ${hotel}`,
+    "mail.confirmation_intro": ({ id }) => `thank you for your booking. We are pleased to confirm your reservation with booking number ${id}:`,
+    "mail.confirmation_attachment": () => "Your reservation confirmation with the cancellation terms is attached as a PDF.",
+    "mail.offer_attachment": () => "You will also find the offer attached as a PDF.",
+
+    "pdf.offer_title": () => "Offer",
+    "pdf.confirmation_title": () => "Reservation confirmation",
+    "pdf.offer_number": () => "Offer no.",
+    "pdf.booking_number": () => "Booking no.",
+    "pdf.issued": () => "Date",
+    "pdf.guest": () => "Guest",
+    "pdf.email": () => "Email",
+    "pdf.stay_title": () => "Your stay",
+    "pdf.price_title": () => "Price",
+    "pdf.cancellation_title": () => "Cancellation terms",
+    "pdf.cancel_from": ({ days }) => `${days} days or more before arrival`,
+    "pdf.cancel_range": ({ from, to }) => (from === to ? `${from} ${from === 1 ? "day" : "days"} before arrival` : `${from} to ${to} days before arrival`),
+    "pdf.cancel_late": ({ days }) => `Less than ${days} days before arrival or no-show`,
+    "pdf.cancel_arrival_day": () => "On the day of arrival or no-show",
+    "pdf.cancel_free": () => "free of charge",
+    "pdf.cancel_fee": ({ percent }) => `${percent}% of the total price`,
+    "pdf.free_until": ({ date }) => `Free cancellation until ${date}.`,
+    "pdf.offer_note": () => "This offer is subject to availability until you confirm it. We look forward to welcoming you.",
+    "pdf.confirmation_note": () => "Please bring this confirmation with you on arrival. We look forward to welcoming you.",
+
+    "sms.offer": ({ hotel, stay, total, url }) =>
+      `${hotel}: your offer${stay ? ` for ${stay}` : ""}${total ? `, total ${total}` : ""}.${url ? ` Accept: ${url}` : ""}`,
+    "sms.confirmation": ({ hotel, id, stay, total }) =>
+      `${hotel}: your booking ${id} is confirmed${stay ? ` – ${stay}` : ""}${total ? `, total ${total}` : ""}. We look forward to your stay!`
+  }
+};
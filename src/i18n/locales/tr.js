@@ -0,0 +1,218 @@
+/**
+ * Turkish locale pack.
+ */
+
+const guests = (adults, children) =>
+  `${adults} yetişkin${children ? ` ve ${children} çocuk` : ""}`;
+
+export default {
+  code: "tr",
+  dateLocale: "tr-TR",
+
+  /* ---------- Extraction vocabulary ---------- */
+  markers: ["ve", "bir", "icin", "için", "gece", "oda", "lutfen", "lütfen", "istiyorum", "merhaba", "rezervasyon", "benim", "adim", "adım", "kisi", "kişi", "tarihinde", "arasi", "arası", "evet", "hayir", "hayır", "yetiskin", "yetişkin", "cocuk", "çocuk", "gün", "kadar"],
+  months: {
+    ocak: 1, subat: 2, "şubat": 2, mart: 3, nisan: 4, mayis: 5, "mayıs": 5,
+    haziran: 6, temmuz: 7, agustos: 8, "ağustos": 8, eylul: 9, "eylül": 9,
+    ekim: 10, kasim: 11, "kasım": 11, aralik: 12, "aralık": 12
+  },
+  relativeDates: { "bugün": 0, "yarın": 1, "öbür gün": 2, "öbürgün": 2, "yarından sonra": 2 },
+  weekdays: {
+    pazar: 0, pazartesi: 1, "salı": 2, "çarşamba": 3, "perşembe": 4, cuma: 5, cumartesi: 6
+  },
+  numberWords: {
+    bir: 1, iki: 2, "üç": 3, "dört": 4, "beş": 5, "altı": 6,
+    yedi: 7, sekiz: 8, dokuz: 9, on: 10, "on bir": 11, "on iki": 12
+  },
+  ignore: [],
+  // Case suffixes attach to dates and weekdays ("cumaya", "temmuzda")
+  suffixes: true,
+  guestNouns: {
+    adults: ["yetişkin", "büyük", "kişi"],
+    children: ["çocu"]
+  },
+  // Date phrases beyond plain dates (see extraction/dates.js)
+  dates: {
+    next: ["gelecek", "önümüzdeki", "bu"],
+    nextWeek: ["gelecek hafta", "önümüzdeki hafta", "haftaya"],
+    offsetBefore: [],
+    offsetAfter: ["sonra"],
+    durationBefore: [],
+    durationSuffix: ["lik", "luk", "lık"],
+    units: { "gün": 1, gece: 1, hafta: 7 },
+    rangeTo: ["ile", "-"],
+    dayFrom: ["ayın"],
+    monthParts: {
+      "başı": "start", "başında": "start", "ortası": "mid", "ortasında": "mid",
+      "sonu": "end", "sonunda": "end", "sonuna": "end"
+    },
+    monthPartsAfter: true,
+    holidays: { paskalya: "easter", noel: "christmas", "yılbaşı": "new_year" }
+  },
+  nameIntros: ["benim adım", "adım", "ismim", "benim ismim", "ad soyad"],
+  honorifics: ["bay", "bayan", "dr.", "dr"],
+  // Answers to the agent's yes/no questions
+  answers: {
+    yes: ["evet", "tabii", "tabi", "olur", "tamam", "doğru", "aynen", "lütfen"],
+    no: ["hayır", "yok", "istemiyorum", "şimdilik değil", "yanlış", "olmaz"]
+  },
+  // Phone numbers spoken digit by digit; countryCode completes national numbers ("0532 ...")
+  phone: {
+    plus: ["artı"],
+    digits: { "sıfır": 0, bir: 1, iki: 2, "üç": 3, "dört": 4, "beş": 5, "altı": 6, yedi: 7, sekiz: 8, dokuz: 9 },
+    repeat: { "çift": 2 },
+    countryCode: "90"
+  },
+  // Dictated email addresses; Turkish letters fall back to ASCII ("yılmaz" -> "yilmaz")
+  email: {
+    at: ["et", "at", "et işareti"],
+    dot: ["nokta"],
+    dash: ["tire", "kısa çizgi", "eksi"],
+    underscore: ["alt çizgi"],
+    fillers: ["benim", "mail", "e posta", "eposta", "email", "adresim", "adresi", "adres", "şu", "evet", "lütfen", "teşekkürler", "ve", "yani", "hepsi", "küçük", "bitişik"],
+    umlauts: {},
+    say: { at: "et", dot: "nokta", dash: "tire", underscore: "alt çizgi", plus: "artı" }
+  },
+
+  /* ---------- Spoken replies ---------- */
+  formatPrice: (amount, currency) => (currency && currency !== "EUR" ? `${amount} ${currency}` : `${amount} Euro`),
+
+  messages: {
+    "availability.missing_dates": () => "Müsaitliği kontrol edebilmem için hem giriş hem de çıkış tarihine ihtiyacım var.",
+    "availability.hotelrunner": ({ nights, from, to, rooms, room, price }) =>
+      `${from} ile ${to} arasındaki ${nights} gece için ` +
+      (rooms === 1 ? `${room || "bir oda"} hâlâ müsait` : `${rooms} oda kategorisi hâlâ müsait`) +
+      (price ? `, tüm konaklama için ${price} fiyattan başlıyor.` : "."),
+    "availability.available": ({ nights, from, to }) =>
+      `${from} ile ${to} arasındaki ${nights} gece için uygun odalarımız mevcut.`,
+    "availability.sold_out": ({ nights, from, to }) =>
+      `Maalesef ${from} ile ${to} arasındaki ${nights} gece için boş odamız kalmadı.`,
+    "availability.checkout_before_checkin": () => "Çıkış tarihi giriş tarihinden sonra olmalıdır.",
+    "availability.past_date": () => "Giriş tarihi geçmişte olamaz.",
+    "availability.too_many_guests": ({ total, max }) =>
+      `Maalesef ${total} misafir için konaklama sunamıyoruz. En fazla ${max} misafir mümkündür.`,
+    "availability.not_available": () => "Seçilen tarihler için şu anda müsaitlik yok.",
+    "availability.error": () => "Müsaitlik kontrolü sırasında teknik bir sorun oluştu.",
+
+    "ask.check_in": () => "Hangi tarihte giriş yapmak istersiniz?",
+    "ask.check_out": () => "Kaç gece kalmak istersiniz?",
+    "ask.adults": () => "Kaç yetişkin seyahat ediyor, çocuk da olacak mı?",
+    "ask.surname": () => "Rezervasyonu hangi isimle yapayım?",
+    "ask.email": () => "Onayı hangi e-posta adresine göndereyim?",
+    "email.confirm": ({ spelled }) => `${spelled} olarak anladım. Doğru mu?`,
+    "email.spell_again": () => "E-posta adresini harf harf söyler misiniz? Örneğin a, l, i, et, gmail, nokta, com.",
+    "ask.nights_conflict": ({ stated, nights, from, to }) =>
+      `${stated} gece dediniz, ancak ${from} ile ${to} arası ${nights} gece ediyor. Hangisi doğru?`,
+
+    "ota.NO_AVAILABILITY": () => "Maalesef seçilen tarihler için boş oda kalmadı.",
+    "ota.INVALID_DATES": () => "Seyahat tarihleri otel sistemi tarafından kabul edilmedi. Giriş ve çıkış tarihlerinizi tekrar söyleyebilir misiniz?",
+    "ota.INVALID_GUEST": () => "Misafir bilgileri eksik. Lütfen tam adınızı söyler misiniz?",
+    "ota.INVALID_GUEST_COUNT": () => "Maalesef bu kişi sayısı seçilen oda için mümkün değil.",
+    "ota.INVALID_ROOM_TYPE": () => "Maalesef seçilen oda kategorisi rezerve edilemiyor.",
+    "ota.INVALID_RATE": () => "Maalesef seçilen fiyat bu tarihler için rezerve edilemiyor.",
+    "ota.INVALID_CURRENCY": () => "Para birimi otel sistemi tarafından kabul edilmedi.",
+    "ota.INVALID_REQUEST": () => "Rezervasyon eksik olduğu için otel sistemi tarafından reddedildi.",
+    "ota.BOOKING_NOT_FOUND": () => "Maalesef bu rezervasyonu bulamadım.",
+    "ota.ALREADY_CANCELLED": () => "Bu rezervasyon zaten iptal edilmiş.",
+    "ota.STAY_STARTED": () => "Konaklamanız zaten başladı, bunu telefonda değiştiremiyorum. Lütfen resepsiyona başvurun.",
+    "ota.HOTELRUNNER_AUTH": () => "Rezervasyon sistemine şu anda ulaşılamıyor. Bir meslektaşım sizinle iletişime geçecek.",
+    "ota.HOTELRUNNER_CONFIG": () => "Rezervasyon sistemine şu anda ulaşılamıyor. Bir meslektaşım sizinle iletişime geçecek.",
+    "ota.HOTELRUNNER_UNAVAILABLE": () => "Rezervasyon sistemine şu anda ulaşılamıyor. Lütfen daha sonra tekrar deneyin.",
+    "ota.HOTELRUNNER_FAULT": () => "Rezervasyon sistemine şu anda ulaşılamıyor. Lütfen daha sonra tekrar deneyin.",
+    "ota.HOTELRUNNER_REJECTED": () => "Maalesef rezervasyon otel sistemi tarafından reddedildi.",
+
+    "pricing.invalid_dates": () => "Çıkış tarihi giriş tarihinden sonra olmalıdır.",
+    "pricing.unknown_room_type": () => "Maalesef bu oda kategorisini tanımıyorum.",
+    "pricing.unknown_board": () => "Maalesef bu pansiyon türünü sunmuyoruz.",
+    "pricing.occupancy_exceeded": ({ max_occupancy, max_adults }) =>
+      `Bu oda kategorisinde en fazla ${max_occupancy} kişi kalabilir, bunların en fazla ${max_adults} tanesi yetişkin olabilir.`,
+    "pricing.min_stay": ({ min_stay }) => `Bu dönemde minimum konaklama süresi ${min_stay} gecedir.`,
+
+    "fee.free_cancellation": () => "İptal sizin için ücretsizdir.",
+    "fee.free_modification": () => "Değişiklik sizin için ücretsizdir.",
+    "fee.amount": ({ amount, percent }) =>
+      `İptal koşullarımıza göre ${amount} tutarında bir ücret alınır, bu toplam fiyatın yüzde ${percent} kadarıdır.`,
+    "fee.percent": ({ percent }) =>
+      `İptal koşullarımıza göre toplam fiyatın yüzde ${percent} kadarı ücret olarak alınır.`,
+
+    "booking.cancelled": ({ id, fee }) => `${id} numaralı rezervasyonunuz iptal edildi. ${fee}`,
+    "booking.cancelled_no_policy": ({ id }) => `${id} numaralı rezervasyonunuz iptal edildi. Onayı e-posta ile alacaksınız.`,
+    "booking.modified": ({ id, nights, from, to, adults, children, fee }) =>
+      `${id} numaralı rezervasyonunuz değiştirildi: ${from} ile ${to} arası ${nights} gece, ${guests(adults, children)}. ${fee}`,
+    "booking.modify_missing_dates": () => "Rezervasyonu değiştirebilmem için yeni giriş ve çıkış tarihine ihtiyacım var.",
+    "booking.max_guests": ({ max }) => `Bir rezervasyonda en fazla ${max} misafir olabilir.`,
+
+    "lookup.describe": ({ id, nights, from, to, adults, children, status }) =>
+      `${id}: ${from} ile ${to} arası ${nights} gece, ${guests(adults, children)}, durum ${status}`,
+    "lookup.one": ({ booking }) => `Rezervasyonunuzu buldum, ${booking}.`,
+    "lookup.many": ({ count, booking }) => `${count} rezervasyon buldum. En yenisi ${booking}.`,
+    "lookup.offer_only": ({ date, price }) =>
+      `Rezervasyon bulamadım, ancak size ${date} tarihinde${price ? ` ${price} tutarında` : ""} bir teklif gönderdik.`,
+    "lookup.none": () => "Maalesef bu bilgilerle bir rezervasyon bulamadım.",
+    "status.confirmed": () => "onaylandı",
+    "status.modified": () => "değiştirildi",
+    "status.cancelled": () => "iptal edildi",
+
+    "dialog.greeting": ({ hotel }) => `${hotel}, iyi günler! Size nasıl yardımcı olabilirim?`,
+    "dialog.reminder": ({ ask }) => `Hâlâ hatta mısınız? ${ask}`,
+    "dialog.confirm": ({ price }) =>
+      `${price ? `Toplam fiyat ${price}. ` : ""}Odayı sizin için ayırayım mı?`,
+    "dialog.confirm_again": () => "Odayı sizin için ayırayım mı? Lütfen evet ya da hayır deyin.",
+    "dialog.change": () => "Tabii. Neyi değiştirmek istersiniz?",
+    "dialog.other_dates": () => "Başka tarihleri denemek ister misiniz?",
+    "dialog.booked": ({ id, email }) =>
+      `Rezervasyonunuz onaylandı, rezervasyon numaranız ${id}. Onay ${email} adresine gönderilecek. Başka bir konuda yardımcı olabilir miyim?`,
+    "dialog.booking_failed": () => "Maalesef rezervasyonu tamamlayamadım. Bir arkadaşım sizinle iletişime geçecek.",
+    "dialog.error": () => "Özür dilerim, teknik bir sorun oluştu. Lütfen tekrar eder misiniz?",
+    "dialog.goodbye": () => "Aradığınız için teşekkür ederiz, iyi günler!",
+
+    "mail.offer_subject": ({ hotel }) => `Size özel teklifiniz – ${hotel}`,
+    "mail.preview": ({ total, approx }) => `Toplam fiyat: ${total}${approx ? ` (yaklaşık ${approx})` : ""}`,
+    "mail.greeting": ({ name }) => (name ? `Sayın ${name},` : "Merhaba,"),
+    "mail.intro": () => "aramanız için teşekkür ederiz. Size aşağıdaki konaklamayı sunmaktan memnuniyet duyarız:",
+    "mail.label_dates": () => "Tarihler",
+    "mail.label_guests": () => "Misafirler",
+    "mail.label_room": () => "Oda",
+    "mail.label_board": () => "Pansiyon",
+    "mail.dates": ({ from, to, nights }) => `${from} – ${to} (${nights} gece)`,
+    "mail.guests": ({ adults, children }) => guests(adults, children),
+    "mail.discount": ({ percent }) => `Uzun konaklama indirimi (%${percent})`,
+    "mail.total": () => "Toplam fiyat",
+    "mail.fx_note": ({ rate }) => `TRY tutarları 1 EUR = ${rate} TRY kuruyla; ödeme EUR üzerinden alınır.`,
+    "mail.confirm": () => "Teklifi kabul et",
+    "mail.confirm_hint": () => "Butona tıkladıktan sonra açılan sayfada kabulü onaylayabilirsiniz; rezervasyon onayınızla en kısa sürede size dönüş yapacağız.",
+    "mail.closing": ({ hotel }) => `Saygılarımızla\n${hotel} ekibi`,
+    "mail.accept_prompt": () => "Teklifi kabul etmek istiyor musunuz?",
+    "mail.accepted_page": () => "Teşekkürler! Onayınızı aldık, rezervasyon onayınızı kısa süre içinde göndereceğiz.",
+    "mail.invalid_link": () => "Maalesef bu bağlantı geçerli değil.",
+    "mail.confirmation_subject": ({ hotel, id }) => `Rezervasyon onayınız ${id} – ${hotel}`,
+    "mail.confirmation_intro": ({ id }) => `rezervasyonunuz için teşekkür ederiz. ${id} numaralı rezervasyonunuzu memnuniyetle onaylıyoruz:`,
+    "mail.confirmation_attachment": () => "İptal koşullarını içeren rezervasyon onayınız ekte PDF olarak yer almaktadır.",
+    "mail.offer_attachment": () => "Teklifi ayrıca ekte PDF olarak bulabilirsiniz.",
+
+    "pdf.offer_title": () => "Teklif",
+    "pdf.confirmation_title": () => "Rezervasyon onayı",
+    "pdf.offer_number": () => "Teklif no.",
+    "pdf.booking_number": () => "Rezervasyon no.",
+    "pdf.issued": () => "Tarih",
+    "pdf.guest": () => "Misafir",
+    "pdf.email": () => "E-posta",
+    "pdf.stay_title": () => "Konaklamanız",
+    "pdf.price_title": () => "Fiyat",
+    "pdf.cancellation_title": () => "İptal koşulları",
+    "pdf.cancel_from": ({ days }) => `Girişten ${days} gün veya daha önce`,
+    "pdf.cancel_range": ({ from, to }) => (from === to ? `Girişten ${from} gün önce` : `Girişten ${to} ile ${from} gün önce`),
+    "pdf.cancel_late": ({ days }) => `Girişe ${days} günden az kala veya gelmeme durumunda`,
+    "pdf.cancel_arrival_day": () => "Giriş gününde veya gelmeme durumunda",
+    "pdf.cancel_free": () => "ücretsiz",
+    "pdf.cancel_fee": ({ percent }) => `%${percent} iptal ücreti`,
+    "pdf.free_until": ({ date }) => `${date} tarihine kadar ücretsiz iptal.`,
+    "pdf.offer_note": () => "Bu teklif siz onaylayana kadar müsaitliğe bağlıdır. Sizi ağırlamayı sabırsızlıkla bekliyoruz.",
+    "pdf.confirmation_note": () => "Lütfen bu onayı girişte yanınızda bulundurun. Sizi ağırlamayı sabırsızlıkla bekliyoruz.",
+
+    "sms.offer": ({ hotel, stay, total, url }) =>
+      `${hotel}: ${stay ? `${stay} için teklifiniz` : "Teklifiniz"}${total ? `, toplam ${total}` : ""}.${url ? ` Onaylamak için: ${url}` : ""}`,
+    "sms.confirmation": ({ hotel, id, stay, total }) =>
+      `${hotel}: ${id} numaralı rezervasyonunuz onaylandı${stay ? ` – ${stay}` : ""}${total ? `, toplam ${total}` : ""}. Sizi bekliyoruz!`
+  }
+};
@@ -0,0 +1,116 @@
+// keys/cli.js - API-Schlüssel der Tool-Routen verwalten (npm run keys -- <Befehl>).
+// Arbeitet direkt auf dem konfigurierten Store; der laufende Server sieht
+// neue, rotierte und widerrufene Schlüssel ohne Neustart.
+
+import { parseArgs } from "node:util";
+import { CONFIG } from "../config.js";
+import { createStore } from "../store/index.js";
+import { loadTenants } from "../tenants/index.js";
+import { createApiKeys, parseDuration, SCOPES } from "./index.js";
+
+const USAGE = `Usage: npm run keys -- <command>
+
+  issue  --hotel <id> [--name <label>] [--scopes ${SCOPES.join(",")}] [--expires 90d|2027-01-31]
+  list   [--hotel <id>]
+  rotate <key_id> [--grace 24h]
+  revoke <key_id>
+
+Scopes: read (default; extraction, quotes, availability, lookups), book (commit,
+modify, cancel), offer (send_offer). Every key may read.`;
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    hotel: { type: "string" },
+    name: { type: "string" },
+    scopes: { type: "string", default: "read" },
+    expires: { type: "string" },
+    grace: { type: "string", default: "24h" },
+    help: { type: "boolean", short: "h" }
+  }
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exitCode = 1;
+};
+
+// "90d" from now, or a date
+function expiryOf(text) {
+  if (!text) return null;
+  const duration = parseDuration(text);
+  const at = duration ? Date.now() + duration : Date.parse(text);
+  if (Number.isNaN(at)) throw new Error(`Unreadable expiry: ${text}`);
+  return at;
+}
+
+const describe = (key) => [
+  key.key_id,
+  key.hotel_id,
+  key.scopes.join(","),
+  key.state ?? "active",
+  `expires ${key.expires_at ?? "never"}`,
+  `last used ${key.last_used_at ?? "never"}`,
+  key.name ? `"${key.name}"` : ""
+].join("  ").trim();
+
+const printToken = (token) => {
+  console.log(`\n${token}\n`);
+  console.log("The key is shown only this once; store it in the Retell tool settings now.");
+};
+
+const [command, keyId] = positionals;
+if (values.help || !command) {
+  console.log(USAGE);
+} else {
+  const tenants = loadTenants(CONFIG);
+  const store = await createStore(CONFIG.store);
+  if (store.driver === "memory") console.warn("STORE_DRIVER=memory: keys are lost when this command exits");
+  const apiKeys = createApiKeys({ store });
+
+  try {
+    switch (command) {
+      case "issue": {
+        const hotelId = values.hotel || tenants.defaultId;
+        if (!tenants.get(hotelId)) throw new Error(`Unknown hotel ${hotelId}`);
+        const { key, token } = await apiKeys.issue({
+          hotelId,
+          name: values.name || null,
+          scopes: values.scopes.split(",").map(s => s.trim()).filter(Boolean),
+          expiresAt: expiryOf(values.expires)
+        });
+        console.log(`Issued ${describe(key)}`);
+        printToken(token);
+        break;
+      }
+      case "list": {
+        const keys = await apiKeys.list({ hotelId: values.hotel || null });
+        if (!keys.length) console.log("No API keys");
+        for (const key of keys) console.log(describe(key));
+        break;
+      }
+      case "rotate": {
+        if (!keyId) throw new Error("rotate needs a key_id");
+        const graceMs = parseDuration(values.grace);
+        if (graceMs === null) throw new Error(`Unreadable grace period: ${values.grace}`);
+        const { key, token, retired } = await apiKeys.rotate(keyId, { graceMs });
+        console.log(`Issued ${describe(key)}`);
+        console.log(`${retired.key_id} keeps working until ${retired.expires_at}`);
+        printToken(token);
+        break;
+      }
+      case "revoke": {
+        if (!keyId) throw new Error("revoke needs a key_id");
+        const key = await apiKeys.revoke(keyId);
+        console.log(`Revoked ${key.key_id} at ${key.revoked_at}`);
+        break;
+      }
+      default:
+        fail(`Unknown command ${command}\n\n${USAGE}`);
+    }
+  } catch (error) {
+    fail(error.message);
+  } finally {
+    await store.close();
+  }
+}
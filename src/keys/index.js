@@ -0,0 +1,157 @@
+/**
+ * API keys for the tool routes. A key belongs to one hotel and carries
+ * scopes: "read" (extraction, quotes, availability, lookups, documents),
+ * "book" (commit, modify, cancel) and "offer" (send_offer); every key may
+ * read. Only a SHA-256 hash of the secret part is stored, so the token is
+ * shown once when issued. Keys expire, can be revoked, and rotate with an
+ * overlap: the successor works at once, the old key until its grace period
+ * ends. Issued and managed with `npm run keys` (see cli.js).
+ *
+ * Token format: `hk_<key id>_<secret>`; the key id is not secret and
+ * appears in logs.
+ */
+import crypto from "node:crypto";
+
+export const SCOPES = ["read", "book", "offer"];
+
+const TOKEN = /^hk_([0-9a-f]{10})_([A-Za-z0-9_-]{32})$/;
+// Last-use timestamps are written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+/**
+ * Constant-time comparison of two secrets; hashing first makes the
+ * comparison independent of where they differ and of their lengths.
+ */
+export const sameSecret = (a, b) => crypto.timingSafeEqual(sha256(a), sha256(b));
+
+export const isApiKeyToken = (value) => TOKEN.test(String(value ?? ""));
+
+export const hasScope = (scopes, scope) => scope === "read" ? scopes?.length > 0 : !!scopes?.includes(scope);
+
+/**
+ * "90d", "12h", "30m" in milliseconds; null when unreadable.
+ * @param {string} text
+ */
+export function parseDuration(text) {
+  const match = /^(\d+)\s*([dhm])$/i.exec(String(text ?? "").trim());
+  if (!match) return null;
+  const unit = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+const keyError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * @param {{ store: { saveApiKey: Function, getApiKey: Function, touchApiKey: Function, listApiKeys: Function },
+ *   now?: () => number }} options
+ */
+export function createApiKeys({ store, now = Date.now }) {
+  const touched = new Map();
+
+  const stateOf = (key, at = now()) => {
+    if (key.revoked_at) return "revoked";
+    if (key.expires_at && Date.parse(key.expires_at) <= at) return "expired";
+    return "active";
+  };
+
+  async function issue({ hotelId, name = null, scopes = ["read"], expiresAt = null, rotatedFrom = null }) {
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (!scopes.length || unknown.length) {
+      throw keyError("invalid_scopes", `Unknown scopes: ${unknown.join(", ") || "(none)"}; expected ${SCOPES.join(", ")}`);
+    }
+    // A date, ISO string or epoch milliseconds
+    const expires = expiresAt === null ? null : new Date(expiresAt).getTime();
+    if (expires !== null && !(expires > now())) {
+      throw keyError("invalid_expiry", "Expiry must be in the future");
+    }
+
+    const keyId = crypto.randomBytes(5).toString("hex");
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const key = await store.saveApiKey({
+      key_id: keyId,
+      hotel_id: hotelId,
+      name,
+      scopes: [...new Set(scopes)],
+      hash: sha256(secret).toString("hex"),
+      expires_at: expires === null ? null : new Date(expires).toISOString(),
+      revoked_at: null,
+      rotated_from: rotatedFrom,
+      replaced_by: null,
+      last_used_at: null,
+      created_at: new Date(now()).toISOString()
+    });
+    return { key, token: `hk_${keyId}_${secret}` };
+  }
+
+  async function active(keyId) {
+    const key = await store.getApiKey(keyId);
+    if (!key) throw keyError("unknown_key", `Unknown key ${keyId}`);
+    const state = stateOf(key);
+    if (state !== "active") throw keyError(`key_${state}`, `Key ${keyId} is ${state}`);
+    return key;
+  }
+
+  /**
+   * Successor with the same hotel, name, scopes and lifetime; the old key
+   * keeps working for `graceMs` (or until its own expiry, if sooner).
+   */
+  async function rotate(keyId, { graceMs = 24 * 60 * 60 * 1000 } = {}) {
+    const old = await active(keyId);
+    const lifetime = old.expires_at ? Date.parse(old.expires_at) - Date.parse(old.created_at) : null;
+    const successor = await issue({
+      hotelId: old.hotel_id,
+      name: old.name,
+      scopes: old.scopes,
+      expiresAt: lifetime ? now() + lifetime : null,
+      rotatedFrom: old.key_id
+    });
+    const graceEnd = now() + graceMs;
+    const retired = await store.saveApiKey({
+      ...old,
+      expires_at: new Date(old.expires_at ? Math.min(Date.parse(old.expires_at), graceEnd) : graceEnd).toISOString(),
+      replaced_by: successor.key.key_id
+    });
+    return { ...successor, retired };
+  }
+
+  async function revoke(keyId) {
+    const key = await store.getApiKey(keyId);
+    if (!key) throw keyError("unknown_key", `Unknown key ${keyId}`);
+    if (key.revoked_at) return key;
+    return store.saveApiKey({ ...key, revoked_at: new Date(now()).toISOString() });
+  }
+
+  /**
+   * @param {string} token  as sent by the client
+   * @returns {Promise<{ key: object|null, reason: null|"malformed"|"unknown"|"revoked"|"expired" }>}
+   */
+  async function verify(token) {
+    const match = TOKEN.exec(String(token ?? ""));
+    if (!match) return { key: null, reason: "malformed" };
+    const key = await store.getApiKey(match[1]);
+    const provided = sha256(match[2]);
+    // Unknown ids are compared against a dummy so both paths take the same time
+    const expected = key ? Buffer.from(key.hash, "hex") : sha256(crypto.randomBytes(24));
+    if (!crypto.timingSafeEqual(provided, expected) || !key) return { key: null, reason: "unknown" };
+    const state = stateOf(key);
+    return state === "active" ? { key, reason: null } : { key: null, reason: state };
+  }
+
+  // Keeps last_used_at current for `list` without a write per request; only
+  // that field is written, so a revoke or rotation from the CLI is never undone
+  async function recordUse(key) {
+    const at = now();
+    if (at - (touched.get(key.key_id) ?? 0) < TOUCH_INTERVAL_MS) return;
+    touched.set(key.key_id, at);
+    await store.touchApiKey(key.key_id, new Date(at).toISOString());
+  }
+
+  const list = async ({ hotelId = null } = {}) =>
+    (await store.listApiKeys({ hotelId })).map(key => ({ ...key, state: stateOf(key) }));
+
+  const hasActive = async (hotelId) => (await list({ hotelId })).some(key => key.state === "active");
+
+  return { issue, rotate, revoke, verify, recordUse, list, hasActive };
+}
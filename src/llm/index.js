@@ -0,0 +1,15 @@
+/**
+ * LLM providers. `api` selects the backend; every provider exposes
+ * `name`, `model` and `callFunction({ system, user, fn, signal })`
+ * resolving to the arguments of one forced function call.
+ */
+import { createOpenAiProvider } from "./openai.js";
+
+export function createLlmProvider({ api = "openai", baseUrl, apiKey, model } = {}) {
+  switch (api) {
+    case "openai":
+      return createOpenAiProvider({ baseUrl, apiKey, model });
+    default:
+      throw new Error(`Unknown LLM api: ${api}`);
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * OpenAI-compatible chat-completions provider (OpenAI, Azure-style proxies,
+ * vLLM, Ollama, LiteLLM, ...). Forces a single function call and returns
+ * its parsed arguments.
+ */
+
+function llmError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 502;
+  Object.assign(err, extra);
+  return err;
+}
+
+export function createOpenAiProvider({ baseUrl = "https://api.openai.com/v1", apiKey, model, headers = {} }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+
+    /**
+     * @param {{ system: string, user: string,
+     *   fn: { name: string, description: string, parameters: object }, signal?: AbortSignal }} request
+     * @returns {Promise<object>} the function-call arguments
+     */
+    async callFunction({ system, user, fn, signal }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            ...headers
+          },
+          body: JSON.stringify({
+            model,
+            temperature: 0,
+            messages: [
+              { role: "system", content: system },
+              { role: "user", content: user }
+            ],
+            tools: [{ type: "function", function: { ...fn, strict: true } }],
+            tool_choice: { type: "function", function: { name: fn.name } }
+          }),
+          signal
+        });
+      } catch (error) {
+        if (error.name === "TimeoutError" || error.name === "AbortError") {
+          throw llmError("llm_timeout", "LLM request timed out");
+        }
+        throw llmError("llm_unavailable", `LLM request failed: ${error.message}`);
+      }
+
+      if (!response.ok) {
+        throw llmError("llm_http_error", `LLM endpoint error: ${response.status} ${response.statusText}`, {
+          httpStatus: response.status
+        });
+      }
+
+      let payload;
+      try {
+        payload = await response.json();
+      } catch {
+        throw llmError("llm_bad_response", "LLM response is not JSON");
+      }
+
+      const call = payload?.choices?.[0]?.message?.tool_calls?.find(c => c.function?.name === fn.name);
+      if (!call) throw llmError("llm_bad_response", "LLM response has no function call");
+      try {
+        const args = JSON.parse(call.function.arguments);
+        if (!args || typeof args !== "object" || Array.isArray(args)) throw new Error("not an object");
+        return args;
+      } catch {
+        throw llmError("llm_bad_response", "LLM function arguments are not a JSON object");
+      }
+    }
+  };
+}
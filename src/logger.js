@@ -1,11 +1,39 @@
+/**
+ * Structured JSON logging via pino. The app logs through a thin facade with
+ * the call shape used everywhere in the code base:
+ *   logger.info(msg, meta) / logger.debug(msg, meta)
+ *   logger.warn(msg, error, meta) / logger.error(msg, error, meta)
+ * so modules that take an `onError(msg, error, meta)` callback or a logger
+ * (mail, messaging, FX, LLM socket) plug in unchanged. Lines written inside
+ * a traced request or turn carry its `trace_id` and `span_id`.
+ */
 import pino from "pino";
 import { CONFIG } from "./config.js";
+import { activeTraceIds } from "./tracing.js";
 
-export const logger = pino({
-  level: CONFIG.logLevel,
-  base: undefined,
-  redact: {
-    paths: ["req.headers.authorization", "authorization", "token", "apiKey", "RETELL_API_KEY"],
-    remove: true,
-  },
-});
+const REDACT = ["req.headers.authorization", "authorization", "token", "apiKey", "authToken", "pass", "RETELL_API_KEY"];
+
+/**
+ * @param {{ level?: string, destination?: object }} [options] destination: any pino destination stream
+ */
+export function createLogger({ level = CONFIG.server.logLevel, destination } = {}) {
+  const base = pino({
+    level,
+    base: undefined,
+    timestamp: pino.stdTimeFunctions.isoTime,
+    mixin: activeTraceIds,
+    redact: { paths: REDACT, remove: true }
+  }, destination);
+
+  const withError = (error, meta) => (error ? { ...meta, err: error } : meta);
+
+  return {
+    pino: base,
+    debug: (msg, meta = {}) => base.debug(meta, msg),
+    info: (msg, meta = {}) => base.info(meta, msg),
+    warn: (msg, error = null, meta = {}) => base.warn(withError(error, meta), msg),
+    error: (msg, error = null, meta = {}) => base.error(withError(error, meta), msg)
+  };
+}
+
+export const logger = createLogger();
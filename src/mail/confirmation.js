@@ -0,0 +1,44 @@
+/**
+ * Booking confirmation mail, sent after commit_booking. The printable
+ * reservation confirmation travels as a PDF attachment when documents
+ * are enabled.
+ */
+import { t } from "../i18n/index.js";
+import { escapeHtml, money, guestName, stayFacts, factsTable, htmlPage, closingHtml } from "./layout.js";
+
+/**
+ * @param {string} locale
+ * @param {{ booking_id: string, guest?: object, check_in: string, check_out: string,
+ *   adults?: number, children?: number, board?: string, price?: object, total_eur?: number }} booking
+ * @param {{ hotel: { name: string }, attachment?: boolean }} options
+ *   hotel: branding of the sending hotel; attachment: the confirmation PDF goes along
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderConfirmationMail(locale, booking, { hotel, attachment = false }) {
+  const name = guestName(booking);
+  const facts = stayFacts(locale, booking);
+  const total = booking.price?.total ?? booking.total_eur;
+  const currency = booking.price?.currency || "EUR";
+  if (typeof total === "number") facts.push([t(locale, "mail.total"), money(locale, total, currency)]);
+
+  const subject = t(locale, "mail.confirmation_subject", { hotel: hotel.name, id: booking.booking_id });
+  const closing = t(locale, "mail.closing", { hotel: hotel.name });
+  const text = [
+    t(locale, "mail.greeting", { name }),
+    "",
+    t(locale, "mail.confirmation_intro", { id: booking.booking_id }),
+    "",
+    ...facts.map(([label, value]) => `${label}: ${value}`),
+    ...(attachment ? ["", t(locale, "mail.confirmation_attachment")] : []),
+    "",
+    closing
+  ].join("\n");
+
+  const html = htmlPage(locale, subject, `<p>${escapeHtml(t(locale, "mail.greeting", { name }))}</p>
+<p>${escapeHtml(t(locale, "mail.confirmation_intro", { id: booking.booking_id }))}</p>
+${factsTable(facts)}
+${attachment ? `<p>${escapeHtml(t(locale, "mail.confirmation_attachment"))}</p>` : ""}
+${closingHtml(closing)}`);
+
+  return { subject, html, text };
+}
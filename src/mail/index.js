@@ -0,0 +1,30 @@
+/**
+ * Outgoing mail. `transport` selects the backend: "outbox" (default,
+ * files under a directory) or "smtp". Delivery sends once right away and
+ * retries failures in the background (see utils/delivery.js); callers
+ * learn every outcome through `onStatus` ("sent", "retrying" or "failed").
+ */
+import { createSmtpTransport, createOutboxTransport } from "./transports.js";
+import { createDelivery } from "../utils/delivery.js";
+
+export async function createMailTransport({ transport = "outbox", smtp = {}, outboxDir = "./data/outbox" } = {}) {
+  switch (transport) {
+    case "outbox":
+      return createOutboxTransport({ dir: outboxDir });
+    case "smtp":
+      return createSmtpTransport(smtp);
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+/**
+ * @param {{ transport: { name: string, send: Function, close: Function }, from: string,
+ *   maxAttempts?: number, retryDelayMs?: number,
+ *   onError?: (msg: string, error: Error, meta?: object) => void }} options
+ * @returns {{ transport: string, deliver: Function, close: Function }}
+ *   deliver({ to, subject, html?, text?, attachments? }, { onStatus })
+ */
+export function createMailer({ transport, from, maxAttempts = 4, retryDelayMs = 30000, onError = () => {} }) {
+  return createDelivery({ transport, defaults: { from }, label: "Mail", maxAttempts, retryDelayMs, onError });
+}
@@ -0,0 +1,89 @@
+/**
+ * Building blocks shared by the mail templates and the PDF documents:
+ * stay facts, price lines and the HTML frame. Works for offers and
+ * bookings alike; both carry the pricing breakdown as `price`.
+ */
+import { t, formatDate, getLocale } from "../i18n/index.js";
+
+export const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+export const money = (locale, amount, currency) =>
+  new Intl.NumberFormat(getLocale(locale).dateLocale, { style: "currency", currency }).format(amount);
+
+export const guestName = (record) =>
+  [record.guest?.given_name, record.guest?.surname].filter(Boolean).join(" ");
+
+/**
+ * [label, value] pairs for dates, guests, room and board; unknown ones are left out.
+ */
+export function stayFacts(locale, record) {
+  const nights = record.nights ?? record.price?.nights;
+  const roomName = record.room_name ?? record.price?.room_name;
+  return [
+    record.check_in && record.check_out && [t(locale, "mail.label_dates"), t(locale, "mail.dates", {
+      from: formatDate(locale, record.check_in),
+      to: formatDate(locale, record.check_out),
+      nights
+    })],
+    record.adults && [t(locale, "mail.label_guests"), t(locale, "mail.guests", { adults: record.adults, children: record.children || 0 })],
+    roomName && [t(locale, "mail.label_room"), roomName],
+    record.board && [t(locale, "mail.label_board"), record.board]
+  ].filter(Boolean);
+}
+
+/**
+ * Price lines: nights, discount, extras, total. Records without a pricing
+ * breakdown (offers that only got totals) have just the total.
+ * @returns {Array<{ label: string, amount: number, total?: boolean }>}
+ */
+export function priceLines(locale, record) {
+  const price = record.price;
+  if (!price) {
+    const total = record.quote_eur ?? record.total_eur;
+    return typeof total === "number" ? [{ label: t(locale, "mail.total"), amount: total, total: true }] : [];
+  }
+  const lines = price.per_night.map(n => ({ label: formatDate(locale, n.date), amount: n.total }));
+  if (price.los_discount) {
+    lines.push({ label: t(locale, "mail.discount", { percent: price.los_discount_percent }), amount: -price.los_discount });
+  }
+  for (const extra of price.extras || []) lines.push({ label: extra.name, amount: extra.amount });
+  lines.push({ label: t(locale, "mail.total"), amount: price.total, total: true });
+  return lines;
+}
+
+// TRY shown next to EUR amounts when a rate is known (TRY per EUR)
+export const tryAmount = (amount, rate) => (rate ? Math.round(amount * rate * 100) / 100 : null);
+
+export const CELL = "padding:6px 12px;border-bottom:1px solid #e5e5e5;";
+
+export function factsTable(facts) {
+  return `<table style="border-collapse:collapse;width:100%;margin:12px 0;">
+${facts.map(([label, value]) => `<tr><th style="${CELL}text-align:left;">${escapeHtml(label)}</th><td style="${CELL}">${escapeHtml(value)}</td></tr>`).join("\n")}
+</table>`;
+}
+
+export function priceTable(locale, lines, { currency = "EUR", rate = null } = {}) {
+  return `<table style="border-collapse:collapse;width:100%;margin:12px 0;">
+${lines.map(line => {
+    const weight = line.total ? "font-weight:bold;" : "";
+    return `<tr><td style="${CELL}${weight}">${escapeHtml(line.label)}</td>` +
+      `<td style="${CELL}${weight}text-align:right;">${escapeHtml(money(locale, line.amount, currency))}</td>` +
+      (rate ? `<td style="${CELL}${weight}text-align:right;color:#666;">${escapeHtml(money(locale, tryAmount(line.amount, rate), "TRY"))}</td>` : "") +
+      "</tr>";
+  }).join("\n")}
+</table>`;
+}
+
+export function htmlPage(locale, title, body) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:620px;margin:0 auto;padding:16px;">
+${body}
+</body>
+</html>`;
+}
+
+export const closingHtml = (closing) => `<p>${closing.split("\n").map(escapeHtml).join("<br>")}</p>`;
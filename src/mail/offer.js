@@ -0,0 +1,78 @@
+/**
+ * Offer mail: localized HTML and text bodies, plus the signed link that
+ * lets the guest accept the offer. Texts come from the locale packs
+ * (`mail.*`); amounts are shown in EUR and, when a rate is known, in TRY.
+ */
+import crypto from "node:crypto";
+import { t } from "../i18n/index.js";
+import {
+  escapeHtml, money, guestName, stayFacts, priceLines, tryAmount,
+  factsTable, priceTable, htmlPage, closingHtml
+} from "./layout.js";
+
+// HMAC of the offer id; the link works without a login and cannot be guessed
+export const offerToken = (secret, offerId) =>
+  crypto.createHmac("sha256", secret).update(`offer:${offerId}`).digest("hex").slice(0, 32);
+
+export function verifyOfferToken(secret, offerId, token) {
+  const expected = Buffer.from(offerToken(secret, offerId));
+  const given = Buffer.from(String(token || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export const offerConfirmUrl = (baseUrl, secret, offerId) =>
+  `${baseUrl.replace(/\/+$/, "")}/offers/${encodeURIComponent(offerId)}/accept?token=${offerToken(secret, offerId)}`;
+
+/**
+ * @param {string} locale
+ * @param {{ guest?: { given_name?: string, surname?: string }, check_in?: string, check_out?: string,
+ *   nights?: number, adults?: number, children?: number, room_name?: string, board?: string,
+ *   price?: object, quote_eur?: number, quote_try?: number, fx?: number, confirm_url?: string }} offer
+ *   fx: TRY per EUR
+ * @param {{ hotel: { name: string, color?: string }, attachment?: boolean }} options
+ *   hotel: branding of the sending hotel; attachment: the offer PDF goes along
+ * @returns {{ subject: string, html: string, text: string, preview: string }}
+ */
+export function renderOfferMail(locale, offer, { hotel, attachment = false }) {
+  const name = guestName(offer);
+  const currency = offer.price?.currency || "EUR";
+  const rate = currency === "EUR" && offer.fx ? offer.fx : null;
+
+  const facts = stayFacts(locale, offer);
+  const lines = priceLines(locale, offer);
+  const total = lines.find(line => line.total);
+  const approx = total && (offer.quote_try ?? tryAmount(total.amount, rate));
+  const preview = t(locale, "mail.preview", {
+    total: total ? money(locale, total.amount, currency) : "–",
+    approx: approx ? money(locale, approx, "TRY") : null
+  });
+
+  const subject = t(locale, "mail.offer_subject", { hotel: hotel.name });
+  const closing = t(locale, "mail.closing", { hotel: hotel.name });
+  const text = [
+    t(locale, "mail.greeting", { name }),
+    "",
+    t(locale, "mail.intro"),
+    "",
+    ...(facts.length ? [...facts.map(([label, value]) => `${label}: ${value}`), ""] : []),
+    ...lines.map(line => `${line.label}: ${money(locale, line.amount, currency)}` +
+      (rate ? ` (${money(locale, tryAmount(line.amount, rate), "TRY")})` : "")),
+    ...(rate ? ["", t(locale, "mail.fx_note", { rate })] : []),
+    ...(attachment ? ["", t(locale, "mail.offer_attachment")] : []),
+    ...(offer.confirm_url ? ["", `${t(locale, "mail.confirm")}: ${offer.confirm_url}`, t(locale, "mail.confirm_hint")] : []),
+    "",
+    closing
+  ].join("\n");
+
+  const html = htmlPage(locale, subject, `<p>${escapeHtml(t(locale, "mail.greeting", { name }))}</p>
+<p>${escapeHtml(t(locale, "mail.intro"))}</p>
+${factsTable(facts)}
+${priceTable(locale, lines, { currency, rate })}
+${rate ? `<p style="font-size:12px;color:#666;">${escapeHtml(t(locale, "mail.fx_note", { rate }))}</p>` : ""}
+${attachment ? `<p>${escapeHtml(t(locale, "mail.offer_attachment"))}</p>` : ""}
+${offer.confirm_url ? `<p style="margin:24px 0;"><a href="${escapeHtml(offer.confirm_url)}" style="background:${escapeHtml(hotel.color || "#1a5f7a")};color:#fff;padding:12px 20px;border-radius:4px;text-decoration:none;">${escapeHtml(t(locale, "mail.confirm"))}</a></p>
+<p style="font-size:13px;">${escapeHtml(t(locale, "mail.confirm_hint"))}</p>` : ""}
+${closingHtml(closing)}`);
+
+  return { subject, html, text, preview };
+}
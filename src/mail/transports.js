@@ -0,0 +1,64 @@
+/**
+ * Mail transports. Each has a `name` and `send(message)` resolving to
+ * { messageId }; a rejection means the message was not accepted.
+ *   smtp   - SMTP relay via nodemailer (host, port, secure, user/pass)
+ *   outbox - renders each message to `<dir>/<id>.eml` plus a JSON summary,
+ *            for development and tests; nothing leaves the machine
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Loaded lazily like the SQLite driver
+const loadNodemailer = async () => (await import("nodemailer")).default;
+
+export async function createSmtpTransport({ host, port = 587, secure = false, user = "", pass = "" }) {
+  if (!host) throw new Error("SMTP_HOST is required for the smtp mail transport");
+  const nodemailer = await loadNodemailer();
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+
+    async close() {
+      transporter.close();
+    }
+  };
+}
+
+export async function createOutboxTransport({ dir }) {
+  const nodemailer = await loadNodemailer();
+  // Builds the full MIME message without sending it
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  await fs.mkdir(dir, { recursive: true });
+
+  return {
+    name: "outbox",
+
+    async send(message) {
+      const info = await builder.sendMail(message);
+      const id = `${new Date().toISOString().replace(/[:.]/g, "-")}_${info.messageId.replace(/[<>@]/g, "").slice(0, 24)}`;
+      await fs.writeFile(path.join(dir, `${id}.eml`), info.message);
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({
+        message_id: info.messageId,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        attachments: (message.attachments || []).map(a => a.filename),
+        written_at: new Date().toISOString()
+      }, null, 2));
+      return { messageId: info.messageId };
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Contact resolution for offers and confirmations: which channel a message
+ * takes and the address or E.164 number it goes to. Addresses and phone
+ * numbers may be dictated ("max punkt mueller at gmail punkt com",
+ * "null fünf drei ...").
+ */
+import { MESSAGE_CHANNELS } from "./index.js";
+import { parsePhone } from "../extraction/phone.js";
+import { parseEmail } from "../extraction/email.js";
+
+export const CONTACT_CHANNELS = Object.freeze(["email", ...MESSAGE_CHANNELS]);
+
+/**
+ * @param {{ messenger: { channels: string[] }, defaultChannel: string, defaultCountryCode: string }} options
+ */
+export function createContacts({ messenger, defaultChannel, defaultCountryCode }) {
+  const phoneOf = (input, locale) =>
+    (input ? parsePhone(input, { locale, defaultCountryCode }) : null);
+
+  // Typed or dictated address, domain typos corrected
+  const emailOf = (input, locale) => (input ? parseEmail(input, { locale })?.email ?? null : null);
+
+  /**
+   * Where an offer or confirmation goes: the requested channel, else email when
+   * one is given, else a text message on the default channel.
+   * @returns {{ channel: string, to: string, email: string|null, phone: string|null } | { error: string }}
+   */
+  function resolveContact({ channel, email, phone }, locale) {
+    const requested = channel ? String(channel).trim().toLowerCase() : null;
+    if (requested && !CONTACT_CHANNELS.includes(requested)) return { error: "invalid_channel" };
+
+    const address = String(email || "").trim() || null;
+    const validAddress = emailOf(address, locale);
+    const number = phoneOf(phone, locale);
+
+    if (requested === "email" || (!requested && address)) {
+      return validAddress ? { channel: "email", to: validAddress, email: validAddress, phone: number } : { error: "invalid_email" };
+    }
+    if (!number) return { error: phone ? "invalid_phone" : "missing_contact" };
+    const messageChannel = requested || defaultChannel;
+    if (!messenger.channels.includes(messageChannel)) return { error: "channel_unavailable" };
+    return { channel: messageChannel, to: number, email: validAddress, phone: number };
+  }
+
+  return { phoneOf, emailOf, resolveContact };
+}
@@ -0,0 +1,35 @@
+/**
+ * Offers and booking confirmations as SMS or WhatsApp, for callers who
+ * would rather not spell an email address. `provider` selects the backend:
+ * "outbox" (default, local stub writing files) or "twilio". Delivery and
+ * retries work like the mailer's (see utils/delivery.js).
+ */
+import { createOutboxProvider, createTwilioProvider } from "./providers.js";
+import { createDelivery } from "../utils/delivery.js";
+
+export const MESSAGE_CHANNELS = Object.freeze(["sms", "whatsapp"]);
+
+export async function createMessageProvider({ provider = "outbox", outboxDir = "./data/messages", twilio = {} } = {}) {
+  switch (provider) {
+    case "outbox":
+      return createOutboxProvider({ dir: outboxDir });
+    case "twilio":
+      return createTwilioProvider(twilio);
+    default:
+      throw new Error(`Unknown messaging provider: ${provider}`);
+  }
+}
+
+/**
+ * @param {{ provider: { name: string, channels: string[], send: Function, close: Function },
+ *   maxAttempts?: number, retryDelayMs?: number,
+ *   onError?: (msg: string, error: Error, meta?: object) => void }} options
+ * @returns {{ transport: string, channels: string[], deliver: Function, close: Function }}
+ *   deliver({ channel, to, body }, { onStatus })
+ */
+export function createMessenger({ provider, maxAttempts = 3, retryDelayMs = 30000, onError = () => {} }) {
+  return {
+    ...createDelivery({ transport: provider, label: "Message", maxAttempts, retryDelayMs, onError }),
+    channels: provider.channels
+  };
+}
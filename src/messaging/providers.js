@@ -0,0 +1,93 @@
+/**
+ * Text message providers for SMS and WhatsApp. Each has a `name`, the
+ * `channels` it can serve and `send({ channel, to, body })` resolving to
+ * { messageId }; `to` is an E.164 number and a rejection means the message
+ * was not accepted.
+ *   outbox - writes each message to `<dir>/<id>.json`; the local stub,
+ *            nothing leaves the machine
+ *   twilio - Twilio Messages API; WhatsApp goes through the same endpoint
+ *            with "whatsapp:" addresses
+ */
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+function messagingError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 502;
+  Object.assign(err, extra);
+  return err;
+}
+
+export async function createOutboxProvider({ dir }) {
+  await fs.mkdir(dir, { recursive: true });
+
+  return {
+    name: "outbox",
+    channels: ["sms", "whatsapp"],
+
+    async send({ channel, to, body }) {
+      const messageId = `msg_${crypto.randomUUID()}`;
+      const writtenAt = new Date().toISOString();
+      const id = `${writtenAt.replace(/[:.]/g, "-")}_${channel}_${messageId.slice(4, 12)}`;
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({
+        message_id: messageId,
+        channel,
+        to,
+        body,
+        written_at: writtenAt
+      }, null, 2));
+      return { messageId };
+    },
+
+    async close() {}
+  };
+}
+
+export function createTwilioProvider({
+  accountSid, authToken, smsFrom = "", whatsappFrom = "", baseUrl = "https://api.twilio.com", timeoutMs = 10000
+}) {
+  if (!accountSid || !authToken) throw new Error("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required for the twilio provider");
+  if (!smsFrom && !whatsappFrom) throw new Error("TWILIO_SMS_FROM or TWILIO_WHATSAPP_FROM is required for the twilio provider");
+  const url = `${baseUrl.replace(/\/+$/, "")}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const auth = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`;
+
+  return {
+    name: "twilio",
+    // Only channels with a sender number
+    channels: [smsFrom && "sms", whatsappFrom && "whatsapp"].filter(Boolean),
+
+    async send({ channel, to, body }) {
+      const from = channel === "whatsapp" ? whatsappFrom : smsFrom;
+      if (!from) throw messagingError("channel_not_configured", `No sender configured for ${channel}`);
+      const address = (number) => (channel === "whatsapp" ? `whatsapp:${number}` : number);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: "POST",
+          headers: { Authorization: auth, "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ From: address(from), To: address(to), Body: body }),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        if (error.name === "TimeoutError" || error.name === "AbortError") {
+          throw messagingError("messaging_timeout", "Twilio request timed out");
+        }
+        throw messagingError("messaging_unavailable", `Twilio request failed: ${error.message}`);
+      }
+
+      const payload = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw messagingError("messaging_rejected", `Twilio error ${response.status}: ${payload?.message || response.statusText}`, {
+          httpStatus: response.status,
+          providerCode: payload?.code ?? null
+        });
+      }
+      return { messageId: payload?.sid || null };
+    },
+
+    async close() {}
+  };
+}
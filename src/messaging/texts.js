@@ -0,0 +1,41 @@
+/**
+ * Short localized texts for SMS/WhatsApp: the offer with its accept link
+ * and the booking confirmation. Kept to the essentials so an SMS stays
+ * within a few segments; the details live in the mail and PDF.
+ */
+import { t, formatDate } from "../i18n/index.js";
+import { money } from "../mail/layout.js";
+
+const stayOf = (locale, record) => (record.check_in && record.check_out
+  ? t(locale, "mail.dates", {
+    from: formatDate(locale, record.check_in),
+    to: formatDate(locale, record.check_out),
+    nights: record.nights ?? record.price?.nights
+  })
+  : null);
+
+const totalOf = (locale, record) => {
+  const total = record.price?.total ?? record.quote_eur ?? record.total_eur;
+  return typeof total === "number" ? money(locale, total, record.price?.currency || "EUR") : null;
+};
+
+/**
+ * @param {{ hotel: { name: string } }} options  hotel: the sending hotel, named first
+ */
+export function renderOfferText(locale, offer, { hotel }) {
+  return t(locale, "sms.offer", {
+    hotel: hotel.name,
+    stay: stayOf(locale, offer),
+    total: totalOf(locale, offer),
+    url: offer.confirm_url || null
+  });
+}
+
+export function renderConfirmationText(locale, booking, { hotel }) {
+  return t(locale, "sms.confirmation", {
+    hotel: hotel.name,
+    id: booking.booking_id,
+    stay: stayOf(locale, booking),
+    total: totalOf(locale, booking)
+  });
+}
@@ -1,3 +1,14 @@
+/**
+ * Prometheus metrics: process defaults, HTTP request counts and durations
+ * per route, and the hotel domain metrics recorded through
+ * `createHotelMetrics` (extraction quality, availability outcomes, quotes,
+ * bookings, HotelRunner health, message deliveries), each labelled with its
+ * `hotel`. Served from `register` at GET /metrics.
+ *
+ * Label values are closed sets (hotel ids from the registry, slot names,
+ * reason codes, OTA error codes, room types from the rate sheet) so the
+ * series count stays bounded.
+ */
 import client from "prom-client";
 export const register = new client.Registry();
 client.collectDefaultMetrics({ register });
@@ -25,10 +36,126 @@ up.set(1);
 export const metricsMiddleware = (req, res, next) => {
   const end = httpRequestDuration.startTimer();
   res.on("finish", () => {
-    const route = req.route?.path || req.path || "unknown";
+    // Route patterns, not raw paths, so ids and 404 probes do not blow up the label set
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
     const labels = { method: req.method, route, status: String(res.statusCode) };
     httpRequestsTotal.inc(labels);
     end(labels);
   });
   next();
 };
+
+/* -------------------- Hotel Domain Metrics -------------------- */
+const extractionsTotal = new client.Counter({
+  name: "hotel_extractions_total",
+  help: "Slot extractions by entry point and result source",
+  labelNames: ["hotel", "endpoint", "source"]
+});
+
+// Fill rate per slot: sum(source=~"rules|llm") / sum(all sources)
+const extractionSlotsTotal = new client.Counter({
+  name: "hotel_extraction_slots_total",
+  help: "Extracted slots by field and source (rules, llm, default, missing)",
+  labelNames: ["hotel", "endpoint", "slot", "source"]
+});
+
+const availabilityChecksTotal = new client.Counter({
+  name: "hotel_availability_checks_total",
+  help: "Availability checks by outcome reason and decision source",
+  labelNames: ["hotel", "reason", "source"]
+});
+
+const quoteValue = new client.Histogram({
+  name: "hotel_quote_value_eur",
+  help: "Total stay price of generated quotes, converted to EUR",
+  labelNames: ["hotel", "room_type", "board"],
+  buckets: [100, 250, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000]
+});
+
+const bookingsTotal = new client.Counter({
+  name: "hotel_bookings_total",
+  help: "Committed bookings by source (hotelrunner, mock)",
+  labelNames: ["hotel", "source"]
+});
+
+const hotelRunnerFallbacksTotal = new client.Counter({
+  name: "hotel_hotelrunner_fallbacks_total",
+  help: "HotelRunner outages answered from rules (availability) or as mock booking",
+  labelNames: ["hotel", "operation"]
+});
+
+const otaRequestDuration = new client.Histogram({
+  name: "hotel_ota_request_duration_seconds",
+  help: "HotelRunner OTA request latency by endpoint and outcome (ok, rejected, error)",
+  labelNames: ["hotel", "endpoint", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+const otaErrorsTotal = new client.Counter({
+  name: "hotel_ota_errors_total",
+  help: "Failed HotelRunner OTA requests by endpoint and error code",
+  labelNames: ["hotel", "endpoint", "code"]
+});
+
+// Offer delivery failures: status="failed" (gave up) or "retrying"
+const deliveriesTotal = new client.Counter({
+  name: "hotel_deliveries_total",
+  help: "Offer and confirmation delivery attempts by channel and status",
+  labelNames: ["hotel", "kind", "channel", "status"]
+});
+
+register.registerMetric(extractionsTotal);
+register.registerMetric(extractionSlotsTotal);
+register.registerMetric(availabilityChecksTotal);
+register.registerMetric(quoteValue);
+register.registerMetric(bookingsTotal);
+register.registerMetric(hotelRunnerFallbacksTotal);
+register.registerMetric(otaRequestDuration);
+register.registerMetric(otaErrorsTotal);
+register.registerMetric(deliveriesTotal);
+
+/**
+ * Recorders for the domain metrics of one hotel; its tenant context hands
+ * this object to the modules as `metrics`.
+ * @param {string} hotel tenant id
+ */
+export function createHotelMetrics(hotel) {
+  return {
+    // result: extraction result with `source` and per-slot `provenance`
+    extraction(endpoint, result) {
+      extractionsTotal.inc({ hotel, endpoint, source: result.source || "rules" });
+      for (const [slot, source] of Object.entries(result.provenance || {})) {
+        extractionSlotsTotal.inc({ hotel, endpoint, slot, source: source || "missing" });
+      }
+    },
+
+    availability(reason, source) {
+      availabilityChecksTotal.inc({ hotel, reason, source });
+    },
+
+    // Rate sheets may price in another currency; without an EUR rate the quote is not observed
+    quote(quote, totalEur) {
+      if (!Number.isFinite(totalEur)) return;
+      quoteValue.observe({ hotel, room_type: quote.room_type, board: quote.board }, totalEur);
+    },
+
+    booking(source) {
+      bookingsTotal.inc({ hotel, source });
+    },
+
+    fallback(operation) {
+      hotelRunnerFallbacksTotal.inc({ hotel, operation });
+    },
+
+    // error: null for a successful call; rejections carry `error.ota`
+    otaCall(endpoint, seconds, error = null) {
+      const outcome = !error ? "ok" : error.ota && !error.transient ? "rejected" : "error";
+      otaRequestDuration.observe({ hotel, endpoint, outcome }, seconds);
+      if (error) otaErrorsTotal.inc({ hotel, endpoint, code: error.code || "NETWORK_ERROR" });
+    },
+
+    delivery(kind, channel, status) {
+      deliveriesTotal.inc({ hotel, kind, channel, status });
+    }
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * OTA_HotelAvailRS parsing for HotelRunner availability lookups.
+ * Turns the room stays of an availability response into a flat list of
+ * room types with their rate plans and remaining inventory.
+ */
+import { parseXml, toNumber, textOf } from "./xml.js";
+
+function findAvailRS(doc) {
+  const body = doc?.Envelope?.Body;
+  return body?.OTA_HotelAvailRS || doc?.OTA_HotelAvailRS || null;
+}
+
+function rateTotal(roomRate) {
+  // Prefer the stay total, else sum the per-period rates
+  const direct = roomRate?.Total;
+  if (direct) {
+    return {
+      amount: toNumber(direct.AmountAfterTax ?? direct.AmountBeforeTax),
+      currency: direct.CurrencyCode || null
+    };
+  }
+
+  const rates = roomRate?.Rates?.Rate || [];
+  let amount = null;
+  let currency = null;
+  for (const rate of rates) {
+    const base = rate.Total || rate.Base;
+    const value = toNumber(base?.AmountAfterTax ?? base?.AmountBeforeTax);
+    if (value === null) continue;
+    const multiplier = toNumber(rate.UnitMultiplier) || 1;
+    amount = (amount || 0) + value * multiplier;
+    currency = currency || base.CurrencyCode || null;
+  }
+  return { amount: amount === null ? null : Math.round(amount * 100) / 100, currency };
+}
+
+/**
+ * Parse an OTA_HotelAvailRS document (bare or SOAP-wrapped).
+ * @param {string} xml
+ * @returns {{ room_types: Array<{ code: string, name: string|null, available: number|null,
+ *   rate_plans: Array<{ code: string, name: string|null, total: number|null, currency: string|null, available: number|null }> }> }}
+ */
+export function parseHotelAvailRS(xml) {
+  const doc = parseXml(xml);
+  const rs = findAvailRS(doc);
+  if (!rs) {
+    throw new Error("OTA_HotelAvailRS missing in HotelRunner response");
+  }
+
+  const roomTypes = new Map();
+  const ensureRoomType = (code) => {
+    if (!roomTypes.has(code)) {
+      roomTypes.set(code, { code, name: null, available: null, rate_plans: [] });
+    }
+    return roomTypes.get(code);
+  };
+
+  for (const stay of rs.RoomStays?.RoomStay || []) {
+    const planNames = new Map();
+    for (const plan of stay.RatePlans?.RatePlan || []) {
+      if (!plan.RatePlanCode) continue;
+      planNames.set(plan.RatePlanCode, plan.RatePlanName || textOf(plan.RatePlanDescription?.Text) || null);
+    }
+
+    for (const type of stay.RoomTypes?.RoomType || []) {
+      const code = type.RoomTypeCode || type.TypeCode;
+      if (!code) continue;
+      const entry = ensureRoomType(code);
+      entry.name = entry.name || type.RoomDescription?.Name || textOf(type.RoomDescription?.Text) || null;
+      const units = toNumber(type.NumberOfUnits);
+      if (units !== null) entry.available = Math.max(entry.available || 0, units);
+    }
+
+    for (const roomRate of stay.RoomRates?.RoomRate || []) {
+      const code = roomRate.RoomTypeCode || roomRate.RoomID;
+      if (!code) continue;
+      const entry = ensureRoomType(code);
+      const units = toNumber(roomRate.NumberOfUnits);
+      const { amount, currency } = rateTotal(roomRate);
+      entry.rate_plans.push({
+        code: roomRate.RatePlanCode || null,
+        name: planNames.get(roomRate.RatePlanCode) || null,
+        total: amount,
+        currency,
+        available: units
+      });
+      if (units !== null) entry.available = Math.max(entry.available || 0, units);
+    }
+  }
+
+  // Room types without explicit inventory but with a bookable rate count as available
+  const room_types = Array.from(roomTypes.values()).map(rt => ({
+    ...rt,
+    available: rt.available ?? (rt.rate_plans.length > 0 ? 1 : 0)
+  }));
+
+  return { room_types };
+}
+
+/**
+ * Cheapest bookable rate over all room types, or null if nothing is free.
+ */
+export function cheapestRate(roomTypes = []) {
+  let best = null;
+  for (const rt of roomTypes) {
+    if (!rt.available) continue;
+    for (const plan of rt.rate_plans) {
+      if (plan.total === null || plan.available === 0) continue;
+      if (!best || plan.total < best.total) {
+        best = { room_type: rt.code, room_name: rt.name, ...plan };
+      }
+    }
+  }
+  return best;
+}
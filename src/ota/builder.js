@@ -0,0 +1,288 @@
+/**
+ * OTA request builders for HotelRunner.
+ * Every value goes through escapeXml and the output is deterministic
+ * (no clocks, no random IDs inside), so generated XML can be diffed
+ * against golden files.
+ */
+
+export const OTA_NS = "http://www.opentravel.org/OTA/2003/05";
+export const SOAP_NS = "http://schemas.xmlsoap.org/soap/envelope/";
+
+// Characters not allowed in XML 1.0 documents at all
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Element node for render(). Attributes that are null/undefined and
+ * children that are null/undefined/false are dropped.
+ */
+export function el(name, attrs = {}, children = []) {
+  return { name, attrs, children: Array.isArray(children) ? children : [children] };
+}
+
+export function render(node, depth = 0) {
+  const pad = "  ".repeat(depth);
+  const attrs = Object.entries(node.attrs || {})
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join("");
+  const children = node.children.filter(c => c !== undefined && c !== null && c !== false);
+
+  if (children.length === 0) return `${pad}<${node.name}${attrs} />`;
+  if (children.every(c => typeof c !== "object")) {
+    return `${pad}<${node.name}${attrs}>${children.map(escapeXml).join("")}</${node.name}>`;
+  }
+  const inner = children
+    .map(c => (typeof c === "object" ? render(c, depth + 1) : `${"  ".repeat(depth + 1)}${escapeXml(c)}`))
+    .join("\n");
+  return `${pad}<${node.name}${attrs}>\n${inner}\n${pad}</${node.name}>`;
+}
+
+/* -------------------- Validation -------------------- */
+function invalid(field, reason) {
+  const err = new Error(`Invalid OTA request field "${field}": ${reason}`);
+  err.code = "INVALID_REQUEST";
+  err.status = 400;
+  err.field = field;
+  return err;
+}
+
+function get(obj, path) {
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function requireFields(input, fields) {
+  for (const field of fields) {
+    const value = get(input, field);
+    if (value === undefined || value === null || String(value).trim() === "") {
+      throw invalid(field, "required");
+    }
+  }
+}
+
+function requireDate(input, field) {
+  const value = get(input, field);
+  if (!ISO_DATE.test(String(value ?? "")) || isNaN(new Date(value))) {
+    throw invalid(field, "expected YYYY-MM-DD");
+  }
+}
+
+function requireCount(input, field, { min = 0 } = {}) {
+  const value = get(input, field);
+  if (!Number.isInteger(value) || value < min) {
+    throw invalid(field, `expected integer >= ${min}`);
+  }
+}
+
+function requirePricing(input) {
+  if (input.nightlyRates?.length) {
+    input.nightlyRates.forEach((night, i) => {
+      requireDate(input, `nightlyRates.${i}.date`);
+      requireFields(input, [`nightlyRates.${i}.amount`]);
+    });
+    return;
+  }
+  requireFields(input, ["amountAfterTax"]);
+}
+
+function requireStay(input) {
+  requireDate(input, "checkIn");
+  requireDate(input, "checkOut");
+  if (input.checkOut <= input.checkIn) throw invalid("checkOut", "must be after checkIn");
+  requireCount(input, "adults", { min: 1 });
+  requireCount(input, "children");
+}
+
+/* -------------------- Shared fragments -------------------- */
+const pos = (requestorId = "RetellAgent") =>
+  el("POS", {}, el("Source", {}, el("RequestorID", { ID: requestorId })));
+
+const guestCounts = ({ adults, children }) =>
+  el("GuestCounts", {}, [
+    el("GuestCount", { Count: adults, AgeQualifyingCode: "10" }),
+    children > 0 ? el("GuestCount", { Count: children, AgeQualifyingCode: "8" }) : null
+  ]);
+
+const nextDay = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+};
+
+// One <Rate> per night when a breakdown is given, else a single flat rate
+function rates(input, currency) {
+  if (input.nightlyRates?.length) {
+    return input.nightlyRates.map(night =>
+      el("Rate", { EffectiveDate: night.date, ExpireDate: nextDay(night.date), RateTimeUnit: "Day", UnitMultiplier: "1" }, [
+        el("Base", { AmountAfterTax: night.amount, CurrencyCode: currency })
+      ]));
+  }
+  return [el("Rate", { RateTimeUnit: "Day", UnitMultiplier: "1" }, [
+    el("Total", { AmountAfterTax: input.amountAfterTax, CurrencyCode: currency })
+  ])];
+}
+
+function roomStay(input) {
+  const currency = input.currency || "EUR";
+  return el("RoomStay", {}, [
+    el("RoomTypes", {}, el("RoomType", { TypeCode: input.roomTypeCode || "STANDARD" }, [
+      el("RoomDescription", { Name: input.roomName || "Standard Room" }, [
+        el("Text", {}, input.roomDescription || "Standard Double Room")
+      ])
+    ])),
+    el("RoomRates", {}, el("RoomRate", { RatePlanCode: input.ratePlanCode || "FRUEHSTUECK" }, [
+      el("Rates", {}, rates(input, currency))
+    ])),
+    guestCounts(input),
+    el("TimeSpan", {}, [el("Start", {}, input.checkIn), el("End", {}, input.checkOut)]),
+    input.totalAfterTax !== undefined && input.totalAfterTax !== null
+      ? el("Total", { AmountAfterTax: input.totalAfterTax, CurrencyCode: currency })
+      : null
+  ]);
+}
+
+function resGuests(guest) {
+  const arrivalTime = guest.arrivalTime ? `${guest.arrivalTime}:00` : null;
+  return el("ResGuests", {}, el("ResGuest", { ArrivalTime: arrivalTime }, [
+    el("Profiles", {}, el("ProfileInfo", {}, el("Profile", {}, el("Customer", { Language: guest.language }, [
+      el("PersonName", {}, [
+        guest.givenName ? el("GivenName", {}, guest.givenName) : null,
+        el("Surname", {}, guest.surname)
+      ]),
+      guest.phone ? el("Telephone", { PhoneNumber: guest.phone }) : null,
+      guest.email ? el("Email", {}, guest.email) : null
+    ]))))
+  ]));
+}
+
+const comments = (guest) =>
+  guest.specialRequests
+    ? el("ResGlobalInfo", {}, el("Comments", {}, el("Comment", {}, el("Text", {}, guest.specialRequests))))
+    : null;
+
+function hotelReservation(input) {
+  return el("HotelReservation", {}, [
+    el("UniqueID", { ID: input.uniqueId }, el("ID_Context", {}, input.idContext || "Retell")),
+    el("RoomStays", {}, roomStay(input)),
+    resGuests(input.guest),
+    comments(input.guest)
+  ]);
+}
+
+/* -------------------- Message builders -------------------- */
+
+/**
+ * SOAP envelope with HotelRunner auth header around an already built body.
+ */
+export function buildSoapEnvelope({ hrId, token, body = "" }) {
+  requireFields({ hrId, token }, ["hrId", "token"]);
+  const header = render(el("soap:Header", {}, el("auth", { xmlns: OTA_NS }, [
+    el("HotelRunnerID", {}, hrId),
+    el("Token", {}, token)
+  ])), 1);
+  const indentedBody = String(body || "").split("\n").map(line => (line ? `    ${line}` : line)).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<soap:Envelope xmlns:soap="${SOAP_NS}">
+${header}
+  <soap:Body>
+${indentedBody}
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+/**
+ * OTA_HotelAvailRQ for one room stay candidate.
+ * @param {{ hotelCode: string, checkIn: string, checkOut: string, adults: number, children: number }} input
+ */
+export function buildHotelAvailRQ(input) {
+  requireFields(input, ["hotelCode"]);
+  requireStay(input);
+  return render(el("OTA_HotelAvailRQ", { xmlns: OTA_NS, Version: "1.0", AvailRatesOnly: "true" }, [
+    el("AvailRequestSegments", {}, el("AvailRequestSegment", { AvailReqType: "Room" }, [
+      el("HotelSearchCriteria", {}, el("Criterion", {}, [
+        el("HotelRef", { HotelCode: input.hotelCode }),
+        el("StayDateRange", { Start: input.checkIn, End: input.checkOut }),
+        el("RoomStayCandidates", {}, el("RoomStayCandidate", { Quantity: "1" }, guestCounts(input)))
+      ]))
+    ]))
+  ]));
+}
+
+/**
+ * OTA_ResCreateRQ for a single room reservation.
+ * Pricing is either `nightlyRates` (one Rate per night, plus `totalAfterTax`
+ * for the stay) or a flat `amountAfterTax`.
+ * @param {{ uniqueId: string, checkIn: string, checkOut: string, adults: number, children: number,
+ *   nightlyRates?: Array<{ date: string, amount: number }>, totalAfterTax?: number,
+ *   amountAfterTax?: number, currency?: string, roomTypeCode?: string, roomName?: string,
+ *   roomDescription?: string, ratePlanCode?: string, requestorId?: string,
+ *   guest: { givenName?: string, surname: string, email?: string, phone?: string,
+ *     language?: string, arrivalTime?: string, specialRequests?: string } }} input
+ */
+export function buildResCreateRQ(input) {
+  requireFields(input, ["uniqueId", "guest.surname"]);
+  requireStay(input);
+  requirePricing(input);
+  return render(el("OTA_ResCreateRQ", { xmlns: OTA_NS }, [
+    pos(input.requestorId),
+    el("HotelReservations", {}, hotelReservation(input))
+  ]));
+}
+
+/**
+ * OTA_HotelResModifyRQ replacing the stay of an existing reservation.
+ * Takes the ResCreate fields plus the HotelRunner `reservationId`.
+ */
+export function buildResModifyRQ(input) {
+  requireFields(input, ["reservationId", "uniqueId", "guest.surname"]);
+  requireStay(input);
+  requirePricing(input);
+  return render(el("OTA_HotelResModifyRQ", { xmlns: OTA_NS, Version: "1.0" }, [
+    pos(input.requestorId),
+    el("HotelResModifies", {}, el("HotelResModify", {}, [
+      el("UniqueID", { Type: "14", ID: input.reservationId }, el("ID_Context", {}, "HotelRunner")),
+      el("RoomStays", {}, roomStay(input)),
+      resGuests(input.guest),
+      comments(input.guest)
+    ]))
+  ]));
+}
+
+/**
+ * OTA_CancelRQ for an existing reservation, verified by guest email.
+ * @param {{ reservationId: string, email: string, surname?: string, cancelType?: "Initiate"|"Commit", requestorId?: string }} input
+ */
+export function buildCancelRQ(input) {
+  requireFields(input, ["reservationId", "email"]);
+  return render(el("OTA_CancelRQ", { xmlns: OTA_NS, Version: "1.0", CancelType: input.cancelType || "Commit" }, [
+    pos(input.requestorId),
+    el("UniqueID", { Type: "14", ID: input.reservationId }, el("ID_Context", {}, "HotelRunner")),
+    el("Verification", {}, [
+      input.surname ? el("PersonName", {}, el("Surname", {}, input.surname)) : null,
+      el("Email", {}, input.email)
+    ])
+  ]));
+}
+
+/**
+ * OTA_ReadRQ fetching one reservation by its HotelRunner ID.
+ * @param {{ hotelCode: string, reservationId: string, requestorId?: string }} input
+ */
+export function buildReadRQ(input) {
+  requireFields(input, ["hotelCode", "reservationId"]);
+  return render(el("OTA_ReadRQ", { xmlns: OTA_NS, Version: "1.0" }, [
+    pos(input.requestorId),
+    el("ReadRequests", {}, el("HotelReadRequest", { HotelCode: input.hotelCode }, [
+      el("UniqueID", { Type: "14", ID: input.reservationId }, el("ID_Context", {}, "HotelRunner"))
+    ]))
+  ]));
+}
@@ -0,0 +1,127 @@
+/**
+ * HotelRunner OTA-XML client: SOAP envelope around each request, response
+ * parsing and error mapping. OTA rejections (`error.ota`) end a request;
+ * outages, including requests exceeding `timeoutMs`, are flagged
+ * `transient` so callers may fall back to rules/mock.
+ * CurrencyConversion data in any response goes to `onConversions` (the
+ * "ota" FX source).
+ */
+import { parseHotelAvailRS } from "./availability.js";
+import { parseOtaResponse, otaResponseError, parseCurrencyConversions } from "./response.js";
+import { buildSoapEnvelope, buildHotelAvailRQ, buildReadRQ } from "./builder.js";
+import { parseReservation } from "./reservation.js";
+import { t, hasMessage } from "../i18n/index.js";
+import { SpanKind } from "../tracing.js";
+
+// OTA rejections end the request; network failures and outages may fall back to mock/rules
+export const isOtaRejection = (error) => !!error?.ota && !error.transient;
+
+export const otaSpoken = (code, locale, fallback = "HOTELRUNNER_REJECTED") =>
+  t(locale, hasMessage(`ota.${code}`) ? `ota.${code}` : `ota.${fallback}`);
+
+/**
+ * @param {{ enabled: boolean, hrId: string, token: string, baseUrl: string, timeoutMs?: number,
+ *   logger: { warn: Function, error: Function }, metrics: { otaCall: Function },
+ *   tracing: { withSpan: Function }, onConversions?: (conversions: object) => void }} options
+ */
+export function createHotelRunnerClient({
+  enabled, hrId, token, baseUrl, timeoutMs = 8000, logger, metrics, tracing, onConversions = () => {}
+}) {
+  const configured = enabled && !!hrId && !!token;
+
+  // One client span per SOAP request, child of the tool request or conversation turn
+  const call = (endpoint, body = null) => tracing.withSpan(`HotelRunner ${endpoint}`, {
+    kind: SpanKind.CLIENT,
+    attributes: { "rpc.system": "soap", "rpc.method": endpoint, "hotelrunner.hotel_code": hrId }
+  }, () => send(endpoint, body));
+
+  async function send(endpoint, body) {
+    if (!configured) {
+      throw new Error('HotelRunner not configured');
+    }
+
+    const url = `${baseUrl}${endpoint}`;
+    const options = {
+      method: "POST",
+      headers: {
+        'Content-Type': 'text/xml; charset=utf-8',
+        'SOAPAction': endpoint
+      },
+      body: buildSoapEnvelope({ hrId, token, body }),
+      signal: AbortSignal.timeout(timeoutMs)
+    };
+    const startedAt = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    try {
+      let response, xmlResponse;
+      try {
+        response = await fetch(url, options);
+        xmlResponse = await response.text();
+      } catch (fetchError) {
+        if (fetchError.name !== "TimeoutError" && fetchError.name !== "AbortError") throw fetchError;
+        const err = new Error(`HotelRunner OTA request timed out after ${timeoutMs} ms`, { cause: fetchError });
+        err.code = "HOTELRUNNER_UNAVAILABLE";
+        err.status = 504;
+        err.transient = true;
+        throw err;
+      }
+
+      let result = null;
+      try {
+        result = parseOtaResponse(xmlResponse);
+      } catch (parseError) {
+        if (response.ok) throw new Error(`HotelRunner OTA response not parseable: ${parseError.message}`);
+      }
+
+      // Non-2xx without an OTA payload is an outage, not a rejection
+      if (!response.ok && !result?.fault && !result?.errors.length) {
+        const err = new Error(`HotelRunner OTA error: ${response.status} ${response.statusText}`);
+        err.code = "HOTELRUNNER_UNAVAILABLE";
+        err.status = 502;
+        err.transient = true;
+        throw err;
+      }
+
+      if (!result.success) {
+        throw otaResponseError(result);
+      }
+
+      if (result.warnings.length) {
+        logger.warn("HotelRunner OTA warnings", null, { endpoint, warnings: result.warnings });
+      }
+
+      const conversions = parseCurrencyConversions(result.body);
+      if (conversions) onConversions(conversions);
+
+      metrics.otaCall(endpoint, seconds());
+      return { ...result, xml: xmlResponse };
+    } catch (error) {
+      metrics.otaCall(endpoint, seconds(), error);
+      logger.error('HotelRunner OTA call failed', error, { endpoint, code: error.code, otaErrors: error.ota?.errors });
+      throw error;
+    }
+  }
+
+  return {
+    configured,
+    hotelCode: hrId,
+    call,
+
+    async checkAvailability({ check_in, check_out, adults, children }) {
+      const otaBody = buildHotelAvailRQ({ hotelCode: hrId, checkIn: check_in, checkOut: check_out, adults, children });
+      const hrResponse = await call('HotelAvailRQ', otaBody);
+      return parseHotelAvailRS(hrResponse.xml);
+    },
+
+    // Reservation by HotelRunner ID; null unless the stored guest email matches
+    async lookupBooking(bookingId, email) {
+      const hrResponse = await call('ReadRQ', buildReadRQ({ hotelCode: hrId, reservationId: bookingId }));
+      const reservation = parseReservation(hrResponse.body);
+      if (!reservation || !reservation.email || reservation.email.trim().toLowerCase() !== email) {
+        return null;
+      }
+      return { ...reservation, reservation_id: reservation.reservation_id || bookingId };
+    }
+  };
+}
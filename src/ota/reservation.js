@@ -0,0 +1,59 @@
+/**
+ * Reservation lookup parsing (OTA_ResRetrieveRS / OTA_HotelResRS bodies).
+ */
+import { collect, textOf, toNumber } from "./xml.js";
+
+// TimeSpan may carry Start/End as attributes (OTA standard) or child elements
+const spanValue = (span, key) => {
+  const value = span?.[key];
+  if (typeof value === "string") return value.slice(0, 10);
+  return textOf(value)?.slice(0, 10) || null;
+};
+
+/**
+ * First reservation in a parsed OTA response body, or null.
+ * @param {object} body - `body` of parseOtaResponse()
+ * @returns {{ reservation_id: string|null, status: string|null, check_in: string|null, check_out: string|null,
+ *   adults: number|null, children: number|null, total: number|null, currency: string|null,
+ *   email: string|null, given_name: string|null, surname: string|null, phone: string|null,
+ *   language: string|null, arrival_time: string|null, special_requests: string|null } | null}
+ */
+export function parseReservation(body) {
+  const reservation = collect(body, "HotelReservation")[0];
+  if (!reservation) return null;
+
+  const span = collect(reservation, "TimeSpan")[0];
+  const totals = collect(reservation, "Total");
+  const total = totals.find(t => t?.AmountAfterTax || t?.AmountBeforeTax);
+  const counts = collect(reservation, "GuestCount");
+  const countFor = (code) => {
+    const entry = counts.find(c => c?.AgeQualifyingCode === code);
+    return entry ? toNumber(entry.Count) : null;
+  };
+
+  const resId = collect(reservation, "HotelReservationID").find(r => r?.ResID_Value);
+  const uniqueId = collect(reservation, "UniqueID").find(u => u?.ID);
+  const person = collect(reservation, "PersonName")[0];
+  const customer = collect(reservation, "Customer")[0];
+  const resGuest = collect(reservation, "ResGuest")[0];
+  const comment = collect(collect(reservation, "Comment")[0], "Text")[0];
+
+  return {
+    reservation_id: resId?.ResID_Value || uniqueId?.ID || null,
+    status: reservation.ResStatus || null,
+    check_in: spanValue(span, "Start"),
+    check_out: spanValue(span, "End"),
+    adults: countFor("10"),
+    children: countFor("8"),
+    total: toNumber(total?.AmountAfterTax ?? total?.AmountBeforeTax),
+    currency: total?.CurrencyCode || null,
+    email: collect(reservation, "Email").map(textOf).find(Boolean) || null,
+    given_name: textOf(person?.GivenName),
+    surname: textOf(person?.Surname),
+    phone: collect(reservation, "Telephone").map(tel => tel?.PhoneNumber).find(Boolean) || null,
+    language: customer?.Language || null,
+    // "15:30:00" as sent in ResCreate, back to the "HH:MM" of a stored guest
+    arrival_time: resGuest?.ArrivalTime?.slice(0, 5) || null,
+    special_requests: textOf(comment)
+  };
+}
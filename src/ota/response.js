@@ -0,0 +1,135 @@
+/**
+ * Generic OTA/SOAP response parsing and error mapping for HotelRunner.
+ * HotelRunner answers business errors with HTTP 200 and an <Errors> block,
+ * so success is decided by the payload, never by the status code alone.
+ */
+import { parseXml, collect, textOf } from "./xml.js";
+
+/**
+ * OTA error codes (OpenTravel ERR code list) mapped to the stable codes the
+ * tool routes hand to the voice agent.
+ */
+export const OTA_ERROR_CODES = Object.freeze({
+  "15": "INVALID_DATES",
+  "61": "INVALID_CURRENCY",
+  "95": "ALREADY_CANCELLED",
+  "187": "HOTELRUNNER_UNAVAILABLE",
+  "245": "BOOKING_NOT_FOUND",
+  "316": "INVALID_GUEST",
+  "321": "INVALID_REQUEST",
+  "322": "NO_AVAILABILITY",
+  "361": "INVALID_GUEST_COUNT",
+  "392": "HOTELRUNNER_CONFIG",
+  "402": "INVALID_ROOM_TYPE",
+  "436": "INVALID_RATE",
+  "448": "HOTELRUNNER_UNAVAILABLE",
+  "450": "HOTELRUNNER_UNAVAILABLE",
+  "497": "HOTELRUNNER_AUTH"
+});
+
+export const DEFAULT_ERROR_CODE = "HOTELRUNNER_REJECTED";
+
+// Codes that describe an outage rather than a rejected request
+const TRANSIENT_CODES = new Set(["HOTELRUNNER_UNAVAILABLE", "HOTELRUNNER_FAULT"]);
+
+export function mapOtaErrorCode(otaCode) {
+  return OTA_ERROR_CODES[String(otaCode ?? "").trim()] || DEFAULT_ERROR_CODE;
+}
+
+function findResponseRoot(doc) {
+  const container = doc?.Envelope?.Body || doc || {};
+  for (const [name, node] of Object.entries(container)) {
+    if (name === "?xml" || name === "Fault") continue;
+    if (node && typeof node === "object") return { name, node };
+  }
+  return { name: null, node: null };
+}
+
+const toIssue = (entry) => ({
+  type: entry?.Type || null,
+  ota_code: entry?.Code || null,
+  code: mapOtaErrorCode(entry?.Code),
+  message: entry?.ShortText || textOf(entry) || null
+});
+
+/**
+ * Parse any OTA response (bare or SOAP-wrapped) into a typed result.
+ * @param {string} xml
+ * @returns {{ success: boolean, root: string|null, fault: { code: string|null, message: string|null }|null,
+ *   errors: Array<{ type: string|null, ota_code: string|null, code: string, message: string|null }>,
+ *   warnings: Array<{ type: string|null, ota_code: string|null, code: string, message: string|null }>,
+ *   unique_ids: Array<{ id: string, type: string|null, context: string|null }>,
+ *   reservation_id: string|null, body: object|null }}
+ */
+export function parseOtaResponse(xml) {
+  const doc = parseXml(xml);
+  const faultNode = doc?.Envelope?.Body?.Fault;
+  const fault = faultNode
+    ? {
+        code: textOf(faultNode.faultcode) || textOf(faultNode.Code?.Value) || null,
+        message: textOf(faultNode.faultstring) || textOf(faultNode.Reason?.Text) || null
+      }
+    : null;
+
+  const { name: root, node } = findResponseRoot(doc);
+
+  const errors = node ? collect(node.Errors, "Error").map(toIssue) : [];
+  const warnings = node ? collect(node.Warnings, "Warning").map(toIssue) : [];
+
+  const unique_ids = [];
+  for (const uid of collect(node, "UniqueID")) {
+    if (uid?.ID) unique_ids.push({ id: uid.ID, type: uid.Type || null, context: textOf(uid.ID_Context) || uid.ID_Context || null });
+  }
+  for (const resId of collect(node, "HotelReservationID")) {
+    if (resId?.ResID_Value) unique_ids.push({ id: resId.ResID_Value, type: resId.ResID_Type || null, context: resId.ResID_Source || null });
+  }
+
+  // Legacy <ReservationID> element, then the first non-request unique id
+  const legacyId = collect(node, "ReservationID").map(textOf).find(Boolean);
+  const reservation_id = legacyId
+    || unique_ids.find(u => u.context !== "Retell")?.id
+    || null;
+
+  const success = !fault && errors.length === 0 && !!node && "Success" in node;
+
+  return { success, root, fault, errors, warnings, unique_ids, reservation_id, body: node };
+}
+
+/**
+ * Error for a response HotelRunner did not accept. `code` is the stable
+ * agent-facing code; `transient` marks outages that may fall back to mock.
+ */
+export function otaResponseError(result) {
+  const first = result.errors[0];
+  const code = result.fault ? "HOTELRUNNER_FAULT" : first?.code || DEFAULT_ERROR_CODE;
+  const message = result.fault
+    ? `HotelRunner SOAP fault: ${result.fault.message || result.fault.code || "unknown"}`
+    : `HotelRunner OTA error${first?.ota_code ? ` ${first.ota_code}` : ""}: ${first?.message || "request not accepted"}`;
+
+  const err = new Error(message);
+  err.code = code;
+  err.status = 502;
+  err.transient = TRANSIENT_CODES.has(code);
+  err.ota = result;
+  return err;
+}
+
+/**
+ * Currency conversions carried in an OTA response body
+ * (<CurrencyConversion SourceCurrencyCode RequestedCurrencyCode RatioToBaseCurrency/>).
+ * @returns {{ base: string, rates: Record<string, number> } | null}
+ */
+export function parseCurrencyConversions(body) {
+  const conversions = collect(body, "CurrencyConversion");
+  let base = null;
+  const rates = {};
+  for (const conv of conversions) {
+    const source = String(conv?.SourceCurrencyCode || "").toUpperCase();
+    const target = String(conv?.RequestedCurrencyCode || "").toUpperCase();
+    const ratio = Number(conv?.RatioToBaseCurrency ?? conv?.Rate);
+    if (!source || !target || !Number.isFinite(ratio) || ratio <= 0) continue;
+    base = base || source;
+    if (source === base) rates[target] = ratio;
+  }
+  return base ? { base, rates } : null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Shared XML parser for OTA/SOAP responses.
+ * Namespace prefixes are stripped and attributes are merged into the element
+ * object without prefix, so `<soap:Body>` becomes `Body` and `Code="322"` `.Code`.
+ */
+import { XMLParser } from "fast-xml-parser";
+
+const ARRAY_TAGS = new Set([
+  "RoomStay", "RoomType", "RatePlan", "RoomRate", "Rate",
+  "Error", "Warning", "UniqueID", "HotelReservationID", "HotelReservation"
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  removeNSPrefix: true,
+  parseAttributeValue: false,
+  parseTagValue: false,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+export function parseXml(xml) {
+  return parser.parse(String(xml || ""));
+}
+
+export const toNumber = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+export const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === "string") return node.trim() || null;
+  return typeof node["#text"] === "string" ? node["#text"].trim() || null : null;
+};
+
+/**
+ * Depth-first collection of every element with the given tag name.
+ */
+export function collect(node, tag, out = []) {
+  if (!node || typeof node !== "object") return out;
+  if (Array.isArray(node)) {
+    for (const item of node) collect(item, tag, out);
+    return out;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key === tag) {
+      if (Array.isArray(value)) out.push(...value);
+      else out.push(value);
+    }
+    collect(value, tag, out);
+  }
+  return out;
+}
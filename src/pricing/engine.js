@@ -0,0 +1,276 @@
+/**
+ * Rate-sheet driven pricing engine.
+ * A rate sheet (JSON or YAML, see config/rates.json) defines room types with
+ * occupancy limits, seasonal nightly rates, weekend surcharges, child age
+ * bands, boards (found by name, code or one of their `aliases`, so "breakfast"
+ * and "kahvaltı" reach "frühstück"), minimum stays and length-of-stay
+ * discounts. quote() returns a night-by-night breakdown that is also used for
+ * the OTA <Total>.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+
+const DAY_MS = 86400000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function pricingError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 400;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Lookup key for board names: "Frühstück", "fruehstueck" and "FRÜHSTÜCK"
+ * all map to "fruehstueck", "Kahvaltı" and "kahvalti" to "kahvalti".
+ */
+export function boardKey(name = "") {
+  return String(name).toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss").replace(/ı/g, "i")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const toUtc = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+const fromUtc = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Season ranges are "MM-DD" (every year, may wrap over New Year) or absolute "YYYY-MM-DD"
+function inSeason(season, date) {
+  if (season.from.length === 10) return date >= season.from && date <= season.to;
+  const md = date.slice(5);
+  return season.from <= season.to
+    ? md >= season.from && md <= season.to
+    : md >= season.from || md <= season.to;
+}
+
+/**
+ * Validate and normalize a parsed rate sheet. Throws on structural errors and
+ * on prices that are not plain non-negative numbers ("95,00", a missing rate)
+ * so a broken sheet fails at startup instead of speaking NaN mid-call.
+ */
+export function validateRateSheet(sheet) {
+  const fail = (msg) => { throw new Error(`Invalid rate sheet: ${msg}`); };
+  if (!sheet || typeof sheet !== "object") fail("not an object");
+  const amount = (value, where, { optional = false } = {}) => {
+    if (value === undefined && optional) return;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      fail(`${where} must be a non-negative number, got ${JSON.stringify(value) ?? "nothing"}`);
+    }
+  };
+
+  const roomTypes = sheet.room_types || {};
+  if (!Object.keys(roomTypes).length) fail("room_types missing");
+  for (const [code, rt] of Object.entries(roomTypes)) {
+    for (const key of ["base_occupancy", "max_adults", "max_occupancy"]) {
+      if (!Number.isInteger(rt[key]) || rt[key] < 1) fail(`room_types.${code}.${key} must be a positive integer`);
+    }
+    amount(rt.extra_adult_per_night, `room_types.${code}.extra_adult_per_night`, { optional: true });
+  }
+
+  const defaultRoomType = sheet.default_room_type || Object.keys(roomTypes)[0];
+  if (!roomTypes[defaultRoomType]) fail(`default_room_type ${defaultRoomType} unknown`);
+
+  const seasons = (sheet.seasons || []).map((s, i) => {
+    const pattern = /^(\d{4}-)?\d{2}-\d{2}$/;
+    if (!pattern.test(s.from || "") || !pattern.test(s.to || "") || s.from.length !== s.to.length) {
+      fail(`seasons[${i}] needs from/to as MM-DD or YYYY-MM-DD`);
+    }
+    return { name: s.name || `season_${i + 1}`, from: s.from, to: s.to, rates: s.rates || {}, min_stay: s.min_stay ?? null };
+  });
+
+  for (const [code, rate] of Object.entries(sheet.default_rates || {})) amount(rate, `default_rates.${code}`);
+  seasons.forEach((season, i) => {
+    for (const [code, rate] of Object.entries(season.rates)) amount(rate, `seasons[${i}].rates.${code}`);
+  });
+
+  // Without a default rate, recurring seasons must price every day of the year
+  for (const code of Object.keys(roomTypes)) {
+    if (sheet.default_rates?.[code] !== undefined) continue;
+    const priced = seasons.filter(s => s.from.length === 5 && s.rates[code] !== undefined);
+    for (let day = Date.UTC(2024, 0, 1); day < Date.UTC(2025, 0, 1); day += DAY_MS) {
+      const date = fromUtc(day);
+      if (!priced.some(s => inSeason(s, date))) fail(`no rate for room type ${code} on ${date.slice(5)}`);
+    }
+  }
+
+  const boards = new Map();
+  const boardNames = new Map();
+  for (const [name, board] of Object.entries(sheet.boards || {})) {
+    amount(board.per_person, `boards.${name}.per_person`, { optional: true });
+    const entry = { name, code: board.code || name.toUpperCase(), per_person: board.per_person ?? 0 };
+    boards.set(boardKey(name), entry);
+    // Callers name the board in their own language or by its rate plan code
+    for (const alias of [name, entry.code, ...(board.aliases || [])]) {
+      const key = boardKey(alias);
+      if (boardNames.has(key) && boardNames.get(key) !== entry) fail(`board alias "${alias}" is used twice`);
+      boardNames.set(key, entry);
+    }
+  }
+  if (!boards.size) fail("boards missing");
+  const defaultBoard = boardKey(sheet.default_board || Object.keys(sheet.boards)[0]);
+  if (!boards.has(defaultBoard)) fail(`default_board ${sheet.default_board} unknown`);
+
+  const bands = [...(sheet.children?.bands || [])].sort((a, b) => a.max_age - b.max_age);
+  bands.forEach((band, i) => {
+    amount(band.max_age, `children.bands[${i}].max_age`);
+    amount(band.percent, `children.bands[${i}].percent`);
+  });
+  amount(sheet.weekend?.surcharge_percent, "weekend.surcharge_percent", { optional: true });
+  (sheet.los_discounts || []).forEach((discount, i) => {
+    amount(discount.min_nights, `los_discounts[${i}].min_nights`);
+    amount(discount.percent, `los_discounts[${i}].percent`);
+  });
+  for (const [name, extra] of Object.entries(sheet.extras || {})) amount(extra.per_stay, `extras.${name}.per_stay`);
+
+  return {
+    currency: sheet.currency || "EUR",
+    defaultRoomType,
+    minStay: sheet.min_stay || 1,
+    roomTypes,
+    defaultRates: sheet.default_rates || {},
+    seasons,
+    weekend: {
+      days: new Set((sheet.weekend?.days || []).map(d => String(d).slice(0, 3).toLowerCase())),
+      percent: Number(sheet.weekend?.surcharge_percent) || 0
+    },
+    childBands: bands,
+    defaultChildAge: sheet.children?.default_age ?? 8,
+    boards,
+    boardNames,
+    defaultBoard,
+    losDiscounts: [...(sheet.los_discounts || [])].sort((a, b) => b.min_nights - a.min_nights),
+    extras: sheet.extras || {}
+  };
+}
+
+export function loadRateSheet(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  const parsed = ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+  return validateRateSheet(parsed);
+}
+
+/**
+ * @param {ReturnType<typeof validateRateSheet>} sheet
+ */
+export function createPricingEngine(sheet) {
+  const childPercent = (age) => {
+    const band = sheet.childBands.find(b => age <= b.max_age);
+    return band ? band.percent : 100;
+  };
+
+  const nightlyRoomRate = (roomType, date) => {
+    const season = sheet.seasons.find(s => inSeason(s, date) && s.rates[roomType] !== undefined);
+    if (season) return { season: season.name, rate: Number(season.rates[roomType]) };
+    return { season: null, rate: Number(sheet.defaultRates[roomType]) };
+  };
+
+  return {
+    currency: sheet.currency,
+    roomTypes: () => Object.entries(sheet.roomTypes).map(([code, rt]) => ({ code, ...rt })),
+    resolveBoard: (name) => sheet.boardNames.get(boardKey(name || "")) || null,
+
+    /**
+     * @param {{ checkIn: string, checkOut: string, roomType?: string, adults?: number,
+     *   children?: number, childAges?: number[], board?: string, extras?: string[] }} input
+     */
+    quote({ checkIn, checkOut, roomType, adults = 2, children = 0, childAges = [], board, extras = [] }) {
+      if (!ISO_DATE.test(checkIn || "") || !ISO_DATE.test(checkOut || "")) {
+        throw pricingError("invalid_dates", "Valid check-in and check-out dates required");
+      }
+      const nights = Math.round((toUtc(checkOut) - toUtc(checkIn)) / DAY_MS);
+      if (nights <= 0) throw pricingError("invalid_dates", "Check-out must be after check-in");
+
+      const code = roomType ? String(roomType).toUpperCase() : sheet.defaultRoomType;
+      const room = sheet.roomTypes[code];
+      if (!room) throw pricingError("unknown_room_type", `Unknown room type ${roomType}`, { room_types: Object.keys(sheet.roomTypes) });
+
+      const boardEntry = board ? sheet.boardNames.get(boardKey(board)) : sheet.boards.get(sheet.defaultBoard);
+      if (!boardEntry) throw pricingError("unknown_board", `Unknown board ${board}`);
+
+      if (adults < 1 || adults > room.max_adults
+        || children > (room.max_children ?? room.max_occupancy)
+        || adults + children > room.max_occupancy) {
+        throw pricingError("occupancy_exceeded",
+          `${code} allows ${room.max_adults} adults and ${room.max_occupancy} guests in total`,
+          { max_adults: room.max_adults, max_children: room.max_children ?? null, max_occupancy: room.max_occupancy });
+      }
+
+      const arrivalSeason = sheet.seasons.find(s => inSeason(s, checkIn));
+      const minStay = arrivalSeason?.min_stay || sheet.minStay;
+      if (nights < minStay) {
+        throw pricingError("min_stay", `Minimum stay is ${minStay} nights`, { min_stay: minStay });
+      }
+
+      const ages = Array.from({ length: children }, (_, i) =>
+        Number.isInteger(childAges[i]) ? childAges[i] : sheet.defaultChildAge);
+      const extraAdults = Math.max(0, adults - room.base_occupancy);
+      // Children only pay room share once the base occupancy is used up
+      const freeChildSlots = Math.max(0, room.base_occupancy - adults);
+      const payingChildAges = [...ages].sort((a, b) => b - a).slice(freeChildSlots);
+
+      const perNight = [];
+      for (let i = 0; i < nights; i++) {
+        const date = fromUtc(toUtc(checkIn) + i * DAY_MS);
+        const { season, rate } = nightlyRoomRate(code, date);
+        const weekend = sheet.weekend.days.has(WEEKDAYS[new Date(toUtc(date)).getUTCDay()]);
+        const weekendSurcharge = weekend ? round2(rate * sheet.weekend.percent / 100) : 0;
+        const extraAdult = round2(extraAdults * (room.extra_adult_per_night || 0));
+        const child = round2(payingChildAges.reduce((sum, age) =>
+          sum + (room.extra_adult_per_night || 0) * childPercent(age) / 100, 0));
+        const boardAmount = round2(adults * boardEntry.per_person
+          + ages.reduce((sum, age) => sum + boardEntry.per_person * childPercent(age) / 100, 0));
+
+        perNight.push({
+          date,
+          season,
+          room: rate,
+          weekend_surcharge: weekendSurcharge,
+          extra_adults: extraAdult,
+          children: child,
+          board: boardAmount,
+          total: round2(rate + weekendSurcharge + extraAdult + child + boardAmount)
+        });
+      }
+
+      const subtotal = round2(perNight.reduce((sum, n) => sum + n.total, 0));
+      const los = sheet.losDiscounts.find(d => nights >= d.min_nights);
+      const losDiscount = los ? round2(subtotal * los.percent / 100) : 0;
+
+      const extraItems = extras
+        .filter(name => sheet.extras[name])
+        .map(name => ({ code: name, name: sheet.extras[name].name || name, amount: Number(sheet.extras[name].per_stay) || 0 }));
+      const extrasTotal = round2(extraItems.reduce((sum, e) => sum + e.amount, 0));
+
+      return {
+        currency: sheet.currency,
+        room_type: code,
+        room_name: room.name || code,
+        board: boardEntry.name,
+        rate_plan_code: boardEntry.code,
+        check_in: checkIn,
+        check_out: checkOut,
+        nights,
+        adults,
+        children,
+        child_ages: ages,
+        min_stay: minStay,
+        per_night: perNight,
+        subtotal,
+        los_discount: losDiscount,
+        los_discount_percent: los ? los.percent : 0,
+        extras: extraItems,
+        total: round2(subtotal - losDiscount + extrasTotal)
+      };
+    }
+  };
+}
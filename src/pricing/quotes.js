@@ -0,0 +1,68 @@
+/**
+ * Price quotes for the routes: pricing input from a request body (with the
+ * call session as fallback), the quote with its currency conversions, and
+ * the spoken answer when the rate sheet refuses a stay.
+ */
+import { t } from "../i18n/index.js";
+
+const PRICING_ERRORS = new Set(["invalid_dates", "unknown_room_type", "unknown_board", "occupancy_exceeded", "min_stay"]);
+
+export const isPricingError = (error) => PRICING_ERRORS.has(error?.code);
+
+export const pricingFailure = (error, locale) => ({
+  ok: false,
+  error: error.code,
+  message: error.message,
+  spoken: t(locale, `pricing.${error.code}`, error)
+});
+
+/**
+ * @param {{ pricing: { quote: Function }, fx: { convert: Function }, utils: object,
+ *   logger: { info: Function }, metrics: { quote: Function } }} deps
+ */
+export function createQuotes({ pricing, fx, utils, logger, metrics }) {
+  // Pricing input from a tool/public request body
+  function input(body, fallback = {}) {
+    const childAges = Array.isArray(body.child_ages)
+      ? body.child_ages.map(a => utils.coerceInt(a, NaN)).filter(Number.isInteger)
+      : fallback.child_ages || [];
+    return {
+      checkIn: utils.parseDateAny(body.check_in) || fallback.check_in,
+      checkOut: utils.parseDateAny(body.check_out) || fallback.check_out,
+      roomType: body.room_type || fallback.room_type,
+      adults: utils.coerceInt(body.adults ?? fallback.adults, 2),
+      children: utils.coerceInt(body.children ?? fallback.children, childAges.length),
+      childAges,
+      board: body.board || fallback.board,
+      extras: (body.club_care ?? fallback.club_care) ? ["club_care"] : []
+    };
+  }
+
+  // Quote response data: pricing breakdown plus the total in the configured currencies
+  async function data(quote) {
+    const { amounts, fx: rates } = await fx.convert(quote.total);
+    const totalEur = amounts.EUR;
+    const totalTry = amounts.TRY ?? null;
+
+    metrics.quote(quote, totalEur);
+    logger.info("Quote generated", {
+      nights: quote.nights, totalEur, totalTry, roomType: quote.room_type, board: quote.board,
+      fxSource: rates.source, fxStale: rates.stale
+    });
+
+    return {
+      total_eur: totalEur,
+      total_try: totalTry,
+      totals: amounts,
+      fx: rates.rates.TRY ?? null,
+      fx_rates: rates.rates,
+      fx_source: rates.source,
+      fx_timestamp: rates.timestamp,
+      fx_stale: rates.stale,
+      nights: quote.nights,
+      breakdown: quote
+    };
+  }
+
+  return { input, data, quote: (body, fallback) => pricing.quote(input(body, fallback)) };
+}
@@ -1,17 +1,29 @@
-// src/rateLimit.js
+/**
+ * Per-IP rate limits for the public and the tool routes (in-memory store,
+ * one set per app instance). A limit of 0 turns it off; Retell calls the
+ * tools from a few shared addresses, so size the tool limit for all
+ * concurrent calls.
+ */
 import rateLimit from "express-rate-limit";
 
-export const publicLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 Minute
-  max: 120, // 120 Requests pro Minute
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Kein store: Nutzt MemoryStore (default)
-});
+const passThrough = (req, res, next) => next();
 
-export const toolLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 60, // Strenger für Tool-Routes
-  standardHeaders: true,
-  legacyHeaders: false,
-});
\ No newline at end of file
+const limiter = (max) => (max > 0
+  ? rateLimit({
+    windowMs: 60 * 1000, // 1 Minute
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { ok: false, error: "rate_limited", message: "Too many requests, please retry later" }
+  })
+  : passThrough);
+
+/**
+ * @param {{ publicPerMinute?: number, toolPerMinute?: number }} [limits]
+ */
+export function createRateLimiters({ publicPerMinute = 120, toolPerMinute = 60 } = {}) {
+  return {
+    publicLimiter: limiter(publicPerMinute),
+    toolLimiter: limiter(toolPerMinute)
+  };
+}
@@ -6,17 +6,17 @@
 import WebSocket from "ws";
 import { CONFIG } from "../config.js";
 
-export function ensureApiKey() {
-  if (!CONFIG.retellApiKey) {
+export function ensureApiKey(config = CONFIG) {
+  if (!config.retell.apiKey) {
     const err = new Error("RETELL_API_KEY is not configured");
     err.status = 503;
     throw err;
   }
 }
 
-export async function connectRetell() {
-  ensureApiKey();
-  const url = CONFIG.retellWsUrl;
+export async function connectRetell(config = CONFIG) {
+  ensureApiKey(config);
+  const url = config.retell.wsUrl;
   // Placeholder: do not actually connect by default to avoid surprise network activity
   // Return a mock descriptor
   return { ok: true, url, note: "WS not opened in skeleton client" };
@@ -0,0 +1,214 @@
+/**
+ * Hotel booking dialog behind the custom-LLM socket, one conversation per
+ * call. Each caller turn goes through slot extraction into the call
+ * session and is answered with the next question, an availability offer
+ * or the booking confirmation. The stage is stored with the session, so a
+ * reconnected socket continues the conversation instead of greeting again.
+ * The domain logic (extraction, availability, pricing, booking) is
+ * injected, so the dialog runs the same code paths as the HTTP tools.
+ */
+import { t, answerOf, toLocaleCode, hotelLocale } from "../i18n/index.js";
+import { missingSlots } from "../session/index.js";
+import { parseEmail, spellEmail } from "../extraction/email.js";
+
+// Everything the caller said since the agent last spoke
+export function latestUserText(transcript = []) {
+  const parts = [];
+  for (let i = transcript.length - 1; i >= 0 && transcript[i].role === "user"; i--) {
+    parts.unshift(transcript[i].content);
+  }
+  return parts.join(" ").trim();
+}
+
+/**
+ * @param {{ extract: (text: string, options: { locale?: string }) => Promise<object>,
+ *   sessions: { get: Function, merge: Function },
+ *   nextQuestion: (slots: object) => { next_slot: string|null, ask: string|null },
+ *   checkAvailability: (stay: object) => Promise<{ plausible: boolean, payload: object }>,
+ *   quotePrice: (slots: object, locale: string) => Promise<string|null>,
+ *   book: (slots: object, options: { callId: string }) => Promise<object>,
+ *   hotel: string, languages: { supported: string[], default: string } }} deps
+ *   quotePrice: spoken stay total or null; book: commit payload ({ ok, data } or { ok: false, spoken });
+ *   hotel: name in the greeting; languages: what the hotel speaks, callers in others get the default
+ */
+export function createHotelDialog(deps) {
+  const source = "conversation";
+
+  function start(callId) {
+    // collect -> confirm -> (email) -> email_confirm -> done
+    const state = { stage: "collect", locale: null, lastAsk: null, emailConfirmed: false };
+    const locale = () => state.locale || deps.languages.default;
+    const spoken = (code) => (code ? hotelLocale(code, deps.languages) : null);
+
+    const say = (content, { stage = state.stage, end_call = false } = {}) => {
+      state.stage = stage;
+      state.lastAsk = content;
+      return { content, end_call };
+    };
+
+    const save = () => deps.sessions.merge(callId, {}, {
+      source,
+      dialog: { stage: state.stage, locale: state.locale, last_ask: state.lastAsk, email_confirmed: state.emailConfirmed }
+    });
+
+    // The session expired under a running call: collect the stay again
+    function startOver() {
+      const { ask } = deps.nextQuestion({ conflicts: [], locale: locale(), missing: missingSlots() });
+      return say(ask, { stage: "collect" });
+    }
+
+    async function offer(slots) {
+      const { payload } = await deps.checkAvailability({
+        check_in: slots.check_in,
+        check_out: slots.check_out,
+        adults: slots.adults,
+        children: slots.children || 0,
+        locale: locale()
+      });
+      if (!payload.availability_ok) {
+        return say(`${payload.spoken} ${t(locale(), "dialog.other_dates")}`, { stage: "collect" });
+      }
+      // A HotelRunner answer already names a price
+      const price = payload.details.cheapest_rate ? null : await deps.quotePrice(slots, locale());
+      return say(`${payload.spoken} ${t(locale(), "dialog.confirm", { price })}`, { stage: "confirm" });
+    }
+
+    async function book(slots) {
+      const result = await deps.book(slots, { callId });
+      if (!result.ok) {
+        return say(result.spoken || t(locale(), "dialog.booking_failed"), { stage: "collect" });
+      }
+      await deps.sessions.merge(callId, { booking_id: result.data.booking_id }, { source });
+      return say(t(locale(), "dialog.booked", { id: result.data.booking_id, email: slots.email }), { stage: "done" });
+    }
+
+    // Returns null when the turn carried no booking details
+    async function collect(text) {
+      const result = await deps.extract(text, { locale: state.locale || undefined });
+      state.locale = state.locale || spoken(result.locale);
+
+      const stated = Object.keys(result.provenance).filter(k => ["rules", "llm"].includes(result.provenance[k]));
+      const email = parseEmail(text, { locale: locale() })?.email;
+      if (!stated.length && !email && !result.conflicts.length) return null;
+      if (email) state.emailConfirmed = false;
+
+      const session = await deps.sessions.merge(callId, {
+        ...Object.fromEntries(stated.map(k => [k, result[k]])),
+        email,
+        locale: state.locale
+      }, { source });
+
+      const { ask } = deps.nextQuestion({ ...result, locale: locale(), missing: missingSlots(session.slots) });
+      if (ask) return say(ask, { stage: "collect" });
+      return offer(session.slots);
+    }
+
+    async function confirm(text) {
+      const answer = answerOf(locale(), text);
+      if (answer === "no") return say(t(locale(), "dialog.change"), { stage: "collect" });
+      if (answer === "yes") {
+        const session = await deps.sessions.get(callId);
+        if (!session) return startOver();
+        const { slots } = session;
+        if (!slots.email) return say(t(locale(), "ask.email"), { stage: "email" });
+        if (!state.emailConfirmed) return spellBack(slots.email);
+        return book(slots);
+      }
+      // "lieber drei Nächte" instead of yes/no: take the change and offer again
+      return (await collect(text)) || say(t(locale(), "dialog.confirm_again"));
+    }
+
+    // Dictated addresses are read back before anything goes out
+    function spellBack(address) {
+      return say(t(locale(), "email.confirm", { spelled: spellEmail(locale(), address) }), { stage: "email_confirm" });
+    }
+
+    async function email(text) {
+      const parsed = parseEmail(text, { locale: locale() });
+      if (!parsed) return say(t(locale(), "email.spell_again"));
+      await deps.sessions.merge(callId, { email: parsed.email }, { source });
+      return spellBack(parsed.email);
+    }
+
+    async function confirmEmail(text) {
+      const answer = answerOf(locale(), text);
+      if (answer === "yes") {
+        state.emailConfirmed = true;
+        const session = await deps.sessions.get(callId);
+        return session ? book(session.slots) : startOver();
+      }
+      // "nein, m a x ät web de": take the correction, else ask for it letter by letter
+      if (parseEmail(text, { locale: locale() })) return email(text);
+      return say(t(locale(), "email.spell_again"), { stage: "email" });
+    }
+
+    async function turn(text) {
+      switch (state.stage) {
+        case "confirm":
+          return confirm(text);
+        case "email":
+          return email(text);
+        case "email_confirm":
+          return confirmEmail(text);
+        case "done":
+          return say(t(locale(), "dialog.goodbye"), { end_call: true });
+        default:
+          return (await collect(text)) || say(state.lastAsk || t(locale(), "dialog.greeting", { hotel: deps.hotel }));
+      }
+    }
+
+    const greeting = () => say(t(locale(), "dialog.greeting", { hotel: deps.hotel })).content;
+
+    return {
+      greeting,
+
+      /**
+       * The opening line of a new call, or null when Retell reconnected a
+       * call that already has a stored stage.
+       * @returns {Promise<string|null>}
+       */
+      async open() {
+        const stored = (await deps.sessions.get(callId))?.dialog;
+        if (stored) {
+          Object.assign(state, {
+            stage: stored.stage, locale: stored.locale, lastAsk: stored.last_ask, emailConfirmed: stored.email_confirmed
+          });
+          return null;
+        }
+        const content = greeting();
+        await save();
+        return content;
+      },
+
+      errorReply: () => t(locale(), "dialog.error"),
+
+      // Call details arrive once, before the first caller turn
+      async details(call = {}) {
+        const language = toLocaleCode(call.retell_llm_dynamic_variables?.language || call.metadata?.language);
+        const phone = call.direction === "inbound" ? call.from_number : call.to_number;
+        if (language) state.locale = state.locale || spoken(language);
+        if (phone) await deps.sessions.merge(callId, { phone }, { source });
+        if (language) await save();
+      },
+
+      /**
+       * Answer a response_required or reminder_required event.
+       * @returns {Promise<{ content: string, end_call: boolean }>}
+       */
+      async respond({ interaction_type, transcript }) {
+        if (interaction_type === "reminder_required") {
+          return { content: t(locale(), "dialog.reminder", { ask: state.lastAsk || "" }), end_call: false };
+        }
+
+        const text = latestUserText(transcript);
+        if (!text) return { content: state.lastAsk || t(locale(), "dialog.greeting", { hotel: deps.hotel }), end_call: false };
+
+        const reply = await turn(text);
+        await save();
+        return reply;
+      }
+    };
+  }
+
+  return { start };
+}
@@ -0,0 +1,133 @@
+/**
+ * Retell custom-LLM WebSocket protocol. Retell opens one socket per call at
+ * `<path>/<call_id>` (with `?hotel_id=` when the agent serves one hotel of
+ * several) and sends interaction events: response_required and
+ * reminder_required get a `response`, ping_pong is echoed, update_only
+ * (transcript progress) needs no answer. Turns of one call run one after
+ * another; an answer to a request that a newer one has superseded is dropped.
+ * A socket Retell reconnects (auto_reconnect) resumes the stored dialog stage
+ * and is not greeted again. The dialog can book, so the socket is never
+ * attached without a token.
+ */
+import { WebSocketServer } from "ws";
+import { sameSecret } from "../keys/index.js";
+
+/**
+ * @param {import("node:http").Server} server
+ * @param {{ path?: string, token: string,
+ *   dialog: { start: (callId: string, options: { hotelId?: string }) => object, serves: (hotelId: string) => boolean },
+ *   logger: { info: Function, warn: Function, error: Function } }} options
+ *   token: Retell must connect with `?token=<token>` (part of the configured URL)
+ */
+export function attachRetellLlmSocket(server, { path = "/llm-websocket", token = "", dialog, logger }) {
+  if (!token) throw new Error("RETELL_LLM_WS_TOKEN is required for the Retell LLM socket");
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (!url.pathname.startsWith(`${path}/`)) {
+      socket.destroy();
+      return;
+    }
+    if (!sameSecret(url.searchParams.get("token") || "", token)) {
+      logger.warn("Retell LLM socket rejected", null, { reason: "token", ip: req.socket.remoteAddress });
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    const callId = decodeURIComponent(url.pathname.slice(path.length + 1));
+    if (!callId || callId.includes("/")) {
+      socket.write("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    const hotelId = url.searchParams.get("hotel_id") || undefined;
+    if (hotelId && !dialog.serves(hotelId)) {
+      logger.warn("Retell LLM socket rejected", null, { reason: "unknown_hotel", hotelId });
+      socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => handleCall(ws, callId, hotelId));
+  });
+
+  function handleCall(ws, callId, hotelId) {
+    const conversation = dialog.start(callId, { hotelId });
+    let latestResponseId = -1;
+    let turns = Promise.resolve();
+
+    const send = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    async function answer(event) {
+      if (event.response_id < latestResponseId) return;
+      let reply;
+      try {
+        reply = await conversation.respond(event);
+      } catch (error) {
+        logger.error("Conversation turn failed", error, { callId, responseId: event.response_id });
+        reply = { content: conversation.errorReply(), end_call: false };
+      }
+      // The caller kept talking while we worked; Retell only wants the newest response
+      if (event.response_id < latestResponseId) return;
+      send({
+        response_type: "response",
+        response_id: event.response_id,
+        content: reply.content,
+        content_complete: true,
+        end_call: reply.end_call
+      });
+    }
+
+    logger.info("Retell LLM socket connected", { callId, hotelId });
+    send({ response_type: "config", config: { auto_reconnect: true, call_details: true } });
+    // response_id 0 is the agent's opening line; events that arrive meanwhile wait behind it
+    turns = conversation.open()
+      .then((content) => {
+        if (content === null) {
+          logger.info("Retell LLM socket resumed", { callId, hotelId });
+          return;
+        }
+        send({ response_type: "response", response_id: 0, content, content_complete: true, end_call: false });
+      })
+      .catch((error) => {
+        logger.warn("Dialog stage not restored, greeting", error, { callId });
+        send({ response_type: "response", response_id: 0, content: conversation.greeting(), content_complete: true, end_call: false });
+      });
+
+    ws.on("message", (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString("utf8"));
+      } catch (error) {
+        logger.warn("Retell LLM socket sent invalid JSON", error, { callId });
+        return;
+      }
+
+      switch (event.interaction_type) {
+        case "ping_pong":
+          send({ response_type: "ping_pong", timestamp: event.timestamp });
+          return;
+        case "call_details":
+          turns = turns.then(() => conversation.details(event.call))
+            .catch(error => logger.warn("Call details not applied", error, { callId }));
+          return;
+        case "update_only":
+          return;
+        case "response_required":
+        case "reminder_required":
+          latestResponseId = Math.max(latestResponseId, event.response_id);
+          turns = turns.then(() => answer(event));
+          return;
+        default:
+          logger.warn("Unknown Retell LLM socket event", null, { callId, interactionType: event.interaction_type });
+      }
+    });
+
+    ws.on("close", (code) => logger.info("Retell LLM socket closed", { callId, code }));
+    ws.on("error", (error) => logger.warn("Retell LLM socket error", error, { callId }));
+  }
+
+  return wss;
+}
@@ -0,0 +1,61 @@
+/**
+ * Retell webhook events (call_started, call_ended, call_analyzed).
+ * Requests are signed with the account's API key: the `x-retell-signature`
+ * header reads `v=<timestamp ms>,d=<hex HMAC-SHA256(body + timestamp)>`.
+ * Retell retries deliveries; the call record lists the events it has seen,
+ * so each event type is applied once per call.
+ */
+import crypto from "node:crypto";
+
+export const WEBHOOK_EVENTS = Object.freeze(["call_started", "call_ended", "call_analyzed"]);
+
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+const SIGNATURE = /^v=(\d+),d=([0-9a-f]+)$/i;
+
+/**
+ * @param {string|Buffer} rawBody request body exactly as received
+ * @returns {boolean}
+ */
+export function verifyRetellSignature(rawBody, signature, apiKey, { now = Date.now(), toleranceMs = DEFAULT_TOLERANCE_MS } = {}) {
+  if (!rawBody || !signature || !apiKey) return false;
+  const match = String(signature).trim().match(SIGNATURE);
+  if (!match) return false;
+
+  // Stale timestamps would let a captured request be replayed later
+  const timestamp = Number(match[1]);
+  if (Math.abs(now - timestamp) > toleranceMs) return false;
+
+  const expected = crypto.createHmac("sha256", apiKey).update(String(rawBody) + match[1]).digest();
+  const given = Buffer.from(match[2], "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Retell sends no event id; an event type happens once per call
+export const isDuplicateEvent = (record, event) => !!record?.events?.[event];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+const CALL_FIELDS = [
+  "agent_id", "call_type", "direction", "from_number", "to_number", "call_status",
+  "start_timestamp", "end_timestamp", "disconnection_reason", "transcript", "transcript_object",
+  "recording_url", "public_log_url", "metadata", "retell_llm_dynamic_variables", "call_analysis"
+];
+
+/**
+ * Fold one event's call object into the stored call record.
+ * Later events carry more fields; nothing an earlier event stored is dropped.
+ */
+export function callRecordFrom(existing, event, call, receivedAt = new Date().toISOString()) {
+  const { created_at, updated_at, ...stored } = existing || {};
+  const record = {
+    ...stored,
+    ...pick(call, CALL_FIELDS),
+    call_id: call.call_id,
+    events: { ...stored.events, [event]: receivedAt }
+  };
+  if (record.start_timestamp && record.end_timestamp) {
+    record.duration_ms = record.end_timestamp - record.start_timestamp;
+  }
+  return record;
+}
@@ -0,0 +1,93 @@
+/**
+ * Tool: availability check. Dates may come as separate fields or as one
+ * phrase ("vom 3. bis 10. August"); whatever the request leaves out is
+ * taken from earlier turns of the call.
+ */
+import { Router } from "express";
+import { mergeSlots } from "../session/index.js";
+import { t, callerLocale } from "../i18n/index.js";
+import { callIdOf } from "./common.js";
+
+export function createAvailabilityRouter({ config, logger, metrics, utils, loadSession, mergeSession, checkAvailability }) {
+  const router = Router();
+
+  router.post("/check_availability", async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const body = req.body || {};
+      const callId = callIdOf(req);
+      const known = (await loadSession(callId))?.slots || {};
+      const locale = callerLocale(body, known.locale, config.languages);
+      const checkInText = body.check_in || body.from_date || body.start;
+      const checkOutText = body.check_out || body.to_date || body.end;
+
+      // One phrase may carry both dates ("vom 3. bis 10. August", "Ostern")
+      const phrase = body.dates || (checkOutText ? null : checkInText);
+      const range = phrase ? utils.parseDateRange(phrase, locale) : null;
+      const requested = {
+        check_in: range?.check_in || utils.parseDateAny(checkInText),
+        check_out: range?.check_out || utils.parseDateAny(checkOutText)
+      };
+      // Dates the caller gave in earlier turns fill whatever this request leaves out
+      const { check_in, check_out } = requested.check_in && requested.check_out
+        ? requested
+        : mergeSlots(known, requested);
+      const statedAdults = body.adults || body.guests || known.adults;
+      const statedChildren = body.children || body.kids || known.children;
+      const adults = utils.coerceInt(statedAdults, 2);
+      const children = utils.coerceInt(statedChildren, 0);
+
+      if (!check_in || !check_out) {
+        metrics.availability("missing_dates", "rules");
+        return res.json({
+          ok: false,
+          code: "MISSING_DATES",
+          availability_ok: false,
+          nights: 0,
+          spoken: t(locale, "availability.missing_dates")
+        });
+      }
+
+      const { plausible, payload } = await checkAvailability({ check_in, check_out, adults, children, locale });
+      if (plausible) {
+        await mergeSession(callId, {
+          check_in, check_out, locale,
+          adults: statedAdults ? adults : null,
+          children: statedChildren ? children : null
+        }, "check_availability");
+      }
+
+      logger.info("Availability check completed", {
+        processingTime: Date.now() - startTime,
+        nights: payload.nights,
+        totalGuests: payload.details.total_guests,
+        available: payload.availability_ok,
+        source: payload.details.source,
+        locale
+      });
+
+      return res.json({
+        ...payload,
+        details: {
+          ...payload.details,
+          date_confidence: range?.check_out ? range.confidence : null,
+          processing_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      logger.error("Availability check failed", error);
+      metrics.availability("error", "rules");
+      return res.json({
+        ok: false,
+        code: "INTERNAL_ERROR",
+        availability_ok: false,
+        nights: 0,
+        spoken: t(callerLocale(req.body, null, config.languages), "availability.error")
+      });
+    }
+  });
+
+  return router;
+}
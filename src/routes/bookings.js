@@ -0,0 +1,438 @@
+/**
+ * Tool: booking commit (idempotent), lookup, cancellation, modification and
+ * the confirmation PDF. Cancel and modify go through HotelRunner when it is
+ * configured; in mock mode they work on the stored bookings.
+ */
+import { Router } from "express";
+import { buildResModifyRQ, buildCancelRQ } from "../ota/builder.js";
+import { otaSpoken } from "../ota/client.js";
+import { normalizePhone } from "../booking/guest.js";
+import { evaluateCancellation } from "../booking/cancellation.js";
+import { idempotencyKeyFor } from "../booking/idempotency.js";
+import { otaStay, otaGuest } from "../booking/commit.js";
+import { isPricingError, pricingFailure } from "../pricing/quotes.js";
+import { t, hasMessage, formatDate, formatPrice, toLocaleCode, callerLocale } from "../i18n/index.js";
+import { callIdOf, sessionFields, documentHandler } from "./common.js";
+import { requireScope } from "./tenant.js";
+
+const feePhrase = (policy, locale, action = "modification") => {
+  if (!policy || policy.fee_percent === 0) return t(locale, `fee.free_${action}`);
+  return policy.fee_eur !== null
+    ? t(locale, "fee.amount", { amount: formatPrice(locale, policy.fee_eur), percent: policy.fee_percent })
+    : t(locale, "fee.percent", { percent: policy.fee_percent });
+};
+
+export function createBookingsRouter(ctx) {
+  const {
+    config, logger, store, persist, loadSession, mergeSession, contacts,
+    hotelRunner, pricing, quotes, utils, idempotency, tenant, bookings: { commitBooking }
+  } = ctx;
+  const router = Router();
+
+  // Commit booking with OTA-XML HotelRunner
+  router.post("/commit_booking", requireScope("book", ctx), async (req, res) => {
+    try {
+      const body = req.body || {};
+      // Retell may wrap the function arguments as { call, name, args }
+      const { call, call_id, name, args, ...fields } = body;
+      const payload = args && typeof args === "object" ? args : fields;
+      const callId = callIdOf(req);
+
+      const idem = idempotencyKeyFor({
+        header: req.header("idempotency-key"),
+        callId,
+        payload,
+        scope: tenant.id
+      });
+
+      // Slots from earlier turns fill fields the agent did not repeat; the key still hashes the request as sent
+      const known = await loadSession(callId);
+      const bookingBody = { ...sessionFields(known?.slots), ...payload };
+
+      let outcome;
+      if (!idem) {
+        outcome = await commitBooking(bookingBody, { callId });
+      } else {
+        outcome = await idempotency.run(idem.key, idem.hash,
+          () => commitBooking(bookingBody, { reference: idempotency.referenceFor(idem.key), callId }));
+        if (outcome.replayed) {
+          logger.info("Booking commit replayed", { keySource: idem.source, bookingId: outcome.payload.data?.booking_id });
+        }
+        res.set("Idempotent-Replayed", outcome.replayed ? "true" : "false");
+      }
+
+      const { status, payload: result } = outcome;
+      if (result.ok) {
+        const { booking_id, check_in, check_out, adults, children, child_ages, room_type, board, guest } = result.data;
+        await mergeSession(callId, {
+          booking_id, check_in, check_out, adults, children, child_ages, room_type, board,
+          given_name: guest.given_name,
+          surname: guest.surname,
+          email: guest.email,
+          phone: guest.phone,
+          locale: toLocaleCode(guest.language)
+        }, "commit_booking");
+      }
+      return res.status(status).json(result);
+
+    } catch (error) {
+      if (error.code === "idempotency_conflict") {
+        return res.status(409).json({ ok: false, error: error.code, message: error.message });
+      }
+      if (error.code === "INVALID_REQUEST" && error.field) {
+        return res.status(400).json({ ok: false, error: "invalid_request", field: error.field, message: error.message });
+      }
+      logger.error("Booking commit failed", error);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  // Booking lookup ("what did I book last week?")
+  router.post("/get_booking", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const bookingId = String(body.booking_id || body.reservation_id || "").trim();
+      const email = contacts.emailOf(body.email, body.language) || String(body.email || "").trim().toLowerCase() || null;
+      const phone = contacts.phoneOf(body.phone, body.language) || (body.phone ? normalizePhone(body.phone) : null);
+
+      if (!bookingId && !email && !phone) {
+        return res.status(400).json({
+          ok: false,
+          error: "missing_lookup_key",
+          message: "booking_id, email or phone required"
+        });
+      }
+
+      let bookings;
+      if (bookingId) {
+        const booking = await store.getBooking(bookingId);
+        bookings = booking ? [booking] : [];
+      } else {
+        bookings = await store.findBookings({ email, phone, limit: 20 });
+      }
+      let offers = bookingId ? [] : await store.findOffers({ email, phone, limit: 20 });
+      // Guests may know several of the group's hotels; only this one's records count
+      bookings = bookings.filter(tenant.owns).slice(0, 5);
+      offers = offers.filter(tenant.owns).slice(0, 5);
+
+      const locale = callerLocale(body, bookings[0]?.guest?.language || offers[0]?.language, config.languages);
+      const describe = (b) => t(locale, "lookup.describe", {
+        id: b.booking_id,
+        nights: utils.nightsBetween(b.check_in, b.check_out),
+        from: formatDate(locale, b.check_in),
+        to: formatDate(locale, b.check_out),
+        adults: b.adults,
+        children: b.children,
+        status: hasMessage(`status.${b.status}`) ? t(locale, `status.${b.status}`) : b.status
+      });
+
+      let spoken;
+      if (bookings.length === 1) {
+        spoken = t(locale, "lookup.one", { booking: describe(bookings[0]) });
+      } else if (bookings.length > 1) {
+        spoken = t(locale, "lookup.many", { count: bookings.length, booking: describe(bookings[0]) });
+      } else if (offers.length > 0) {
+        const latest = offers[0];
+        spoken = t(locale, "lookup.offer_only", {
+          date: formatDate(locale, latest.created_at),
+          price: latest.quote_eur ? formatPrice(locale, latest.quote_eur) : null
+        });
+      } else {
+        spoken = t(locale, "lookup.none");
+      }
+
+      logger.info("Booking lookup completed", {
+        byId: !!bookingId,
+        byEmail: !!email,
+        byPhone: !!phone,
+        bookings: bookings.length,
+        offers: offers.length
+      });
+
+      return res.json({ ok: true, found: bookings.length > 0 || offers.length > 0, spoken, data: { bookings, offers } });
+
+    } catch (error) {
+      logger.error("Booking lookup failed", error);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  // Shared lookup: HotelRunner when configured, else the details the agent sent (mock mode)
+  async function resolveBooking(body) {
+    const bookingId = String(body.booking_id || body.reservation_id || "").trim();
+    const email = contacts.emailOf(body.email, body.language);
+
+    if (!bookingId) return { error: "missing_booking_id" };
+    if (!email) return { error: "invalid_email" };
+
+    if (hotelRunner.configured) {
+      const reservation = await hotelRunner.lookupBooking(bookingId, email);
+      if (!reservation) return { notFound: true, bookingId };
+      if (reservation.status && /cancel/i.test(reservation.status)) return { cancelled: true, bookingId };
+      // The guest profile as committed; HotelRunner's copy when it was booked elsewhere
+      const stored = await store.getBooking(reservation.reservation_id);
+      const guest = stored?.guest && tenant.owns(stored) ? stored.guest : {
+        given_name: reservation.given_name,
+        surname: reservation.surname,
+        email: reservation.email,
+        phone: reservation.phone,
+        language: reservation.language,
+        arrival_time: reservation.arrival_time,
+        special_requests: reservation.special_requests
+      };
+      return { booking: { ...reservation, guest }, source: "hotelrunner" };
+    }
+
+    const stored = await store.getBooking(bookingId);
+    if (!stored || stored.email !== email || !tenant.owns(stored)) return { notFound: true, bookingId };
+    if (stored.status === "cancelled") return { cancelled: true, bookingId };
+    return {
+      source: "mock",
+      booking: {
+        reservation_id: stored.booking_id,
+        status: stored.status,
+        check_in: stored.check_in,
+        check_out: stored.check_out,
+        adults: stored.adults,
+        children: stored.children,
+        room_type: stored.room_type,
+        child_ages: stored.child_ages,
+        board: stored.board,
+        club_care: stored.club_care,
+        total: stored.total_eur ?? null,
+        email: stored.email,
+        language: stored.guest?.language || null,
+        given_name: stored.guest?.given_name || null,
+        surname: stored.guest?.surname || null,
+        guest: stored.guest || null
+      }
+    };
+  }
+
+  function lookupFailure(res, lookup, locale) {
+    if (lookup.error) {
+      return res.status(400).json({ ok: false, error: lookup.error });
+    }
+    const code = lookup.cancelled ? "ALREADY_CANCELLED" : "BOOKING_NOT_FOUND";
+    logger.info("Booking lookup failed", { bookingId: lookup.bookingId, code });
+    return res.json({ ok: false, error: code, spoken: otaSpoken(code, locale) });
+  }
+
+  function hotelRunnerFailure(res, hrError, action, locale) {
+    logger.warn(`OTA-XML HotelRunner ${action} failed`, hrError, { code: hrError.code });
+    const code = hrError.code && hasMessage(`ota.${hrError.code}`) ? hrError.code : "HOTELRUNNER_UNAVAILABLE";
+    return res.json({
+      ok: false,
+      error: code,
+      ota_errors: hrError.ota?.errors,
+      spoken: otaSpoken(code, locale)
+    });
+  }
+
+  // Cancel booking
+  router.post("/cancel_booking", requireScope("book", ctx), async (req, res) => {
+    try {
+      const body = req.body || {};
+      let lookup;
+      try {
+        lookup = await resolveBooking(body);
+      } catch (hrError) {
+        return hotelRunnerFailure(res, hrError, "booking lookup", callerLocale(body, null, config.languages));
+      }
+      if (!lookup.booking) return lookupFailure(res, lookup, callerLocale(body, null, config.languages));
+
+      const { booking, source } = lookup;
+      const locale = callerLocale(body, booking.language, config.languages);
+      const policy = booking.check_in
+        ? evaluateCancellation({
+          checkIn: booking.check_in, total: booking.total, rules: config.booking.cancellationRules, timeZone: config.booking.timeZone
+        })
+        : null;
+
+      if (policy && !policy.allowed) {
+        return res.json({ ok: false, error: "STAY_STARTED", spoken: t(locale, "ota.STAY_STARTED") });
+      }
+
+      let cancellationId = `cx_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+      if (source === "hotelrunner") {
+        try {
+          const otaBody = buildCancelRQ({
+            reservationId: booking.reservation_id,
+            email: booking.email,
+            surname: booking.surname
+          });
+          const hrResponse = await hotelRunner.call('CancelRQ', otaBody);
+          cancellationId = hrResponse.unique_ids.find(u => u.type === "15")?.id || hrResponse.reservation_id || cancellationId;
+        } catch (hrError) {
+          return hotelRunnerFailure(res, hrError, "cancellation", locale);
+        }
+      }
+
+      const spoken = policy
+        ? t(locale, "booking.cancelled", { id: booking.reservation_id, fee: feePhrase(policy, locale, "cancellation") })
+        : t(locale, "booking.cancelled_no_policy", { id: booking.reservation_id });
+
+      await persist("updateBooking", () => store.updateBooking(booking.reservation_id, {}, {
+        status: "cancelled",
+        meta: { cancellation_id: cancellationId, fee_percent: policy?.fee_percent ?? null, fee_eur: policy?.fee_eur ?? null }
+      }));
+
+      logger.info("Booking cancelled", { bookingId: booking.reservation_id, source, feePercent: policy?.fee_percent });
+      return res.json({
+        ok: true,
+        spoken,
+        data: {
+          booking_id: booking.reservation_id,
+          cancellation_id: cancellationId,
+          status: "cancelled",
+          check_in: booking.check_in,
+          fee_percent: policy?.fee_percent ?? null,
+          fee_eur: policy?.fee_eur ?? null,
+          free_until: policy?.free_until ?? null,
+          cancelled_at: new Date().toISOString(),
+          source
+        }
+      });
+
+    } catch (error) {
+      logger.error("Booking cancellation failed", error);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  // Modify booking
+  router.post("/modify_booking", requireScope("book", ctx), async (req, res) => {
+    try {
+      const body = req.body || {};
+      let lookup;
+      try {
+        lookup = await resolveBooking(body);
+      } catch (hrError) {
+        return hotelRunnerFailure(res, hrError, "booking lookup", callerLocale(body, null, config.languages));
+      }
+      if (!lookup.booking) return lookupFailure(res, lookup, callerLocale(body, null, config.languages));
+
+      const { booking, source } = lookup;
+      const locale = callerLocale(body, booking.language, config.languages);
+      const check_in = utils.parseDateAny(body.check_in || body.new_check_in) || booking.check_in;
+      const check_out = utils.parseDateAny(body.check_out || body.new_check_out) || booking.check_out;
+      const adults = utils.coerceInt(body.adults ?? booking.adults, 2) || 1;
+      const children = utils.coerceInt(body.children ?? booking.children, 0);
+
+      if (!check_in || !check_out) {
+        return res.json({
+          ok: false,
+          error: "MISSING_DATES",
+          spoken: t(locale, "booking.modify_missing_dates")
+        });
+      }
+
+      const nights = utils.nightsBetween(check_in, check_out);
+      if (nights <= 0 || nights > config.booking.maxNights) {
+        return res.json({ ok: false, error: "INVALID_DATES", spoken: t(locale, "availability.checkout_before_checkin") });
+      }
+      if (check_in < utils.today()) {
+        return res.json({ ok: false, error: "INVALID_DATES", spoken: t(locale, "availability.past_date") });
+      }
+      if (adults + children > config.booking.maxGuests) {
+        return res.json({
+          ok: false,
+          error: "INVALID_GUEST_COUNT",
+          spoken: t(locale, "booking.max_guests", { max: config.booking.maxGuests })
+        });
+      }
+
+      let quote;
+      try {
+        quote = pricing.quote(quotes.input({ ...body, check_in, check_out, adults, children }, booking));
+      } catch (pricingError) {
+        if (!isPricingError(pricingError)) throw pricingError;
+        return res.json(pricingFailure(pricingError, locale));
+      }
+
+      // Moving the stay inside the penalty window costs the same as cancelling it
+      const datesChanged = check_in !== booking.check_in || check_out !== booking.check_out;
+      const policy = datesChanged && booking.check_in
+        ? evaluateCancellation({
+          checkIn: booking.check_in, total: booking.total, rules: config.booking.cancellationRules, timeZone: config.booking.timeZone
+        })
+        : null;
+
+      if (policy && !policy.allowed) {
+        return res.json({ ok: false, error: "STAY_STARTED", spoken: t(locale, "ota.STAY_STARTED") });
+      }
+
+      if (source === "hotelrunner") {
+        try {
+          const otaBody = buildResModifyRQ({
+            reservationId: booking.reservation_id,
+            uniqueId: String(Date.now()),
+            ...otaStay(quote),
+            guest: otaGuest({ ...booking.guest, email: booking.guest?.email || booking.email, surname: booking.guest?.surname || "Guest" })
+          });
+          await hotelRunner.call('HotelResModifyRQ', otaBody);
+        } catch (hrError) {
+          if (hrError.code === "INVALID_REQUEST" && hrError.field) {
+            return res.status(400).json({ ok: false, error: "invalid_request", field: hrError.field, message: hrError.message });
+          }
+          return hotelRunnerFailure(res, hrError, "modification", locale);
+        }
+      }
+
+      const spoken = t(locale, "booking.modified", {
+        id: booking.reservation_id,
+        nights,
+        from: formatDate(locale, check_in),
+        to: formatDate(locale, check_out),
+        adults,
+        children,
+        fee: feePhrase(policy, locale)
+      });
+
+      await persist("updateBooking", () => store.updateBooking(booking.reservation_id, {
+        check_in,
+        check_out,
+        room_type: quote.room_type,
+        adults,
+        children,
+        child_ages: quote.child_ages,
+        board: quote.board,
+        total_eur: quote.total,
+        price: quote
+      }, {
+        status: "modified",
+        meta: { previous: { check_in: booking.check_in, check_out: booking.check_out }, fee_percent: policy?.fee_percent ?? 0, fee_eur: policy ? policy.fee_eur : 0 }
+      }));
+
+      logger.info("Booking modified", { bookingId: booking.reservation_id, source, datesChanged, feePercent: policy?.fee_percent });
+      return res.json({
+        ok: true,
+        spoken,
+        data: {
+          booking_id: booking.reservation_id,
+          status: "modified",
+          check_in,
+          check_out,
+          nights,
+          adults,
+          children,
+          room_type: quote.room_type,
+          board: quote.board,
+          total_eur: quote.total,
+          fee_percent: policy?.fee_percent ?? 0,
+          fee_eur: policy ? policy.fee_eur : 0,
+          modified_at: new Date().toISOString(),
+          source
+        }
+      });
+
+    } catch (error) {
+      logger.error("Booking modification failed", error);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  router.get("/bookings/:id/pdf", documentHandler(ctx, "booking"));
+
+  return router;
+}
@@ -0,0 +1,33 @@
+/**
+ * Request helpers shared by the routers: call id and session fields of a
+ * Retell request and the PDF download handler. The tool-secret guard lives
+ * in tenant.js, as the secret also selects the hotel.
+ */
+
+// Retell sends the call id in the body, wrapped as { call, args }, or as a header
+export function callIdOf(req) {
+  const body = req.body || {};
+  const id = body.call_id || body.call?.call_id || req.header("x-retell-call-id") || req.query?.call_id;
+  return id ? String(id).trim() || null : null;
+}
+
+// Session slots as request fields for the booking routes
+export const sessionFields = ({ locale, nights, booking_id, ...slots } = {}) =>
+  locale ? { ...slots, language: locale } : slots;
+
+// Tool: Offer or booking confirmation as PDF, rendered from the stored record
+export const documentHandler = ({ store, documents, logger, tenant }, kind) => async (req, res) => {
+  const { id } = req.params;
+  try {
+    const record = kind === "offer" ? await store.getOffer(id) : await store.getBooking(id);
+    if (!record || !tenant.owns(record)) {
+      return res.status(404).json({ ok: false, error: `${kind}_not_found`, id });
+    }
+    const { filename, content } = await documents.render(kind, record);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.type("application/pdf").send(content);
+  } catch (error) {
+    logger.error("PDF download failed", error, { kind, id });
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * Slot extraction routes: rule-only extraction for the public API, hybrid
+ * rules+LLM extraction with call-session progress for Retell tools, and the
+ * dictated email normalization.
+ */
+import { Router } from "express";
+import { extractWithRules, REQUIRED_SLOTS } from "../extraction/rules.js";
+import { parseEmail } from "../extraction/email.js";
+import { missingSlots, nextQuestion } from "../session/index.js";
+import { t, callerLocale } from "../i18n/index.js";
+import { callIdOf } from "./common.js";
+
+// Public: Rule-based extraction
+export function createPublicExtractRouter({ config, logger }) {
+  const router = Router();
+
+  router.post("/extract_core", (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const body = req.body || {};
+      const utterance =
+        body.utterance || body.text || body.message || body.query ||
+        body.user_text || body.userMessage || "";
+
+      const raw = String(utterance || "");
+      const slots = extractWithRules(raw, {
+        locale: body.language || body.locale || body.lang,
+        timeZone: config.booking.timeZone
+      });
+
+      logger.info("Rule extraction completed", {
+        processingTime: Date.now() - startTime,
+        hasInput: !!raw,
+        locale: slots.locale,
+        extractedSlots: REQUIRED_SLOTS.length - slots.missing.length,
+        conflicts: slots.conflicts.length
+      });
+
+      return res.json({ ok: true, ...slots, ...nextQuestion(slots), raw, source: "rules" });
+
+    } catch (error) {
+      logger.error("Rule extraction failed", error);
+      return res.status(200).json({
+        ok: false,
+        error: "parse_error",
+        message: "Failed to parse input"
+      });
+    }
+  });
+
+  return router;
+}
+
+// Tool: Enhanced extraction and email normalization
+export function createExtractRouter({ config, logger, metrics, extractor, loadSession, mergeSession }) {
+  const router = Router();
+
+  router.post("/extract_core", async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const body = req.body || {};
+      const utterance =
+        body.utterance || body.text || body.message || body.query ||
+        body.user_text || body.userMessage || body.asr_text ||
+        body.transcript || body.user_message || "";
+
+      const raw = String(utterance || "").trim();
+      const callId = callIdOf(req);
+      const known = await loadSession(callId);
+      const locale = body.language || body.locale || body.lang || known?.slots.locale;
+
+      if (!raw) {
+        const slots = extractWithRules(raw, { locale: callerLocale(body, locale, config.languages) });
+        const progress = known ? { ...slots, missing: missingSlots(known.slots) } : slots;
+        return res.json({
+          ok: true, ...progress, ...nextQuestion(progress), raw: null, source: "empty", session: known
+        });
+      }
+
+      // Rules first; the LLM only fills missing or ambiguous slots and never blocks the answer
+      const result = await extractor.extract(raw, { locale, timeZone: config.booking.timeZone });
+      metrics.extraction("tool", result);
+
+      // Only what the caller actually said goes into the call session, never defaults
+      const stated = Object.keys(result.provenance).filter(k => ["rules", "llm"].includes(result.provenance[k]));
+      const session = await mergeSession(callId, {
+        ...Object.fromEntries(stated.map(k => [k, result[k]])),
+        locale: result.locale
+      }, "extract_core");
+
+      // Later turns only add to what is known, so ask about what is still open across the call
+      const progress = session ? { ...result, missing: missingSlots(session.slots) } : result;
+
+      const finalResult = {
+        ...progress,
+        ...nextQuestion(progress),
+        raw,
+        session,
+        processing_time_ms: Date.now() - startTime
+      };
+
+      logger.info("Extraction completed", {
+        processingTime: finalResult.processing_time_ms,
+        source: finalResult.source,
+        llmError: finalResult.llm?.error,
+        llmFields: Object.keys(finalResult.provenance).filter(k => finalResult.provenance[k] === "llm"),
+        locale: finalResult.locale,
+        hasValidDates: !!(finalResult.check_in && finalResult.check_out),
+        missing: finalResult.missing,
+        conflicts: finalResult.conflicts.length
+      });
+
+      return res.json({ ok: true, ...finalResult });
+
+    } catch (error) {
+      logger.error("Extraction failed", error);
+
+      return res.status(200).json({
+        ok: false,
+        error: "extraction_failed",
+        message: "Extraction failed"
+      });
+    }
+  });
+
+  // Dictated email address -> address plus a spell-back for the agent to confirm with the caller
+  router.post("/normalize_email", async (req, res) => {
+    const body = req.body || {};
+    const callId = callIdOf(req);
+    const known = (await loadSession(callId))?.slots || {};
+    const raw = String(body.email || body.utterance || body.text || "").trim();
+    const locale = callerLocale(body, known.locale, config.languages);
+
+    const parsed = raw ? parseEmail(raw, { locale }) : null;
+    if (!parsed) {
+      return res.json({ ok: false, error: "invalid_email", raw: raw || null, spoken: t(locale, "email.spell_again") });
+    }
+
+    await mergeSession(callId, { email: parsed.email }, "normalize_email");
+    logger.info("Email normalized", { callId, corrected: parsed.corrected, locale });
+
+    return res.json({
+      ok: true,
+      ...parsed,
+      raw,
+      spoken: t(locale, "email.confirm", { spelled: parsed.spelled })
+    });
+  });
+
+  return router;
+}
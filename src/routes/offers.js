@@ -0,0 +1,222 @@
+/**
+ * Offers: the send_offer tool (mail with PDF, or SMS/WhatsApp), the offer
+ * PDF download and the public accept link from the offer mail.
+ */
+import { Router } from "express";
+import { renderOfferMail, offerConfirmUrl, verifyOfferToken } from "../mail/offer.js";
+import { renderOfferText } from "../messaging/texts.js";
+import { isPricingError, pricingFailure } from "../pricing/quotes.js";
+import { escapeHtml } from "../mail/layout.js";
+import { t, toLocaleCode, callerLocale, hotelLocale } from "../i18n/index.js";
+import { callIdOf, documentHandler } from "./common.js";
+import { requireScope } from "./tenant.js";
+
+// Tool: Send offer and offer PDF
+export function createOffersRouter(ctx) {
+  const { config, logger, metrics, store, persist, loadSession, mergeSession, mailer, messenger, contacts, pricing, quotes, documents } = ctx;
+  const router = Router();
+
+  router.post("/send_offer", requireScope("offer", ctx), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const callId = callIdOf(req);
+      const known = (await loadSession(callId))?.slots || {};
+      const locale = callerLocale(body, known.locale, config.languages);
+
+      // A contact named in the request wins over the one remembered from the call
+      const explicit = body.email || body.phone;
+      const contact = contacts.resolveContact({
+        channel: body.channel,
+        email: explicit ? body.email : known.email,
+        phone: explicit ? body.phone : known.phone
+      }, locale);
+      if (contact.error) {
+        return res.status(400).json({
+          ok: false,
+          error: contact.error
+        });
+      }
+
+      // Price the stay when the dates are known; agents may also pass only the totals
+      let quote = null;
+      const input = quotes.input(body, known);
+      if (input.checkIn && input.checkOut) {
+        try {
+          quote = await quotes.data(pricing.quote(input));
+        } catch (pricingError) {
+          if (!isPricingError(pricingError)) throw pricingError;
+          return res.status(400).json(pricingFailure(pricingError, locale));
+        }
+      }
+
+      const offerId = `of_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+      const stay = quote?.breakdown;
+      const offer = {
+        offer_id: offerId,
+        hotel_id: config.tenant.id,
+        channel: contact.channel,
+        to: contact.to,
+        email: contact.email,
+        phone: contact.phone,
+        language: locale,
+        guest: {
+          given_name: body.given_name || known.given_name || null,
+          surname: body.surname || known.surname || null
+        },
+        check_in: stay?.check_in ?? null,
+        check_out: stay?.check_out ?? null,
+        nights: stay?.nights ?? null,
+        adults: stay?.adults ?? null,
+        children: stay?.children ?? null,
+        room_type: stay?.room_type ?? null,
+        room_name: stay?.room_name ?? null,
+        board: stay?.board ?? null,
+        price: stay ?? null,
+        quote_eur: quote?.total_eur ?? body.quote_eur ?? null,
+        quote_try: quote?.total_try ?? body.quote_try ?? null,
+        fx: quote?.fx ?? body.fx ?? null,
+        details: body.details,
+        confirm_url: config.mail.linkSecret ? offerConfirmUrl(config.mail.publicBaseUrl, config.mail.linkSecret, offerId) : null,
+        call_id: callId,
+        created_at: new Date().toISOString()
+      };
+
+      let sender, message, attachment = null;
+      if (contact.channel === "email") {
+        attachment = config.documents.attach && body.pdf !== false ? await documents.attachment("offer", offer) : null;
+        const mail = renderOfferMail(locale, offer, { hotel: config.hotel, attachment: !!attachment });
+        offer.subject = mail.subject;
+        offer.preview = mail.preview;
+        sender = mailer;
+        message = { from: config.mail.from, to: contact.to, subject: mail.subject, html: mail.html, text: mail.text, attachments: attachment ? [attachment] : [] };
+      } else {
+        offer.text = renderOfferText(locale, offer, { hotel: config.hotel });
+        sender = messenger;
+        message = { channel: contact.channel, to: contact.to, body: offer.text };
+      }
+
+      await persist("saveOffer", () => store.saveOffer(offer, { status: "queued" }));
+
+      // Every attempt is recorded on the offer; retries run after this response
+      const delivery = await sender.deliver(message, {
+        onStatus: (status, { attempt, messageId, error }) => {
+          offer.delivery = {
+            channel: contact.channel,
+            transport: sender.transport,
+            attempts: attempt,
+            message_id: messageId || null,
+            last_error: error?.message || null,
+            at: new Date().toISOString()
+          };
+          if (status === "sent") offer.sent_at = offer.delivery.at;
+          logger.info("Offer delivery", { offerId, channel: contact.channel, status, attempt });
+          metrics.delivery("offer", contact.channel, status);
+          return persist("saveOffer", () => store.saveOffer(offer, {
+            status,
+            meta: { channel: contact.channel, attempt, error: error?.message }
+          }));
+        }
+      });
+
+      await mergeSession(callId, { email: contact.email, phone: contact.phone }, "send_offer");
+
+      logger.info("Offer sent", { offerId, channel: contact.channel, to: contact.to, quote_eur: offer.quote_eur, delivery: delivery.status });
+      return res.json({
+        ok: true,
+        data: {
+          offer_id: offerId,
+          sent: delivery.status === "sent",
+          status: delivery.status,
+          attempts: delivery.attempts,
+          channel: contact.channel,
+          to: contact.to,
+          subject: offer.subject || null,
+          preview: offer.preview || null,
+          text: offer.text || null,
+          details: body.details,
+          attachment: attachment?.filename || null,
+          document_url: documents.url("offer", offerId),
+          sent_at: offer.sent_at || null
+        }
+      });
+
+    } catch (error) {
+      logger.error("Offer sending failed", error);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  router.get("/offers/:id/pdf", documentHandler(ctx, "offer"));
+
+  return router;
+}
+
+// Public: Accept link from the offer mail, answered in the name of the offering hotel.
+// Opening the link only asks; mail scanners and link previews fetch it too,
+// so the offer is accepted by the POST of the page's button.
+export function createOfferLinkRouter({ config, logger, store, tenants, forTenant }) {
+  const router = Router();
+  // Offers of a hotel since removed from the registry are answered by the default one
+  const hotelOf = (offer) => (forTenant(offer?.hotel_id ?? tenants.defaultId) || forTenant(tenants.defaultId)).config;
+
+  const page = (res, status, offer, content) => {
+    const hotel = hotelOf(offer);
+    const locale = hotelLocale(toLocaleCode(offer?.language ?? null), hotel.languages);
+    return res.status(status).type("html").send(
+      `<!DOCTYPE html><html lang="${locale}"><head><meta charset="utf-8"><title>${escapeHtml(hotel.hotel.name)}</title></head>` +
+      `<body style="font-family:Arial,Helvetica,sans-serif;max-width:620px;margin:40px auto;padding:16px;">${content(locale, hotel.hotel)}</body></html>`
+    );
+  };
+  const message = (key) => (locale) => `<p>${t(locale, key)}</p>`;
+
+  // The offer behind a valid link, else null
+  async function linkedOffer(req, offerId, token) {
+    if (!config.mail.linkSecret || !verifyOfferToken(config.mail.linkSecret, offerId, token)) {
+      logger.warn("Invalid offer accept link", null, { offerId, ip: req.ip });
+      return null;
+    }
+    return store.getOffer(offerId);
+  }
+
+  router.get("/:offerId/accept", async (req, res) => {
+    const { offerId } = req.params;
+    try {
+      const offer = await linkedOffer(req, offerId, req.query.token);
+      if (!offer) return page(res, 404, null, message("mail.invalid_link"));
+      if (offer.status === "accepted") return page(res, 200, offer, message("mail.accepted_page"));
+
+      // Relative action: the POST goes to this path, the token travels in the form
+      return page(res, 200, offer, (locale, hotel) =>
+        `<p>${escapeHtml(t(locale, "mail.accept_prompt"))}</p>` +
+        `<form method="post" action="accept"><input type="hidden" name="token" value="${escapeHtml(req.query.token)}">` +
+        `<button type="submit" style="background:${escapeHtml(hotel.color || "#1a5f7a")};color:#fff;border:0;padding:12px 20px;border-radius:4px;font-size:16px;cursor:pointer;">` +
+        `${escapeHtml(t(locale, "mail.confirm"))}</button></form>`
+      );
+
+    } catch (error) {
+      logger.error("Offer accept page failed", error, { offerId });
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  router.post("/:offerId/accept", async (req, res) => {
+    const { offerId } = req.params;
+    try {
+      const offer = await linkedOffer(req, offerId, req.body?.token);
+      if (!offer) return page(res, 404, null, message("mail.invalid_link"));
+
+      if (offer.status !== "accepted") {
+        const { history, status, updated_at, ...doc } = offer;
+        await store.saveOffer({ ...doc, accepted_at: new Date().toISOString() }, { status: "accepted", meta: { via: "mail_link" } });
+        logger.info("Offer accepted", { offerId, email: offer.email });
+      }
+      return page(res, 200, offer, message("mail.accepted_page"));
+
+    } catch (error) {
+      logger.error("Offer accept failed", error, { offerId });
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  });
+
+  return router;
+}
@@ -1,11 +1,24 @@
+/**
+ * Unauthenticated routes under /retell/public: connectivity checks and the
+ * rule-only extraction and price quote for web widgets.
+ */
 import { Router } from "express";
+import { createPublicExtractRouter } from "./extract.js";
+import { createPublicQuoteRouter } from "./quote.js";
 
-export const publicRouter = Router();
+export function createPublicRouter(ctx) {
+  const router = Router();
 
-publicRouter.get("/ping", (_req, res) => {
-  res.json({ pong: true, ts: Date.now() });
-});
+  router.get("/ping", (_req, res) => {
+    res.json({ pong: true, ts: Date.now() });
+  });
 
-publicRouter.post("/echo", (req, res) => {
-  res.json({ ok: true, you_sent: req.body ?? null });
-});
+  router.post("/echo", (req, res) => {
+    res.json({ ok: true, you_sent: req.body ?? null });
+  });
+
+  router.use(createPublicExtractRouter(ctx));
+  router.use(createPublicQuoteRouter(ctx));
+
+  return router;
+}
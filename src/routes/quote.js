@@ -0,0 +1,90 @@
+/**
+ * Price quote from the rate sheet, with the total in the configured
+ * currencies. The public route prices exactly what the request states and
+ * never touches a call session; the tool route fills gaps from the call
+ * session and records the quoted stay there.
+ */
+import { Router } from "express";
+import { isPricingError, pricingFailure } from "../pricing/quotes.js";
+import { callerLocale } from "../i18n/index.js";
+import { callIdOf } from "./common.js";
+
+// { quote } or { status, payload } for a request the rate sheet cannot price
+function priceStay({ config, pricing, quotes }, body, known) {
+  const input = quotes.input(body, known);
+  if (!input.checkIn || !input.checkOut) {
+    return {
+      status: 400,
+      payload: { ok: false, error: "invalid_dates", message: "Valid check-in and check-out dates required" }
+    };
+  }
+
+  try {
+    return { quote: pricing.quote(input) };
+  } catch (pricingError) {
+    if (!isPricingError(pricingError)) throw pricingError;
+    return { status: 400, payload: pricingFailure(pricingError, callerLocale(body, known.locale, config.languages)) };
+  }
+}
+
+// Public: stateless quote for web widgets
+export function createPublicQuoteRouter(ctx) {
+  const { logger, quotes } = ctx;
+  const router = Router();
+
+  router.post("/quote", async (req, res) => {
+    try {
+      const { quote, status, payload } = priceStay(ctx, req.body || {}, {});
+      if (!quote) return res.status(status).json(payload);
+
+      return res.json({ ok: true, data: await quotes.data(quote) });
+
+    } catch (error) {
+      logger.error("Quote generation failed", error);
+      return res.status(500).json({
+        ok: false,
+        error: "internal_error"
+      });
+    }
+  });
+
+  return router;
+}
+
+// Tool: quote within a call, backed by the call session
+export function createQuoteRouter(ctx) {
+  const { logger, quotes, loadSession, mergeSession } = ctx;
+  const router = Router();
+
+  router.post("/quote", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const callId = callIdOf(req);
+      const known = (await loadSession(callId))?.slots || {};
+      const { quote, status, payload } = priceStay(ctx, body, known);
+      if (!quote) return res.status(status).json(payload);
+
+      await mergeSession(callId, {
+        check_in: quote.check_in,
+        check_out: quote.check_out,
+        adults: quote.adults,
+        children: quote.children,
+        child_ages: quote.child_ages,
+        room_type: quote.room_type,
+        board: quote.board,
+        club_care: body.club_care ?? known.club_care
+      }, "quote");
+
+      return res.json({ ok: true, data: await quotes.data(quote) });
+
+    } catch (error) {
+      logger.error("Quote generation failed", error);
+      return res.status(500).json({
+        ok: false,
+        error: "internal_error"
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,34 @@
+/**
+ * Tool: slot state collected so far in a call (GET ?call_id= or POST like
+ * the other tools). Only the calling hotel's sessions are found.
+ */
+import { Router } from "express";
+import { missingSlots } from "../session/index.js";
+import { callIdOf } from "./common.js";
+
+export function createSessionRouter({ logger, sessions, tenant }) {
+  const router = Router();
+
+  const readSession = async (req, res) => {
+    const callId = callIdOf(req);
+    if (!callId) {
+      return res.status(400).json({ ok: false, error: "missing_call_id", message: "call_id required" });
+    }
+
+    try {
+      const session = await sessions.get(callId);
+      if (!session || session.hotel_id !== tenant.id) {
+        return res.status(404).json({ ok: false, error: "session_not_found", call_id: callId });
+      }
+      return res.json({ ok: true, session, missing: missingSlots(session.slots) });
+    } catch (error) {
+      logger.error("Session lookup failed", error, { callId });
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  };
+
+  router.get("/session", readSession);
+  router.post("/session", readSession);
+
+  return router;
+}
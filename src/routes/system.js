@@ -0,0 +1,93 @@
+/**
+ * Service routes: the endpoint overview at /, the health check and the
+ * Prometheus metrics (behind METRICS_TOKEN when set).
+ */
+import { Router } from "express";
+import { register } from "../metrics.js";
+import { sameSecret } from "../keys/index.js";
+
+export const SERVICE = "Retell Hotel Agent Backend";
+export const VERSION = "2.5.2-ota-fixed";
+
+// Listed at / and in 404 answers
+export const endpoints = (config) => [
+  "GET  /healthz",
+  ...(config.metrics.enabled ? ["GET  /metrics"] : []),
+  "GET  /retell/public/ping",
+  "POST /retell/public/extract_core",
+  "POST /retell/public/quote",
+  "GET  /retell/tool/whoami",
+  "POST /retell/tool/extract_core",
+  "POST /retell/tool/normalize_email",
+  "POST /retell/tool/check_availability",
+  "POST /retell/tool/quote",
+  "POST /retell/tool/commit_booking",
+  "POST /retell/tool/get_booking",
+  "POST /retell/tool/cancel_booking",
+  "POST /retell/tool/modify_booking",
+  "POST /retell/tool/send_offer",
+  "GET  /retell/tool/offers/:offer_id/pdf",
+  "GET  /retell/tool/bookings/:booking_id/pdf",
+  "GET|POST /retell/tool/session",
+  "POST /retell/webhook",
+  "GET  /offers/:offer_id/accept",
+  "POST /offers/:offer_id/accept",
+  `WS   ${config.retell.llmSocketPath}/:call_id`
+];
+
+export function createSystemRouter({ config, logger, tenants }) {
+  const hotels = tenants.list();
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    res.json({
+      ok: true,
+      service: SERVICE,
+      version: VERSION,
+      message: "Welcome! See /healthz for status or use documented endpoints.",
+      endpoints: endpoints(config)
+    });
+  });
+
+  router.get("/healthz", (req, res) => {
+    res.json({
+      ok: true,
+      service: SERVICE,
+      version: VERSION,
+      environment: config.server.environment,
+      timestamp: new Date().toISOString(),
+      uptime: Math.floor(process.uptime()),
+      memory: {
+        used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+        limit: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
+      },
+      config: {
+        port: config.server.port,
+        hasToolSecret: hotels.some(h => h.security.toolSecret),
+        llmEnabled: config.llm.enabled,
+        hasLlmKey: !!config.llm.apiKey,
+        hasRetellKey: !!config.retell.apiKey,
+        hotelRunnerEnabled: hotels.some(h => h.hotelrunner.enabled),
+        hotels: hotels.map(h => h.tenant.id)
+      }
+    });
+  });
+
+  if (config.metrics.enabled) {
+    // Hotel ids, booking volumes and error rates are not for the public
+    const { token } = config.metrics;
+    if (!token) logger.warn("METRICS_TOKEN not set - /metrics is public; restrict it at the proxy");
+
+    router.get("/metrics", async (req, res) => {
+      const given = (req.header("authorization") || "").replace(/^Bearer\s+/i, "");
+      if (token && !sameSecret(given, token)) {
+        res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+        return res.status(401).json({ ok: false, error: "unauthorized" });
+      }
+      res.set("Content-Type", register.contentType);
+      res.end(await register.metrics());
+    });
+  }
+
+  return router;
+}
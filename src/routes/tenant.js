@@ -0,0 +1,187 @@
+/**
+ * Which hotel a request is for. Public routes take `hotel_id` or fall back
+ * to the default hotel; tool routes authenticate with an API key or a
+ * hotel's tool secret, which also selects the hotel (a secret only unless
+ * several hotels share it), and check the key's scope per route. The hotel's
+ * context (see services.js) becomes `req.ctx`; perTenant() then hands the
+ * request to that hotel's router.
+ */
+import { annotateSpan } from "../tracing.js";
+import { SCOPES, hasScope, isApiKeyToken } from "../keys/index.js";
+
+// Explicit field, header or query, else the metadata of the Retell agent or call
+export function hotelIdOf(req) {
+  const body = req.body || {};
+  const call = body.call || {};
+  const id = body.hotel_id || body.args?.hotel_id || req.header("x-hotel-id") || req.query?.hotel_id ||
+    call.metadata?.hotel_id || call.retell_llm_dynamic_variables?.hotel_id;
+  return id ? String(id).trim() || null : null;
+}
+
+function useTenant(req, ctx) {
+  req.ctx = ctx;
+  annotateSpan({ "hotel.id": ctx.tenant.id });
+}
+
+const unknownHotel = (res, hotelId) =>
+  res.status(404).json({ ok: false, error: "unknown_hotel", hotel_id: hotelId });
+
+/**
+ * Public routes: the named hotel, else the default one.
+ * @param {{ tenants: object, forTenant: Function }} services
+ */
+export function resolvePublicTenant({ tenants, forTenant }) {
+  return (req, res, next) => {
+    const hotelId = hotelIdOf(req) || tenants.defaultId;
+    const ctx = forTenant(hotelId);
+    if (!ctx) return unknownHotel(res, hotelId);
+    useTenant(req, ctx);
+    next();
+  };
+}
+
+const unauthorized = (res) => res.status(401).json({
+  ok: false,
+  error: "unauthorized",
+  message: "Valid authentication required (Bearer token or tool-secret header)"
+});
+
+// The hotel's legacy tool secret grants every scope
+const TOOL_SECRET_KEY = { key_id: "tool_secret", name: "TOOL_SECRET", scopes: SCOPES, expires_at: null };
+
+/**
+ * Tool routes need an API key (see keys/index.js) or a hotel's tool secret
+ * as Bearer token or `tool-secret` header; with `hotel_id` it must be that
+ * hotel's. An API key selects its hotel, so does a tool secret unless
+ * several hotels share it. Hotels with neither are closed (503). Every
+ * authenticated request is logged with its key; the key becomes `req.apiKey`.
+ * @param {{ tenants: object, forTenant: Function, apiKeys: object, logger: object }} services
+ */
+export function requireToolSecret({ tenants, forTenant, apiKeys, logger }) {
+  // Only asked after a failed authentication, to tell "closed" from "wrong key"
+  async function closed(named) {
+    const hotels = named ? [named] : tenants.list();
+    if (hotels.some(h => h.security.toolSecret)) return false;
+    for (const hotel of hotels) {
+      if (await apiKeys.hasActive(hotel.tenant.id)) return false;
+    }
+    return true;
+  }
+
+  return async (req, res, next) => {
+    try {
+      const hotelId = hotelIdOf(req);
+      const named = hotelId ? tenants.get(hotelId) : null;
+      if (hotelId && !named) return unknownHotel(res, hotelId);
+
+      const authHeader = req.header("authorization");
+      const toolSecretHeader = req.header("tool-secret") || req.header("x-tool-secret");
+
+      let providedSecret = null;
+      if (authHeader && authHeader.startsWith("Bearer ")) {
+        providedSecret = authHeader.substring(7).trim();
+      } else if (toolSecretHeader) {
+        providedSecret = toolSecretHeader.trim();
+      }
+
+      let matching = [];
+      let key = null;
+      let rejected = null;
+      if (providedSecret && isApiKeyToken(providedSecret)) {
+        const result = await apiKeys.verify(providedSecret);
+        const hotel = result.key ? tenants.get(result.key.hotel_id) : null;
+        if (hotel) {
+          matching = [hotel];
+          key = result.key;
+        } else {
+          rejected = result.reason || "unknown_hotel";
+        }
+      } else if (providedSecret) {
+        matching = tenants.withSecret(providedSecret);
+        key = TOOL_SECRET_KEY;
+      }
+
+      if (!matching.length || (named && !matching.includes(named))) {
+        if (await closed(named)) {
+          logger.error("Tool secret not configured", null, { hotelId });
+          return res.status(503).json({
+            ok: false,
+            error: "service_unavailable",
+            message: "Tool secret not configured"
+          });
+        }
+
+        logger.warn("Unauthorized access attempt", null, {
+          ip: req.ip,
+          path: req.originalUrl,
+          hotelId,
+          hasBearer: !!authHeader,
+          hasToolSecret: !!toolSecretHeader,
+          // An expired or revoked key names its id; rotation leftovers show up here
+          keyId: rejected ? providedSecret.slice(3, 13) : undefined,
+          keyRejected: rejected || undefined,
+          userAgent: req.get("User-Agent")
+        });
+        return unauthorized(res);
+      }
+
+      // A secret shared by several hotels selects the default one, or needs the hotel_id
+      const tenant = named || (matching.length === 1 ? matching[0] : matching.find(t => t.tenant.id === tenants.defaultId));
+      if (!tenant) {
+        return res.status(400).json({
+          ok: false,
+          error: "hotel_id_required",
+          message: "This secret is valid for several hotels; send hotel_id"
+        });
+      }
+
+      logger.info("API key used", {
+        keyId: key.key_id,
+        keyName: key.name,
+        hotelId: tenant.tenant.id,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip
+      });
+      if (key !== TOOL_SECRET_KEY) {
+        apiKeys.recordUse(key).catch(error => logger.warn("API key usage not recorded", error, { keyId: key.key_id }));
+      }
+
+      req.apiKey = key;
+      useTenant(req, forTenant(tenant.tenant.id));
+      annotateSpan({ "api_key.id": key.key_id });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Routes that change something need a key with their scope; every key may
+ * read. 403 otherwise.
+ * @param {"read"|"book"|"offer"} scope
+ * @param {{ logger: object }} ctx
+ */
+export function requireScope(scope, { logger }) {
+  return (req, res, next) => {
+    if (hasScope(req.apiKey?.scopes, scope)) return next();
+    logger.warn("API key lacks scope", null, { keyId: req.apiKey?.key_id, scope, path: req.originalUrl });
+    res.status(403).json({
+      ok: false,
+      error: "forbidden",
+      message: `This API key lacks the "${scope}" scope`
+    });
+  };
+}
+
+/**
+ * One router per hotel, each built with that hotel's context; requests go
+ * to the router of `req.ctx`.
+ * @param {{ tenants: object, forTenant: Function }} services
+ * @param {(ctx: object) => import("express").Router} createRouter
+ */
+export function perTenant({ tenants, forTenant }, createRouter) {
+  const routers = new Map(tenants.list().map(({ tenant }) => [tenant.id, createRouter(forTenant(tenant.id))]));
+  return (req, res, next) => routers.get(req.ctx.tenant.id)(req, res, next);
+}
@@ -1,39 +1,57 @@
+/**
+ * Retell tool routes under /retell/tool, built once per hotel and reached
+ * through the API key guard (see tenant.js): the diagnostics (whoami,
+ * echo, retell-check) plus the hotel routers.
+ */
 import { Router } from "express";
-import { CONFIG } from "../config.js";
 import { connectRetell } from "../retell/client.js";
+import { createExtractRouter } from "./extract.js";
+import { createAvailabilityRouter } from "./availability.js";
+import { createQuoteRouter } from "./quote.js";
+import { createBookingsRouter } from "./bookings.js";
+import { createOffersRouter } from "./offers.js";
+import { createSessionRouter } from "./session.js";
 
-export const toolRouter = Router();
+export function createToolRouter(ctx) {
+  const { config } = ctx;
+  const router = Router();
 
-function requireToolSecret(req, res, next) {
-  const header = req.headers["authorization"] || req.headers["x-tool-secret"];
-  const token = typeof header === "string" && header.startsWith("Bearer ")
-    ? header.slice("Bearer ".length).trim()
-    : (typeof header === "string" ? header : undefined);
+  router.get("/whoami", (req, res) => {
+    res.json({
+      ok: true,
+      service: "Retell Hotel Agent",
+      authenticated: true,
+      hotel: { id: config.tenant.id, name: config.hotel.name },
+      key: { id: req.apiKey.key_id, scopes: req.apiKey.scopes, expires_at: req.apiKey.expires_at },
+      timestamp: new Date().toISOString(),
+      config: {
+        llmEnabled: config.llm.enabled,
+        model: config.llm.model,
+        voice: config.llm.voice,
+        hotelRunnerEnabled: config.hotelrunner.enabled
+      }
+    });
+  });
 
-  if (!CONFIG.toolSecret) {
-    return res.status(503).json({ error: "config_error", message: "TOOL_SECRET not configured" });
-  }
-  if (!token || token !== CONFIG.toolSecret) {
-    return res.status(401).json({ error: "unauthorized" });
-  }
-  next();
-}
-
-toolRouter.use(requireToolSecret);
+  router.post("/echo", (req, res) => {
+    res.json({ ok: true, payload: req.body ?? null });
+  });
 
-toolRouter.get("/whoami", (_req, res) => {
-  res.json({ role: "retell-tool", env: CONFIG.env, llm: CONFIG.enableLLM });
-});
+  router.post("/retell-check", async (req, res, next) => {
+    try {
+      const info = await connectRetell(config);
+      res.json({ ok: true, retell: info });
+    } catch (e) {
+      next(e);
+    }
+  });
 
-toolRouter.post("/echo", (req, res) => {
-  res.json({ ok: true, payload: req.body ?? null });
-});
+  router.use(createExtractRouter(ctx));
+  router.use(createAvailabilityRouter(ctx));
+  router.use(createQuoteRouter(ctx));
+  router.use(createBookingsRouter(ctx));
+  router.use(createOffersRouter(ctx));
+  router.use(createSessionRouter(ctx));
 
-toolRouter.post("/retell-check", async (_req, res, next) => {
-  try {
-    const info = await connectRetell();
-    res.json({ ok: true, retell: info });
-  } catch (e) {
-    next(e);
-  }
-});
+  return router;
+}
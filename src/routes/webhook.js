@@ -0,0 +1,83 @@
+/**
+ * Retell call webhooks: signature check over the raw body, then the call
+ * record with the bookings and offers made during the call. Redeliveries
+ * are answered without recording twice, but with a 2xx only once the
+ * event is stored: one still in progress gets 409 so Retell retries it.
+ */
+import { Router } from "express";
+import { verifyRetellSignature, isDuplicateEvent, callRecordFrom, WEBHOOK_EVENTS } from "../retell/webhook.js";
+
+export function createWebhookRouter({ config, logger, store }) {
+  const router = Router();
+
+  // Concurrent redeliveries of one event; completed ones are recognized from the call record
+  const webhookInFlight = new Set();
+
+  router.post("/", async (req, res) => {
+    if (!config.retell.apiKey) {
+      logger.error("Retell API key not configured, webhook rejected");
+      return res.status(503).json({ ok: false, error: "service_unavailable", message: "Retell API key not configured" });
+    }
+
+    const signature = req.header("x-retell-signature");
+    if (!verifyRetellSignature(req.rawBody, signature, config.retell.apiKey)) {
+      logger.warn("Invalid Retell webhook signature", null, { ip: req.ip, hasSignature: !!signature });
+      return res.status(401).json({ ok: false, error: "invalid_signature" });
+    }
+
+    const { event, call } = req.body || {};
+    if (!WEBHOOK_EVENTS.includes(event) || !call?.call_id) {
+      logger.info("Retell webhook ignored", { event, hasCall: !!call?.call_id });
+      return res.json({ ok: true, ignored: true });
+    }
+
+    const callId = call.call_id;
+    const flightKey = `${event}:${callId}`;
+    if (webhookInFlight.has(flightKey)) {
+      // The first delivery may still fail; only a stored event may end Retell's retries
+      logger.info("Retell webhook already in progress", { event, callId });
+      res.set("Retry-After", "1");
+      return res.status(409).json({ ok: false, error: "in_progress", event, call_id: callId });
+    }
+    webhookInFlight.add(flightKey);
+
+    try {
+      const existing = await store.getCall(callId);
+      if (isDuplicateEvent(existing, event)) {
+        logger.info("Retell webhook duplicate", { event, callId });
+        return res.json({ ok: true, duplicate: true });
+      }
+
+      // Bookings and offers made during the call carry its call_id
+      const [bookings, offers] = await Promise.all([
+        store.findBookings({ callId, limit: 50 }),
+        store.findOffers({ callId, limit: 50 })
+      ]);
+      const record = await store.saveCall({
+        ...callRecordFrom(existing, event, call),
+        booking_ids: bookings.map(b => b.booking_id),
+        offer_ids: offers.map(o => o.offer_id)
+      });
+
+      logger.info("Retell webhook processed", {
+        event,
+        callId,
+        callStatus: record.call_status,
+        durationMs: record.duration_ms,
+        disconnectionReason: record.disconnection_reason,
+        bookings: record.booking_ids.length,
+        offers: record.offer_ids.length
+      });
+      return res.json({ ok: true, event, call_id: callId, booking_ids: record.booking_ids, offer_ids: record.offer_ids });
+
+    } catch (error) {
+      // Non-2xx makes Retell redeliver; nothing was recorded yet
+      logger.error("Retell webhook failed", error, { event, callId });
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    } finally {
+      webhookInFlight.delete(flightKey);
+    }
+  });
+
+  return router;
+}
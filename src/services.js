@@ -0,0 +1,268 @@
+/**
+ * Service wiring for one app instance. Store, call sessions, mail and
+ * messaging, the LLM provider, idempotency and API keys are shared; every
+ * hotel of the tenant registry gets its own context on top with its HotelRunner
+ * client, rate sheet, currency conversion, extraction limits, documents,
+ * booking core and its view of the call sessions. Outgoing mail, message, LLM and HotelRunner calls each
+ * get a client span under the active request or turn. Routers and the
+ * conversation socket receive a context as their `ctx`; nothing here
+ * touches Express.
+ */
+import { createStore } from "./store/index.js";
+import { createSessionStore, hotelSessions } from "./session/index.js";
+import { createMailTransport, createMailer } from "./mail/index.js";
+import { createMessageProvider, createMessenger } from "./messaging/index.js";
+import { createContacts } from "./messaging/contact.js";
+import { createDocuments } from "./documents/index.js";
+import { loadRateSheet, createPricingEngine } from "./pricing/engine.js";
+import { createQuotes } from "./pricing/quotes.js";
+import { createFxProvider } from "./fx/provider.js";
+import { createHttpSource, createFileSource, createOtaSource, createStaticSource } from "./fx/sources.js";
+import { createHotelRunnerClient } from "./ota/client.js";
+import { createHybridExtractor } from "./extraction/hybrid.js";
+import { createLlmProvider } from "./llm/index.js";
+import { createIdempotency } from "./booking/idempotency.js";
+import { createApiKeys } from "./keys/index.js";
+import { createAvailabilityCheck } from "./booking/availability.js";
+import { createBookingCommit } from "./booking/commit.js";
+import { createStayUtils } from "./utils/stay.js";
+import { loadTenants } from "./tenants/index.js";
+import { createHotelMetrics } from "./metrics.js";
+import { SpanKind } from "./tracing.js";
+
+/**
+ * @param {object} config  the object returned by loadConfig()
+ * @param {{ debug: Function, info: Function, warn: Function, error: Function }} logger
+ * @param {{ withSpan: Function }} tracing  the createTracing() result of the app
+ * @returns {Promise<object>} the shared services plus `tenants` (the registry),
+ *   `forTenant(id)` (context of one hotel, or null) and `close()`
+ */
+export async function createServices(config, logger, tracing) {
+  const tenants = loadTenants(config);
+  logger.info("Tenants loaded", { file: config.tenants.file || null, hotels: tenants.list().map(t => t.tenant.id) });
+
+  // Same object with `method` running inside a client span
+  const traced = (target, method, name, attributesOf) => ({
+    ...target,
+    [method]: (...args) => tracing.withSpan(name, { kind: SpanKind.CLIENT, attributes: attributesOf(...args) },
+      () => target[method](...args))
+  });
+
+  /* -------------------- Persistence -------------------- */
+  const store = await createStore(config.store);
+  logger.info("Store initialized", { driver: store.driver });
+
+  // Persistence must never turn a committed booking into an error for the caller
+  async function persist(action, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.error(`Store ${action} failed`, error);
+      return null;
+    }
+  }
+
+  /* -------------------- Call Sessions -------------------- */
+  const sessions = await createSessionStore({
+    ...config.session,
+    onError: (msg, error) => logger.error(msg, error)
+  });
+  logger.info("Session store initialized", { driver: sessions.driver, ttlMs: config.session.ttlMs });
+
+  /* -------------------- Mail & Messaging -------------------- */
+  // One mailer for all hotels; senders pass their hotel's `from` with each message
+  const mailer = createMailer({
+    transport: traced(await createMailTransport(config.mail), "send", "mail send",
+      () => ({ "mail.transport": config.mail.transport })),
+    from: config.mail.from,
+    maxAttempts: config.mail.maxAttempts,
+    retryDelayMs: config.mail.retryDelayMs,
+    onError: (msg, error, meta) => logger.warn(msg, error, meta)
+  });
+  logger.info("Mail transport initialized", { transport: mailer.transport });
+  if (!config.mail.linkSecret) {
+    logger.warn("OFFER_LINK_SECRET/TOOL_SECRET not configured - offer mails go out without accept link");
+  }
+
+  const messenger = createMessenger({
+    provider: traced(await createMessageProvider(config.messaging), "send", "message send",
+      (message) => ({ "messaging.provider": config.messaging.provider, "messaging.channel": message?.channel })),
+    maxAttempts: config.messaging.maxAttempts,
+    retryDelayMs: config.messaging.retryDelayMs,
+    onError: (msg, error, meta) => logger.warn(msg, error, meta)
+  });
+  logger.info("Messaging provider initialized", {
+    provider: messenger.transport, channels: messenger.channels, defaultChannel: config.messaging.defaultChannel
+  });
+
+  const contacts = createContacts({
+    messenger,
+    defaultChannel: config.messaging.defaultChannel,
+    defaultCountryCode: config.messaging.defaultCountryCode
+  });
+
+  /* -------------------- LLM, Idempotency & API Keys -------------------- */
+  // Local OpenAI-compatible servers (Ollama, vLLM) need no key; requests then go without Authorization
+  if (config.llm.enabled && !config.llm.apiKey) {
+    logger.warn("LLM enabled without OPENAI_API_KEY/LLM_API_KEY - requests go to LLM_BASE_URL unauthenticated", null, { baseUrl: config.llm.baseUrl });
+  }
+  const llmProvider = config.llm.enabled && config.llm.baseUrl
+    ? traced(createLlmProvider({
+      api: config.llm.api,
+      baseUrl: config.llm.baseUrl,
+      apiKey: config.llm.apiKey,
+      model: config.llm.extractionModel
+    }), "callFunction", "llm extraction", ({ fn } = {}) => ({
+      "gen_ai.system": config.llm.api,
+      "gen_ai.request.model": config.llm.extractionModel,
+      "gen_ai.function.name": fn?.name
+    }))
+    : null;
+
+  // Keys carry the hotel id (see idempotencyKeyFor), so one store serves all hotels
+  const idempotency = createIdempotency({
+    store,
+    onError: (msg, error) => logger.error(msg, error)
+  });
+
+  const apiKeys = createApiKeys({ store });
+
+  const shared = {
+    config,
+    logger,
+    tracing,
+    tenants,
+    store,
+    persist,
+    sessions,
+    mailer,
+    messenger,
+    contacts,
+    idempotency,
+    apiKeys
+  };
+
+  const contexts = new Map(tenants.list().map(tenantConfig =>
+    [tenantConfig.tenant.id, createTenantContext(shared, tenantConfig, llmProvider)]));
+
+  return {
+    ...shared,
+    forTenant: (id) => contexts.get(id) || null,
+    // Pending delivery retries are dropped; a restarted instance does not resend them
+    close: () => Promise.all([store.close(), sessions.close(), mailer.close(), messenger.close()])
+  };
+}
+
+/**
+ * Context of one hotel: the shared services with the hotel's config and
+ * what is built from it.
+ */
+function createTenantContext(shared, config, llmProvider) {
+  const { logger, tracing, tenants } = shared;
+  const hotelId = config.tenant.id;
+  const metrics = createHotelMetrics(hotelId);
+
+  if (!config.security.toolSecret) {
+    logger.warn("TOOL_SECRET not configured - tool routes need an API key (npm run keys)", null, { hotelId });
+  }
+  if (config.hotelrunner.enabled && (!config.hotelrunner.hrId || !config.hotelrunner.token)) {
+    logger.warn("HotelRunner enabled but HR_ID or TOKEN missing - fallback to mock", null, { hotelId });
+  }
+
+  /* -------------------- Pricing & Currency Conversion -------------------- */
+  const pricing = createPricingEngine(loadRateSheet(config.pricing.rateSheetFile));
+  logger.info("Rate sheet loaded", { hotelId, file: config.pricing.rateSheetFile, roomTypes: pricing.roomTypes().map(rt => rt.code) });
+
+  const otaFxSource = createOtaSource();
+  const fxSources = config.fx.sources.map(name => {
+    switch (name) {
+      case "http":
+        return config.fx.httpUrl ? createHttpSource({ url: config.fx.httpUrl }) : null;
+      case "file":
+        return config.fx.file ? createFileSource({ file: config.fx.file }) : null;
+      case "ota":
+        return otaFxSource;
+      default:
+        logger.warn("Unknown FX source ignored", null, { source: name });
+        return null;
+    }
+  }).filter(Boolean);
+
+  const fx = createFxProvider({
+    sources: fxSources,
+    fallback: createStaticSource({ base: pricing.currency, rates: config.fx.fallbackRates }),
+    base: pricing.currency,
+    currencies: config.fx.currencies,
+    ttlMs: config.fx.ttlMs,
+    maxStaleMs: config.fx.maxStaleMs,
+    onError: (msg, error, meta) => logger.warn(msg, error, meta)
+  });
+
+  /* -------------------- HotelRunner & Extraction -------------------- */
+  const hotelRunner = createHotelRunnerClient({
+    ...config.hotelrunner,
+    logger,
+    metrics,
+    tracing,
+    onConversions: (conversions) => otaFxSource.update(conversions)
+  });
+
+  const extractor = createHybridExtractor({
+    provider: llmProvider,
+    timeoutMs: config.llm.timeout,
+    maxNights: config.booking.maxNights,
+    maxGuests: config.booking.maxGuests,
+    onError: (msg, error, meta) => logger.warn(msg, error, meta)
+  });
+
+  /* -------------------- Call Sessions -------------------- */
+  // Keyed by this hotel's id as well: a call id alone never reaches another hotel's session
+  const sessions = hotelSessions(shared.sessions, hotelId);
+
+  // Session state helps the conversation along; a failing backend must not fail the tool call
+  async function withSession(action, callId, fn) {
+    if (!callId) return null;
+    try {
+      return await fn();
+    } catch (error) {
+      logger.warn(`Session ${action} failed`, error, { hotelId, callId });
+      return null;
+    }
+  }
+
+  const loadSession = (callId) => withSession("get", callId, () => sessions.get(callId));
+
+  const mergeSession = (callId, slots, source) =>
+    withSession("merge", callId, () => sessions.merge(callId, slots, { source }));
+
+  /* -------------------- Booking Core -------------------- */
+  const utils = createStayUtils({ timeZone: config.booking.timeZone });
+  const documents = createDocuments({ config, fx, logger });
+  const quotes = createQuotes({ pricing, fx, utils, logger, metrics });
+  const checkAvailability = createAvailabilityCheck({ config, utils, hotelRunner, logger, metrics });
+
+  const ctx = {
+    ...shared,
+    config,
+    metrics,
+    sessions,
+    loadSession,
+    mergeSession,
+    tenant: {
+      id: hotelId,
+      // Bookings and offers of other hotels are not found through this one
+      owns: (record) => tenants.owns(hotelId, record)
+    },
+    pricing,
+    fx,
+    quotes,
+    hotelRunner,
+    extractor,
+    utils,
+    documents,
+    checkAvailability
+  };
+  ctx.bookings = createBookingCommit(ctx);
+
+  return ctx;
+}
@@ -0,0 +1,47 @@
+/**
+ * Per-call conversation state, keyed by hotel and Retell call_id. Each tool call
+ * merges the slots it learned, so a caller can give the dates in one turn
+ * and the name three turns later. `driver` selects the backend: "memory"
+ * (default, per process) or "redis" (shared across instances).
+ *
+ * Session store interface (all async):
+ *   get(hotelId, callId) -> session | null
+ *   merge(hotelId, callId, slots, { source, dialog }) -> session
+ *   delete(hotelId, callId) / close()
+ * A session is { hotel_id, call_id, slots, sources, dialog?, created_at, updated_at };
+ * `sources` names the tool that last set each slot, `dialog` is the stage
+ * of the custom-LLM conversation so a reconnected socket resumes it.
+ * Sessions expire `ttlMs` after their last update.
+ */
+import { createMemorySessionStore } from "./memory.js";
+import { createRedisSessionStore } from "./redis.js";
+
+export { SESSION_SLOTS, mergeSlots, missingSlots } from "./slots.js";
+export { nextQuestion } from "./questions.js";
+
+/**
+ * The sessions of one hotel: the store interface without the hotel id, so
+ * a hotel's routes and conversation never reach another hotel's calls.
+ */
+export const hotelSessions = (sessions, hotelId) => ({
+  driver: sessions.driver,
+  get: (callId) => sessions.get(hotelId, callId),
+  merge: (callId, slots, options) => sessions.merge(hotelId, callId, slots, options),
+  delete: (callId) => sessions.delete(hotelId, callId)
+});
+
+/**
+ * @param {{ driver?: "memory"|"redis", ttlMs?: number, redisUrl?: string, keyPrefix?: string,
+ *   client?: object, onError?: (msg: string, error: Error) => void }} [options]
+ *   client: a connected Redis-compatible client instead of redisUrl
+ */
+export async function createSessionStore({ driver = "memory", ttlMs = 2 * 60 * 60 * 1000, redisUrl, keyPrefix = "session:", client, onError } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemorySessionStore({ ttlMs });
+    case "redis":
+      return createRedisSessionStore({ url: redisUrl, client, ttlMs, keyPrefix, onError });
+    default:
+      throw new Error(`Unknown session driver: ${driver}`);
+  }
+}
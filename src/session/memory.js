@@ -0,0 +1,54 @@
+/**
+ * In-process session store. Same interface as the Redis store; sessions
+ * are lost on restart and not shared between instances.
+ */
+import { applyMerge, sessionKey } from "./slots.js";
+
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+export function createMemorySessionStore({ ttlMs }) {
+  const sessions = new Map();
+
+  const live = (key) => {
+    const entry = sessions.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      sessions.delete(key);
+      return null;
+    }
+    return entry.session;
+  };
+
+  // Calls that simply end are never deleted explicitly
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of sessions) {
+      if (entry.expiresAt <= now) sessions.delete(key);
+    }
+  }, Math.min(ttlMs, 60000));
+  sweep.unref();
+
+  return {
+    driver: "memory",
+
+    async get(hotelId, callId) {
+      return clone(live(sessionKey(hotelId, callId))) ?? null;
+    },
+
+    async merge(hotelId, callId, slots, { source = null, dialog } = {}) {
+      const key = sessionKey(hotelId, callId);
+      const session = applyMerge(live(key), hotelId, callId, clone(slots), { source, dialog: clone(dialog) });
+      sessions.set(key, { session, expiresAt: Date.now() + ttlMs });
+      return clone(session);
+    },
+
+    async delete(hotelId, callId) {
+      sessions.delete(sessionKey(hotelId, callId));
+    },
+
+    async close() {
+      clearInterval(sweep);
+      sessions.clear();
+    }
+  };
+}
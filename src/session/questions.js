@@ -0,0 +1,22 @@
+/**
+ * The agent's next question from the extracted slots: a contradiction the
+ * caller has to resolve first, then the first missing slot.
+ */
+import { t, formatDate } from "../i18n/index.js";
+
+export function nextQuestion(slots) {
+  const [conflict] = slots.conflicts;
+  if (conflict) {
+    return {
+      next_slot: conflict.slot,
+      ask: t(slots.locale, `ask.${conflict.slot}_conflict`, {
+        stated: conflict.stated,
+        nights: conflict.from_dates,
+        from: formatDate(slots.locale, slots.check_in),
+        to: formatDate(slots.locale, slots.check_out)
+      })
+    };
+  }
+  const [slot] = slots.missing;
+  return slot ? { next_slot: slot, ask: t(slots.locale, `ask.${slot}`) } : { next_slot: null, ask: null };
+}
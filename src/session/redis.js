@@ -0,0 +1,51 @@
+/**
+ * Redis-backed session store. Sessions are JSON strings with a PX expiry,
+ * refreshed on every merge. Any client with node-redis style
+ * `get(key)`, `set(key, value, { PX })`, `del(key)` and `quit()` works;
+ * without one, a node-redis client is created from `url`. Client `error`
+ * events (dropped connections, reconnect attempts) go to `onError`; left
+ * unhandled they would end the process and every call on it.
+ */
+import { applyMerge, sessionKey } from "./slots.js";
+
+export async function createRedisSessionStore({ url, client = null, ttlMs, keyPrefix = "session:", onError = () => {} }) {
+  const listen = (target) => target.on?.("error", (error) => onError("Redis session store error", error));
+  if (client) {
+    listen(client);
+  } else {
+    if (!url) throw new Error("REDIS_URL is required for the redis session driver");
+    // Loaded lazily so the memory driver works without the package
+    const { createClient } = await import("redis");
+    client = createClient({ url });
+    listen(client);
+    await client.connect();
+  }
+
+  const keyOf = (hotelId, callId) => `${keyPrefix}${sessionKey(hotelId, callId)}`;
+
+  const read = async (hotelId, callId) => {
+    const raw = await client.get(keyOf(hotelId, callId));
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  return {
+    driver: "redis",
+
+    get: read,
+
+    // Read-modify-write; tool calls within one call arrive one after another
+    async merge(hotelId, callId, slots, { source = null, dialog } = {}) {
+      const session = applyMerge(await read(hotelId, callId), hotelId, callId, slots, { source, dialog });
+      await client.set(keyOf(hotelId, callId), JSON.stringify(session), { PX: ttlMs });
+      return session;
+    },
+
+    async delete(hotelId, callId) {
+      await client.del(keyOf(hotelId, callId));
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Session slot merging shared by the session drivers.
+ */
+import { addDays } from "../extraction/dates.js";
+import { REQUIRED_SLOTS } from "../extraction/rules.js";
+
+const DAY_MS = 86400000;
+
+export const SESSION_SLOTS = Object.freeze([
+  "check_in", "check_out", "nights", "adults", "children", "child_ages",
+  "given_name", "surname", "email", "phone", "locale",
+  "room_type", "board", "club_care", "booking_id"
+]);
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Merge newly learned slots into a session's slots. Empty values never
+ * erase what an earlier turn established; the stay dates are kept consistent.
+ */
+export function mergeSlots(current = {}, update = {}) {
+  const next = { ...current };
+  for (const field of SESSION_SLOTS) {
+    if (isSet(update[field])) next[field] = update[field];
+  }
+
+  // "3 Nächte" after the arrival, or a moved arrival: the stay length carries check_out
+  if (next.check_in && next.nights && !isSet(update.check_out) && (isSet(update.check_in) || isSet(update.nights))) {
+    next.check_out = addDays(next.check_in, next.nights);
+  }
+  if (next.check_in && next.check_out) {
+    if (next.check_out > next.check_in) {
+      next.nights = Math.round((Date.parse(next.check_out) - Date.parse(next.check_in)) / DAY_MS);
+    } else {
+      // A departure from an earlier turn that now lies before the arrival is stale
+      next.check_out = null;
+      next.nights = null;
+    }
+  }
+  return next;
+}
+
+// Retell call ids are unique per account, not per hotel (cf. idempotencyKeyFor)
+export const sessionKey = (hotelId, callId) => `${hotelId}/${callId}`;
+
+/**
+ * Apply a merge to a stored session (or start a new one). `dialog` replaces
+ * the stored conversation state when given and is kept otherwise.
+ */
+export function applyMerge(session, hotelId, callId, slots, { source = null, dialog } = {}, now = new Date()) {
+  const at = now.toISOString();
+  const merged = mergeSlots(session?.slots, slots);
+  const sources = { ...session?.sources };
+  const conversation = dialog ?? session?.dialog;
+  for (const field of SESSION_SLOTS) {
+    if (JSON.stringify(merged[field]) !== JSON.stringify(session?.slots?.[field])) sources[field] = source;
+  }
+  return {
+    hotel_id: hotelId,
+    call_id: callId,
+    slots: merged,
+    sources,
+    ...(conversation ? { dialog: conversation } : {}),
+    created_at: session?.created_at || at,
+    updated_at: at
+  };
+}
+
+// Required slots still open across all turns of a call; a stay length settles check_out
+export const missingSlots = (slots = {}) => REQUIRED_SLOTS.filter(slot =>
+  !(slot === "check_out" ? slots.check_out || slots.nights : slots[slot]));
@@ -0,0 +1,28 @@
+/**
+ * Booking/offer persistence. `driver` selects the backend:
+ * "sqlite" (default, file-backed) or "memory" (tests, ephemeral setups).
+ *
+ * Store interface (all async):
+ *   saveBooking(booking, { status, meta }) / updateBooking(id, changes, { status, meta })
+ *   getBooking(id) / findBookings({ email, phone, callId, limit })
+ *   saveOffer(offer, { status, meta }) / getOffer(id) / findOffers({ email, phone, callId, limit })
+ *   saveCall(call) / getCall(id): Retell call records from the webhook
+ *   getIdempotencyRecord(key) / saveIdempotencyRecord(key, { hash, status, payload })
+ *   saveApiKey(key) / getApiKey(id) / listApiKeys({ hotelId }): tool API keys (hashes only)
+ *   touchApiKey(id, at): sets only `last_used_at`, never undoing a concurrent revoke
+ *   close()
+ * Entities returned by get/find carry their status `history`.
+ */
+import { createMemoryStore } from "./memory.js";
+import { createSqliteStore } from "./sqlite.js";
+
+export async function createStore({ driver = "sqlite", file = "./data/retell-agent.db" } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "sqlite":
+      return createSqliteStore({ file });
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * In-memory booking/offer store. Same interface as the SQLite store;
+ * used for tests and as a fallback when no database file is wanted.
+ */
+
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+const newestFirst = (a, b) => String(b.created_at).localeCompare(String(a.created_at));
+
+export function createMemoryStore() {
+  const bookings = new Map();
+  const offers = new Map();
+  const history = [];
+  const idempotency = new Map();
+  const calls = new Map();
+  const apiKeys = new Map();
+
+  const record = (entityType, entityId, status, meta = null) => {
+    history.push({ entity_type: entityType, entity_id: entityId, status, meta: clone(meta), at: new Date().toISOString() });
+  };
+
+  const historyOf = (entityType, entityId) =>
+    history.filter(h => h.entity_type === entityType && h.entity_id === entityId).map(clone);
+
+  const matches = (item, { email, phone, callId }) =>
+    (email && item.email === email) || (phone && (item.phone || item.guest?.phone) === phone) ||
+    (callId && item.call_id === callId);
+
+  return {
+    driver: "memory",
+
+    async saveBooking(booking, { status = booking.status || "confirmed", meta = null } = {}) {
+      const now = new Date().toISOString();
+      const existing = bookings.get(booking.booking_id);
+      const stored = { ...clone(booking), status, created_at: existing?.created_at || booking.created_at || now, updated_at: now };
+      bookings.set(booking.booking_id, stored);
+      record("booking", booking.booking_id, status, meta);
+      return clone(stored);
+    },
+
+    async updateBooking(bookingId, changes, { status, meta = null } = {}) {
+      const existing = bookings.get(bookingId);
+      if (!existing) return null;
+      const stored = { ...existing, ...clone(changes), status: status || existing.status, updated_at: new Date().toISOString() };
+      bookings.set(bookingId, stored);
+      record("booking", bookingId, stored.status, meta);
+      return clone(stored);
+    },
+
+    async getBooking(bookingId) {
+      const booking = bookings.get(bookingId);
+      return booking ? { ...clone(booking), history: historyOf("booking", bookingId) } : null;
+    },
+
+    async findBookings({ email = null, phone = null, callId = null, limit = 10 } = {}) {
+      return Array.from(bookings.values())
+        .filter(b => matches(b, { email, phone, callId }))
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(b => ({ ...clone(b), history: historyOf("booking", b.booking_id) }));
+    },
+
+    async saveOffer(offer, { status = offer.status || "sent", meta = null } = {}) {
+      const now = new Date().toISOString();
+      const existing = offers.get(offer.offer_id);
+      const stored = { ...clone(offer), status, created_at: existing?.created_at || offer.created_at || now, updated_at: now };
+      offers.set(offer.offer_id, stored);
+      record("offer", offer.offer_id, status, meta);
+      return clone(stored);
+    },
+
+    async getOffer(offerId) {
+      const offer = offers.get(offerId);
+      return offer ? { ...clone(offer), history: historyOf("offer", offerId) } : null;
+    },
+
+    async findOffers({ email = null, phone = null, callId = null, limit = 10 } = {}) {
+      return Array.from(offers.values())
+        .filter(o => matches(o, { email, phone, callId }))
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(o => ({ ...clone(o), history: historyOf("offer", o.offer_id) }));
+    },
+
+    async saveCall(call) {
+      const now = new Date().toISOString();
+      const stored = { ...clone(call), created_at: calls.get(call.call_id)?.created_at || now, updated_at: now };
+      calls.set(call.call_id, stored);
+      return clone(stored);
+    },
+
+    async getCall(callId) {
+      return clone(calls.get(callId)) || null;
+    },
+
+    async getIdempotencyRecord(key) {
+      return clone(idempotency.get(key)) || null;
+    },
+
+    async saveIdempotencyRecord(key, record) {
+      idempotency.set(key, { ...clone(record), created_at: new Date().toISOString() });
+    },
+
+    async saveApiKey(key) {
+      const now = new Date().toISOString();
+      const existing = apiKeys.get(key.key_id);
+      const stored = { ...clone(key), created_at: existing?.created_at || key.created_at || now, updated_at: now };
+      apiKeys.set(key.key_id, stored);
+      return clone(stored);
+    },
+
+    async getApiKey(keyId) {
+      return clone(apiKeys.get(keyId)) || null;
+    },
+
+    async touchApiKey(keyId, at) {
+      const stored = apiKeys.get(keyId);
+      if (stored) stored.last_used_at = at;
+    },
+
+    async listApiKeys({ hotelId = null } = {}) {
+      return Array.from(apiKeys.values())
+        .filter(k => !hotelId || k.hotel_id === hotelId)
+        .sort((a, b) => a.hotel_id.localeCompare(b.hotel_id) || String(a.created_at).localeCompare(String(b.created_at)))
+        .map(clone);
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * SQLite booking/offer store (better-sqlite3). Entities are kept as JSON
+ * documents with the lookup columns (email, phone, status) split out;
+ * every status change is appended to status_history.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS bookings (
+  booking_id TEXT PRIMARY KEY,
+  email TEXT,
+  phone TEXT,
+  status TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS bookings_email ON bookings (email);
+CREATE INDEX IF NOT EXISTS bookings_phone ON bookings (phone);
+
+CREATE TABLE IF NOT EXISTS offers (
+  offer_id TEXT PRIMARY KEY,
+  email TEXT,
+  phone TEXT,
+  status TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS offers_email ON offers (email);
+CREATE INDEX IF NOT EXISTS offers_phone ON offers (phone);
+
+CREATE TABLE IF NOT EXISTS status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  meta TEXT,
+  at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS status_history_entity ON status_history (entity_type, entity_id);
+
+CREATE TABLE IF NOT EXISTS calls (
+  call_id TEXT PRIMARY KEY,
+  status TEXT,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key TEXT PRIMARY KEY,
+  hash TEXT NOT NULL,
+  status INTEGER NOT NULL,
+  payload TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id TEXT PRIMARY KEY,
+  hotel_id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS api_keys_hotel ON api_keys (hotel_id);
+`;
+
+export async function createSqliteStore({ file }) {
+  // Loaded lazily so the memory driver works without the native module
+  const { default: Database } = await import("better-sqlite3");
+
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    getBooking: db.prepare("SELECT * FROM bookings WHERE booking_id = ?"),
+    upsertBooking: db.prepare(`INSERT INTO bookings (booking_id, email, phone, status, data, created_at, updated_at)
+      VALUES (@id, @email, @phone, @status, @data, @created_at, @updated_at)
+      ON CONFLICT (booking_id) DO UPDATE SET email = excluded.email, phone = excluded.phone,
+        status = excluded.status, data = excluded.data, updated_at = excluded.updated_at`),
+    findBookings: db.prepare(`SELECT * FROM bookings
+      WHERE (@email IS NOT NULL AND email = @email) OR (@phone IS NOT NULL AND phone = @phone)
+        OR (@call_id IS NOT NULL AND json_extract(data, '$.call_id') = @call_id)
+      ORDER BY created_at DESC LIMIT @limit`),
+    getOffer: db.prepare("SELECT * FROM offers WHERE offer_id = ?"),
+    upsertOffer: db.prepare(`INSERT INTO offers (offer_id, email, phone, status, data, created_at, updated_at)
+      VALUES (@id, @email, @phone, @status, @data, @created_at, @updated_at)
+      ON CONFLICT (offer_id) DO UPDATE SET email = excluded.email, phone = excluded.phone,
+        status = excluded.status, data = excluded.data, updated_at = excluded.updated_at`),
+    findOffers: db.prepare(`SELECT * FROM offers
+      WHERE (@email IS NOT NULL AND email = @email) OR (@phone IS NOT NULL AND phone = @phone)
+        OR (@call_id IS NOT NULL AND json_extract(data, '$.call_id') = @call_id)
+      ORDER BY created_at DESC LIMIT @limit`),
+    addHistory: db.prepare(`INSERT INTO status_history (entity_type, entity_id, status, meta, at)
+      VALUES (?, ?, ?, ?, ?)`),
+    history: db.prepare(`SELECT status, meta, at FROM status_history
+      WHERE entity_type = ? AND entity_id = ? ORDER BY id`),
+    getCall: db.prepare("SELECT * FROM calls WHERE call_id = ?"),
+    upsertCall: db.prepare(`INSERT INTO calls (call_id, status, data, created_at, updated_at)
+      VALUES (@id, @status, @data, @created_at, @updated_at)
+      ON CONFLICT (call_id) DO UPDATE SET status = excluded.status, data = excluded.data, updated_at = excluded.updated_at`),
+    getIdempotency: db.prepare("SELECT * FROM idempotency_keys WHERE key = ?"),
+    putIdempotency: db.prepare(`INSERT OR REPLACE INTO idempotency_keys (key, hash, status, payload, created_at)
+      VALUES (?, ?, ?, ?, ?)`),
+    getApiKey: db.prepare("SELECT * FROM api_keys WHERE key_id = ?"),
+    upsertApiKey: db.prepare(`INSERT INTO api_keys (key_id, hotel_id, data, created_at, updated_at)
+      VALUES (@id, @hotel_id, @data, @created_at, @updated_at)
+      ON CONFLICT (key_id) DO UPDATE SET hotel_id = excluded.hotel_id, data = excluded.data, updated_at = excluded.updated_at`),
+    touchApiKey: db.prepare("UPDATE api_keys SET data = json_set(data, '$.last_used_at', ?) WHERE key_id = ?"),
+    listApiKeys: db.prepare(`SELECT * FROM api_keys WHERE @hotel_id IS NULL OR hotel_id = @hotel_id
+      ORDER BY hotel_id, created_at`)
+  };
+
+  const historyOf = (entityType, entityId) =>
+    stmt.history.all(entityType, entityId).map(h => ({
+      entity_type: entityType,
+      entity_id: entityId,
+      status: h.status,
+      meta: h.meta ? JSON.parse(h.meta) : null,
+      at: h.at
+    }));
+
+  const fromRow = (row) => (row ? { ...JSON.parse(row.data), status: row.status, created_at: row.created_at, updated_at: row.updated_at } : null);
+
+  // Calls keep Retell's call_status inside the document; the column is only for queries
+  const callFromRow = (row) => (row ? { ...JSON.parse(row.data), created_at: row.created_at, updated_at: row.updated_at } : null);
+
+  const keyFromRow = (row) => (row ? { ...JSON.parse(row.data), created_at: row.created_at, updated_at: row.updated_at } : null);
+
+  const save = db.transaction((entityType, upsert, id, doc, status, meta, createdAt) => {
+    const now = new Date().toISOString();
+    upsert.run({
+      id,
+      email: doc.email || null,
+      phone: doc.phone || doc.guest?.phone || null,
+      status,
+      data: JSON.stringify(doc),
+      created_at: createdAt || now,
+      updated_at: now
+    });
+    stmt.addHistory.run(entityType, id, status, meta ? JSON.stringify(meta) : null, now);
+  });
+
+  return {
+    driver: "sqlite",
+
+    async saveBooking(booking, { status = booking.status || "confirmed", meta = null } = {}) {
+      const existing = fromRow(stmt.getBooking.get(booking.booking_id));
+      save("booking", stmt.upsertBooking, booking.booking_id, booking, status, meta,
+        existing?.created_at || booking.created_at);
+      return fromRow(stmt.getBooking.get(booking.booking_id));
+    },
+
+    async updateBooking(bookingId, changes, { status, meta = null } = {}) {
+      const existing = fromRow(stmt.getBooking.get(bookingId));
+      if (!existing) return null;
+      const { status: oldStatus, updated_at, ...doc } = existing;
+      save("booking", stmt.upsertBooking, bookingId, { ...doc, ...changes }, status || oldStatus, meta, existing.created_at);
+      return fromRow(stmt.getBooking.get(bookingId));
+    },
+
+    async getBooking(bookingId) {
+      const booking = fromRow(stmt.getBooking.get(bookingId));
+      return booking ? { ...booking, history: historyOf("booking", bookingId) } : null;
+    },
+
+    async findBookings({ email = null, phone = null, callId = null, limit = 10 } = {}) {
+      return stmt.findBookings.all({ email, phone, call_id: callId, limit }).map(row => {
+        const booking = fromRow(row);
+        return { ...booking, history: historyOf("booking", booking.booking_id) };
+      });
+    },
+
+    async saveOffer(offer, { status = offer.status || "sent", meta = null } = {}) {
+      const existing = fromRow(stmt.getOffer.get(offer.offer_id));
+      save("offer", stmt.upsertOffer, offer.offer_id, offer, status, meta,
+        existing?.created_at || offer.created_at);
+      return fromRow(stmt.getOffer.get(offer.offer_id));
+    },
+
+    async getOffer(offerId) {
+      const offer = fromRow(stmt.getOffer.get(offerId));
+      return offer ? { ...offer, history: historyOf("offer", offerId) } : null;
+    },
+
+    async findOffers({ email = null, phone = null, callId = null, limit = 10 } = {}) {
+      return stmt.findOffers.all({ email, phone, call_id: callId, limit }).map(row => {
+        const offer = fromRow(row);
+        return { ...offer, history: historyOf("offer", offer.offer_id) };
+      });
+    },
+
+    async saveCall(call) {
+      const now = new Date().toISOString();
+      const existing = stmt.getCall.get(call.call_id);
+      stmt.upsertCall.run({
+        id: call.call_id,
+        status: call.call_status || null,
+        data: JSON.stringify(call),
+        created_at: existing?.created_at || now,
+        updated_at: now
+      });
+      return callFromRow(stmt.getCall.get(call.call_id));
+    },
+
+    async getCall(callId) {
+      return callFromRow(stmt.getCall.get(callId));
+    },
+
+    async getIdempotencyRecord(key) {
+      const row = stmt.getIdempotency.get(key);
+      return row ? { hash: row.hash, status: row.status, payload: JSON.parse(row.payload), created_at: row.created_at } : null;
+    },
+
+    async saveIdempotencyRecord(key, record) {
+      stmt.putIdempotency.run(key, record.hash, record.status, JSON.stringify(record.payload), new Date().toISOString());
+    },
+
+    async saveApiKey(key) {
+      const now = new Date().toISOString();
+      const existing = stmt.getApiKey.get(key.key_id);
+      const { created_at, updated_at, ...doc } = key;
+      stmt.upsertApiKey.run({
+        id: key.key_id,
+        hotel_id: key.hotel_id,
+        data: JSON.stringify(doc),
+        created_at: existing?.created_at || created_at || now,
+        updated_at: now
+      });
+      return keyFromRow(stmt.getApiKey.get(key.key_id));
+    },
+
+    async getApiKey(keyId) {
+      return keyFromRow(stmt.getApiKey.get(keyId));
+    },
+
+    async touchApiKey(keyId, at) {
+      stmt.touchApiKey.run(at, keyId);
+    },
+
+    async listApiKeys({ hotelId = null } = {}) {
+      return stmt.listApiKeys.all({ hotel_id: hotelId }).map(keyFromRow);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Tenant registry: several hotels served from one deployment. Every tenant
+ * is a complete app config, the environment's values overlaid with the
+ * hotel's own HotelRunner credentials, rate sheet, branding, languages,
+ * limits and tool secret. Without TENANTS_FILE the environment describes
+ * the only hotel, so single-hotel setups keep working unchanged.
+ *
+ * Requests name their hotel with `hotel_id` (body, query, `x-hotel-id`
+ * header or the Retell call metadata) or, on tool routes, by the tool
+ * secret alone; see routes/tenant.js.
+ */
+import fs from "node:fs";
+import { z } from "zod";
+import { parseCancellationRules } from "../booking/cancellation.js";
+import { SUPPORTED_LOCALES } from "../i18n/index.js";
+import { isTimeZone } from "../config.js";
+import { sameSecret } from "../keys/index.js";
+
+const ENV_TENANT_ID = "default";
+
+const blank = (v) => (v === "" || v === null ? undefined : v);
+const optionalText = () => z.preprocess(blank, z.string().trim().optional());
+const optionalInt = (min) => z.preprocess(blank, z.coerce.number().int().min(min).optional());
+
+const Tenant = z.object({
+  id: z.string().trim().regex(/^[a-z0-9][a-z0-9_-]*$/i, "expected letters, digits, - or _"),
+  // Literal or "env:NAME", so secrets can stay out of the file
+  tool_secret: z.preprocess(blank, z.string().trim().min(8).optional()),
+  mail_from: optionalText(),
+  rate_sheet_file: optionalText(),
+  time_zone: z.preprocess(blank, z.string().trim().refine(isTimeZone, "unknown time zone").optional()),
+  cancellation_rules: optionalText(),
+  languages: z.array(z.enum(SUPPORTED_LOCALES)).nonempty().optional(),
+  default_language: z.enum(SUPPORTED_LOCALES).optional(),
+  limits: z.object({ max_guests: optionalInt(1), max_nights: optionalInt(1) }).default({}),
+  hotelrunner: z.object({
+    enabled: z.boolean().optional(),
+    hr_id: optionalText(),
+    token: optionalText(),
+    base_url: z.preprocess(blank, z.string().trim().url().optional())
+  }).default({}),
+  hotel: z.object({
+    name: optionalText(),
+    address: optionalText(),
+    phone: optionalText(),
+    email: optionalText(),
+    website: optionalText(),
+    color: z.preprocess(blank, z.string().trim().regex(/^#[0-9a-f]{6}$/i, "expected #rrggbb").optional()),
+    logo_file: optionalText()
+  }).default({})
+});
+
+const TenantsFile = z.object({ tenants: z.array(Tenant).nonempty() });
+
+function secretOf(value, env) {
+  if (!value?.startsWith("env:")) return value;
+  const name = value.slice(4);
+  if (!env[name]) throw new Error(`environment variable ${name} is not set`);
+  return env[name];
+}
+
+/**
+ * App config for one tenant: `base` with the tenant's own settings on top.
+ * @param {object} base  loadConfig() result
+ * @param {z.infer<typeof Tenant>} tenant
+ * @param {Record<string, string|undefined>} env  source of "env:NAME" secrets
+ */
+export function tenantConfig(base, tenant, env = process.env) {
+  const { hotelrunner: hr, hotel, limits } = tenant;
+  const languages = tenant.languages || base.languages.supported;
+  const defaultLanguage = tenant.default_language || (languages.includes(base.languages.default) ? base.languages.default : languages[0]);
+  if (!languages.includes(defaultLanguage)) {
+    throw new Error(`default_language ${defaultLanguage} is not one of its languages`);
+  }
+  const hrId = hr.hr_id ?? base.hotelrunner.hrId;
+  const token = secretOf(hr.token, env) ?? base.hotelrunner.token;
+
+  return Object.freeze({
+    ...base,
+    tenant: { id: tenant.id },
+    security: { ...base.security, toolSecret: secretOf(tenant.tool_secret, env) ?? base.security.toolSecret },
+    hotelrunner: {
+      enabled: hr.enabled ?? base.hotelrunner.enabled,
+      hrId,
+      token,
+      baseUrl: hr.base_url ?? base.hotelrunner.baseUrl,
+      timeoutMs: base.hotelrunner.timeoutMs
+    },
+    booking: {
+      ...base.booking,
+      maxGuests: limits.max_guests ?? base.booking.maxGuests,
+      maxNights: limits.max_nights ?? base.booking.maxNights,
+      timeZone: tenant.time_zone ?? base.booking.timeZone,
+      cancellationRules: tenant.cancellation_rules
+        ? parseCancellationRules(tenant.cancellation_rules)
+        : base.booking.cancellationRules
+    },
+    pricing: { ...base.pricing, rateSheetFile: tenant.rate_sheet_file ?? base.pricing.rateSheetFile },
+    languages: { supported: languages, default: defaultLanguage },
+    mail: { ...base.mail, from: tenant.mail_from ?? base.mail.from },
+    hotel: {
+      name: hotel.name ?? base.hotel.name,
+      address: hotel.address ?? base.hotel.address,
+      phone: hotel.phone ?? base.hotel.phone,
+      email: hotel.email ?? base.hotel.email,
+      website: hotel.website ?? base.hotel.website,
+      color: hotel.color ?? base.hotel.color,
+      logoFile: hotel.logo_file ?? base.hotel.logoFile
+    }
+  });
+}
+
+function readTenantsFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid tenants file ${file}: ${error.message}`);
+  }
+  const result = TenantsFile.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`);
+    throw new Error(`Invalid tenants file ${file} - ${issues.join("; ")}`);
+  }
+  return result.data.tenants;
+}
+
+/**
+ * @param {object} config  loadConfig() result; `config.tenants.file` selects the registry file
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {{ list: () => object[], get: (id: string) => object|null, withSecret: (secret: string) => object[],
+ *   defaultId: string, owns: (tenantId: string, record: object) => boolean }}
+ *   list/get/withSecret return tenant configs; the default tenant comes first in list()
+ */
+export function loadTenants(config, env = process.env) {
+  const entries = config.tenants.file
+    ? readTenantsFile(config.tenants.file)
+    : [{ id: config.tenants.defaultId || ENV_TENANT_ID, limits: {}, hotelrunner: {}, hotel: {} }];
+
+  const byId = new Map();
+  for (const entry of entries) {
+    if (byId.has(entry.id)) throw new Error(`Invalid tenants file - duplicate tenant id ${entry.id}`);
+    try {
+      byId.set(entry.id, tenantConfig(config, entry, env));
+    } catch (error) {
+      throw new Error(`Invalid tenant ${entry.id} - ${error.message}`);
+    }
+  }
+
+  const defaultId = config.tenants.defaultId || entries[0].id;
+  if (!byId.has(defaultId)) throw new Error(`Invalid configuration - DEFAULT_HOTEL_ID: unknown tenant ${defaultId}`);
+  const ordered = [byId.get(defaultId), ...[...byId.values()].filter(t => t.tenant.id !== defaultId)];
+
+  return {
+    list: () => ordered,
+    get: (id) => byId.get(String(id ?? "").trim()) || null,
+    // Several tenants may share a secret (e.g. an inherited TOOL_SECRET); those need a hotel_id
+    withSecret: (secret) => ordered.filter(t => t.security.toolSecret && sameSecret(t.security.toolSecret, secret)),
+    defaultId,
+    // Records saved before tenants existed belong to the default tenant
+    owns: (tenantId, record) => !!record && (record.hotel_id ?? defaultId) === tenantId
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Distributed tracing with OpenTelemetry: a server span per HTTP request and
+ * per Retell conversation turn, client spans for HotelRunner, LLM, mail and
+ * text message calls. Context travels with AsyncLocalStorage, so spans
+ * started anywhere below a request become its children and the logger can
+ * stamp every line with the active trace id.
+ *
+ * Exporters: "none" (spans only feed log correlation), "console", "otlp"
+ * (OTLP/HTTP) and "memory" for tests, which read `tracing.exporter.getFinishedSpans()`.
+ * An incoming W3C `traceparent` header continues the caller's trace.
+ */
+import { trace, context, propagation, SpanKind, SpanStatusCode } from "@opentelemetry/api";
+import { AsyncLocalStorageContextManager } from "@opentelemetry/context-async-hooks";
+import { W3CTraceContextPropagator } from "@opentelemetry/core";
+import { Resource } from "@opentelemetry/resources";
+import {
+  BasicTracerProvider, SimpleSpanProcessor, BatchSpanProcessor, ConsoleSpanExporter, InMemorySpanExporter
+} from "@opentelemetry/sdk-trace-base";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+
+export { SpanKind };
+
+// Context manager and propagator are process-wide; tracer providers are per app instance
+let contextInstalled = false;
+function installContext() {
+  if (contextInstalled) return;
+  context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+  propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+  contextInstalled = true;
+}
+
+function createExporter(exporter, otlpEndpoint) {
+  switch (exporter) {
+    case "none":
+      return null;
+    case "console":
+      return new ConsoleSpanExporter();
+    case "memory":
+      return new InMemorySpanExporter();
+    case "otlp":
+      // Without an endpoint the exporter uses the OTLP default (http://localhost:4318/v1/traces)
+      return new OTLPTraceExporter(otlpEndpoint ? { url: otlpEndpoint } : {});
+    default:
+      throw new Error(`Unknown trace exporter: ${exporter}`);
+  }
+}
+
+// Attributes may not be null or undefined; optional ones are simply left out
+const defined = (attributes) =>
+  Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined));
+
+/** Trace and span id of the active span, for log lines; empty outside a span. */
+export function activeTraceIds() {
+  const spanContext = trace.getSpan(context.active())?.spanContext();
+  if (!spanContext || !trace.isSpanContextValid(spanContext)) return {};
+  return { trace_id: spanContext.traceId, span_id: spanContext.spanId };
+}
+
+// Extra attributes for the span of the current request or turn, once they are known
+export const annotateSpan = (attributes) => trace.getActiveSpan()?.setAttributes(defined(attributes));
+
+/**
+ * @param {{ exporter?: "none"|"console"|"otlp"|"memory", otlpEndpoint?: string, serviceName?: string }} [options]
+ */
+export function createTracing({ exporter = "none", otlpEndpoint = "", serviceName = "retell-hotel-agent" } = {}) {
+  installContext();
+
+  const spanExporter = createExporter(exporter, otlpEndpoint);
+  const processor = !spanExporter ? null
+    : exporter === "otlp" ? new BatchSpanProcessor(spanExporter) : new SimpleSpanProcessor(spanExporter);
+  const provider = new BasicTracerProvider({
+    resource: new Resource({ "service.name": serviceName }),
+    spanProcessors: processor ? [processor] : []
+  });
+  const tracer = provider.getTracer(serviceName);
+
+  /**
+   * Run `fn` inside a new active span; errors mark the span and are rethrown.
+   * @template T
+   * @param {string} name
+   * @param {{ kind?: number, attributes?: object }} options
+   * @param {(span: import("@opentelemetry/api").Span) => Promise<T>|T} fn
+   * @returns {Promise<T>}
+   */
+  function withSpan(name, { kind = SpanKind.INTERNAL, attributes = {} } = {}, fn) {
+    return tracer.startActiveSpan(name, { kind, attributes: defined(attributes) }, async (span) => {
+      try {
+        return await fn(span);
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        if (error.code) span.setAttribute("error.code", String(error.code));
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Express middleware: server span per request, named after the matched
+   * route once it is known. Mount after the body parsers so `attributesOf`
+   * can read the body (e.g. the Retell call_id).
+   * @param {(req: object) => object} [attributesOf] extra span attributes
+   */
+  function middleware(attributesOf = () => ({})) {
+    return (req, res, next) => {
+      const parent = propagation.extract(context.active(), req.headers);
+      const span = tracer.startSpan(req.method, {
+        kind: SpanKind.SERVER,
+        attributes: {
+          "http.request.method": req.method,
+          "url.path": req.path,
+          ...defined(attributesOf(req))
+        }
+      }, parent);
+      res.set("x-trace-id", span.spanContext().traceId);
+
+      let ended = false;
+      const end = () => {
+        if (ended) return;
+        ended = true;
+        // Route patterns, not raw paths, like the metrics
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+        if (route) {
+          span.updateName(`${req.method} ${route}`);
+          span.setAttribute("http.route", route);
+        }
+        span.setAttribute("http.response.status_code", res.statusCode);
+        if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+        span.end();
+      };
+      res.on("finish", end);
+      res.on("close", end);
+
+      context.with(trace.setSpan(parent, span), next);
+    };
+  }
+
+  return {
+    tracer,
+    exporter: spanExporter,
+    withSpan,
+    middleware,
+    shutdown: () => provider.shutdown()
+  };
+}
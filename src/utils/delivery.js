@@ -0,0 +1,71 @@
+/**
+ * Send-now, retry-later delivery shared by the mailer and the messenger.
+ * The first attempt runs right away; a failed send is retried in the
+ * background with exponential backoff until `maxAttempts` is reached.
+ * Callers learn every outcome through `onStatus` ("sent", "retrying" or
+ * "failed") so they can record it. Pending retries live in this process
+ * and are dropped on close().
+ */
+
+/**
+ * @param {{ transport: { name: string, send: Function, close: Function }, defaults?: object, label?: string,
+ *   maxAttempts?: number, retryDelayMs?: number,
+ *   onError?: (msg: string, error: Error, meta?: object) => void }} options
+ *   defaults: fields merged under every message (e.g. the mail sender); label: prefix of log messages
+ */
+export function createDelivery({
+  transport, defaults = {}, label = "Delivery", maxAttempts = 4, retryDelayMs = 30000, onError = () => {}
+}) {
+  const pending = new Set();
+
+  const later = (fn, delayMs) => {
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      fn();
+    }, delayMs);
+    timer.unref();
+    pending.add(timer);
+  };
+
+  // A failing status callback must not stop the retries
+  const report = async (onStatus, status, info) => {
+    try {
+      await onStatus(status, info);
+    } catch (error) {
+      onError(`${label} status callback failed`, error, { status });
+    }
+  };
+
+  return {
+    transport: transport.name,
+
+    /**
+     * @param {object} message  transport-specific, merged over `defaults`
+     * @param {{ onStatus?: (status: string, info: { attempt: number, messageId?: string, error?: Error }) => any }} [options]
+     * @returns {Promise<{ status: "sent"|"retrying"|"failed", attempts: number, messageId?: string, error?: string }>}
+     *   outcome of the first attempt
+     */
+    deliver(message, { onStatus = () => {} } = {}) {
+      const attempt = async (n) => {
+        try {
+          const { messageId } = await transport.send({ ...defaults, ...message });
+          await report(onStatus, "sent", { attempt: n, messageId });
+          return { status: "sent", attempts: n, messageId };
+        } catch (error) {
+          const status = n >= maxAttempts ? "failed" : "retrying";
+          onError(`${label} delivery failed`, error, { transport: transport.name, attempt: n, status });
+          await report(onStatus, status, { attempt: n, error });
+          if (status === "retrying") later(() => attempt(n + 1), retryDelayMs * 2 ** (n - 1));
+          return { status, attempts: n, error: error.message };
+        }
+      };
+      return attempt(1);
+    },
+
+    async close() {
+      for (const timer of pending) clearTimeout(timer);
+      pending.clear();
+      await transport.close();
+    }
+  };
+}
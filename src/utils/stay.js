@@ -0,0 +1,31 @@
+/**
+ * Value helpers for stay requests. Dates resolve in the hotel's time zone,
+ * so "today" and "morgen" follow the hotel's calendar day.
+ */
+import { parseDateAny, parseDateRange, todayIso } from "../extraction/dates.js";
+
+export function createStayUtils({ timeZone }) {
+  return {
+    parseDateAny: (input) => parseDateAny(input, { timeZone }),
+
+    parseDateRange: (text, locale) => parseDateRange(String(text), { locale, timeZone }),
+
+    today: () => todayIso(new Date(), timeZone),
+
+    nightsBetween: (a, b) => {
+      const dateA = new Date(a);
+      const dateB = new Date(b);
+      if (isNaN(dateA) || isNaN(dateB)) return 0;
+      const ms = dateB - dateA;
+      return Math.max(0, Math.ceil(ms / 86400000));
+    },
+
+    coerceInt: (v, def = 0) => {
+      if (v === null || v === undefined || v === "") return def;
+      const n = parseInt(String(v).trim(), 10);
+      return Number.isFinite(n) ? Math.max(0, n) : def;
+    },
+
+    euro: (n) => Math.round(n * 100) / 100
+  };
+}
@@ -43,5 +43,5 @@ echo -e "   Logs: Watching for changes..."
 if [ "${MODE}" = "prod" ]; then
   exec npm start
 else
-  exec npm run dev
+  exec npm run start:dev
 fi
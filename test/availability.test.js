@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/app.js";
+import { startOtaStub } from "./support/otaStub.js";
+import { hangFetch } from "./support/hangingFetch.js";
+
+const stay = { check_in: "2030-05-10", check_out: "2030-05-15", adults: 2, language: "de" };
+
+test("check_availability answers from OTA_HotelAvailRS", async (t) => {
+  const stub = await startOtaStub({ HotelAvailRQ: "HotelAvailRS.xml" });
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+
+  const { status, body } = await app.post("/retell/tool/check_availability", stay);
+
+  assert.equal(status, 200);
+  assert.equal(body.availability_ok, true);
+  assert.equal(body.nights, 5);
+  assert.equal(body.details.source, "hotelrunner");
+  assert.deepEqual(body.details.room_types.map(rt => [rt.code, rt.available]), [["DBL", 3], ["FAM", 0]]);
+  assert.deepEqual(body.details.cheapest_rate, {
+    room_type: "DBL", room_name: "Doppelzimmer", code: "BB", name: "Frühstück", total: 490, currency: "EUR", available: 3
+  });
+  assert.match(body.spoken, /^Für 5 Nächte vom .* ist noch Doppelzimmer frei, ab .*490.* für den gesamten Aufenthalt\.$/);
+
+  assert.equal(stub.requests.length, 1);
+  const [sent] = stub.requests;
+  assert.equal(sent.url, "/ota/HotelAvailRQ");
+  assert.match(sent.body, /HotelCode="HR42"/);
+  assert.match(sent.body, /Start="2030-05-10" End="2030-05-15"/);
+});
+
+test("check_availability reports a sold-out hotel", async (t) => {
+  const stub = await startOtaStub({ HotelAvailRQ: "HotelAvailRS-sold-out.xml" });
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+
+  const { body } = await app.post("/retell/tool/check_availability", stay);
+
+  assert.equal(body.availability_ok, false);
+  assert.equal(body.details.source, "hotelrunner");
+  assert.equal(body.details.reason, "sold_out");
+  assert.match(body.spoken, /ist leider kein Zimmer mehr frei/);
+});
+
+test("check_availability falls back to the rules when HotelRunner is down", async (t) => {
+  const stub = await startOtaStub({});
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+
+  const { body } = await app.post("/retell/tool/check_availability", stay);
+
+  assert.equal(stub.requests.length, 1);
+  assert.equal(body.availability_ok, true);
+  assert.equal(body.details.source, "rules");
+  assert.equal(body.details.room_types, null);
+});
+
+test("check_availability falls back to the rules when HotelRunner hangs", async (t) => {
+  const otaUrl = "http://hotelrunner.invalid/ota/";
+  const calls = hangFetch(t, otaUrl);
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: otaUrl,
+    HOTELRUNNER_TIMEOUT_MS: "100"
+  });
+  t.after(() => app.close());
+
+  const { status, body } = await app.post("/retell/tool/check_availability", stay);
+
+  assert.equal(status, 200);
+  assert.deepEqual(calls, [`${otaUrl}HotelAvailRQ`]);
+  assert.equal(body.availability_ok, true);
+  assert.equal(body.details.source, "rules");
+  assert.equal(body.details.room_types, null);
+});
+
+test("check_availability uses the rules alone without HotelRunner", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const tooMany = await app.post("/retell/tool/check_availability", { ...stay, adults: 30 });
+  assert.equal(tooMany.body.availability_ok, false);
+  assert.equal(tooMany.body.details.reason, "too_many_guests");
+
+  const ok = await app.post("/retell/tool/check_availability", stay);
+  assert.equal(ok.body.availability_ok, true);
+  assert.equal(ok.body.details.source, "rules");
+});
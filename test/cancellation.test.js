@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateCancellation, parseCancellationRules } from "../src/booking/cancellation.js";
+
+// 22:30 UTC on 2 May is already 01:30 on 3 May in Istanbul
+const NOW = new Date("2030-05-02T22:30:00Z");
+
+test("days before arrival are counted from the hotel's calendar day", () => {
+  const istanbul = evaluateCancellation({ checkIn: "2030-05-16", total: 500, now: NOW, timeZone: "Europe/Istanbul" });
+  assert.equal(istanbul.days_before, 13);
+  assert.equal(istanbul.fee_percent, 30);
+  assert.equal(istanbul.fee_eur, 150);
+  assert.equal(istanbul.free_until, "2030-05-02");
+
+  // The same moment is still 2 May in New York: the free window is open there
+  const newYork = evaluateCancellation({ checkIn: "2030-05-16", total: 500, now: NOW, timeZone: "America/New_York" });
+  assert.equal(newYork.days_before, 14);
+  assert.equal(newYork.fee_percent, 0);
+  assert.equal(newYork.fee_eur, 0);
+});
+
+test("a stay that has begun in the hotel's time zone cannot be cancelled", () => {
+  const started = evaluateCancellation({ checkIn: "2030-05-02", total: 500, now: NOW, timeZone: "Europe/Istanbul" });
+  assert.equal(started.allowed, false);
+  assert.equal(started.days_before, -1);
+
+  const arrivalDay = evaluateCancellation({ checkIn: "2030-05-03", total: 500, now: NOW, timeZone: "Europe/Istanbul" });
+  assert.deepEqual([arrivalDay.allowed, arrivalDay.days_before, arrivalDay.fee_percent], [true, 0, 100]);
+});
+
+test("cancellation rules from the environment", () => {
+  assert.deepEqual(parseCancellationRules("14:0,7:50,0:100"), [
+    { daysBefore: 14, feePercent: 0 }, { daysBefore: 7, feePercent: 50 }, { daysBefore: 0, feePercent: 100 }
+  ]);
+  const custom = evaluateCancellation({
+    checkIn: "2030-05-10", now: NOW, timeZone: "Europe/Istanbul", rules: parseCancellationRules("14:0,7:50,0:100")
+  });
+  assert.deepEqual([custom.days_before, custom.fee_percent, custom.fee_eur], [7, 50, null]);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateAny, isoDate } from "../src/extraction/dates.js";
+import { startApp } from "./support/app.js";
+
+const now = new Date("2026-06-01T09:00:00Z");
+
+test("parseDateAny keeps real ISO dates", () => {
+  assert.equal(parseDateAny("2027-02-28", { now }), "2027-02-28");
+  assert.equal(parseDateAny(" 2028-02-29 ", { now }), "2028-02-29");
+  assert.equal(parseDateAny("2027-02-28T23:30:00Z", { now, timeZone: "Europe/Istanbul" }), "2027-03-01");
+});
+
+test("parseDateAny rejects ISO-shaped strings that are no date", () => {
+  for (const input of ["2026-13-45", "2027-02-31", "2027-02-29", "2026-04-31", "2026-00-10", "2026-05-00"]) {
+    assert.equal(parseDateAny(input, { now }), null, input);
+  }
+  assert.equal(parseDateAny("2027-02-31T10:00:00Z", { now }), null);
+  assert.equal(parseDateAny("2026-13-01T10:00:00Z", { now }), null);
+});
+
+test("parseDateAny still reads spoken and dotted dates", () => {
+  assert.equal(parseDateAny("12.07.2026", { now }), "2026-07-12");
+  assert.equal(parseDateAny("3. August", { now, locale: "de" }), "2026-08-03");
+  assert.equal(parseDateAny("31.02.2027", { now }), null);
+});
+
+test("isoDate validates the calendar", () => {
+  assert.equal(isoDate(2028, 2, 29), "2028-02-29");
+  assert.equal(isoDate(2027, 2, 29), null);
+  assert.equal(isoDate("26", "7", "1"), "2026-07-01");
+});
+
+test("check_availability treats impossible dates as missing", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const { body } = await app.post("/retell/tool/check_availability", { check_in: "2030-02-30", check_out: "2030-03-02" });
+  assert.equal(body.ok, false);
+  assert.equal(body.code, "MISSING_DATES");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseEmail, spellEmail } from "../src/extraction/email.js";
+
+// [utterance, caller locale, address]
+const DICTATED = [
+  // de
+  ["max punkt mueller at gmail punkt com", "de", "max.mueller@gmail.com"],
+  ["m a x ät web de", "de", "max@web.de"],
+  ["meine Mail ist Jürgen Bindestrich Groß at t online punkt de", "de", "juergen-gross@t-online.de"],
+  ["a n n a eins zwei at gmx punkt de", "de", "anna12@gmx.de"],
+  ["b o doppel l at web de", "de", "boll@web.de"],
+  ["ich komme at five, meine mail ist max at web punkt de", "de", "max@web.de"],
+  // en
+  ["my email is john dot smith at gmail dot com", "en", "john.smith@gmail.com"],
+  ["john underscore doe at outlook dot com", "en", "john_doe@outlook.com"],
+  ["jo double five at gmial dot com", "en", "jo55@gmail.com"],
+  // tr
+  ["ali nokta yilmaz et hotmail nokta com", "tr", "ali.yilmaz@hotmail.com"],
+  ["ayşe alt çizgi kaya et gmail nokta com", "tr", "ayse_kaya@gmail.com"],
+  ["mehmet bir iki et yandex nokta com nokta tr", "tr", "mehmet12@yandex.com.tr"],
+  // Typed
+  ["Anna.Schmidt@Web.de", undefined, "anna.schmidt@web.de"]
+];
+
+for (const [utterance, locale, expected] of DICTATED) {
+  test(`parseEmail(${JSON.stringify(utterance)}, ${locale})`, () => {
+    assert.equal(parseEmail(utterance, { locale })?.email, expected);
+  });
+}
+
+test("symbol words of other languages survive a misdetected caller locale", () => {
+  // The module's own Turkish example, with the locale missing or taken for German
+  for (const locale of [undefined, "de", "en"]) {
+    assert.equal(parseEmail("ali nokta yilmaz et hotmail nokta com", { locale })?.email, "ali.yilmaz@hotmail.com", locale);
+  }
+  assert.equal(parseEmail("max punkt mueller at gmail punkt com", { locale: "en" })?.email, "max.mueller@gmail.com");
+  assert.equal(parseEmail("ayse alt çizgi kaya et gmail nokta com", { locale: "de" })?.email, "ayse_kaya@gmail.com");
+});
+
+test("the spell-back uses the caller's words and reports domain corrections", () => {
+  const parsed = parseEmail("jo double five at gmial dot com", { locale: "en" });
+  assert.equal(parsed.heard, "jo55@gmial.com");
+  assert.equal(parsed.corrected, true);
+  assert.equal(parsed.spelled, "j, o, 5, 5, at, gmail, dot, com");
+  assert.equal(spellEmail("tr", "ali.yilmaz@hotmail.com"), "a, l, i, nokta, y, i, l, m, a, z, et, hotmail, nokta, com");
+  assert.equal(spellEmail("de", "max@web.de"), "m, a, x, ät, web, Punkt, de");
+});
+
+test("utterances without an address give null", () => {
+  assert.equal(parseEmail("no address here", { locale: "en" }), null);
+  assert.equal(parseEmail("", { locale: "de" }), null);
+  assert.equal(parseEmail("wir kommen at five", { locale: "de" }), null);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFxProvider } from "../src/fx/provider.js";
+import { createOtaSource, createStaticSource } from "../src/fx/sources.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("a pushed snapshot that is never renewed turns stale and then falls back", async () => {
+  const ota = createOtaSource();
+  const errors = [];
+  const fx = createFxProvider({
+    sources: [ota],
+    fallback: createStaticSource({ base: "EUR", rates: { TRY: 30 } }),
+    currencies: ["TRY"],
+    ttlMs: 50,
+    maxStaleMs: 300,
+    onError: (msg, error) => errors.push(error.message)
+  });
+  ota.update({ base: "EUR", rates: { TRY: 35 } });
+
+  const fresh = await fx.getRates();
+  assert.deepEqual([fresh.source, fresh.rates.TRY, fresh.stale], ["ota", 35, false]);
+
+  // Reloading the same snapshot after the TTL does not make it fresh again
+  await wait(80);
+  const stale = await fx.getRates();
+  assert.deepEqual([stale.source, stale.rates.TRY, stale.stale], ["ota", 35, true]);
+  assert.equal(stale.fetched_at, fresh.fetched_at);
+
+  await wait(250);
+  const fallback = await fx.getRates();
+  assert.deepEqual([fallback.source, fallback.rates.TRY, fallback.stale], ["static", 30, true]);
+  assert.match(errors.at(-1), /FX source ota rates are from /);
+
+  // A new push is served again
+  ota.update({ base: "EUR", rates: { TRY: 36 } });
+  const renewed = await fx.getRates();
+  assert.deepEqual([renewed.source, renewed.rates.TRY, renewed.stale], ["ota", 36, false]);
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHybridExtractor, validateLlmSlots, SLOT_FUNCTION } from "../src/extraction/hybrid.js";
+import { startApp } from "./support/app.js";
+import { startLlmStub } from "./support/llmStub.js";
+
+const now = new Date("2026-06-01T09:00:00Z");
+const options = { locale: "de", now, timeZone: "Europe/Istanbul" };
+
+const NO_SLOTS = Object.fromEntries(SLOT_FUNCTION.parameters.required.map(field => [field, null]));
+
+// Stands in for src/llm: answers with fixed arguments and records every request
+function fakeProvider(answer) {
+  const calls = [];
+  return {
+    name: "fake",
+    calls,
+    async callFunction(request) {
+      calls.push(request);
+      return typeof answer === "function" ? answer(request) : { ...NO_SLOTS, ...answer };
+    }
+  };
+}
+
+test("a complete stay without a name does not call the LLM", async () => {
+  const provider = fakeProvider({});
+  const extractor = createHybridExtractor({ provider });
+
+  const result = await extractor.extract("Wir kommen vom 12. bis 15. Juli mit 2 Erwachsenen", options);
+
+  assert.equal(provider.calls.length, 0);
+  assert.equal(result.source, "rules");
+  assert.equal(result.llm, null);
+  assert.deepEqual(result.missing, ["surname"]);
+});
+
+test("a successful tool call fills the slots the rules missed", async () => {
+  const provider = fakeProvider({ check_in: "2026-07-12", nights: 3, adults: 2, surname: "Kaya" });
+  const extractor = createHybridExtractor({ provider });
+
+  const result = await extractor.extract("Wir möchten irgendwann nach dem Sommerfest kommen, zu zweit", options);
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(provider.calls[0].fn, SLOT_FUNCTION);
+  assert.ok(provider.calls[0].signal instanceof AbortSignal);
+  assert.match(provider.calls[0].system, /Today is 2026-06-01/);
+
+  assert.equal(result.source, "rules+llm");
+  assert.deepEqual(
+    [result.check_in, result.check_out, result.nights, result.adults, result.surname],
+    ["2026-07-12", "2026-07-15", 3, 2, "Kaya"]
+  );
+  assert.equal(result.provenance.check_in, "llm");
+  assert.equal(result.provenance.children, "default");
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.llm.rejected, []);
+});
+
+test("a provider timeout falls back to the rules", async () => {
+  const errors = [];
+  // A slow model: answers after 5 s unless the extractor's signal aborts it first
+  const provider = fakeProvider(({ signal }) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve({ ...NO_SLOTS, check_in: "2026-07-13" }), 5000);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error("LLM request timed out"), { code: "llm_timeout" }));
+    });
+  }));
+  const extractor = createHybridExtractor({ provider, timeoutMs: 20, onError: (msg, error) => errors.push(error.code) });
+
+  const result = await extractor.extract("Vom 12. bis 19. Juli, 5 Nächte, 2 Erwachsene", options);
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(result.source, "rules");
+  assert.equal(result.llm.error, "llm_timeout");
+  assert.deepEqual([result.check_in, result.check_out, result.nights], ["2026-07-12", "2026-07-19", 7]);
+  assert.equal(result.conflicts.length, 1);
+  assert.deepEqual(errors, ["llm_timeout"]);
+});
+
+test("implausible model values are rejected and never merged", async () => {
+  const provider = fakeProvider({ check_in: "2026-02-30", adults: 40, surname: "Robert'); DROP TABLE", phone: "call me" });
+  const extractor = createHybridExtractor({ provider });
+
+  const result = await extractor.extract("Wir möchten irgendwann nach dem Sommerfest kommen, zu zweit", options);
+
+  assert.equal(result.source, "rules");
+  assert.deepEqual(result.llm.rejected, ["check_in", "adults", "surname", "phone"]);
+  assert.equal(result.check_in, null);
+  assert.equal(result.provenance.adults, "default");
+  assert.deepEqual(result.missing, ["check_in", "check_out", "adults", "surname"]);
+});
+
+test("validateLlmSlots rejects bad values field by field", () => {
+  const today = "2026-06-01";
+  const check = (args, limits = {}) => validateLlmSlots({ ...NO_SLOTS, ...args }, { today, ...limits });
+
+  assert.deepEqual(check({ check_in: "2026-13-01", check_out: "12.07.2026" }).rejected, ["check_in", "check_out"]);
+  assert.deepEqual(check({ check_in: "2026-05-31" }).rejected, ["check_in"]);
+  assert.deepEqual(check({ check_in: "2026-07-12", check_out: "2026-07-12" }).rejected, ["check_out"]);
+  assert.deepEqual(check({ check_in: "2026-07-01", check_out: "2026-08-15" }, { maxNights: 30 }), {
+    slots: { check_in: "2026-07-01" }, rejected: ["check_out"]
+  });
+  assert.deepEqual(check({ nights: 0, adults: 0, children: -1 }).rejected, ["nights", "adults", "children"]);
+  assert.deepEqual(check({ adults: 11 }, { maxGuests: 10 }).rejected, ["adults"]);
+  assert.deepEqual(check({ adults: 2.5, given_name: "<b>", surname: "" }).rejected, ["adults", "given_name", "surname"]);
+
+  assert.deepEqual(check({ check_in: "2026-07-12", nights: 3, adults: 2, given_name: " Anna ", phone: "0049 151 1234567" }), {
+    slots: { check_in: "2026-07-12", nights: 3, adults: 2, given_name: "Anna", phone: "+491511234567" },
+    rejected: []
+  });
+});
+
+test("a local OpenAI-compatible server is used without an API key", async (t) => {
+  const llm = await startLlmStub({
+    check_in: "2030-05-10", check_out: "2030-05-15", nights: null, adults: 2, children: null,
+    given_name: "Anna", surname: "Kaya", phone: null
+  });
+  const app = await startApp({ LLM_ENABLED: "true", LLM_BASE_URL: llm.url });
+  t.after(() => Promise.all([app.close(), llm.close()]));
+
+  const response = await app.post("/retell/tool/extract_core", {
+    utterance: "Wir möchten nach dem Sommerfest kommen, zu zweit, Name Kaya", call_id: "call_1"
+  });
+  assert.equal(response.body.source, "rules+llm");
+  assert.equal(response.body.check_in, "2030-05-10");
+  assert.equal(llm.requests.length, 1);
+  assert.equal(llm.requests[0].headers.authorization, undefined);
+});
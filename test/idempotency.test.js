@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/app.js";
+import { startOtaStub } from "./support/otaStub.js";
+
+const BOOKING = {
+  check_in: "2030-05-10", check_out: "2030-05-13", adults: 2,
+  given_name: "Anna", surname: "Kaya", email: "anna@example.com", phone: "+49 151 1234567", language: "de"
+};
+
+async function startWithHotelRunner(t) {
+  const stub = await startOtaStub({ ResCreateRQ: "ResCreateRS.xml" });
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+  const commits = () => stub.requests.filter(r => r.action === "ResCreateRQ").length;
+  return { app, commits };
+}
+
+const commit = (app, body, key = "key-1") =>
+  app.post("/retell/tool/commit_booking", body, { headers: key ? { "idempotency-key": key } : {} });
+
+test("concurrent identical commits reach HotelRunner once", async (t) => {
+  const { app, commits } = await startWithHotelRunner(t);
+
+  const [first, second] = await Promise.all([commit(app, BOOKING), commit(app, BOOKING)]);
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(first.body.data.booking_id, second.body.data.booking_id);
+  assert.equal(commits(), 1);
+});
+
+test("a retry after the commit finished replays the stored result", async (t) => {
+  const { app, commits } = await startWithHotelRunner(t);
+
+  const first = await commit(app, BOOKING);
+  const replay = await commit(app, { ...BOOKING });
+  assert.equal(replay.status, 200);
+  assert.deepEqual(replay.body, first.body);
+  assert.equal(commits(), 1);
+
+  // The call_id key works the same without a header
+  const byCall = { ...BOOKING, call_id: "call_1" };
+  const fromCall = await commit(app, byCall, null);
+  assert.equal((await commit(app, byCall, null)).body.data.booking_id, fromCall.body.data.booking_id);
+  assert.equal(commits(), 2);
+});
+
+test("a key reused with a different payload is a conflict", async (t) => {
+  const { app, commits } = await startWithHotelRunner(t);
+
+  await commit(app, BOOKING);
+  const reused = await commit(app, { ...BOOKING, adults: 3 });
+  assert.equal(reused.status, 409);
+  assert.equal(reused.body.error, "idempotency_conflict");
+  assert.equal(commits(), 1);
+});
+
+test("a commit rejected for a missing slot is retried once the session has it", async (t) => {
+  const { app, commits } = await startWithHotelRunner(t);
+  const { given_name, surname, ...withoutName } = BOOKING;
+  const request = { ...withoutName, call_id: "call_1" };
+
+  const rejected = await commit(app, request, null);
+  assert.equal(rejected.status, 400);
+  assert.equal(commits(), 0);
+
+  // A later turn learned the name; the same request must now book
+  await app.services.forTenant("default").mergeSession("call_1", { given_name, surname }, "extract_core");
+  const booked = await commit(app, request, null);
+  assert.equal(booked.status, 200);
+  assert.equal(booked.body.data.guest.surname, "Kaya");
+  assert.equal(commits(), 1);
+});
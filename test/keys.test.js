@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createStore } from "../src/store/index.js";
+import { createApiKeys } from "../src/keys/index.js";
+import { startApp } from "./support/app.js";
+import { startOtaStub } from "./support/otaStub.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keys on a memory store with a clock the test moves forward
+async function keysWithClock(t) {
+  const store = await createStore({ driver: "memory" });
+  t.after(() => store.close());
+  const clock = { at: Date.parse("2030-01-01T00:00:00Z") };
+  const keys = createApiKeys({ store, now: () => clock.at });
+  return { keys, clock };
+}
+
+// The same token with a different last character of the secret
+const tamper = (token) => token.slice(0, -1) + (token.endsWith("A") ? "B" : "A");
+
+test("recording a key's use does not undo a revoke from the CLI", async (t) => {
+  // The server and the keys CLI are separate processes on one database
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retell-agent-keys-"));
+  const file = path.join(dir, "keys.db");
+  const serverStore = await createStore({ driver: "sqlite", file });
+  const cliStore = await createStore({ driver: "sqlite", file });
+  t.after(async () => {
+    await Promise.all([serverStore.close(), cliStore.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const cli = createApiKeys({ store: cliStore });
+
+  // The CLI revokes the key just before the server writes the key's use
+  let revoked = null;
+  const beforeWrite = (method) => async (...args) => {
+    revoked ??= await cli.revoke(key.key_id);
+    return serverStore[method](...args);
+  };
+  const server = createApiKeys({
+    store: { ...serverStore, saveApiKey: beforeWrite("saveApiKey"), touchApiKey: beforeWrite("touchApiKey") }
+  });
+
+  const { key, token } = await cli.issue({ hotelId: "erendiz", scopes: ["read"] });
+  const verified = await server.verify(token);
+  assert.equal(verified.key.key_id, key.key_id);
+  await server.recordUse(verified.key);
+
+  const stored = await cliStore.getApiKey(key.key_id);
+  assert.ok(revoked);
+  assert.equal(stored.revoked_at, revoked.revoked_at);
+  assert.ok(stored.last_used_at);
+  assert.equal((await server.verify(token)).reason, "revoked");
+});
+
+test("a wrong secret, an unknown id or a malformed token is rejected", async (t) => {
+  const { keys } = await keysWithClock(t);
+  const { key, token } = await keys.issue({ hotelId: "erendiz", scopes: ["read"] });
+
+  assert.equal((await keys.verify(token)).key.key_id, key.key_id);
+  assert.deepEqual(await keys.verify(tamper(token)), { key: null, reason: "unknown" });
+  const unknownId = `hk_${key.key_id === "0000000000" ? "1111111111" : "0000000000"}_${token.slice(14)}`;
+  assert.deepEqual(await keys.verify(unknownId), { key: null, reason: "unknown" });
+  for (const malformed of [undefined, "", "hk_short_secret", token + "x", `sk_${token.slice(3)}`]) {
+    assert.deepEqual(await keys.verify(malformed), { key: null, reason: "malformed" }, String(malformed));
+  }
+});
+
+test("a key stops working when it expires", async (t) => {
+  const { keys, clock } = await keysWithClock(t);
+  const { token } = await keys.issue({ hotelId: "erendiz", scopes: ["read"], expiresAt: clock.at + 30 * DAY });
+
+  clock.at += 30 * DAY - 1;
+  assert.equal((await keys.verify(token)).reason, null);
+  clock.at += 1;
+  assert.deepEqual(await keys.verify(token), { key: null, reason: "expired" });
+  assert.equal((await keys.list({ hotelId: "erendiz" }))[0].state, "expired");
+
+  await assert.rejects(keys.issue({ hotelId: "erendiz", expiresAt: clock.at }), { code: "invalid_expiry" });
+});
+
+test("after a rotation the new key works and the old one only until its grace period ends", async (t) => {
+  const { keys, clock } = await keysWithClock(t);
+  const old = await keys.issue({ hotelId: "erendiz", name: "retell", scopes: ["read", "book"] });
+
+  const rotated = await keys.rotate(old.key.key_id, { graceMs: DAY });
+  assert.equal(rotated.retired.replaced_by, rotated.key.key_id);
+  assert.equal(rotated.key.rotated_from, old.key.key_id);
+  assert.deepEqual([rotated.key.hotel_id, rotated.key.name, rotated.key.scopes], ["erendiz", "retell", ["read", "book"]]);
+  assert.equal((await keys.verify(rotated.token)).key.key_id, rotated.key.key_id);
+  assert.equal((await keys.verify(old.token)).reason, null);
+
+  clock.at += DAY;
+  assert.deepEqual(await keys.verify(old.token), { key: null, reason: "expired" });
+  assert.equal((await keys.verify(rotated.token)).reason, null);
+  // A retired key cannot be rotated again
+  await assert.rejects(keys.rotate(old.key.key_id), { code: "key_expired" });
+});
+
+test("a revoked key is rejected at once", async (t) => {
+  const { keys } = await keysWithClock(t);
+  const { key, token } = await keys.issue({ hotelId: "erendiz", scopes: ["read"] });
+
+  await keys.revoke(key.key_id);
+  assert.deepEqual(await keys.verify(token), { key: null, reason: "revoked" });
+  await assert.rejects(keys.revoke("0000000000"), { code: "unknown_key" });
+});
+
+test("booking needs a key with the book scope", async (t) => {
+  const stub = await startOtaStub({ ResCreateRQ: "ResCreateRS.xml" });
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+  const booking = {
+    check_in: "2030-05-10", check_out: "2030-05-13", adults: 2,
+    given_name: "Anna", surname: "Kaya", email: "anna@example.com", phone: "+49 151 1234567", language: "de"
+  };
+
+  const reader = await app.services.apiKeys.issue({ hotelId: "default", scopes: ["read"] });
+  const denied = await app.post("/retell/tool/commit_booking", booking, { secret: reader.token });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error, "forbidden");
+  assert.equal(stub.requests.filter(r => r.action === "ResCreateRQ").length, 0);
+  // Reading is still allowed
+  assert.equal((await app.post("/retell/tool/extract_core", { utterance: "zu zweit" }, { secret: reader.token })).status, 200);
+
+  const booker = await app.services.apiKeys.issue({ hotelId: "default", scopes: ["book"] });
+  const booked = await app.post("/retell/tool/commit_booking", booking, { secret: booker.token });
+  assert.equal(booked.status, 200);
+  assert.equal(booked.body.data.booking_id, "HR-12345");
+
+  const wrong = await app.post("/retell/tool/commit_booking", booking, { secret: tamper(booker.token) });
+  assert.equal(wrong.status, 401);
+});
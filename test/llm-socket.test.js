@@ -0,0 +1,165 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import WebSocket from "ws";
+import { startApp } from "./support/app.js";
+import { attachRetellLlmSocket } from "../src/retell/llmSocket.js";
+import { createLogger } from "../src/logger.js";
+
+// A recorded Retell call: call_details, then update_only / response_required per caller turn
+const EVENTS = JSON.parse(fs.readFileSync(new URL("./fixtures/retell/booking-call.json", import.meta.url), "utf8"));
+const CALL_ID = EVENTS[0].call.call_id;
+
+// What the agent answers to each response_id of the recording
+const REPLIES = {
+  1: /^Auf welchen Namen darf ich die Buchung vornehmen\?$/,
+  2: /^Für 3 Nächte vom 12\. Dezember \d{4} bis 15\. Dezember \d{4} .* Soll ich das Zimmer für Sie buchen\?$/,
+  3: /^An welche E-Mail-Adresse darf ich die Bestätigung schicken\?$/,
+  4: /^Ich habe a, n, n, a, Punkt, s, c, h, m, i, d, t, ät, web, Punkt, de verstanden\. Ist das richtig\?$/,
+  5: /^Ihre Buchung ist bestätigt, die Buchungsnummer ist \S+\. Die Bestätigung geht an anna\.schmidt@web\.de\./,
+  6: /^Vielen Dank für Ihren Anruf und auf Wiederhören!$/
+};
+
+const SOCKET_TOKEN = "test-socket-token";
+
+// Sockets still open when a test fails would keep the server from closing
+async function startSocketApp(t) {
+  const app = await startApp();
+  attachRetellLlmSocket(app.server, { token: SOCKET_TOKEN, dialog: app.dialog, logger: createLogger({ level: "silent" }) });
+  app.sockets = new Set();
+  t.after(() => {
+    for (const ws of app.sockets) ws.terminate();
+    return app.close();
+  });
+  return app;
+}
+
+// Retell's side of the socket: everything the agent sent, in order
+async function connect(app) {
+  const ws = new WebSocket(`${app.base.replace("http", "ws")}/llm-websocket/${CALL_ID}?token=${SOCKET_TOKEN}`);
+  app.sockets.add(ws);
+  const received = [];
+  let notify = () => {};
+  ws.on("message", (data) => {
+    received.push(JSON.parse(data.toString("utf8")));
+    notify();
+  });
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  const next = (predicate) => new Promise((resolve) => {
+    const check = () => {
+      const message = received.find(predicate);
+      if (message) resolve(message);
+      else notify = check;
+    };
+    check();
+  });
+
+  return {
+    received,
+    send: (event) => ws.send(JSON.stringify(event)),
+    reply: (responseId) => next(m => m.response_type === "response" && m.response_id === responseId),
+    next,
+    close: () => new Promise(resolve => {
+      ws.once("close", resolve);
+      ws.close();
+    })
+  };
+}
+
+// Replays events until after the answer to `untilResponseId`
+async function replay(socket, events, untilResponseId = Infinity) {
+  const replies = {};
+  for (const event of events) {
+    if (event.response_id > untilResponseId) break;
+    socket.send(event);
+    if (event.interaction_type === "response_required") {
+      replies[event.response_id] = await socket.reply(event.response_id);
+    }
+  }
+  return replies;
+}
+
+test("a recorded booking call replays to a confirmed booking", { timeout: 10000 }, async (t) => {
+  const app = await startSocketApp(t);
+  const socket = await connect(app);
+
+  assert.deepEqual(await socket.next(m => m.response_type === "config"), {
+    response_type: "config", config: { auto_reconnect: true, call_details: true }
+  });
+  assert.equal((await socket.reply(0)).content, "Erendiz Hotel, guten Tag! Wie kann ich Ihnen helfen?");
+
+  const replies = await replay(socket, EVENTS);
+  for (const [id, pattern] of Object.entries(REPLIES)) assert.match(replies[id].content, pattern, `response ${id}`);
+  assert.equal(replies[5].end_call, false);
+  assert.equal(replies[6].end_call, true);
+  assert.deepEqual(await socket.next(m => m.response_type === "ping_pong"), { response_type: "ping_pong", timestamp: 1760000000000 });
+  await socket.close();
+
+  const [booking] = await app.services.store.findBookings({ callId: CALL_ID });
+  assert.equal(booking.email, "anna.schmidt@web.de");
+  assert.equal(booking.guest.surname, "Schmidt");
+  assert.match(replies[5].content, new RegExp(booking.booking_id));
+});
+
+test("a reconnected socket resumes the stage instead of greeting again", { timeout: 10000 }, async (t) => {
+  const app = await startSocketApp(t);
+
+  const first = await connect(app);
+  await first.reply(0);
+  await replay(first, EVENTS, 3);
+  await first.close();
+
+  // auto_reconnect: Retell opens a new socket for the same call and carries on with the next turn
+  const second = await connect(app);
+  const rest = EVENTS.filter(event => event.response_id > 3);
+  const replies = await replay(second, rest);
+
+  assert.match(replies[4].content, REPLIES[4]);
+  assert.match(replies[5].content, REPLIES[5]);
+  assert.ok(!second.received.some(m => m.response_id === 0), "greeted again after the reconnect");
+  await second.close();
+
+  assert.equal((await app.services.store.findBookings({ callId: CALL_ID })).length, 1);
+});
+
+test("an expired session at the confirmation starts the questions over", { timeout: 10000 }, async (t) => {
+  const app = await startSocketApp(t);
+  const socket = await connect(app);
+  await socket.reply(0);
+  await replay(socket, EVENTS, 2);
+
+  await app.services.forTenant("default").sessions.delete(CALL_ID);
+  const [yes] = EVENTS.filter(event => event.response_id === 3);
+  socket.send(yes);
+
+  assert.equal((await socket.reply(3)).content, "Wann möchten Sie anreisen?");
+  await socket.close();
+});
+
+test("connections without the socket token are refused", { timeout: 10000 }, async (t) => {
+  const app = await startSocketApp(t);
+
+  // The handshake's HTTP status, or null if the socket opened
+  const statusOf = (query) => new Promise((resolve) => {
+    const ws = new WebSocket(`${app.base.replace("http", "ws")}/llm-websocket/${CALL_ID}${query}`);
+    app.sockets.add(ws);
+    ws.once("open", () => resolve(null));
+    ws.once("unexpected-response", (req, res) => resolve(res.statusCode));
+    ws.once("error", () => {});
+  });
+
+  assert.equal(await statusOf(""), 401);
+  assert.equal(await statusOf("?token=wrong-token"), 401);
+  // No conversation was started for the refused connections
+  assert.equal(await app.services.forTenant("default").sessions.get(CALL_ID), null);
+  assert.equal(await statusOf(`?token=${SOCKET_TOKEN}`), null);
+});
+
+test("the socket is not attached without a token", () => {
+  assert.throws(() => attachRetellLlmSocket({ on() {} }, { dialog: {}, logger: createLogger({ level: "silent" }) }),
+    /RETELL_LLM_WS_TOKEN is required/);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startApp } from "./support/app.js";
+
+const METRICS_TOKEN = "test-metrics-token";
+
+// Value of one series in the Prometheus text format, or null
+function sample(text, name, labels) {
+  const line = text.split("\n").find(l => l.startsWith(`${name}{`) &&
+    Object.entries(labels).every(([key, value]) => l.includes(`${key}="${value}"`)));
+  return line ? Number(line.slice(line.lastIndexOf(" ") + 1)) : null;
+}
+
+test("/metrics is public without METRICS_TOKEN", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const { status, text } = await app.get("/metrics");
+  assert.equal(status, 200);
+  assert.match(text, /^up 1$/m);
+});
+
+test("/metrics requires the bearer token when METRICS_TOKEN is set", async (t) => {
+  const app = await startApp({ METRICS_TOKEN });
+  t.after(() => app.close());
+
+  assert.equal((await app.get("/metrics")).status, 401);
+  assert.equal((await app.get("/metrics", { headers: { authorization: "Bearer wrong-token" } })).status, 401);
+  const { status, text } = await app.get("/metrics", { headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+  assert.equal(status, 200);
+  assert.match(text, /^up 1$/m);
+});
+
+test("domain metrics carry the hotel and quote values are converted to EUR", async (t) => {
+  // A rate sheet priced in lira; the fallback FX rate turns 1 TRY into 0.02 EUR
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retell-agent-rates-"));
+  const file = path.join(dir, "rates-try.json");
+  const sheet = JSON.parse(fs.readFileSync("config/rates.json", "utf8"));
+  fs.writeFileSync(file, JSON.stringify({ ...sheet, currency: "TRY" }));
+
+  const lira = await startApp({ RATE_SHEET_FILE: file, FX_CURRENCIES: "EUR", FX_FALLBACK_RATES: "EUR:0.02" });
+  t.after(async () => {
+    await lira.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { body } = await lira.post("/retell/public/quote", { check_in: "2030-05-10", check_out: "2030-05-13", adults: 2 });
+  const { total, room_type, board } = body.data.breakdown;
+  assert.equal(body.data.totals.TRY, total);
+
+  await lira.post("/retell/tool/extract_core", { utterance: "vom 10. bis 13. Mai 2030, zwei Erwachsene", call_id: "call_1" });
+
+  const { text } = await lira.get("/metrics");
+  const labels = { hotel: "default", room_type, board };
+  assert.equal(sample(text, "hotel_quote_value_eur_count", labels), 1);
+  assert.equal(sample(text, "hotel_quote_value_eur_sum", labels), body.data.totals.EUR);
+  assert.equal(body.data.totals.EUR, Math.round(total * 0.02 * 100) / 100);
+  assert.equal(sample(text, "hotel_extractions_total", { hotel: "default", endpoint: "tool", source: "rules" }), 1);
+});
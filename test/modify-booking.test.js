@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/app.js";
+import { startOtaStub } from "./support/otaStub.js";
+import { parseXml } from "../src/ota/xml.js";
+
+async function startWithHotelRunner(t, responses) {
+  const stub = await startOtaStub(responses);
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: stub.url
+  });
+  t.after(() => Promise.all([app.close(), stub.close()]));
+  return { app, stub };
+}
+
+// ResGuest of the OTA_HotelResModifyRQ the stub received
+function modifiedGuest(stub) {
+  const sent = stub.requests.find(r => r.action === "HotelResModifyRQ");
+  assert.ok(sent, "no HotelResModifyRQ sent");
+  const modify = parseXml(sent.body).Envelope.Body.OTA_HotelResModifyRQ.HotelResModifies.HotelResModify;
+  const resGuest = modify.ResGuests.ResGuest;
+  return {
+    arrivalTime: resGuest.ArrivalTime,
+    customer: resGuest.Profiles.ProfileInfo.Profile.Customer,
+    comment: modify.ResGlobalInfo?.Comments?.Comment?.Text ?? null
+  };
+}
+
+test("modify_booking sends the guest profile stored at commit to HotelRunner", async (t) => {
+  const { app, stub } = await startWithHotelRunner(t, {
+    ResCreateRQ: "ResCreateRS.xml", ReadRQ: "ReadRS.xml", HotelResModifyRQ: "HotelResModifyRS.xml"
+  });
+
+  const commit = await app.post("/retell/tool/commit_booking", {
+    check_in: "2030-05-10", check_out: "2030-05-13", adults: 2,
+    given_name: "Anna", surname: "Kaya", email: "anna@example.com", phone: "+49 151 1234567",
+    language: "de", arrival_time: "15:30", special_requests: "Ruhiges Zimmer"
+  });
+  assert.equal(commit.body.data.booking_id, "HR-12345");
+
+  const modify = await app.post("/retell/tool/modify_booking", {
+    booking_id: "HR-12345", email: "anna@example.com", check_out: "2030-05-14"
+  });
+  assert.equal(modify.body.ok, true, JSON.stringify(modify.body));
+
+  const { arrivalTime, customer, comment } = modifiedGuest(stub);
+  assert.equal(arrivalTime, "15:30:00");
+  assert.equal(customer.Language, "de");
+  assert.deepEqual(customer.PersonName, { GivenName: "Anna", Surname: "Kaya" });
+  assert.equal(customer.Telephone.PhoneNumber, "+491511234567");
+  assert.equal(customer.Email, "anna@example.com");
+  assert.equal(comment, "Ruhiges Zimmer");
+});
+
+test("modify_booking keeps HotelRunner's guest profile for reservations made elsewhere", async (t) => {
+  const { app, stub } = await startWithHotelRunner(t, { ReadRQ: "ReadRS-external.xml", HotelResModifyRQ: "HotelResModifyRS.xml" });
+
+  const modify = await app.post("/retell/tool/modify_booking", {
+    booking_id: "HR-777", email: "john@example.com", adults: 1
+  });
+  assert.equal(modify.body.ok, true, JSON.stringify(modify.body));
+
+  const { arrivalTime, customer, comment } = modifiedGuest(stub);
+  assert.equal(arrivalTime, "18:00:00");
+  assert.equal(customer.Language, "en");
+  assert.deepEqual(customer.PersonName, { GivenName: "John", Surname: "Miller" });
+  assert.equal(customer.Telephone.PhoneNumber, "+447700900123");
+  assert.equal(comment, "Late arrival, sea view");
+});
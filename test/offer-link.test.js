@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/app.js";
+import { offerConfirmUrl } from "../src/mail/offer.js";
+
+const OFFER_LINK_SECRET = "test-link-secret";
+
+async function startWithOffer(t) {
+  const app = await startApp({ OFFER_LINK_SECRET });
+  t.after(() => app.close());
+  await app.services.store.saveOffer({ offer_id: "of_1", hotel_id: "default", email: "anna@example.com", language: "de", total: 255 });
+  const link = new URL(offerConfirmUrl(app.base, OFFER_LINK_SECRET, "of_1"));
+  return { app, link, token: link.searchParams.get("token") };
+}
+
+// Like a browser submitting the confirmation page's form
+const submit = (app, path, token) => fetch(app.base + path, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ token }).toString()
+});
+
+test("opening the accept link only asks for confirmation", async (t) => {
+  const { app, link, token } = await startWithOffer(t);
+
+  // Mail scanners and link previews fetch the link, maybe more than once
+  for (let i = 0; i < 2; i++) {
+    const page = await app.get(link.pathname + link.search);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /Möchten Sie das Angebot verbindlich annehmen\?/);
+    assert.match(page.text, /<form method="post" action="accept">/);
+    assert.ok(page.text.includes(`name="token" value="${token}"`));
+  }
+  assert.equal((await app.services.store.getOffer("of_1")).status, "sent");
+});
+
+test("the confirmation page's POST accepts the offer once", async (t) => {
+  const { app, link, token } = await startWithOffer(t);
+
+  // The form's relative action resolves to the link's path
+  const action = new URL("accept", link).pathname;
+  assert.equal(action, "/offers/of_1/accept");
+
+  const response = await submit(app, action, token);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /Vielen Dank! Wir haben Ihre Zusage erhalten/);
+
+  await submit(app, action, token);
+  const offer = await app.services.store.getOffer("of_1");
+  assert.equal(offer.status, "accepted");
+  assert.deepEqual(offer.history.map(h => h.status), ["sent", "accepted"]);
+
+  const page = await app.get(link.pathname + link.search);
+  assert.match(page.text, /Wir haben Ihre Zusage erhalten/);
+  assert.doesNotMatch(page.text, /<form/);
+});
+
+test("accept links with a wrong token change nothing", async (t) => {
+  const { app, link } = await startWithOffer(t);
+
+  assert.equal((await app.get(`${link.pathname}?token=forged`)).status, 404);
+  assert.equal((await submit(app, link.pathname, "forged")).status, 404);
+  assert.equal((await submit(app, "/offers/of_missing/accept", "forged")).status, 404);
+  assert.equal((await app.services.store.getOffer("of_1")).status, "sent");
+});
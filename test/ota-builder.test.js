@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {
+  escapeXml, buildSoapEnvelope, buildHotelAvailRQ, buildResCreateRQ, buildResModifyRQ, buildCancelRQ, buildReadRQ
+} from "../src/ota/builder.js";
+import { parseXml } from "../src/ota/xml.js";
+
+// UPDATE_GOLDEN=1 npm test rewrites the fixtures; review the diff before committing
+const golden = (name, xml) => {
+  const file = new URL(`./fixtures/ota/golden/${name}`, import.meta.url);
+  if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, `${xml}\n`);
+  assert.equal(`${xml}\n`, fs.readFileSync(file, "utf8"), `${name} differs from its golden file`);
+};
+
+// Caller-controlled text that would break out of the markup if it went in unescaped
+const HOSTILE = `O'Brien & "Sons" <Surname>x</Surname>`;
+
+const stay = { checkIn: "2030-05-10", checkOut: "2030-05-13", adults: 2, children: 1 };
+
+const guest = {
+  givenName: "Anna",
+  surname: "Kaya",
+  email: "anna@example.com",
+  phone: "+491511234567",
+  language: "de",
+  arrivalTime: "15:30",
+  specialRequests: "Ruhiges Zimmer, Babybett"
+};
+
+const reservation = {
+  ...stay,
+  uniqueId: "bk_0001",
+  nightlyRates: [
+    { date: "2030-05-10", amount: 85 },
+    { date: "2030-05-11", amount: 85 },
+    { date: "2030-05-12", amount: 90 }
+  ],
+  totalAfterTax: 260,
+  currency: "EUR",
+  roomTypeCode: "FAMILY",
+  roomName: "Familienzimmer",
+  roomDescription: "Familienzimmer mit Balkon",
+  ratePlanCode: "HP",
+  guest
+};
+
+test("escapeXml escapes markup characters and drops characters XML cannot carry", () => {
+  assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>`), "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;");
+  assert.equal(escapeXml("bell\u0007tab\tline\nend\uFFFE"), "belltab\tline\nend");
+  assert.equal(escapeXml(null), "");
+  assert.equal(escapeXml(42), "42");
+});
+
+test("SOAP envelope matches its golden file and escapes the credentials", () => {
+  const xml = buildSoapEnvelope({ hrId: "HR42", token: "t&k<en>", body: buildReadRQ({ hotelCode: "HR42", reservationId: "R-1" }) });
+  golden("SoapEnvelope.xml", xml);
+  assert.equal(parseXml(xml).Envelope.Header.auth.Token, "t&k<en>");
+});
+
+test("OTA_HotelAvailRQ matches its golden file", () => {
+  golden("HotelAvailRQ.xml", buildHotelAvailRQ({ hotelCode: "HR42", ...stay }));
+});
+
+test("OTA_ResCreateRQ matches its golden file", () => {
+  golden("ResCreateRQ.xml", buildResCreateRQ(reservation));
+});
+
+test("OTA_ResCreateRQ with a flat rate and minimal guest matches its golden file", () => {
+  golden("ResCreateRQ-flat.xml", buildResCreateRQ({
+    uniqueId: "bk_0002", checkIn: "2030-05-10", checkOut: "2030-05-11", adults: 1, children: 0,
+    amountAfterTax: 90, guest: { surname: "Kaya" }
+  }));
+});
+
+test("OTA_HotelResModifyRQ matches its golden file", () => {
+  golden("HotelResModifyRQ.xml", buildResModifyRQ({ ...reservation, reservationId: "HR-12345" }));
+});
+
+test("OTA_CancelRQ matches its golden file", () => {
+  golden("CancelRQ.xml", buildCancelRQ({ reservationId: "HR-12345", email: "anna@example.com", surname: "Kaya" }));
+});
+
+test("OTA_ReadRQ matches its golden file", () => {
+  golden("ReadRQ.xml", buildReadRQ({ hotelCode: "HR42", reservationId: "HR-12345" }));
+});
+
+test("caller text cannot inject elements or attributes", () => {
+  const xml = buildResCreateRQ({
+    ...reservation,
+    roomName: HOSTILE,
+    guest: { ...guest, givenName: HOSTILE, surname: HOSTILE, email: HOSTILE, specialRequests: `]]></Text><Injected/>` }
+  });
+  golden("ResCreateRQ-escaped.xml", xml);
+
+  const customer = parseXml(xml).OTA_ResCreateRQ.HotelReservations.HotelReservation[0].ResGuests.ResGuest
+    .Profiles.ProfileInfo.Profile.Customer;
+  assert.deepEqual(customer.PersonName, { GivenName: HOSTILE, Surname: HOSTILE });
+  assert.equal(customer.Email, HOSTILE);
+  assert.doesNotMatch(xml, /<Injected/);
+  assert.doesNotMatch(xml, /<Surname>x<\/Surname>/);
+});
+
+test("builders reject missing or malformed required fields", () => {
+  const fieldOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      assert.equal(error.code, "INVALID_REQUEST");
+      return error.field;
+    }
+    assert.fail("expected INVALID_REQUEST");
+  };
+  assert.equal(fieldOf(() => buildHotelAvailRQ({ ...stay })), "hotelCode");
+  assert.equal(fieldOf(() => buildHotelAvailRQ({ hotelCode: "HR42", ...stay, checkIn: "10.05.2030" })), "checkIn");
+  assert.equal(fieldOf(() => buildHotelAvailRQ({ hotelCode: "HR42", ...stay, checkOut: "2030-05-10" })), "checkOut");
+  assert.equal(fieldOf(() => buildHotelAvailRQ({ hotelCode: "HR42", ...stay, adults: 0 })), "adults");
+  assert.equal(fieldOf(() => buildResCreateRQ({ ...reservation, guest: { surname: " " } })), "guest.surname");
+  assert.equal(fieldOf(() => buildResCreateRQ({ ...reservation, nightlyRates: [], totalAfterTax: undefined })), "amountAfterTax");
+  assert.equal(fieldOf(() => buildResModifyRQ(reservation)), "reservationId");
+  assert.equal(fieldOf(() => buildCancelRQ({ reservationId: "HR-1" })), "email");
+  assert.equal(fieldOf(() => buildSoapEnvelope({ hrId: "HR42" })), "token");
+});
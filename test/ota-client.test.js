@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHotelRunnerClient, isOtaRejection } from "../src/ota/client.js";
+import { hangFetch } from "./support/hangingFetch.js";
+
+const BASE_URL = "http://hotelrunner.invalid/ota/";
+
+const noop = () => {};
+const client = (options = {}) => createHotelRunnerClient({
+  enabled: true, hrId: "HR42", token: "tok", baseUrl: BASE_URL, timeoutMs: 50,
+  logger: { warn: noop, error: noop },
+  metrics: { otaCall: noop },
+  tracing: { withSpan: (name, options, fn) => fn() },
+  ...options
+});
+
+test("a hanging HotelRunner request times out as a transient outage", async (t) => {
+  const calls = hangFetch(t, BASE_URL);
+
+  const startedAt = Date.now();
+  await assert.rejects(client().checkAvailability({ check_in: "2030-05-10", check_out: "2030-05-13", adults: 2, children: 0 }), (error) => {
+    assert.equal(error.code, "HOTELRUNNER_UNAVAILABLE");
+    assert.equal(error.transient, true);
+    assert.equal(isOtaRejection(error), false);
+    assert.match(error.message, /timed out after 50 ms/);
+    return true;
+  });
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.deepEqual(calls, [`${BASE_URL}HotelAvailRQ`]);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePhone, extractPhone } from "../src/extraction/phone.js";
+
+test("a national number takes the hotel's country code, not the caller's language", () => {
+  // A German-speaking guest of a Turkish hotel dictates a local Turkish mobile number
+  const spoken = "null fünf drei zwei eins zwei drei vier fünf sechs sieben";
+  assert.equal(parsePhone(spoken, { locale: "de", defaultCountryCode: "90" }), "+905321234567");
+  assert.equal(parsePhone("0532 123 45 67", { locale: "de", defaultCountryCode: "90" }), "+905321234567");
+  assert.equal(parsePhone("0170 1234567", { locale: "en", defaultCountryCode: "49" }), "+491701234567");
+});
+
+test("the caller's language decides only without a hotel country code", () => {
+  assert.equal(parsePhone("0170 1234567", { locale: "de" }), "+491701234567");
+  assert.equal(parsePhone("0532 123 45 67", { locale: "tr" }), "+905321234567");
+  assert.equal(parsePhone("0532 123 45 67", {}), null);
+});
+
+test("numbers with a country prefix keep it", () => {
+  assert.equal(parsePhone("plus vier neun eins sieben null eins zwei drei vier fünf sechs sieben", { locale: "de", defaultCountryCode: "90" }), "+491701234567");
+  assert.equal(parsePhone("+44 20 7946 0958", { locale: "tr", defaultCountryCode: "90" }), "+442079460958");
+});
+
+test("dates and guest counts are not taken for phone numbers", () => {
+  assert.equal(extractPhone("am 07.12.2026 zu zweit", { locale: "de" }), null);
+});
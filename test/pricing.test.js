@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createPricingEngine, loadRateSheet, validateRateSheet } from "../src/pricing/engine.js";
+
+// No seasons, weekend surcharge or discounts, so every total is easy to follow
+const SHEET = {
+  currency: "EUR",
+  room_types: {
+    STD: { name: "Doppelzimmer", base_occupancy: 2, max_adults: 3, max_occupancy: 4, extra_adult_per_night: 30 },
+    DLX: { name: "Deluxe", base_occupancy: 2, max_adults: 2, max_occupancy: 3, extra_adult_per_night: 40 }
+  },
+  default_rates: { STD: 100, DLX: 150 },
+  children: { default_age: 8, bands: [{ max_age: 2, percent: 0 }, { max_age: 12, percent: 50 }] },
+  boards: {
+    "ohne verpflegung": { code: "RO", per_person: 0 },
+    "frühstück": { code: "BB", per_person: 10, aliases: ["breakfast", "kahvaltı"] }
+  },
+  default_board: "ohne verpflegung"
+};
+
+const engine = () => createPricingEngine(validateRateSheet(SHEET));
+const stay = { checkIn: "2030-05-06", checkOut: "2030-05-09" };
+
+test("a stay costs nights × (room + board per person)", () => {
+  const pricing = engine();
+  const cases = [
+    [{ roomType: "STD" }, 300],
+    [{ roomType: "STD", board: "frühstück" }, 360],
+    [{ roomType: "DLX", board: "BB" }, 510],
+    // A third adult pays the extra-adult rate
+    [{ roomType: "STD", adults: 3 }, 390]
+  ];
+  for (const [input, total] of cases) {
+    const quote = pricing.quote({ ...stay, ...input });
+    assert.equal(quote.nights, 3);
+    assert.equal(quote.total, total, JSON.stringify(input));
+    assert.equal(quote.per_night.length, 3);
+  }
+});
+
+test("children pay their age band's share of the extra bed and the board", () => {
+  const quote = engine().quote({ ...stay, roomType: "STD", adults: 2, children: 2, childAges: [1, 8], board: "BB" });
+  // Per night: 100 room + 30 × 50 % extra bed for the 8-year-old + 2 × 10 + 10 × 50 % board
+  assert.deepEqual(quote.child_ages, [1, 8]);
+  assert.deepEqual(quote.per_night[0], {
+    date: "2030-05-06", season: null, room: 100, weekend_surcharge: 0, extra_adults: 0, children: 15, board: 25, total: 140
+  });
+  assert.equal(quote.total, 420);
+
+  // Without ages children count as `default_age`
+  assert.deepEqual(engine().quote({ ...stay, roomType: "STD", children: 1 }).child_ages, [8]);
+});
+
+test("boards are found by name, rate plan code or alias in any language", () => {
+  const pricing = engine();
+  for (const name of ["Frühstück", "fruehstueck", "BB", "breakfast", "Kahvaltı", "kahvalti"]) {
+    assert.equal(pricing.quote({ ...stay, board: name }).board, "frühstück", name);
+  }
+  assert.throws(() => pricing.quote({ ...stay, board: "all inclusive" }), (error) => {
+    assert.equal(error.code, "unknown_board");
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
+
+test("the shipped rate sheet understands English and Turkish board names", () => {
+  const pricing = createPricingEngine(loadRateSheet("config/rates.json"));
+  const boards = {
+    breakfast: "BB", "bed and breakfast": "BB", kahvaltı: "BB", "half board": "HB", "yarım pansiyon": "HB",
+    "full board": "FB", "tam pansiyon": "FB", "room only": "RO", "sadece oda": "RO"
+  };
+  for (const [name, code] of Object.entries(boards)) {
+    assert.equal(pricing.resolveBoard(name)?.code, code, name);
+  }
+});
+
+test("an alias naming two boards is rejected", () => {
+  const boards = { ...SHEET.boards, halbpension: { code: "HB", per_person: 20, aliases: ["breakfast"] } };
+  assert.throws(() => validateRateSheet({ ...SHEET, boards }), /board alias "breakfast" is used twice/);
+});
+
+test("a YAML sheet with a comma decimal fails at load time", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retell-agent-rates-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rates.yaml");
+  fs.writeFileSync(file, [
+    "room_types:",
+    "  STD: { base_occupancy: 2, max_adults: 2, max_occupancy: 2 }",
+    "default_rates:",
+    "  STD: 95,00",
+    "boards:",
+    "  frühstück: { code: BB, per_person: 8 }"
+  ].join("\n"));
+
+  assert.throws(() => loadRateSheet(file), /default_rates\.STD must be a non-negative number, got "95,00"/);
+});
+
+test("prices that are missing, negative or not numbers are rejected", () => {
+  const broken = [
+    [{ default_rates: { STD: 100 } }, /no rate for room type DLX on 01-01/],
+    [{ default_rates: { STD: 100, DLX: -5 } }, /default_rates\.DLX must be a non-negative number/],
+    [{ boards: { "frühstück": { code: "BB", per_person: "8" } } }, /boards\.frühstück\.per_person/],
+    [{ children: { bands: [{ max_age: 12 }] } }, /children\.bands\[0\]\.percent/],
+    [{ weekend: { days: ["sat"], surcharge_percent: null } }, /weekend\.surcharge_percent/],
+    [{ extras: { club_care: { name: "Club Care" } } }, /extras\.club_care\.per_stay/],
+    [{ seasons: [{ from: "06-01", to: "08-31", rates: { STD: "120" } }] }, /seasons\[0\]\.rates\.STD/]
+  ];
+  for (const [change, error] of broken) {
+    assert.throws(() => validateRateSheet({ ...SHEET, ...change }), error, JSON.stringify(change));
+  }
+
+  // Recurring seasons that cover the whole year stand in for a default rate
+  const seasonal = validateRateSheet({
+    ...SHEET,
+    default_rates: { STD: 100 },
+    seasons: [
+      { from: "04-01", to: "10-31", rates: { DLX: 180 } },
+      { from: "11-01", to: "03-31", rates: { DLX: 140 } }
+    ]
+  });
+  assert.equal(createPricingEngine(seasonal).quote({ ...stay, roomType: "DLX" }).total, 540);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./support/app.js";
+
+const stay = { check_in: "2030-05-10", check_out: "2030-05-13", adults: 2 };
+
+test("the public quote neither reads nor writes the call session", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const priced = await app.post("/retell/public/quote", { ...stay, call_id: "call_public" });
+  assert.equal(priced.status, 200);
+  assert.equal(priced.body.data.nights, 3);
+  assert.equal((await app.get("/retell/tool/session?call_id=call_public")).status, 404);
+
+  // A session of another call must not fill in the dates for an anonymous caller
+  await app.post("/retell/tool/quote", { ...stay, call_id: "call_1" });
+  const guessed = await app.post("/retell/public/quote", { call_id: "call_1" }, { headers: { "x-retell-call-id": "call_1" } });
+  assert.equal(guessed.status, 400);
+  assert.equal(guessed.body.error, "invalid_dates");
+});
+
+test("the tool quote fills gaps from the call session and records the stay", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const first = await app.post("/retell/tool/quote", { ...stay, call_id: "call_1" });
+  assert.equal(first.status, 200);
+
+  const { body } = await app.get("/retell/tool/session?call_id=call_1");
+  assert.deepEqual([body.session.slots.check_in, body.session.slots.check_out, body.session.slots.adults], [
+    "2030-05-10", "2030-05-13", 2
+  ]);
+
+  const upgrade = await app.post("/retell/tool/quote", { room_type: "SUITE", call_id: "call_1" });
+  assert.equal(upgrade.status, 200);
+  assert.equal(upgrade.body.data.breakdown.room_type, "SUITE");
+  assert.equal(upgrade.body.data.breakdown.check_in, "2030-05-10");
+  assert.equal(upgrade.body.data.nights, 3);
+});
+
+test("the tool quote needs an API key", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const { status } = await app.post("/retell/tool/quote", stay, { secret: null });
+  assert.equal(status, 401);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { EventEmitter } from "node:events";
+import { startApp } from "./support/app.js";
+import { createSessionStore } from "../src/session/index.js";
+
+const SECRETS = { erendiz: "erendiz-tool-secret", seaside: "seaside-tool-secret" };
+
+// Two hotels, each selected by its own tool secret
+async function startTwoHotels(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retell-agent-tenants-"));
+  const file = path.join(dir, "tenants.json");
+  fs.writeFileSync(file, JSON.stringify({
+    tenants: Object.entries(SECRETS).map(([id, secret]) => ({ id, tool_secret: secret }))
+  }));
+  const app = await startApp({ TENANTS_FILE: file });
+  t.after(async () => {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return app;
+}
+
+test("a hotel cannot read another hotel's call session", async (t) => {
+  const app = await startTwoHotels(t);
+  const erendiz = { secret: SECRETS.erendiz };
+  const seaside = { secret: SECRETS.seaside };
+
+  await app.post("/retell/tool/extract_core", { utterance: "vom 10. bis 13. Mai 2030, zwei Erwachsene", call_id: "call_1" }, erendiz);
+  const own = await app.get("/retell/tool/session?call_id=call_1", erendiz);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.session.hotel_id, "erendiz");
+  assert.equal(own.body.session.slots.check_in, "2030-05-10");
+
+  assert.equal((await app.get("/retell/tool/session?call_id=call_1", seaside)).status, 404);
+  assert.equal((await app.post("/retell/tool/session", { call_id: "call_1" }, seaside)).status, 404);
+
+  // The same call id at the other hotel starts its own session
+  await app.post("/retell/tool/extract_core", { utterance: "zu dritt", call_id: "call_1" }, seaside);
+  const other = await app.get("/retell/tool/session?call_id=call_1", seaside);
+  assert.equal(other.body.session.hotel_id, "seaside");
+  assert.equal(other.body.session.slots.check_in, undefined);
+  assert.equal((await app.get("/retell/tool/session?call_id=call_1", erendiz)).body.session.slots.adults, 2);
+});
+
+test("the session store keys sessions by hotel and call id", async (t) => {
+  const sessions = await createSessionStore({ driver: "memory" });
+  t.after(() => sessions.close());
+
+  await sessions.merge("erendiz", "call_1", { adults: 2 }, { source: "test" });
+  assert.equal(await sessions.get("seaside", "call_1"), null);
+  assert.deepEqual(await sessions.get("erendiz", "call_1").then(s => [s.hotel_id, s.call_id, s.slots.adults]), ["erendiz", "call_1", 2]);
+
+  await sessions.delete("seaside", "call_1");
+  assert.ok(await sessions.get("erendiz", "call_1"));
+});
+
+test("Redis client errors are reported instead of ending the process", async (t) => {
+  // Stands in for a node-redis client that lost its connection
+  const client = Object.assign(new EventEmitter(), {
+    values: new Map(),
+    async get(key) { return this.values.get(key) ?? null; },
+    async set(key, value) { this.values.set(key, value); },
+    async del(key) { this.values.delete(key); },
+    async quit() {}
+  });
+  const errors = [];
+  const sessions = await createSessionStore({ driver: "redis", client, onError: (msg, error) => errors.push([msg, error.message]) });
+  t.after(() => sessions.close());
+
+  client.emit("error", new Error("Socket closed unexpectedly"));
+  assert.deepEqual(errors, [["Redis session store error", "Socket closed unexpectedly"]]);
+
+  await sessions.merge("erendiz", "call_1", { adults: 2 });
+  assert.deepEqual([...client.values.keys()], ["session:erendiz/call_1"]);
+});
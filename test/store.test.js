@@ -0,0 +1,132 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/store/index.js";
+
+// Both drivers must behave the same; sqlite runs on an in-memory database
+const DRIVERS = [
+  { driver: "memory" },
+  { driver: "sqlite", file: ":memory:" }
+];
+
+const booking = (id, fields = {}) => ({
+  booking_id: id,
+  hotel_id: "default",
+  email: "anna@example.com",
+  phone: "+491511234567",
+  guest: { given_name: "Anna", surname: "Kaya", language: "de" },
+  check_in: "2030-05-10",
+  check_out: "2030-05-13",
+  adults: 2,
+  ...fields
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+for (const options of DRIVERS) {
+  describe(`${options.driver} store`, () => {
+    let store;
+    beforeEach(async () => { store = await createStore(options); });
+    afterEach(() => store.close());
+
+    test("reports its driver", () => {
+      assert.equal(store.driver, options.driver);
+    });
+
+    test("saves, reads and updates bookings with their status history", async () => {
+      const saved = await store.saveBooking(booking("bk_1"), { meta: { source: "mock" } });
+      assert.equal(saved.status, "confirmed");
+      assert.ok(saved.created_at && saved.updated_at);
+
+      const updated = await store.updateBooking("bk_1", { check_out: "2030-05-14" }, { status: "modified", meta: { by: "test" } });
+      assert.equal(updated.check_out, "2030-05-14");
+      assert.equal(updated.guest.surname, "Kaya");
+      assert.equal(updated.created_at, saved.created_at);
+
+      const read = await store.getBooking("bk_1");
+      assert.equal(read.status, "modified");
+      assert.deepEqual(read.history.map(h => [h.status, h.meta]), [["confirmed", { source: "mock" }], ["modified", { by: "test" }]]);
+
+      assert.equal(await store.getBooking("bk_missing"), null);
+      assert.equal(await store.updateBooking("bk_missing", {}, { status: "modified" }), null);
+    });
+
+    test("returns copies, not live references", async () => {
+      const input = booking("bk_1");
+      const saved = await store.saveBooking(input);
+      input.guest.surname = "Changed";
+      saved.guest.surname = "Changed";
+      assert.equal((await store.getBooking("bk_1")).guest.surname, "Kaya");
+    });
+
+    test("finds bookings by email, phone and call id, newest first", async () => {
+      await store.saveBooking(booking("bk_old", { call_id: "call_1" }));
+      await tick();
+      await store.saveBooking(booking("bk_new", { email: "other@example.com" }));
+      await store.saveBooking(booking("bk_foreign", { email: "x@example.com", phone: "+900000000" }));
+
+      const ids = (found) => found.map(b => b.booking_id);
+      assert.deepEqual(ids(await store.findBookings({ email: "anna@example.com" })), ["bk_old"]);
+      assert.deepEqual(ids(await store.findBookings({ phone: "+491511234567" })), ["bk_new", "bk_old"]);
+      assert.deepEqual(ids(await store.findBookings({ phone: "+491511234567", limit: 1 })), ["bk_new"]);
+      assert.deepEqual(ids(await store.findBookings({ callId: "call_1" })), ["bk_old"]);
+      assert.deepEqual(await store.findBookings({}), []);
+      assert.ok((await store.findBookings({ callId: "call_1" }))[0].history.length);
+    });
+
+    test("saves, reads and finds offers", async () => {
+      await store.saveOffer({ offer_id: "of_1", email: "anna@example.com", call_id: "call_1", total: 255 });
+      await store.saveOffer({ offer_id: "of_1", email: "anna@example.com", call_id: "call_1", total: 255 }, { status: "accepted" });
+
+      const offer = await store.getOffer("of_1");
+      assert.equal(offer.status, "accepted");
+      assert.deepEqual(offer.history.map(h => h.status), ["sent", "accepted"]);
+      assert.deepEqual((await store.findOffers({ callId: "call_1" })).map(o => o.offer_id), ["of_1"]);
+      assert.equal(await store.getOffer("of_missing"), null);
+    });
+
+    test("keeps the first created_at of a call across updates", async () => {
+      const first = await store.saveCall({ call_id: "call_1", call_status: "ongoing" });
+      await tick();
+      const second = await store.saveCall({ call_id: "call_1", call_status: "ended", transcript: "Agent: Hallo" });
+      assert.equal(second.created_at, first.created_at);
+      assert.deepEqual(await store.getCall("call_1"), second);
+      assert.equal(second.call_status, "ended");
+      assert.equal(await store.getCall("call_missing"), null);
+    });
+
+    test("stores idempotency records", async () => {
+      assert.equal(await store.getIdempotencyRecord("k1"), null);
+      await store.saveIdempotencyRecord("k1", { hash: "abc", status: 200, payload: { ok: true } });
+      const record = await store.getIdempotencyRecord("k1");
+      assert.equal(record.hash, "abc");
+      assert.equal(record.status, 200);
+      assert.deepEqual(record.payload, { ok: true });
+      assert.ok(record.created_at);
+    });
+
+    test("stores and lists API keys per hotel", async () => {
+      const key = (id, hotel) => ({ key_id: id, hotel_id: hotel, scopes: ["read"], hash: "00", revoked_at: null });
+      await store.saveApiKey(key("k1", "erendiz"));
+      await tick();
+      await store.saveApiKey(key("k2", "seaside"));
+      await store.saveApiKey({ ...key("k1", "erendiz"), revoked_at: "2030-01-01T00:00:00.000Z" });
+
+      assert.equal((await store.getApiKey("k1")).revoked_at, "2030-01-01T00:00:00.000Z");
+      assert.equal(await store.getApiKey("k3"), null);
+      assert.deepEqual((await store.listApiKeys()).map(k => k.key_id), ["k1", "k2"]);
+      assert.deepEqual((await store.listApiKeys({ hotelId: "seaside" })).map(k => k.key_id), ["k2"]);
+    });
+
+    test("touching an API key only sets last_used_at", async () => {
+      await store.saveApiKey({ key_id: "k1", hotel_id: "erendiz", scopes: ["read"], hash: "00", revoked_at: "2030-01-01T00:00:00.000Z", last_used_at: null });
+      await store.touchApiKey("k1", "2030-01-02T00:00:00.000Z");
+      await store.touchApiKey("k2", "2030-01-02T00:00:00.000Z");
+
+      const key = await store.getApiKey("k1");
+      assert.equal(key.last_used_at, "2030-01-02T00:00:00.000Z");
+      assert.equal(key.revoked_at, "2030-01-01T00:00:00.000Z");
+      assert.deepEqual(key.scopes, ["read"]);
+      assert.equal(await store.getApiKey("k2"), null);
+    });
+  });
+}
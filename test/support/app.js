@@ -0,0 +1,75 @@
+/**
+ * Test harness: createApp() with a memory store and temporary outboxes on
+ * an ephemeral port, plus a JSON client for its routes.
+ */
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../../src/config.js";
+import { createLogger } from "../../src/logger.js";
+import { createApp } from "../../src/app.js";
+
+export const TOOL_SECRET = "test-tool-secret";
+
+/**
+ * @param {Record<string, string>} [env]  loadConfig() variables on top of the test defaults
+ * @param {{ tracing?: object }} [options]
+ */
+export async function startApp(env = {}, { tracing } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retell-agent-test-"));
+  const config = loadConfig({
+    TOOL_SECRET,
+    STORE_DRIVER: "memory",
+    MAIL_OUTBOX_DIR: path.join(dir, "outbox"),
+    MESSAGING_OUTBOX_DIR: path.join(dir, "messages"),
+    RATE_LIMIT_PUBLIC_PER_MIN: "0",
+    RATE_LIMIT_TOOL_PER_MIN: "0",
+    ...env
+  });
+  const { app, dialog, services, close } = await createApp({ config, logger: createLogger({ level: "silent" }), tracing });
+  const server = http.createServer(app).listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @returns {Promise<{ status: number, body: any, text: string }>}
+   */
+  async function request(method, url, body, { secret = TOOL_SECRET, headers = {} } = {}) {
+    const response = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { "content-type": "application/json" }),
+        ...(secret && url.startsWith("/retell/tool") ? { authorization: `Bearer ${secret}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: "manual"
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // HTML pages and PDFs
+    }
+    return { status: response.status, body: json, text };
+  }
+
+  return {
+    base,
+    config,
+    dialog,
+    services,
+    server,
+    dir,
+    request,
+    post: (url, body, options) => request("POST", url, body, options),
+    get: (url, options) => request("GET", url, undefined, options),
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
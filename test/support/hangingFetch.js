@@ -0,0 +1,22 @@
+/**
+ * fetch() that never answers for URLs under `prefix`, like a hung upstream;
+ * it only settles when the request's signal aborts. Other URLs (the app
+ * under test) go through. The pending request holds the event loop open
+ * like a real socket would; AbortSignal.timeout() alone does not.
+ */
+export function hangFetch(t, prefix) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+  t.mock.method(globalThis, "fetch", (url, options = {}) => {
+    if (!String(url).startsWith(prefix)) return realFetch(url, options);
+    calls.push(String(url));
+    return new Promise((resolve, reject) => {
+      const pending = setInterval(() => {}, 1000);
+      options.signal?.addEventListener("abort", () => {
+        clearInterval(pending);
+        reject(options.signal.reason);
+      });
+    });
+  });
+  return calls;
+}
@@ -0,0 +1,45 @@
+/**
+ * Local stand-in for an OpenAI-compatible chat completions endpoint: answers
+ * every request with a call of the requested function and records the
+ * requests it got.
+ */
+import http from "node:http";
+
+/**
+ * @param {object} args function arguments the model "returns"
+ */
+export async function startLlmStub(args) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: request });
+      const name = request.tool_choice?.function?.name;
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({
+        id: "chatcmpl-test",
+        object: "chat.completion",
+        model: request.model,
+        choices: [{
+          index: 0,
+          finish_reason: "tool_calls",
+          message: {
+            role: "assistant",
+            content: null,
+            tool_calls: [{ id: "call_0", type: "function", function: { name, arguments: JSON.stringify(args) } }]
+          }
+        }]
+      }));
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
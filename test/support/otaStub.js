@@ -0,0 +1,41 @@
+/**
+ * Local stand-in for the HotelRunner SOAP endpoint: answers each SOAPAction
+ * with a fixture from test/fixtures/ota and records the requests it got.
+ */
+import http from "node:http";
+import fs from "node:fs";
+
+export const fixture = (name) => fs.readFileSync(new URL(`../fixtures/ota/${name}`, import.meta.url), "utf8");
+
+/**
+ * @param {Record<string, string | { status?: number, file: string }>} responses
+ *   SOAPAction (e.g. "HotelAvailRQ") to fixture file name
+ */
+export async function startOtaStub(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const action = req.headers.soapaction;
+      requests.push({ action, url: req.url, body });
+      const entry = responses[action];
+      if (!entry) {
+        res.writeHead(500, { "content-type": "text/plain" });
+        res.end(`no fixture for ${action}`);
+        return;
+      }
+      const { status = 200, file } = typeof entry === "string" ? { file: entry } : entry;
+      res.writeHead(status, { "content-type": "text/xml; charset=utf-8" });
+      res.end(fixture(file));
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/ota/`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SpanKind } from "@opentelemetry/api";
+import { createTracing } from "../src/tracing.js";
+import { startApp } from "./support/app.js";
+import { startOtaStub } from "./support/otaStub.js";
+import { startLlmStub } from "./support/llmStub.js";
+
+// What the model "extracts" from an utterance the rules cannot date
+const LLM_SLOTS = {
+  check_in: "2030-05-10", check_out: "2030-05-15", nights: null, adults: 2, children: null,
+  given_name: "Anna", surname: "Kaya", phone: null
+};
+const VAGUE = "Wir möchten nach dem Sommerfest kommen, zu zweit, Name Kaya";
+
+async function startTracedApp(t) {
+  const ota = await startOtaStub({ HotelAvailRQ: "HotelAvailRS.xml" });
+  const llm = await startLlmStub(LLM_SLOTS);
+  const tracing = createTracing({ exporter: "memory" });
+  const app = await startApp({
+    HOTELRUNNER_ENABLED: "true", HOTELRUNNER_HR_ID: "HR42", HOTELRUNNER_TOKEN: "tok", HOTELRUNNER_BASE_URL: ota.url,
+    LLM_ENABLED: "true", OPENAI_API_KEY: "sk-test", LLM_BASE_URL: llm.url
+  }, { tracing });
+  t.after(async () => {
+    await Promise.all([app.close(), ota.close(), llm.close()]);
+    await tracing.shutdown();
+  });
+  return { app, tracing, ota, llm };
+}
+
+// Finished spans as { name, kind, attributes, children } trees, roots first
+function spanTrees(exporter) {
+  const spans = exporter.getFinishedSpans();
+  const node = (span) => ({
+    name: span.name,
+    kind: span.kind,
+    traceId: span.spanContext().traceId,
+    attributes: span.attributes,
+    children: spans.filter(s => s.parentSpanId === span.spanContext().spanId).map(node)
+  });
+  return spans.filter(span => !span.parentSpanId).map(node);
+}
+
+const shape = (tree) => ({ name: tree.name, children: tree.children.map(shape) });
+
+test("an availability request spans its HotelRunner call", async (t) => {
+  const { app, tracing } = await startTracedApp(t);
+
+  const response = await app.post("/retell/tool/check_availability", {
+    check_in: "2030-05-10", check_out: "2030-05-15", adults: 2, call_id: "call_1"
+  });
+  assert.equal(response.body.details.source, "hotelrunner");
+
+  const trees = spanTrees(tracing.exporter);
+  assert.equal(trees.length, 1);
+  const [request] = trees;
+  assert.deepEqual(shape(request), {
+    name: "POST /retell/tool/check_availability",
+    children: [{ name: "HotelRunner HotelAvailRQ", children: [] }]
+  });
+  assert.equal(request.kind, SpanKind.SERVER);
+  assert.equal(request.attributes["http.response.status_code"], 200);
+  assert.equal(request.attributes["retell.call_id"], "call_1");
+
+  const [hotelRunner] = request.children;
+  assert.equal(hotelRunner.kind, SpanKind.CLIENT);
+  assert.equal(hotelRunner.traceId, request.traceId);
+});
+
+test("an extraction request spans its LLM call", async (t) => {
+  const { app, tracing, llm } = await startTracedApp(t);
+
+  const response = await app.post("/retell/tool/extract_core", { utterance: VAGUE, call_id: "call_1" });
+  assert.equal(response.body.source, "rules+llm");
+  assert.equal(llm.requests.length, 1);
+
+  const trees = spanTrees(tracing.exporter);
+  assert.equal(trees.length, 1);
+  const [request] = trees;
+  assert.deepEqual(shape(request), {
+    name: "POST /retell/tool/extract_core",
+    children: [{ name: "llm extraction", children: [] }]
+  });
+
+  const [extraction] = request.children;
+  assert.equal(extraction.kind, SpanKind.CLIENT);
+  assert.equal(extraction.attributes["gen_ai.function.name"], "extract_booking_slots");
+});
+
+test("a conversation turn spans its LLM and HotelRunner calls", async (t) => {
+  const { app, tracing } = await startTracedApp(t);
+
+  const reply = await app.dialog.start("call_turn").respond({
+    interaction_type: "response_required",
+    response_id: 1,
+    transcript: [{ role: "user", content: VAGUE }]
+  });
+  assert.match(reply.content, /Doppelzimmer/);
+
+  const turns = spanTrees(tracing.exporter).filter(tree => tree.name === "retell turn");
+  assert.equal(turns.length, 1);
+  const [turn] = turns;
+  assert.deepEqual(shape(turn), {
+    name: "retell turn",
+    children: [
+      { name: "llm extraction", children: [] },
+      { name: "HotelRunner HotelAvailRQ", children: [] }
+    ]
+  });
+  assert.equal(turn.attributes["retell.call_id"], "call_turn");
+  assert.equal(turn.attributes["retell.response_id"], 1);
+  assert.ok(turn.children.every(child => child.traceId === turn.traceId));
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { startApp } from "./support/app.js";
+
+const RETELL_API_KEY = "test-retell-key";
+
+// Signs like Retell: v=<timestamp ms>,d=<hex HMAC-SHA256(body + timestamp)>
+async function deliver(app, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const digest = crypto.createHmac("sha256", RETELL_API_KEY).update(body + timestamp).digest("hex");
+  const response = await fetch(`${app.base}/retell/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-retell-signature": `v=${timestamp},d=${digest}` },
+    body
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const ended = { event: "call_ended", call: { call_id: "call_1", call_status: "ended", transcript: "Agent: Hallo" } };
+
+// Holds store.saveCall until release(); fails it instead with fail()
+function gateSaveCall(store) {
+  const saveCall = store.saveCall.bind(store);
+  let gate;
+  const entered = new Promise(resolve => {
+    store.saveCall = (record) => new Promise((done, reject) => {
+      gate = { release: () => done(saveCall(record)), fail: () => reject(new Error("disk full")) };
+      resolve();
+    });
+  });
+  return { entered, release: () => gate.release(), fail: () => gate.fail(), restore: () => { store.saveCall = saveCall; } };
+}
+
+test("a redelivery while the event is still being stored gets 409, not 200", async (t) => {
+  const app = await startApp({ RETELL_API_KEY });
+  t.after(() => app.close());
+  const gate = gateSaveCall(app.services.store);
+
+  const first = deliver(app, ended);
+  await gate.entered;
+
+  const duplicate = await deliver(app, ended);
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error, "in_progress");
+  assert.equal(duplicate.headers.get("retry-after"), "1");
+
+  gate.release();
+  assert.equal((await first).status, 200);
+
+  const redelivery = await deliver(app, ended);
+  assert.equal(redelivery.status, 200);
+  assert.equal(redelivery.body.duplicate, true);
+});
+
+test("an event whose first delivery failed is stored on the retry", async (t) => {
+  const app = await startApp({ RETELL_API_KEY });
+  t.after(() => app.close());
+  const gate = gateSaveCall(app.services.store);
+
+  const first = deliver(app, ended);
+  await gate.entered;
+  assert.equal((await deliver(app, ended)).status, 409);
+
+  gate.fail();
+  assert.equal((await first).status, 500);
+  gate.restore();
+
+  const retry = await deliver(app, ended);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.duplicate, undefined);
+  assert.equal((await app.services.store.getCall("call_1")).call_status, "ended");
+});
+
+test("unsigned webhooks are rejected", async (t) => {
+  const app = await startApp({ RETELL_API_KEY });
+  t.after(() => app.close());
+
+  const response = await fetch(`${app.base}/retell/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(ended)
+  });
+  assert.equal(response.status, 401);
+});